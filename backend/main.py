@@ -1,14 +1,102 @@
-from fastapi import FastAPI, UploadFile, File
+from fastapi import FastAPI, UploadFile, File, Form, Query, Depends, HTTPException, Request
+from fastapi.exceptions import RequestValidationError
 from fastapi.middleware.cors import CORSMiddleware
-from pydantic import BaseModel
-from typing import Dict, List
+from fastapi.responses import JSONResponse
+from fastapi.security import HTTPBearer, HTTPAuthorizationCredentials
+from pydantic import BaseModel, Field, ValidationError
+from typing import Annotated, Any, Dict, List, Literal
+from contextlib import closing
+from datetime import date, datetime, timedelta, timezone
+from pathlib import Path
 import numpy as np
 import cv2
-from PIL import Image
+from PIL import Image, UnidentifiedImageError
+from starlette.exceptions import HTTPException as StarletteHTTPException
+import base64
+import hashlib
+import hmac
 import io
+import json
+import logging
+import os
 import random
+import re
+import secrets
+import sqlite3
+import time
 
 app = FastAPI()
+logger = logging.getLogger("fruit_quality")
+
+
+# ---------- ERRORS ----------
+
+# Every error response has the same shape, so clients can branch on a stable code:
+#   {"error": {"code": "...", "message": "...", "retryable": false}, "detail": "..."}
+# "detail" repeats the message for clients that only know FastAPI's format; validation
+# errors add "fields" ([{"field", "message"}]) to "error".
+
+class ApiError(HTTPException):
+    """An HTTPException with a machine-readable error code."""
+
+    def __init__(self, status_code: int, code: str, message: str, headers: Dict[str, str] | None = None):
+        super().__init__(status_code=status_code, detail=message, headers=headers)
+        self.code = code
+
+
+# Codes for errors raised without one (by FastAPI itself, e.g. unknown routes)
+DEFAULT_ERROR_CODES = {
+    400: "bad_request",
+    401: "not_authenticated",
+    403: "forbidden",
+    404: "not_found",
+    405: "method_not_allowed",
+    413: "payload_too_large",
+    422: "validation_error",
+    429: "rate_limited",
+}
+
+
+def error_response(status_code: int, code: str, message: str, headers: Dict[str, str] | None = None,
+                   **extra) -> JSONResponse:
+    # Overload and an unavailable upstream may pass; a fault in the server or anything the client
+    # sent wrong will fail again
+    retryable = status_code in (429, 502, 503, 504)
+    return JSONResponse(
+        status_code=status_code,
+        content={"error": {"code": code, "message": message, "retryable": retryable, **extra}, "detail": message},
+        headers=headers,
+    )
+
+
+@app.exception_handler(StarletteHTTPException)
+async def handle_http_error(request: Request, exc: StarletteHTTPException):
+    code = getattr(exc, "code", None) or DEFAULT_ERROR_CODES.get(
+        exc.status_code, "server_error" if exc.status_code >= 500 else "request_failed"
+    )
+    return error_response(exc.status_code, code, str(exc.detail), exc.headers)
+
+
+@app.exception_handler(RequestValidationError)
+async def handle_validation_error(request: Request, exc: RequestValidationError):
+    # loc starts with where the value came from ("body", "query", ...)
+    fields = [
+        {"field": ".".join(str(part) for part in error["loc"][1:]), "message": error["msg"]}
+        for error in exc.errors()
+    ]
+    return error_response(422, "validation_error", "The request has missing or invalid fields", fields=fields)
+
+
+# Registered before CORS so that the middleware wraps it and server faults keep their CORS
+# headers; without them the browser would only report a network error
+@app.middleware("http")
+async def handle_server_fault(request: Request, call_next):
+    try:
+        return await call_next(request)
+    except Exception:
+        logger.exception("Unhandled error in %s %s", request.method, request.url.path)
+        return error_response(500, "server_error", "The server failed to process the request")
+
 
 app.add_middleware(
     CORSMiddleware,
@@ -18,6 +106,228 @@ app.add_middleware(
     allow_headers=["*"],
 )
 
+# ---------- HEALTH ----------
+
+@app.get("/api/health")
+async def health():
+    return {"status": "ok"}
+
+
+# ---------- ACCOUNTS ----------
+
+# One account per line: email<TAB>name<TAB>password hash<TAB>role<TAB>status
+# (lines starting with # are ignored; missing columns default to inspector / active)
+USERS_FILE = Path(__file__).with_name("users.txt")
+USERS_FILE_HEADER = "# Accounts: email<TAB>name<TAB>password hash<TAB>role<TAB>status. Manage them in the dashboard or with: python main.py add-user EMAIL NAME --role ROLE\n"
+PASSWORD_ITERATIONS = 200_000
+MIN_PASSWORD_LENGTH = 6
+
+# Least to most privileged; accounts without a role column are inspectors
+ROLES = ("inspector", "supervisor", "admin")
+DEFAULT_ROLE = "inspector"
+
+
+def hash_password(password: str, salt: str | None = None) -> str:
+    """Return a PBKDF2-SHA256 hash as 'pbkdf2_sha256$iterations$salt$digest'."""
+    salt = salt or secrets.token_hex(16)
+    digest = hashlib.pbkdf2_hmac(
+        "sha256", password.encode("utf-8"), bytes.fromhex(salt), PASSWORD_ITERATIONS
+    ).hex()
+    return f"pbkdf2_sha256${PASSWORD_ITERATIONS}${salt}${digest}"
+
+
+def verify_password(password: str, stored_hash: str) -> bool:
+    # A damaged hash in users.txt counts as a wrong password rather than a server fault
+    try:
+        algorithm, iterations, salt, digest = stored_hash.split("$")
+        salt_bytes, rounds = bytes.fromhex(salt), int(iterations)
+    except ValueError:
+        return False
+    if algorithm != "pbkdf2_sha256":
+        return False
+
+    candidate = hashlib.pbkdf2_hmac(
+        "sha256", password.encode("utf-8"), salt_bytes, rounds
+    ).hex()
+    return hmac.compare_digest(candidate, digest)
+
+
+def load_users() -> Dict[str, Dict]:
+    """Read accounts from users.txt, keyed by lower-case email."""
+    users = {}
+    if not USERS_FILE.exists():
+        return users
+
+    for line in USERS_FILE.read_text(encoding="utf-8").splitlines():
+        if not line.strip() or line.startswith("#"):
+            continue
+        parts = line.split("\t")
+        if len(parts) < 3:
+            continue
+        email, name, password_hash = parts[:3]
+        role = parts[3] if len(parts) > 3 and parts[3] in ROLES else DEFAULT_ROLE
+        disabled = len(parts) > 4 and parts[4] == "disabled"
+        users[email.lower()] = {
+            "email": email,
+            "name": name,
+            "password_hash": password_hash,
+            "role": role,
+            "disabled": disabled,
+        }
+    return users
+
+
+def save_users(users: Dict[str, Dict]) -> None:
+    """Rewrite users.txt; the new file replaces the old one in a single step."""
+    lines = [USERS_FILE_HEADER]
+    for user in users.values():
+        status = "disabled" if user["disabled"] else "active"
+        lines.append(f"{user['email']}\t{user['name']}\t{user['password_hash']}\t{user['role']}\t{status}\n")
+
+    tmp_file = USERS_FILE.with_suffix(".tmp")
+    tmp_file.write_text("".join(lines), encoding="utf-8")
+    tmp_file.replace(USERS_FILE)
+
+
+def validate_password(password: str) -> None:
+    if len(password) < MIN_PASSWORD_LENGTH:
+        raise ValueError(f"Password must be at least {MIN_PASSWORD_LENGTH} characters")
+
+
+def validate_role(role: str) -> None:
+    if role not in ROLES:
+        raise ValueError(f"Role must be one of: {', '.join(ROLES)}")
+
+
+def add_user(email: str, name: str, password: str, role: str = DEFAULT_ROLE) -> Dict:
+    users = load_users()
+    email = email.strip()
+    if not email or "\t" in email or "\t" in name:
+        raise ValueError("Email and name are required and may not contain tabs")
+    if email.lower() in users:
+        raise ValueError(f"User {email} already exists")
+    validate_password(password)
+    validate_role(role)
+
+    users[email.lower()] = {
+        "email": email,
+        "name": name.strip() or email.split("@")[0],
+        "password_hash": hash_password(password),
+        "role": role,
+        "disabled": False,
+    }
+    save_users(users)
+    return users[email.lower()]
+
+
+def update_user(email: str, **changes) -> Dict:
+    """Change name, role, disabled and/or password of an existing account."""
+    users = load_users()
+    user = users.get(email.lower())
+    if user is None:
+        raise KeyError(email)
+
+    if changes.get("name") is not None:
+        if "\t" in changes["name"]:
+            raise ValueError("Name may not contain tabs")
+        user["name"] = changes["name"].strip() or user["name"]
+    if changes.get("role") is not None:
+        validate_role(changes["role"])
+        user["role"] = changes["role"]
+    if changes.get("disabled") is not None:
+        user["disabled"] = bool(changes["disabled"])
+    if changes.get("password") is not None:
+        validate_password(changes["password"])
+        user["password_hash"] = hash_password(changes["password"])
+
+    save_users(users)
+    return user
+
+
+def public_user(user: Dict) -> Dict:
+    """User fields that are safe to return to the client."""
+    return {"name": user["name"], "email": user["email"], "role": user["role"], "disabled": user["disabled"]}
+
+
+# ---------- TOKENS ----------
+
+# Set JWT_SECRET in production; a random secret signs everyone out on every restart
+JWT_SECRET = os.environ.get("JWT_SECRET") or secrets.token_hex(32)
+ACCESS_TOKEN_LIFETIME = timedelta(minutes=15)
+REFRESH_TOKEN_LIFETIME = timedelta(days=1)
+REFRESH_TOKEN_LIFETIME_REMEMBER = timedelta(days=30)
+
+
+def b64url_encode(data: bytes) -> str:
+    return base64.urlsafe_b64encode(data).rstrip(b"=").decode("ascii")
+
+
+def b64url_decode(text: str) -> bytes:
+    return base64.urlsafe_b64decode(text + "=" * (-len(text) % 4))
+
+
+def create_token(email: str, token_type: str, lifetime: timedelta) -> str:
+    """Issue an HS256 JWT for a user."""
+    now = int(time.time())
+    header = {"alg": "HS256", "typ": "JWT"}
+    payload = {"sub": email, "type": token_type, "iat": now, "exp": now + int(lifetime.total_seconds())}
+
+    signing_input = ".".join(
+        b64url_encode(json.dumps(part, separators=(",", ":")).encode("utf-8"))
+        for part in (header, payload)
+    )
+    signature = hmac.new(JWT_SECRET.encode("utf-8"), signing_input.encode("ascii"), hashlib.sha256).digest()
+    return f"{signing_input}.{b64url_encode(signature)}"
+
+
+def decode_token(token: str, token_type: str) -> Dict:
+    """Verify a JWT's signature, expiry and type; raise 401 if any check fails."""
+    try:
+        header_b64, payload_b64, signature_b64 = token.split(".")
+        expected = hmac.new(
+            JWT_SECRET.encode("utf-8"), f"{header_b64}.{payload_b64}".encode("ascii"), hashlib.sha256
+        ).digest()
+        if not hmac.compare_digest(expected, b64url_decode(signature_b64)):
+            raise ValueError("bad signature")
+        payload = json.loads(b64url_decode(payload_b64))
+    except (ValueError, TypeError):
+        raise ApiError(401, "invalid_token", "Invalid token", headers={"WWW-Authenticate": "Bearer"})
+
+    if payload.get("type") != token_type:
+        raise ApiError(401, "invalid_token", "Invalid token", headers={"WWW-Authenticate": "Bearer"})
+    if payload.get("exp", 0) < time.time():
+        raise ApiError(401, "token_expired", "Token expired", headers={"WWW-Authenticate": "Bearer"})
+    return payload
+
+
+bearer_scheme = HTTPBearer(auto_error=False)
+
+
+async def get_current_user(
+    credentials: HTTPAuthorizationCredentials | None = Depends(bearer_scheme),
+) -> Dict:
+    """Resolve the user behind the request's bearer token."""
+    if credentials is None:
+        raise ApiError(401, "not_authenticated", "Not authenticated", headers={"WWW-Authenticate": "Bearer"})
+
+    payload = decode_token(credentials.credentials, "access")
+    user = load_users().get(payload["sub"].lower())
+    if user is None:
+        raise ApiError(401, "account_not_found", "Account no longer exists", headers={"WWW-Authenticate": "Bearer"})
+    if user["disabled"]:
+        raise ApiError(401, "account_disabled", "Account disabled", headers={"WWW-Authenticate": "Bearer"})
+    return public_user(user)
+
+
+def require_role(*roles: str):
+    """Dependency that only lets users with one of the given roles through (403 otherwise)."""
+    async def check_role(user: Dict = Depends(get_current_user)) -> Dict:
+        if user["role"] not in roles:
+            raise ApiError(403, "forbidden", "Your role does not allow this action")
+        return user
+    return check_role
+
+
 # ---------- LOGIN ----------
 
 class LoginRequest(BaseModel):
@@ -27,28 +337,231 @@ class LoginRequest(BaseModel):
 
 class LoginResponse(BaseModel):
     token: str
-    user: Dict[str, str]
+    refresh_token: str
+    expires_in: int
+    user: Dict
     message: str
 
+class RefreshRequest(BaseModel):
+    refresh_token: str
+
+class RefreshResponse(BaseModel):
+    token: str
+    expires_in: int
+
 @app.post("/api/auth/login", response_model=LoginResponse)
 async def login(payload: LoginRequest):
-    # Demo: accept any email + password length >= 6
-    if len(payload.password) < 6:
-        # FastAPI error will be turned into JSON 422 by frontend
-        raise ValueError("Password must be at least 6 characters")
+    # Distinct status codes let the login form explain what went wrong
+    user = load_users().get(payload.email.strip().lower())
+    if user is None:
+        raise ApiError(404, "unknown_account", "No account exists for this email")
+    if not verify_password(payload.password, user["password_hash"]):
+        raise ApiError(401, "incorrect_password", "Incorrect password")
+    if user["disabled"]:
+        raise ApiError(403, "account_disabled", "This account has been disabled")
+
+    refresh_lifetime = REFRESH_TOKEN_LIFETIME_REMEMBER if payload.remember else REFRESH_TOKEN_LIFETIME
+    return LoginResponse(
+        token=create_token(user["email"], "access", ACCESS_TOKEN_LIFETIME),
+        refresh_token=create_token(user["email"], "refresh", refresh_lifetime),
+        expires_in=int(ACCESS_TOKEN_LIFETIME.total_seconds()),
+        user=public_user(user),
+        message="Login successful",
+    )
+
+@app.post("/api/auth/refresh", response_model=RefreshResponse)
+async def refresh(payload: RefreshRequest):
+    claims = decode_token(payload.refresh_token, "refresh")
+    user = load_users().get(claims["sub"].lower())
+    if user is None or user["disabled"]:
+        raise ApiError(401, "account_inactive", "Account no longer active")
+
+    return RefreshResponse(
+        token=create_token(claims["sub"], "access", ACCESS_TOKEN_LIFETIME),
+        expires_in=int(ACCESS_TOKEN_LIFETIME.total_seconds()),
+    )
+
+@app.get("/api/auth/me")
+async def me(user: Dict = Depends(get_current_user)):
+    return {"user": user}
 
-    token = f"demo_token_{random.randint(100000, 999999)}"
-    user = {"name": payload.email.split("@")[0], "email": payload.email}
-    return LoginResponse(token=token, user=user, message="Login successful")
+
+# ---------- USERS ----------
+
+class CreateUserRequest(BaseModel):
+    email: str
+    name: str
+    password: str
+    role: str = DEFAULT_ROLE
+
+class UpdateUserRequest(BaseModel):
+    name: str | None = None
+    role: str | None = None
+    disabled: bool | None = None
+
+class ResetPasswordRequest(BaseModel):
+    password: str
+
+@app.get("/api/users")
+async def list_users(admin: Dict = Depends(require_role("admin"))):
+    return {"users": [public_user(user) for user in load_users().values()]}
+
+@app.post("/api/users", status_code=201)
+async def create_user(payload: CreateUserRequest, admin: Dict = Depends(require_role("admin"))):
+    try:
+        user = add_user(payload.email, payload.name, payload.password, payload.role)
+    except ValueError as e:
+        raise ApiError(400, "invalid_user", str(e))
+    return {"user": public_user(user)}
+
+@app.put("/api/users/{email}")
+async def edit_user(email: str, payload: UpdateUserRequest, admin: Dict = Depends(require_role("admin"))):
+    # Admins cannot lock themselves out
+    if email.lower() == admin["email"].lower() and (payload.disabled or payload.role not in (None, "admin")):
+        raise ApiError(400, "own_account", "You cannot disable or demote your own account")
+
+    try:
+        user = update_user(email, name=payload.name, role=payload.role, disabled=payload.disabled)
+    except KeyError:
+        raise ApiError(404, "user_not_found", "User not found")
+    except ValueError as e:
+        raise ApiError(400, "invalid_user", str(e))
+    return {"user": public_user(user)}
+
+@app.post("/api/users/{email}/password")
+async def reset_password(email: str, payload: ResetPasswordRequest, admin: Dict = Depends(require_role("admin"))):
+    try:
+        update_user(email, password=payload.password)
+    except KeyError:
+        raise ApiError(404, "user_not_found", "User not found")
+    except ValueError as e:
+        raise ApiError(400, "invalid_password", str(e))
+    return {"message": "Password reset"}
+
+
+# ---------- FRUIT PROFILES ----------
+
+# Per-fruit models (mirrored in frontend/js/fruits.js):
+# - fresh_color: weights on the Lab a (red) and b (yellow) axes; the cluster scoring highest is "fresh"
+# - dry_matter: (base %, % per freshness point)
+# - weight_factor: kg per enclosing-circle radius ** 1.2
+# - nutrition: dry matter reference and span, then per nutrient (value at reference, change per span, min, max)
+FRUIT_PROFILES = {
+    "apple": {
+        "fresh_color": (1.0, 0.0),
+        "dry_matter": (10.0, 0.08),
+        "weight_factor": 0.0015,
+        "nutrition": {
+            "dm_reference": 14.0, "dm_span": 4.0,
+            "water_percent": (86.0, -2.0, 70.0, 90.0),
+            "sugar_percent": (10.0, 1.0, 5.0, 20.0),
+            "fiber": (2.4, 0.3, 1.0, 5.0),
+            "vitamin_c_mg": (4.6, -0.5, 1.0, 8.0),
+        },
+    },
+    "pear": {
+        "fresh_color": (-0.5, 1.0),
+        "dry_matter": (12.0, 0.06),
+        "weight_factor": 0.0017,
+        "nutrition": {
+            "dm_reference": 15.0, "dm_span": 3.0,
+            "water_percent": (84.0, -2.0, 70.0, 90.0),
+            "sugar_percent": (10.0, 1.2, 5.0, 20.0),
+            "fiber": (3.1, 0.3, 1.0, 6.0),
+            "vitamin_c_mg": (4.3, -0.5, 1.0, 8.0),
+        },
+    },
+    "mango": {
+        "fresh_color": (0.5, 1.0),
+        "dry_matter": (14.0, 0.08),
+        "weight_factor": 0.0022,
+        "nutrition": {
+            "dm_reference": 18.0, "dm_span": 4.0,
+            "water_percent": (83.0, -2.5, 70.0, 90.0),
+            "sugar_percent": (14.0, 1.5, 5.0, 25.0),
+            "fiber": (1.6, 0.2, 0.5, 4.0),
+            "vitamin_c_mg": (36.0, -4.0, 10.0, 60.0),
+        },
+    },
+    "orange": {
+        "fresh_color": (0.7, 1.0),
+        "dry_matter": (11.0, 0.06),
+        "weight_factor": 0.0018,
+        "nutrition": {
+            "dm_reference": 14.0, "dm_span": 3.0,
+            "water_percent": (87.0, -1.5, 75.0, 92.0),
+            "sugar_percent": (9.0, 1.0, 5.0, 15.0),
+            "fiber": (2.4, 0.2, 1.0, 5.0),
+            "vitamin_c_mg": (53.0, -4.0, 20.0, 70.0),
+        },
+    },
+    "banana": {
+        "fresh_color": (0.0, 1.0),
+        "dry_matter": (20.0, 0.1),
+        "weight_factor": 0.0013,
+        "nutrition": {
+            "dm_reference": 25.0, "dm_span": 5.0,
+            "water_percent": (75.0, -2.5, 60.0, 85.0),
+            "sugar_percent": (12.0, 2.0, 5.0, 25.0),
+            "fiber": (2.6, -0.3, 1.0, 5.0),
+            "vitamin_c_mg": (8.7, -1.0, 3.0, 15.0),
+        },
+    },
+}
+
+
+def get_fruit_profile(fruit: str) -> Dict:
+    profile = FRUIT_PROFILES.get(fruit.lower())
+    if not profile:
+        raise ApiError(404, "unknown_fruit", f"Unknown fruit '{fruit}'. Supported: {', '.join(FRUIT_PROFILES)}")
+    return profile
 
 
 # ---------- IMAGE ANALYSIS HELPERS ----------
 
-def compute_freshness_from_image(img_rgb: np.ndarray, k: int = 3):
-    """Return (freshness_score 0–100, spoilage_ratio 0–100) via K-means in Lab."""
+# Pixel classes in the label mask returned to the frontend
+LABEL_BACKGROUND = 0
+LABEL_FRESH = 1
+LABEL_SPOILED = 2
+LABEL_MASK_MAX_SIDE = 64
+
+# Smaller images have too few pixels to cluster; flatter ones (spread of the Lab values,
+# per channel) show a blank surface rather than a fruit
+MIN_IMAGE_SIDE = 32
+MIN_IMAGE_CONTRAST = 2.0
+
+
+def decode_image(contents: bytes) -> Image.Image:
+    """Decode an uploaded image as RGB; answers 400 / 413 / 422 when it cannot be analyzed."""
+    try:
+        img = Image.open(io.BytesIO(contents))
+        img = img.convert("RGB")
+    except Image.DecompressionBombError:
+        raise ApiError(413, "image_too_large", "The image has too many pixels to analyze")
+    except (UnidentifiedImageError, OSError, ValueError):
+        raise ApiError(400, "image_undecodable", "The file is not an image or is damaged")
+
+    if min(img.size) < MIN_IMAGE_SIDE:
+        raise ApiError(
+            422, "image_too_small",
+            f"The image is {img.width}x{img.height} pixels; at least {MIN_IMAGE_SIDE} pixels per side are needed",
+        )
+    return img
+
+
+def compute_freshness_from_image(img_rgb: np.ndarray, k: int = 3, fresh_color=(1.0, 0.0)):
+    """Return (freshness_score 0–100, spoilage_ratio 0–100, label_map HxW) via K-means in Lab.
+
+    label_map holds LABEL_BACKGROUND / LABEL_FRESH / LABEL_SPOILED per pixel.
+    fresh_color weights the a / b axes when picking the fresh cluster (see FRUIT_PROFILES).
+    Answers 422 when the image shows no fruit: it is nearly uniform, or the fresh and
+    spoiled clusters together cover less than 5% of it.
+    """
     img_lab = cv2.cvtColor(img_rgb, cv2.COLOR_RGB2LAB)
     h, w, _ = img_lab.shape
     pixels = img_lab.reshape(-1, 3).astype(np.float32)
+    if pixels.std(axis=0).max() < MIN_IMAGE_CONTRAST:
+        raise ApiError(422, "no_fruit_detected", "No fruit was detected in the image")
 
     criteria = (cv2.TERM_CRITERIA_EPS + cv2.TERM_CRITERIA_MAX_ITER, 20, 1.0)
     _, labels, centers = cv2.kmeans(
@@ -58,21 +571,40 @@ def compute_freshness_from_image(img_rgb: np.ndarray, k: int = 3):
     centers = centers.astype(np.float32)
     L = centers[:, 0]
     a = centers[:, 1]
+    b = centers[:, 2]
 
-    fresh_cluster = int(np.argmax(a))      # red / fresh
+    fresh_cluster = int(np.argmax(fresh_color[0] * a + fresh_color[1] * b))   # fruit's own color = fresh
     spoiled_cluster = int(np.argmin(L))    # dark / spoiled
 
     fresh_pixels = int((labels == fresh_cluster).sum())
     spoiled_pixels = int((labels == spoiled_cluster).sum())
     total_pixels = int(labels.size)
 
-    apple_pixels = fresh_pixels + spoiled_pixels
-    if apple_pixels < 0.05 * total_pixels:
-        return 60, 30
+    label_map = np.full(labels.shape, LABEL_BACKGROUND, dtype=np.uint8)
+    label_map[labels == spoiled_cluster] = LABEL_SPOILED
+    label_map[labels == fresh_cluster] = LABEL_FRESH
+    label_map = label_map.reshape(h, w)
+
+    fruit_pixels = fresh_pixels + spoiled_pixels
+    if fruit_pixels < 0.05 * total_pixels:
+        raise ApiError(422, "no_fruit_detected", "No fruit was detected in the image")
+
+    fresh_ratio = fresh_pixels / fruit_pixels
+    spoiled_ratio = spoiled_pixels / fruit_pixels
+    return int(100 * fresh_ratio), int(100 * spoiled_ratio), label_map
 
-    fresh_ratio = fresh_pixels / apple_pixels
-    spoiled_ratio = spoiled_pixels / apple_pixels
-    return int(100 * fresh_ratio), int(100 * spoiled_ratio)
+
+def encode_label_mask(label_map: np.ndarray) -> Dict:
+    """Downsample a label map and encode it as one digit per pixel, row by row."""
+    h, w = label_map.shape
+    scale = min(1.0, LABEL_MASK_MAX_SIDE / max(h, w))
+    mask_w, mask_h = max(1, round(w * scale)), max(1, round(h * scale))
+    small = cv2.resize(label_map, (mask_w, mask_h), interpolation=cv2.INTER_NEAREST)
+    return {
+        "width": mask_w,
+        "height": mask_h,
+        "data": "".join(str(v) for v in small.flatten()),
+    }
 
 
 def spoilage_risk_label_from_ratio(spoilage_ratio: int) -> str:
@@ -84,12 +616,13 @@ def spoilage_risk_label_from_ratio(spoilage_ratio: int) -> str:
         return "High"
 
 
-def dry_matter_from_freshness(freshness: int) -> float:
+def dry_matter_from_freshness(freshness: int, dry_matter=(10.0, 0.08)) -> float:
     freshness = max(0, min(100, freshness))
-    return round(10.0 + 0.08 * freshness, 1)   # ~10–18 %
+    base, per_point = dry_matter
+    return round(base + per_point * freshness, 1)   # apple ~10–18 %
 
 
-def estimate_weight_from_image(img_rgb: np.ndarray) -> float:
+def estimate_weight_from_image(img_rgb: np.ndarray, weight_factor: float = 0.0015) -> float:
     gray = cv2.cvtColor(img_rgb, cv2.COLOR_RGB2GRAY)
     blur = cv2.GaussianBlur(gray, (7, 7), 0)
     _, th = cv2.threshold(blur, 0, 255, cv2.THRESH_OTSU + cv2.THRESH_BINARY_INV)
@@ -99,26 +632,25 @@ def estimate_weight_from_image(img_rgb: np.ndarray) -> float:
     c = max(contours, key=cv2.contourArea)
     ((x, y), radius) = cv2.minEnclosingCircle(c)
     radius = max(radius, 10)
-    weight = 0.0015 * (radius ** 1.2)
+    weight = weight_factor * (radius ** 1.2)
     return round(float(weight), 2)
 
 
+PESTICIDE_CLASSES = ("Pure", "Insecticide Low", "Fungicide Low", "Fungicide High")
+
 def pesticide_class_demo() -> str:
-    return random.choice(["Pure", "Insecticide Low", "Fungicide Low", "Fungicide High"])
+    return random.choice(PESTICIDE_CLASSES)
 
 
-def nutrition_from_dm(dm: float) -> Dict[str, float]:
-    dm_factor = (dm - 14.0) / 4.0
-    water = 86.0 - 2.0 * dm_factor
-    sugar = 10.0 + 1.0 * dm_factor
-    fiber = 2.4 + 0.3 * dm_factor
-    vit_c = 4.6 - 0.5 * max(dm_factor, 0)
-    return {
-        "water_percent": round(max(70.0, min(90.0, water)), 1),
-        "sugar_percent": round(max(5.0, min(20.0, sugar)), 1),
-        "fiber": round(max(1.0, min(5.0, fiber)), 1),
-        "vitamin_c_mg": round(max(1.0, min(8.0, vit_c)), 1),
-    }
+def nutrition_from_dm(dm: float, table: Dict = FRUIT_PROFILES["apple"]["nutrition"]) -> Dict[str, float]:
+    dm_factor = (dm - table["dm_reference"]) / table["dm_span"]
+    nutrition = {}
+    for key in ("water_percent", "sugar_percent", "fiber", "vitamin_c_mg"):
+        value, per_span, low, high = table[key]
+        # Vitamin C only degrades as fruit ripens past the reference
+        factor = max(dm_factor, 0) if key == "vitamin_c_mg" else dm_factor
+        nutrition[key] = round(max(low, min(high, value + per_span * factor)), 1)
+    return nutrition
 
 
 def spectral_curve_demo() -> List[float]:
@@ -131,24 +663,241 @@ def sensor_values_demo() -> List[int]:
     return [int(random.uniform(5000, 35000)) for _ in range(18)]
 
 
+# ---------- LOTS ----------
+
+# Every analysis can belong to a lot (a delivery of fruit from one supplier); the dashboard keeps
+# the lot register and sends the lot's details with each image
+LOT_CODE_MAX_LENGTH = 64
+LOT_STORAGE_CONDITIONS = ("ambient", "cold", "controlled_atmosphere")
+
+class LotInfo(BaseModel):
+    code: str
+    supplier: str = ""
+    origin: str = ""
+    variety: str = ""
+    harvest_date: str = ""
+    storage: str = ""
+
+
+def parse_lot(raw: str | None) -> Dict | None:
+    """Validate the JSON lot form field; answers 400 when it is malformed."""
+    if not raw:
+        return None
+
+    try:
+        data = json.loads(raw)
+    except ValueError:
+        raise ApiError(400, "invalid_lot", "Lot must be a JSON object with a code")
+    return validate_lot(data)
+
+
+def validate_lot(data: Any) -> Dict:
+    """Check a lot's fields and return them without any others; answers 400 when they are invalid."""
+    try:
+        lot = LotInfo(**data)
+    except (ValueError, TypeError):
+        raise ApiError(400, "invalid_lot", "Lot must be a JSON object with a code")
+
+    lot.code = lot.code.strip()
+    if not lot.code or len(lot.code) > LOT_CODE_MAX_LENGTH:
+        raise ApiError(400, "invalid_lot", f"Lot code must be 1-{LOT_CODE_MAX_LENGTH} characters")
+    if lot.storage and lot.storage not in LOT_STORAGE_CONDITIONS:
+        raise ApiError(400, "invalid_lot", f"Storage must be one of: {', '.join(LOT_STORAGE_CONDITIONS)}")
+    if lot.harvest_date:
+        try:
+            date.fromisoformat(lot.harvest_date)
+        except ValueError:
+            raise ApiError(400, "invalid_lot", "Harvest date must be YYYY-MM-DD")
+
+    return {field: getattr(lot, field) for field in ("code", "supplier", "origin", "variety", "harvest_date", "storage")}
+
+
+# ---------- ANALYSIS STORE ----------
+
+# Every analysis is kept in a local SQLite database. The full result is stored as JSON; the columns
+# repeat what the history endpoints filter and aggregate on.
+DB_FILE = Path(__file__).with_name("analyses.db")
+MODEL_VERSION = "lab-kmeans-1"      # bump when the image analysis changes
+THUMBNAIL_MAX_SIZE = 320            # same as the dashboard's history thumbnails
+HISTORY_MAX_PAGE_SIZE = 100
+SPOILAGE_RISKS = ("Low", "Medium", "High")
+GRADE_NAME_MAX_LENGTH = 40
+GRADE_TEXT_MAX_LENGTH = 200
+# Grades come from the dashboard's grading profiles, which users can edit; stored text is plain
+# words, never markup
+GRADE_TEXT_FORBIDDEN = set("<>&\"'`")
+
+DB_SCHEMA = """
+CREATE TABLE IF NOT EXISTS analyses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    user_email TEXT NOT NULL,
+    user_name TEXT NOT NULL,
+    fruit TEXT NOT NULL,
+    model_version TEXT NOT NULL,
+    image_sha256 TEXT,
+    thumbnail TEXT,
+    freshness_score REAL,
+    dry_matter_percent REAL,
+    spoilage_risk TEXT,
+    pesticide_class TEXT,
+    estimated_weight_kg REAL,
+    lot_code TEXT,
+    grade TEXT,
+    grade_text TEXT,
+    safe_to_eat INTEGER,
+    result TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS analyses_created_at ON analyses (created_at);
+CREATE INDEX IF NOT EXISTS analyses_user_email ON analyses (user_email);
+CREATE INDEX IF NOT EXISTS analyses_lot_code ON analyses (lot_code);
+CREATE TABLE IF NOT EXISTS grading_profiles (
+    name TEXT PRIMARY KEY,
+    profile TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    updated_by TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS grading_assignments (
+    fruit TEXT PRIMARY KEY,
+    profile TEXT NOT NULL
+);
+"""
+
+
+def connect_db() -> sqlite3.Connection:
+    """Open the analysis database, creating the table on first use."""
+    conn = sqlite3.connect(DB_FILE)
+    conn.row_factory = sqlite3.Row
+    conn.executescript(DB_SCHEMA)
+    return conn
+
+
+def utc_now() -> str:
+    return datetime.now(timezone.utc).isoformat(timespec="milliseconds")
+
+
+def make_thumbnail(img: Image.Image) -> str:
+    """Downscale an image to a JPEG data URL for the history list."""
+    thumb = img.copy()
+    thumb.thumbnail((THUMBNAIL_MAX_SIZE, THUMBNAIL_MAX_SIZE))
+    buffer = io.BytesIO()
+    thumb.save(buffer, format="JPEG", quality=80)
+    return "data:image/jpeg;base64," + base64.b64encode(buffer.getvalue()).decode("ascii")
+
+
+def metric_columns(result: Dict) -> Dict:
+    """Pull the filterable metrics out of a result; answers 400 when they are missing or not numbers."""
+    try:
+        columns = {
+            "fruit": str(result["fruit"]).lower(),
+            "freshness_score": float(result["freshness_score"]),
+            "dry_matter_percent": float(result["dry_matter_percent"]),
+            "spoilage_risk": str(result["spoilage_risk"]),
+            "pesticide_class": str(result["pesticide_class"]),
+            "estimated_weight_kg": float(result["estimated_weight_kg"]),
+            "lot_code": (result.get("lot") or {}).get("code"),
+        }
+    except (KeyError, TypeError, ValueError, AttributeError):
+        raise ApiError(400, "invalid_result", "Result is missing metrics or they are not numbers")
+
+    if columns["fruit"] not in FRUIT_PROFILES:
+        raise ApiError(400, "invalid_result", f"Fruit must be one of: {', '.join(FRUIT_PROFILES)}")
+    if columns["spoilage_risk"] not in SPOILAGE_RISKS:
+        raise ApiError(400, "invalid_result", f"Spoilage risk must be one of: {', '.join(SPOILAGE_RISKS)}")
+    if columns["pesticide_class"] not in PESTICIDE_CLASSES:
+        raise ApiError(400, "invalid_result", f"Pesticide class must be one of: {', '.join(PESTICIDE_CLASSES)}")
+    return columns
+
+
+def check_grade_text(value: str | None, max_length: int, field: str) -> None:
+    """Answer 400 unless a grade field is plain text of at most max_length characters."""
+    if value is None:
+        return
+    if (not value.strip() or len(value) > max_length
+            or any(ch in GRADE_TEXT_FORBIDDEN or not ch.isprintable() for ch in value)):
+        raise ApiError(400, "invalid_grade",
+                       f"{field} must be 1-{max_length} characters of plain text without <>&\"'`")
+
+
+def record_analysis(user: Dict, result: Dict, model_version: str, image_sha256: str | None = None,
+                    thumbnail: str | None = None, grade: Dict | None = None) -> int:
+    """Store an analysis and return its ID."""
+    row = {
+        "created_at": utc_now(),
+        "user_email": user["email"],
+        "user_name": user["name"],
+        "model_version": model_version,
+        "image_sha256": image_sha256,
+        "thumbnail": thumbnail,
+        **metric_columns(result),
+        "grade": (grade or {}).get("grade"),
+        "grade_text": (grade or {}).get("grade_text"),
+        "safe_to_eat": (grade or {}).get("safe_to_eat"),
+        "result": json.dumps(result),
+    }
+    with closing(connect_db()) as conn, conn:
+        cursor = conn.execute(
+            f"INSERT INTO analyses ({', '.join(row)}) VALUES ({', '.join('?' for _ in row)})",
+            list(row.values()),
+        )
+        return cursor.lastrowid
+
+
+def analysis_from_row(row: sqlite3.Row, include_mask: bool = True) -> Dict:
+    """API form of a stored analysis; lists leave out the label mask to stay small."""
+    result = json.loads(row["result"])
+    if not include_mask:
+        result.pop("label_mask", None)
+
+    return {
+        "id": row["id"],
+        "created_at": row["created_at"],
+        "user": {"email": row["user_email"], "name": row["user_name"]},
+        "fruit": row["fruit"],
+        "model_version": row["model_version"],
+        "image_sha256": row["image_sha256"],
+        "thumbnail": row["thumbnail"],
+        "lot_code": row["lot_code"],
+        "grade": row["grade"],
+        "grade_text": row["grade_text"],
+        "safe_to_eat": None if row["safe_to_eat"] is None else bool(row["safe_to_eat"]),
+        "result": result,
+    }
+
+
 # ---------- ANALYZE ENDPOINT ----------
 
-@app.post("/api/analyze/apple")
-async def analyze_apple(image: UploadFile = File(...)):
+@app.post("/api/analyze/{fruit}")
+async def analyze_fruit(
+    fruit: str,
+    image: UploadFile = File(...),
+    lot: str | None = Form(None),
+    grading_profile: str | None = Form(None),
+    store: bool = Form(False),
+    user: Dict = Depends(get_current_user),
+):
+    profile = get_fruit_profile(fruit)
+    lot_info = parse_lot(lot)
+    check_grade_text(grading_profile, GRADE_TEXT_MAX_LENGTH, "grading_profile")
     contents = await image.read()
-    img = Image.open(io.BytesIO(contents)).convert("RGB")
+    img = decode_image(contents)
     img_rgb = np.array(img)
 
-    freshness, spoilage_ratio = compute_freshness_from_image(img_rgb)
-    dm = dry_matter_from_freshness(freshness)
+    freshness, spoilage_ratio, label_map = compute_freshness_from_image(
+        img_rgb, fresh_color=profile["fresh_color"]
+    )
+    dm = dry_matter_from_freshness(freshness, profile["dry_matter"])
     spoilage_label = spoilage_risk_label_from_ratio(spoilage_ratio)
-    weight = estimate_weight_from_image(img_rgb)
+    weight = estimate_weight_from_image(img_rgb, profile["weight_factor"])
     pesticide = pesticide_class_demo()
-    nutrition = nutrition_from_dm(dm)
+    nutrition = nutrition_from_dm(dm, profile["nutrition"])
     spectral = spectral_curve_demo()
     sensor_vals = sensor_values_demo()
 
-    return {
+    result = {
+        "fruit": fruit.lower(),
+        "model_version": MODEL_VERSION,
+        "lot": lot_info,
         "freshness_score": freshness,
         "dry_matter_percent": dm,
         "spoilage_risk": spoilage_label,
@@ -157,4 +906,437 @@ async def analyze_apple(image: UploadFile = File(...)):
         "nutrition": nutrition,
         "spectral_prediction_graph_data": spectral,
         "sensor_emulation_values": sensor_vals,
+        "label_mask": encode_label_mask(label_map),
+    }
+    # The dashboard grades with its own rules; keep the profile so the grade can be repeated later
+    if grading_profile:
+        result["grading_profile"] = grading_profile
+
+    # Only analyses the dashboard keeps are stored; scan frames and previews are not
+    if store:
+        result["analysis_id"] = record_analysis(
+            user, result, MODEL_VERSION,
+            image_sha256=hashlib.sha256(contents).hexdigest(),
+            thumbnail=make_thumbnail(img),
+        )
+    return result
+
+
+# ---------- HISTORY ENDPOINTS ----------
+
+# Results posted by the dashboard are rebuilt from this schema before they are stored: metrics,
+# spectra and sensor values must be numbers, text fields known values or plain text, and any
+# other key is dropped. Only results of the in-browser analyzer are taken: the server stores its
+# own analyses through /api/analyze, and results of the dashboard's demo analyzers are refused.
+FiniteNumber = Annotated[float, Field(allow_inf_nan=False)]
+RESULT_SPECTRUM_MAX_POINTS = 200
+SENSOR_CHANNEL_COUNT = 18
+THUMBNAIL_PATTERN = re.compile(r"data:image/(jpeg|png|webp);base64,[A-Za-z0-9+/=]+")
+
+class ClientNutrition(BaseModel):
+    water_percent: FiniteNumber
+    sugar_percent: FiniteNumber
+    fiber: FiniteNumber
+    vitamin_c_mg: FiniteNumber
+
+class ClientLabelMask(BaseModel):
+    width: int = Field(ge=1, le=LABEL_MASK_MAX_SIDE)
+    height: int = Field(ge=1, le=LABEL_MASK_MAX_SIDE)
+    data: str = Field(pattern=r"^[012]*$")
+
+class ClientComparison(BaseModel):
+    freshness_score: FiniteNumber
+    spoilage_risk: Literal[SPOILAGE_RISKS]
+
+class ClientResult(BaseModel):
+    fruit: str
+    freshness_score: FiniteNumber
+    dry_matter_percent: FiniteNumber
+    spoilage_risk: Literal[SPOILAGE_RISKS]
+    pesticide_class: Literal[PESTICIDE_CLASSES]
+    estimated_weight_kg: FiniteNumber
+    nutrition: ClientNutrition
+    spectral_prediction_graph_data: List[FiniteNumber] = Field(max_length=RESULT_SPECTRUM_MAX_POINTS)
+    sensor_emulation_values: List[FiniteNumber] = Field(max_length=SENSOR_CHANNEL_COUNT)
+    spoilage_ratio: FiniteNumber | None = None
+    label_mask: ClientLabelMask | None = None
+    lot: Dict[str, Any] | None = None
+    analyzer: Literal["browser"]
+    simulated: Literal[False] = False
+    grading_profile: str | None = None
+    browser_comparison: ClientComparison | None = None
+
+
+def clean_client_result(result: Dict) -> Dict:
+    """Rebuild a posted result from ClientResult; answers 400 when it does not fit."""
+    try:
+        clean = ClientResult.model_validate(result).model_dump(exclude_none=True)
+    except ValidationError as error:
+        field = ".".join(str(part) for part in error.errors()[0]["loc"])
+        raise ApiError(400, "invalid_result", f"Result field '{field}' is missing or invalid")
+
+    mask = clean.get("label_mask")
+    if mask and len(mask["data"]) != mask["width"] * mask["height"]:
+        raise ApiError(400, "invalid_result", "Label mask data must have one digit per pixel")
+    if "lot" in clean:
+        clean["lot"] = validate_lot(clean["lot"])
+    check_grade_text(clean.get("grading_profile"), GRADE_TEXT_MAX_LENGTH, "grading_profile")
+    return clean
+
+
+class StoreAnalysisRequest(BaseModel):
+    result: Dict[str, Any]
+    grade: str | None = None
+    grade_text: str | None = None
+    safe_to_eat: bool | None = None
+    thumbnail: str | None = None
+
+class GradeRequest(BaseModel):
+    grade: str
+    grade_text: str
+    safe_to_eat: bool
+
+
+def history_filters(
+    fruit: str | None = None,
+    grade: str | None = None,
+    spoilage_risk: str | None = None,
+    pesticide_class: str | None = None,
+    lot: str | None = None,
+    operator: str | None = None,
+    date_from: str | None = Query(None, alias="from"),
+    date_to: str | None = Query(None, alias="to"),
+) -> tuple[str, List]:
+    """WHERE clause for the filters shared by the list and aggregate endpoints."""
+    clauses, params = [], []
+    for column, value in (("fruit", fruit), ("grade", grade), ("spoilage_risk", spoilage_risk),
+                          ("pesticide_class", pesticide_class), ("lot_code", lot)):
+        if value:
+            clauses.append(f"{column} = ?")
+            params.append(value)
+    if operator:
+        clauses.append("lower(user_email) = ?")
+        params.append(operator.lower())
+
+    # from is inclusive, to exclusive; both are ISO times, compared in UTC like created_at
+    for operator_sql, value in ((">=", date_from), ("<", date_to)):
+        if value:
+            try:
+                moment = datetime.fromisoformat(value)
+            except ValueError:
+                raise ApiError(400, "invalid_filter", "from and to must be ISO 8601 times")
+            if moment.tzinfo is None:
+                moment = moment.replace(tzinfo=timezone.utc)
+            clauses.append(f"created_at {operator_sql} ?")
+            params.append(moment.astimezone(timezone.utc).isoformat(timespec="milliseconds"))
+
+    return (" WHERE " + " AND ".join(clauses)) if clauses else "", params
+
+
+def get_analysis_row(conn: sqlite3.Connection, analysis_id: int) -> sqlite3.Row:
+    row = conn.execute("SELECT * FROM analyses WHERE id = ?", (analysis_id,)).fetchone()
+    if row is None:
+        raise ApiError(404, "analysis_not_found", "Analysis not found")
+    return row
+
+@app.get("/api/history")
+async def list_history(
+    page: int = Query(1, ge=1),
+    page_size: int = Query(20, ge=1, le=HISTORY_MAX_PAGE_SIZE),
+    filters: tuple = Depends(history_filters),
+    user: Dict = Depends(require_role("supervisor", "admin")),
+):
+    where, params = filters
+    with closing(connect_db()) as conn:
+        total = conn.execute(f"SELECT COUNT(*) FROM analyses{where}", params).fetchone()[0]
+        rows = conn.execute(
+            f"SELECT * FROM analyses{where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?",
+            [*params, page_size, (page - 1) * page_size],
+        ).fetchall()
+
+    return {
+        "items": [analysis_from_row(row, include_mask=False) for row in rows],
+        "total": total,
+        "page": page,
+        "page_size": page_size,
+        "pages": max(1, -(-total // page_size)),
     }
+
+# What an aggregate can be broken down by; days and weeks (starting Monday) are in the client's
+# time zone, given as its UTC offset in minutes
+HISTORY_GROUPS = {
+    "day": "date(created_at, '{offset:+d} minutes')",
+    "week": "date(created_at, '{offset:+d} minutes', 'weekday 0', '-6 days')",
+    "lot": "lot_code",
+    "operator": "lower(user_email)",
+}
+# Demo results stored before the server refused them are listed but never counted
+SIMULATED_MODEL_VERSIONS = ("client:mock", "client:seeded")
+# Only graded analyses have a safe-to-eat verdict; unsafe shares are taken over graded_count
+AGGREGATE_COLUMNS = """COUNT(*) AS count, AVG(freshness_score) AS freshness, AVG(dry_matter_percent) AS dry_matter,
+                       AVG(estimated_weight_kg) AS weight, COALESCE(SUM(safe_to_eat = 0), 0) AS unsafe,
+                       COUNT(safe_to_eat) AS graded"""
+
+
+def aggregate_from_row(row: sqlite3.Row) -> Dict:
+    return {
+        "count": row["count"],
+        "mean_freshness_score": row["freshness"],
+        "mean_dry_matter_percent": row["dry_matter"],
+        "mean_estimated_weight_kg": row["weight"],
+        "unsafe_count": row["unsafe"],
+        "graded_count": row["graded"],
+    }
+
+@app.get("/api/history/aggregate")
+async def aggregate_history(
+    filters: tuple = Depends(history_filters),
+    group_by: str | None = Query(None, pattern=f"^({'|'.join(HISTORY_GROUPS)})$"),
+    tz_offset: int = Query(0, ge=-14 * 60, le=14 * 60),
+    user: Dict = Depends(require_role("supervisor", "admin")),
+):
+    where, params = filters
+    where += f"{' AND' if where else ' WHERE'} model_version NOT IN ({', '.join('?' * len(SIMULATED_MODEL_VERSIONS))})"
+    params = [*params, *SIMULATED_MODEL_VERSIONS]
+    with closing(connect_db()) as conn:
+        totals = conn.execute(f"SELECT {AGGREGATE_COLUMNS} FROM analyses{where}", params).fetchone()
+        counts = {
+            key: dict(conn.execute(
+                f"SELECT {column}, COUNT(*) FROM analyses{where} GROUP BY {column} ORDER BY COUNT(*) DESC", params
+            ).fetchall())
+            for key, column in (("grades", "grade"), ("spoilage_risks", "spoilage_risk"),
+                                ("pesticide_classes", "pesticide_class"), ("fruits", "fruit"))
+        }
+
+        groups = []
+        if group_by:
+            key = HISTORY_GROUPS[group_by].format(offset=tz_offset)
+            # With MAX(), SQLite takes the bare columns from the group's latest analysis
+            rows = conn.execute(
+                f"""SELECT {key} AS key, {AGGREGATE_COLUMNS}, MAX(created_at) AS latest, user_email, user_name,
+                           json_extract(result, '$.lot') AS lot
+                    FROM analyses{where} GROUP BY key HAVING key IS NOT NULL ORDER BY latest DESC""",
+                params,
+            ).fetchall()
+            group_grades: Dict[str, Dict] = {}
+            for group, grade, count in conn.execute(
+                f"SELECT {key} AS key, grade, COUNT(*) FROM analyses{where} GROUP BY key, grade", params
+            ):
+                group_grades.setdefault(group, {})[grade or "ungraded"] = count
+            groups = [
+                {
+                    "key": row["key"],
+                    **aggregate_from_row(row),
+                    "grades": group_grades.get(row["key"], {}),
+                    "latest": {
+                        "created_at": row["latest"],
+                        "user": {"email": row["user_email"], "name": row["user_name"]},
+                        "lot": json.loads(row["lot"]) if row["lot"] else None,
+                    },
+                }
+                for row in rows
+            ]
+
+    # Analyses whose grade was never recorded are counted under "ungraded"
+    counts["grades"] = {grade or "ungraded": count for grade, count in counts["grades"].items()}
+    response = {**aggregate_from_row(totals), **counts}
+    if group_by:
+        response["groups"] = groups
+    return response
+
+@app.get("/api/history/{analysis_id}")
+async def get_history_item(analysis_id: int, user: Dict = Depends(require_role("supervisor", "admin"))):
+    with closing(connect_db()) as conn:
+        return {"analysis": analysis_from_row(get_analysis_row(conn, analysis_id))}
+
+@app.post("/api/history", status_code=201)
+async def store_history_item(payload: StoreAnalysisRequest, user: Dict = Depends(get_current_user)):
+    # Results from the dashboard's in-browser analyzer; the server never saw the image
+    check_grade_text(payload.grade, GRADE_NAME_MAX_LENGTH, "grade")
+    check_grade_text(payload.grade_text, GRADE_TEXT_MAX_LENGTH, "grade_text")
+    if payload.thumbnail is not None and not THUMBNAIL_PATTERN.fullmatch(payload.thumbnail):
+        raise ApiError(400, "invalid_result", "Thumbnail must be a base64 JPEG, PNG or WebP data URL")
+
+    result = clean_client_result(payload.result)
+    analysis_id = record_analysis(
+        user, result, f"client:{result['analyzer']}",
+        thumbnail=payload.thumbnail,
+        grade={"grade": payload.grade, "grade_text": payload.grade_text, "safe_to_eat": payload.safe_to_eat},
+    )
+    with closing(connect_db()) as conn:
+        return {"analysis": analysis_from_row(get_analysis_row(conn, analysis_id))}
+
+@app.put("/api/history/{analysis_id}/grade")
+async def grade_history_item(analysis_id: int, payload: GradeRequest, user: Dict = Depends(get_current_user)):
+    check_grade_text(payload.grade, GRADE_NAME_MAX_LENGTH, "grade")
+    check_grade_text(payload.grade_text, GRADE_TEXT_MAX_LENGTH, "grade_text")
+
+    with closing(connect_db()) as conn, conn:
+        row = get_analysis_row(conn, analysis_id)
+        # Inspectors grade their own analyses once, when they save them; changing a grade (and
+        # with it safe_to_eat) is for supervisors and admins
+        own_ungraded = row["user_email"].lower() == user["email"].lower() and row["grade"] is None
+        if not own_ungraded and user["role"] not in ("supervisor", "admin"):
+            raise ApiError(403, "forbidden", "Your role does not allow this action")
+
+        conn.execute(
+            "UPDATE analyses SET grade = ?, grade_text = ?, safe_to_eat = ? WHERE id = ?",
+            (payload.grade, payload.grade_text, payload.safe_to_eat, analysis_id),
+        )
+        return {"analysis": analysis_from_row(get_analysis_row(conn, analysis_id))}
+
+@app.delete("/api/history/{analysis_id}")
+async def delete_history_item(analysis_id: int, user: Dict = Depends(require_role("supervisor", "admin"))):
+    with closing(connect_db()) as conn, conn:
+        get_analysis_row(conn, analysis_id)
+        conn.execute("DELETE FROM analyses WHERE id = ?", (analysis_id,))
+    return {"message": "Analysis deleted"}
+
+
+# ---------- GRADING PROFILES ----------
+
+# Custom grading profiles (mirrored in frontend/js/grading.js) and the profile each fruit type
+# uses, shared by every dashboard. Everyone reads them; only admins change them. The built-in
+# profiles live in the dashboard and cannot be replaced.
+BUILT_IN_GRADING_PROFILES = ("Retail", "Juice processing", "Peeled fruit retail")
+GRADE_STYLES = ("excellent", "good", "fair", "poor", "unsafe")
+
+class GradeDefinition(BaseModel):
+    name: str
+    style: Literal[GRADE_STYLES]
+
+class RuleConditions(BaseModel, extra="forbid"):
+    minFreshness: FiniteNumber | None = None
+    maxFreshness: FiniteNumber | None = None
+    minDryMatter: FiniteNumber | None = None
+    maxDryMatter: FiniteNumber | None = None
+    minWeightKg: FiniteNumber | None = None
+    maxWeightKg: FiniteNumber | None = None
+    spoilageRisk: List[Literal[SPOILAGE_RISKS]] | None = Field(None, min_length=1)
+    pesticide: List[str] | None = Field(None, min_length=1)
+
+class GradingRule(BaseModel):
+    id: str | None = None
+    grade: str
+    label: str
+    when: RuleConditions = RuleConditions()
+    safe: bool
+    message: str = Field(min_length=1, max_length=GRADE_TEXT_MAX_LENGTH * 2)
+    shelfLife: str | None = Field(None, min_length=1, max_length=GRADE_TEXT_MAX_LENGTH)
+    shelfLifeDays: List[FiniteNumber] | None = Field(None, min_length=2, max_length=2)
+
+class PesticideNote(BaseModel):
+    exceptPesticide: List[str]
+    text: str = Field(min_length=1, max_length=GRADE_TEXT_MAX_LENGTH * 2)
+
+class GradingProfile(BaseModel):
+    name: str
+    id: str | None = None
+    description: str | None = Field(None, max_length=GRADE_TEXT_MAX_LENGTH * 2)
+    grades: List[GradeDefinition] = Field(min_length=1)
+    rules: List[GradingRule] = Field(min_length=1)
+    pesticideNote: PesticideNote | None = None
+
+class GradingAssignmentRequest(BaseModel):
+    profile: str
+
+
+def clean_grading_profile(name: str, payload: Dict) -> Dict:
+    """Rebuild a posted profile from GradingProfile; answers 400 when it is not a usable rule set."""
+    try:
+        profile = GradingProfile.model_validate(payload)
+    except ValidationError as error:
+        field = ".".join(str(part) for part in error.errors()[0]["loc"])
+        raise ApiError(400, "invalid_profile", f"Profile field '{field}' is missing or invalid")
+    if profile.name != name:
+        raise ApiError(400, "invalid_profile", "The profile name must match the URL")
+    if name in BUILT_IN_GRADING_PROFILES:
+        raise ApiError(400, "built_in_profile", f"'{name}' is a built-in profile; save your copy under a new name")
+
+    # Names and labels are stored with analyses, so they follow the same plain-text rule as grades
+    check_grade_text(profile.name, GRADE_TEXT_MAX_LENGTH, "name")
+    grade_names = [grade.name for grade in profile.grades]
+    for grade in profile.grades:
+        check_grade_text(grade.name, GRADE_NAME_MAX_LENGTH, "grades.name")
+    if len(set(grade_names)) != len(grade_names):
+        raise ApiError(400, "invalid_profile", "Grade names must be unique")
+    for index, rule in enumerate(profile.rules):
+        check_grade_text(rule.label, GRADE_TEXT_MAX_LENGTH, f"rules.{index}.label")
+        if rule.grade not in grade_names:
+            raise ApiError(400, "invalid_profile", f"rules.{index}: grade must be one of the profile's grades")
+        if rule.shelfLife is None and rule.shelfLifeDays is None:
+            raise ApiError(400, "invalid_profile", f"rules.{index}: shelfLife or shelfLifeDays is required")
+    if profile.rules[-1].when.model_dump(exclude_none=True):
+        raise ApiError(400, "invalid_profile", "The last rule must have no conditions so every result gets a grade")
+
+    clean = profile.model_dump(exclude_none=True)
+    for rule in clean["rules"]:
+        rule.setdefault("when", {})
+    return clean
+
+
+def load_grading(conn: sqlite3.Connection) -> Dict:
+    profiles = {row["name"]: json.loads(row["profile"])
+                for row in conn.execute("SELECT name, profile FROM grading_profiles ORDER BY name")}
+    active = dict(conn.execute("SELECT fruit, profile FROM grading_assignments").fetchall())
+    return {"profiles": profiles, "active": active}
+
+@app.get("/api/grading")
+async def get_grading(user: Dict = Depends(get_current_user)):
+    with closing(connect_db()) as conn:
+        return load_grading(conn)
+
+@app.put("/api/grading/profiles/{name:path}")
+async def save_grading_profile(name: str, payload: Dict[str, Any], admin: Dict = Depends(require_role("admin"))):
+    profile = clean_grading_profile(name, payload)
+    with closing(connect_db()) as conn, conn:
+        conn.execute(
+            "INSERT OR REPLACE INTO grading_profiles (name, profile, updated_at, updated_by) VALUES (?, ?, ?, ?)",
+            (name, json.dumps(profile), utc_now(), admin["email"]),
+        )
+        return load_grading(conn)
+
+@app.delete("/api/grading/profiles/{name:path}")
+async def delete_grading_profile(name: str, admin: Dict = Depends(require_role("admin"))):
+    with closing(connect_db()) as conn, conn:
+        if conn.execute("DELETE FROM grading_profiles WHERE name = ?", (name,)).rowcount == 0:
+            raise ApiError(404, "profile_not_found", "Grading profile not found")
+        # Fruits that used it go back to their default profile
+        conn.execute("DELETE FROM grading_assignments WHERE profile = ?", (name,))
+        return load_grading(conn)
+
+@app.put("/api/grading/active/{fruit}")
+async def assign_grading_profile(fruit: str, payload: GradingAssignmentRequest,
+                                 admin: Dict = Depends(require_role("admin"))):
+    get_fruit_profile(fruit)
+    with closing(connect_db()) as conn, conn:
+        known = conn.execute("SELECT 1 FROM grading_profiles WHERE name = ?", (payload.profile,)).fetchone()
+        if payload.profile not in BUILT_IN_GRADING_PROFILES and known is None:
+            raise ApiError(400, "unknown_profile", f"Unknown grading profile '{payload.profile}'")
+        conn.execute("INSERT OR REPLACE INTO grading_assignments (fruit, profile) VALUES (?, ?)",
+                     (fruit.lower(), payload.profile))
+        return load_grading(conn)
+
+
+# ---------- ACCOUNT CLI ----------
+
+if __name__ == "__main__":
+    import argparse
+    import getpass
+
+    parser = argparse.ArgumentParser(description="Manage accounts in users.txt")
+    commands = parser.add_subparsers(dest="command", required=True)
+    add_parser = commands.add_parser("add-user", help="Create an account")
+    add_parser.add_argument("email")
+    add_parser.add_argument("name")
+    add_parser.add_argument("--role", choices=ROLES, default=DEFAULT_ROLE)
+    args = parser.parse_args()
+
+    password = getpass.getpass("Password: ")
+    if password != getpass.getpass("Confirm password: "):
+        parser.error("Passwords do not match")
+    try:
+        add_user(args.email, args.name, password, args.role)
+    except ValueError as e:
+        parser.error(str(e))
+    print(f"Added {args.email} ({args.role})")
@@ -0,0 +1,18 @@
+/**
+ * APP-CONFIG.JS
+ * Deployment configuration for the login and dashboard pages
+ * Edit this file to point the frontend at another backend (see js/config.js for how it is resolved)
+ */
+
+window.APP_CONFIG = {
+    // Profile used when nothing is chosen in settings or the URL
+    defaultProfile: 'local',
+
+    profiles: {
+        local: { apiBase: 'http://127.0.0.1:8000' },
+        staging: { apiBase: '' }
+
+        // Add more as needed, e.g.:
+        // packhouse: { label: 'Packhouse server', apiBase: 'http://192.168.1.20:8000' }
+    }
+};
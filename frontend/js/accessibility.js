@@ -0,0 +1,332 @@
+/**
+ * ACCESSIBILITY.JS
+ * Keyboard operation, screen reader announcements and display preferences
+ * Features: Arrow-key sidebar navigation, keyboard upload zone, modal focus trap,
+ *           ARIA live announcements, colorblind-safe chart palette with pattern fills, high-contrast theme
+ */
+
+// =============================================
+// CHART PALETTE
+// =============================================
+
+const HIGH_CONTRAST_KEY = 'highContrast';
+
+// Okabe-Ito palette: stays distinguishable with the common forms of color blindness
+const CHART_PALETTE = {
+    blue: [0, 114, 178],
+    orange: [230, 159, 0],
+    green: [0, 158, 115],
+    vermillion: [213, 94, 0],
+    sky: [86, 180, 233],
+    purple: [204, 121, 167],
+    grey: [107, 114, 128]
+};
+
+// Fill patterns, so bars and slices can be told apart without color
+const CHART_PATTERNS = ['diagonal', 'dots', 'cross', 'horizontal'];
+
+// Line styles for charts with several series
+const CHART_LINE_STYLES = [
+    { borderDash: [], pointStyle: 'circle' },
+    { borderDash: [8, 4], pointStyle: 'triangle' },
+    { borderDash: [2, 3], pointStyle: 'rect' },
+    { borderDash: [12, 4, 2, 4], pointStyle: 'star' }
+];
+
+/**
+ * Chart color from the palette
+ * @param {Array<number>} rgb - Palette entry (see CHART_PALETTE)
+ * @param {number} alpha - Opacity (1 for solid)
+ * @returns {string} CSS color
+ */
+function getChartColor(rgb, alpha = 1) {
+    const [r, g, b] = rgb;
+    return alpha === 1 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * Translucent palette color overlaid with a pattern
+ * @param {Array<number>} rgb - Palette entry (see CHART_PALETTE)
+ * @param {number} index - Series or category position; picks the pattern
+ * @returns {CanvasPattern|string} Pattern, or the plain color where canvas patterns are unavailable
+ */
+function getChartPattern(rgb, index) {
+    const fill = getChartColor(rgb, 0.7);
+    const canvas = document.createElement('canvas');
+    canvas.width = 12;
+    canvas.height = 12;
+    const ctx = canvas.getContext('2d');
+    if (!ctx || !ctx.createPattern) {
+        return fill;
+    }
+
+    ctx.fillStyle = fill;
+    ctx.fillRect(0, 0, 12, 12);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+
+    switch (CHART_PATTERNS[index % CHART_PATTERNS.length]) {
+        case 'diagonal':
+            ctx.moveTo(0, 12);
+            ctx.lineTo(12, 0);
+            ctx.moveTo(-3, 3);
+            ctx.lineTo(3, -3);
+            ctx.moveTo(9, 15);
+            ctx.lineTo(15, 9);
+            break;
+        case 'dots':
+            ctx.arc(6, 6, 2, 0, Math.PI * 2);
+            ctx.fill();
+            break;
+        case 'cross':
+            ctx.moveTo(0, 0);
+            ctx.lineTo(12, 12);
+            ctx.moveTo(12, 0);
+            ctx.lineTo(0, 12);
+            break;
+        default:
+            ctx.moveTo(0, 6);
+            ctx.lineTo(12, 6);
+    }
+    ctx.stroke();
+
+    return ctx.createPattern(canvas, 'repeat');
+}
+
+/**
+ * Line style (dash and point shape) for a series
+ * @param {number} index - Series position
+ * @returns {Object} Chart.js dataset properties
+ */
+function getChartLineStyle(index) {
+    const style = CHART_LINE_STYLES[index % CHART_LINE_STYLES.length];
+    return { borderDash: style.borderDash, pointStyle: style.pointStyle, pointRadius: 4 };
+}
+
+// =============================================
+// HIGH-CONTRAST THEME
+// =============================================
+
+/**
+ * Whether the high-contrast theme is on
+ * Follows the system's "more contrast" setting until the user chooses.
+ * @returns {boolean} True for high contrast
+ */
+function isHighContrast() {
+    const saved = localStorage.getItem(HIGH_CONTRAST_KEY);
+    if (saved !== null) {
+        return saved === 'true';
+    }
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches);
+}
+
+/**
+ * Apply the saved display preferences to the page (and Chart.js defaults)
+ */
+function applyDisplayPreferences() {
+    const highContrast = isHighContrast();
+    document.body.classList.toggle('high-contrast', highContrast);
+
+    if (typeof Chart === 'undefined' || !Chart.defaults) {
+        return;
+    }
+    Chart.defaults.color = highContrast ? '#000000' : '#666666';
+    Chart.defaults.borderColor = highContrast ? 'rgba(0, 0, 0, 0.6)' : 'rgba(0, 0, 0, 0.1)';
+    Object.values(Chart.instances || {}).forEach(chart => chart.update());
+}
+
+/**
+ * Turn the high-contrast theme on or off and remember the choice
+ * @param {boolean} enabled - True for high contrast
+ */
+function setHighContrast(enabled) {
+    localStorage.setItem(HIGH_CONTRAST_KEY, String(enabled));
+    applyDisplayPreferences();
+}
+
+// =============================================
+// ANNOUNCEMENTS
+// =============================================
+
+/**
+ * Read a message out through the page's ARIA live regions
+ * Messages are appended rather than replaced so quick successive ones are not lost.
+ * @param {string} message - Text to announce
+ * @param {string} politeness - 'polite' (waits for the reader) or 'assertive' (interrupts)
+ */
+function announce(message, politeness = 'polite') {
+    const region = document.getElementById(politeness === 'assertive' ? 'assertiveAnnouncer' : 'politeAnnouncer');
+    if (!region) {
+        return;
+    }
+
+    const item = document.createElement('p');
+    item.textContent = message;
+    region.appendChild(item);
+
+    // Keep the region short once the reader has had time to pick it up
+    setTimeout(() => item.remove(), 7000);
+}
+
+// =============================================
+// KEYBOARD OPERATION
+// =============================================
+
+/**
+ * Initialize keyboard operation of the dashboard
+ */
+function initializeAccessibility() {
+    initializeSidebarKeyboard();
+    initializeUploadKeyboard();
+
+    document.querySelectorAll('.modal').forEach(initializeDialog);
+
+    const highContrast = document.getElementById('settingsHighContrast');
+    highContrast.checked = isHighContrast();
+    highContrast.addEventListener('change', () => setHighContrast(highContrast.checked));
+
+    applyDisplayPreferences();
+}
+
+/**
+ * Arrow keys move between sidebar items; the active item is marked for screen readers
+ */
+function initializeSidebarKeyboard() {
+    const nav = document.querySelector('.sidebar-nav');
+
+    const markCurrent = () => {
+        nav.querySelectorAll('.nav-item[data-section]').forEach(item => {
+            if (item.classList.contains('active')) {
+                item.setAttribute('aria-current', 'page');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+    };
+
+    nav.addEventListener('keydown', (e) => {
+        const items = [...nav.querySelectorAll('.nav-item')].filter(item => !item.classList.contains('role-hidden'));
+        const index = items.indexOf(document.activeElement);
+        if (index === -1) {
+            return;
+        }
+
+        const targets = {
+            ArrowDown: items[(index + 1) % items.length],
+            ArrowUp: items[(index - 1 + items.length) % items.length],
+            Home: items[0],
+            End: items[items.length - 1]
+        };
+        if (targets[e.key]) {
+            e.preventDefault();
+            targets[e.key].focus();
+        }
+    });
+
+    // Opening a section moves focus to its heading so readers start there
+    nav.addEventListener('click', (e) => {
+        if (!e.target.closest('.nav-item[data-section]')) {
+            return;
+        }
+        markCurrent();
+        document.getElementById('pageTitle').focus({ preventScroll: true });
+    });
+
+    markCurrent();
+}
+
+/**
+ * Enter or Space on the upload zone opens the file picker
+ */
+function initializeUploadKeyboard() {
+    const uploadZone = document.getElementById('uploadZone');
+
+    uploadZone.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            document.getElementById('fileInput').click();
+        }
+    });
+}
+
+// =============================================
+// DIALOGS
+// =============================================
+
+// Element focused before each open dialog, to return to on close
+const dialogOpeners = new Map();
+
+/**
+ * Keep keyboard focus inside a modal while it is open; Escape closes it
+ * @param {HTMLElement} modal - Element with the .modal class
+ */
+function initializeDialog(modal) {
+    modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            modal.querySelector('.modal-close').click();
+            return;
+        }
+        if (e.key !== 'Tab') {
+            return;
+        }
+
+        const focusable = getFocusableElements(modal);
+        if (focusable.length === 0) {
+            return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    });
+}
+
+/**
+ * Visible, enabled elements that can take keyboard focus
+ * @param {HTMLElement} container - Element to search
+ * @returns {Array<HTMLElement>} Focusable elements in tab order
+ */
+function getFocusableElements(container) {
+    const selector = 'a[href], button, input, select, textarea, summary, [tabindex]:not([tabindex="-1"])';
+    return [...container.querySelectorAll(selector)].filter(element =>
+        !element.disabled && !element.hidden && element.type !== 'hidden' && !element.closest('.hidden')
+    );
+}
+
+/**
+ * Show a modal and move focus into it
+ * @param {HTMLElement} modal - Element with the .modal class
+ * @param {HTMLElement} focusTarget - Control to focus first (the first field of the body by default)
+ */
+function openDialog(modal, focusTarget = null) {
+    if (!dialogOpeners.has(modal)) {
+        dialogOpeners.set(modal, document.activeElement);
+    }
+    modal.classList.remove('hidden');
+
+    const target = focusTarget || getFocusableElements(modal.querySelector('.modal-body') || modal)[0];
+    (target || modal.querySelector('.modal-close')).focus();
+}
+
+/**
+ * Hide a modal and return focus to the control that opened it
+ * @param {HTMLElement} modal - Element with the .modal class
+ */
+function closeDialog(modal) {
+    modal.classList.add('hidden');
+
+    const opener = dialogOpeners.get(modal);
+    dialogOpeners.delete(modal);
+    if (opener && opener.isConnected && typeof opener.focus === 'function') {
+        opener.focus();
+    }
+}
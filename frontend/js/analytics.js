@@ -0,0 +1,459 @@
+/**
+ * ANALYTICS.JS
+ * Trend analytics across stored analyses for Fruit Detection Project
+ * Features: Date-range, operator and period filters, freshness and dry matter trends,
+ *           grade distribution per day or week, pesticide-class frequency, share graded unsafe
+ */
+
+// =============================================
+// ANALYTICS STATE
+// =============================================
+
+const ANALYTICS_PERIODS = ['day', 'week'];
+
+// Chart colors per grade style (see GRADE_STYLES)
+const GRADE_COLORS = {
+    excellent: CHART_PALETTE.green,
+    good: CHART_PALETTE.blue,
+    fair: CHART_PALETTE.orange,
+    poor: CHART_PALETTE.vermillion,
+    unsafe: CHART_PALETTE.purple
+};
+
+let analyticsOperators = [];   // Per-operator groups of getHistoryAggregate()
+let analyticsTotal = 0;
+let analyticsRequest = null;   // Cancels a render superseded by a newer one
+let analyticsTrendChart = null;
+let analyticsUnsafeChart = null;
+let analyticsGradeChart = null;
+let analyticsPesticideChart = null;
+
+// =============================================
+// ANALYTICS VIEW
+// =============================================
+
+/**
+ * Initialize the analytics filters
+ */
+function initializeAnalytics() {
+    const filterIds = ['analyticsFrom', 'analyticsTo', 'analyticsOperator', 'analyticsPeriod'];
+
+    filterIds.forEach(id => {
+        document.getElementById(id).addEventListener('change', renderAnalytics);
+    });
+
+    document.getElementById('analyticsResetFilters').addEventListener('click', () => {
+        document.getElementById('analyticsFrom').value = '';
+        document.getElementById('analyticsTo').value = '';
+        document.getElementById('analyticsOperator').value = '';
+        document.getElementById('analyticsPeriod').value = 'day';
+        renderAnalytics();
+    });
+
+    document.addEventListener('languagechange', () => {
+        populateAnalyticsOperators();
+        renderAnalytics();
+    });
+
+    // Reload whenever the section is opened
+    document.querySelector('.nav-item[data-section="analytics"]').addEventListener('click', loadAnalytics);
+}
+
+/**
+ * Read who has stored analyses and show the analytics for them
+ */
+async function loadAnalytics() {
+    try {
+        const aggregate = await getHistoryAggregate({}, 'operator');
+        analyticsOperators = aggregate.groups;
+        analyticsTotal = aggregate.count;
+    } catch (error) {
+        console.error('History error:', error);
+        analyticsOperators = [];
+        analyticsTotal = 0;
+        showAnalyticsUnavailable();
+        return;
+    }
+
+    populateAnalyticsOperators();
+    renderAnalytics();
+}
+
+/**
+ * Show that the stored analyses could not be read
+ */
+function showAnalyticsUnavailable() {
+    document.getElementById('analyticsEmpty').textContent = t('history.unavailable');
+    document.getElementById('analyticsEmpty').classList.remove('hidden');
+    document.getElementById('analyticsContent').classList.add('hidden');
+}
+
+/**
+ * List everyone who has stored an analysis in the operator filter
+ */
+function populateAnalyticsOperators() {
+    const select = document.getElementById('analyticsOperator');
+    const selected = select.value;
+
+    // Groups come most recent first, so each operator shows their latest name
+    const operators = new Map(analyticsOperators.map(group => [
+        group.key,
+        group.key === UNKNOWN_OPERATOR ? t('analytics.unknownOperator') : group.latest.operator.name || group.key
+    ]));
+
+    select.innerHTML = `<option value="" data-i18n="analytics.allOperators">${t('analytics.allOperators')}</option>`;
+    [...operators.entries()]
+        .sort((a, b) => a[1].localeCompare(b[1]))
+        .forEach(([value, name]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            // Names come from user accounts, so never inject them as HTML
+            option.textContent = value === UNKNOWN_OPERATOR ? name : `${name} (${value})`;
+            select.appendChild(option);
+        });
+    select.value = operators.has(selected) ? selected : '';
+}
+
+/**
+ * Read current filter values from the analytics toolbar
+ * @returns {Object} { from, to (YYYY-MM-DD or ''), operator, period }
+ */
+function getAnalyticsFilters() {
+    const period = document.getElementById('analyticsPeriod').value;
+    return {
+        from: document.getElementById('analyticsFrom').value,
+        to: document.getElementById('analyticsTo').value,
+        operator: document.getElementById('analyticsOperator').value,
+        period: ANALYTICS_PERIODS.includes(period) ? period : 'day'
+    };
+}
+
+/**
+ * Render the summary and charts for the analyses matching the filters
+ */
+async function renderAnalytics() {
+    const filters = getAnalyticsFilters();
+    const empty = document.getElementById('analyticsEmpty');
+
+    if (analyticsRequest) {
+        analyticsRequest.abort();
+    }
+    const request = new AbortController();
+    analyticsRequest = request;
+
+    let aggregate;
+    try {
+        aggregate = await getHistoryAggregate(
+            { from: filters.from, to: filters.to, operator: filters.operator },
+            filters.period,
+            request.signal
+        );
+    } catch (error) {
+        if (isAbortedRequest(error)) return;
+        console.error('History error:', error);
+        showAnalyticsUnavailable();
+        return;
+    }
+    if (request !== analyticsRequest) return;
+
+    document.getElementById('analyticsCount').textContent = t('history.count', {
+        visible: formatNumber(aggregate.count),
+        total: formatNumber(analyticsTotal)
+    });
+
+    empty.textContent = t(analyticsTotal === 0 ? 'analytics.empty' : 'history.noMatches');
+    empty.classList.toggle('hidden', aggregate.count > 0);
+    document.getElementById('analyticsContent').classList.toggle('hidden', aggregate.count === 0);
+    if (aggregate.count === 0) {
+        return;
+    }
+
+    const series = buildAnalyticsSeries(aggregate, filters.period);
+    renderAnalyticsSummary(series);
+    renderAnalyticsCharts(series, filters.period);
+}
+
+// =============================================
+// AGGREGATION
+// =============================================
+
+/**
+ * Lay the per-period aggregates out on an even time axis
+ * Periods without analyses are kept (with no means) so the time axis stays even.
+ * @param {Object} aggregate - Result of getHistoryAggregate() grouped by period
+ * @param {string} period - 'day' or 'week'
+ * @returns {Object} { periods (YYYY-MM-DD starts), freshness, dryMatter, unsafe (% per period, null when empty),
+ *                    grades (grade → count per period), pesticides (class → count), totals }
+ */
+function buildAnalyticsSeries(aggregate, period) {
+    const toDate = key => {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    };
+    const keys = aggregate.groups.map(group => group.key).sort();
+    const last = toDate(keys[keys.length - 1]);
+
+    const periods = [];
+    for (const day = toDate(keys[0]); day <= last; day.setDate(day.getDate() + (period === 'week' ? 7 : 1))) {
+        periods.push(toLocalDateString(day));
+    }
+
+    const groups = new Map(aggregate.groups.map(group => [group.key, group]));
+    const grades = {};
+    periods.forEach((start, index) => {
+        const group = groups.get(start);
+        if (!group) return;
+        Object.entries(group.grades).forEach(([grade, count]) => {
+            grades[grade] = grades[grade] || periods.map(() => 0);
+            grades[grade][index] = count;
+        });
+    });
+
+    const perPeriod = value => periods.map(start => (groups.has(start) ? value(groups.get(start)) : null));
+    return {
+        periods: periods,
+        freshness: perPeriod(group => group.meanFreshness),
+        dryMatter: perPeriod(group => group.meanDryMatter),
+        // Shares are of the graded analyses; only they have a safe-to-eat verdict
+        unsafe: perPeriod(group => (group.gradedCount > 0 ? group.unsafeCount / group.gradedCount * 100 : null)),
+        grades: grades,
+        pesticides: aggregate.pesticides,
+        totals: {
+            count: aggregate.count,
+            unsafe: aggregate.unsafeCount,
+            graded: aggregate.gradedCount,
+            freshness: aggregate.meanFreshness,
+            dryMatter: aggregate.meanDryMatter
+        }
+    };
+}
+
+/**
+ * Chart label of a period
+ * @param {string} start - Period start (YYYY-MM-DD)
+ * @param {string} period - 'day' or 'week'
+ * @returns {string} e.g. "19 Oct" or "Week of 13 Oct"
+ */
+function formatAnalyticsPeriod(start, period) {
+    const [year, month, day] = start.split('-').map(Number);
+    const date = new Date(year, month - 1, day).toLocaleDateString(getLocale(), { day: 'numeric', month: 'short' });
+    return period === 'week' ? t('analytics.weekOf', { date: date }) : date;
+}
+
+// =============================================
+// SUMMARY AND CHARTS
+// =============================================
+
+/**
+ * Fill the summary cards
+ * @param {Object} series - Result of buildAnalyticsSeries()
+ */
+function renderAnalyticsSummary(series) {
+    const { totals } = series;
+    const orDash = (value, format) => (value === null ? '--' : format(value));
+
+    document.getElementById('analyticsTotal').textContent = formatNumber(totals.count);
+    document.getElementById('analyticsMeanFreshness').textContent = orDash(totals.freshness, value => formatNumber(value, 1));
+    document.getElementById('analyticsMeanDryMatter').textContent = orDash(totals.dryMatter, value => formatPercent(value, 1));
+    document.getElementById('analyticsUnsafeShare').textContent =
+        totals.graded > 0 ? formatPercent(totals.unsafe / totals.graded * 100, 1) : '--';
+    document.getElementById('analyticsUnsafeCount').textContent = t('analytics.unsafeCount', {
+        count: formatNumber(totals.unsafe),
+        total: formatNumber(totals.graded)
+    });
+}
+
+/**
+ * Draw the trend, unsafe share, grade and pesticide charts
+ * @param {Object} series - Result of buildAnalyticsSeries()
+ * @param {string} period - 'day' or 'week'
+ */
+function renderAnalyticsCharts(series, period) {
+    [analyticsTrendChart, analyticsUnsafeChart, analyticsGradeChart, analyticsPesticideChart].forEach(chart => {
+        if (chart) chart.destroy();
+    });
+
+    const labels = series.periods.map(start => formatAnalyticsPeriod(start, period));
+
+    analyticsTrendChart = new Chart(document.getElementById('analyticsTrendChart').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: [
+                {
+                    label: t('metric.freshnessScore'),
+                    data: series.freshness,
+                    borderColor: getChartColor(CHART_PALETTE.blue),
+                    backgroundColor: getChartColor(CHART_PALETTE.blue, 0.1),
+                    tension: 0.3,
+                    spanGaps: true,
+                    yAxisID: 'y',
+                    ...getChartLineStyle(0)
+                },
+                {
+                    label: t('metric.dryMatterContent'),
+                    data: series.dryMatter,
+                    borderColor: getChartColor(CHART_PALETTE.orange),
+                    backgroundColor: getChartColor(CHART_PALETTE.orange, 0.1),
+                    tension: 0.3,
+                    spanGaps: true,
+                    yAxisID: 'y1',
+                    ...getChartLineStyle(1)
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top'
+                }
+            },
+            scales: {
+                y: {
+                    min: 0,
+                    max: 100,
+                    title: {
+                        display: true,
+                        text: t('analytics.freshnessAxis')
+                    }
+                },
+                y1: {
+                    position: 'right',
+                    beginAtZero: true,
+                    grid: {
+                        drawOnChartArea: false
+                    },
+                    title: {
+                        display: true,
+                        text: t('analytics.dryMatterAxis')
+                    }
+                }
+            }
+        }
+    });
+
+    analyticsUnsafeChart = new Chart(document.getElementById('analyticsUnsafeChart').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: [{
+                label: t('analytics.unsafeShare'),
+                data: series.unsafe,
+                borderColor: getChartColor(CHART_PALETTE.vermillion),
+                backgroundColor: getChartColor(CHART_PALETTE.vermillion, 0.1),
+                tension: 0.3,
+                spanGaps: true,
+                fill: true
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: false
+                }
+            },
+            scales: {
+                y: {
+                    min: 0,
+                    max: 100,
+                    title: {
+                        display: true,
+                        text: t('analytics.unsafeAxis')
+                    }
+                }
+            }
+        }
+    });
+
+    // Built-in grades in their usual order, then any custom grades
+    const gradeOrder = DEFAULT_GRADES.map(grade => grade.name);
+    const gradeNames = Object.keys(series.grades).sort((a, b) =>
+        (gradeOrder.indexOf(a) + 1 || gradeOrder.length + 1) - (gradeOrder.indexOf(b) + 1 || gradeOrder.length + 1)
+    );
+
+    analyticsGradeChart = new Chart(document.getElementById('analyticsGradeChart').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: labels,
+            datasets: gradeNames.map((name, index) => {
+                const color = GRADE_COLORS[getGradeClass(name)] || CHART_PALETTE.grey;
+                return {
+                    label: tValue('grades', name),
+                    data: series.grades[name],
+                    backgroundColor: getChartPattern(color, index),
+                    borderColor: getChartColor(color),
+                    borderWidth: 2
+                };
+            })
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top'
+                }
+            },
+            scales: {
+                x: {
+                    stacked: true
+                },
+                y: {
+                    stacked: true,
+                    beginAtZero: true,
+                    ticks: {
+                        precision: 0
+                    },
+                    title: {
+                        display: true,
+                        text: t('analytics.analyses')
+                    }
+                }
+            }
+        }
+    });
+
+    const pesticideClasses = Object.keys(series.pesticides).sort((a, b) => series.pesticides[b] - series.pesticides[a]);
+    const pesticideColors = [CHART_PALETTE.green, CHART_PALETTE.sky, CHART_PALETTE.orange, CHART_PALETTE.vermillion, CHART_PALETTE.purple];
+
+    analyticsPesticideChart = new Chart(document.getElementById('analyticsPesticideChart').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: pesticideClasses.map(name => tValue('pesticide', name)),
+            datasets: [{
+                label: t('analytics.analyses'),
+                data: pesticideClasses.map(name => series.pesticides[name]),
+                backgroundColor: pesticideClasses.map((_, i) => getChartPattern(pesticideColors[i % pesticideColors.length], i)),
+                borderColor: pesticideClasses.map((_, i) => getChartColor(pesticideColors[i % pesticideColors.length])),
+                borderWidth: 2
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: false
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        precision: 0
+                    },
+                    title: {
+                        display: true,
+                        text: t('analytics.analyses')
+                    }
+                }
+            }
+        }
+    });
+}
@@ -0,0 +1,167 @@
+/**
+ * ANALYZERS.JS
+ * Pluggable analyzers behind callAnalysisAPI
+ * Features: Server analyzer, random and seeded demo analyzers, offline mode with automatic fallback
+ */
+
+// =============================================
+// ANALYZER REGISTRY
+// =============================================
+
+const ANALYSIS_MODE_KEY = 'analysisMode';
+const ANALYSIS_SEED_KEY = 'analysisSeed';
+const DEFAULT_ANALYSIS_SEED = 42;
+
+/**
+ * Analysis modes offered in settings, with the message key of their label
+ * - auto: use the server, fall back to the in-browser analyzer when it is unreachable
+ * - server: server only, fail when it is unreachable
+ * - browser / mock / seeded: always use the named analyzer
+ */
+const ANALYSIS_MODES = {
+    auto: 'mode.auto',
+    server: 'mode.server',
+    browser: 'mode.browser',
+    mock: 'mode.mock',
+    seeded: 'mode.seeded'
+};
+
+const analyzers = {};
+
+/**
+ * Register an analyzer
+ * @param {string} name - Analyzer name
+ * @param {Object} analyzer - { label, simulated, analyze(file, fruit, lot, options) => Promise<Object> }
+ */
+function registerAnalyzer(name, analyzer) {
+    analyzers[name] = analyzer;
+}
+
+/**
+ * Get a registered analyzer
+ * @param {string} name - Analyzer name
+ * @returns {Object} Analyzer
+ */
+function getAnalyzer(name) {
+    if (!analyzers[name]) {
+        throw new Error(`Unknown analyzer: ${name}`);
+    }
+    return analyzers[name];
+}
+
+/**
+ * Get the saved analysis mode
+ * @returns {string} One of ANALYSIS_MODES
+ */
+function getAnalysisMode() {
+    const mode = localStorage.getItem(ANALYSIS_MODE_KEY);
+    return ANALYSIS_MODES[mode] ? mode : 'auto';
+}
+
+/**
+ * Get the seed used by the seeded demo analyzer
+ * @returns {number} Seed
+ */
+function getAnalysisSeed() {
+    const seed = parseInt(localStorage.getItem(ANALYSIS_SEED_KEY), 10);
+    return Number.isNaN(seed) ? DEFAULT_ANALYSIS_SEED : seed;
+}
+
+/**
+ * Save analysis mode settings
+ * @param {string} mode - One of ANALYSIS_MODES
+ * @param {number} seed - Seed for the seeded analyzer
+ */
+function saveAnalysisSettings(mode, seed) {
+    localStorage.setItem(ANALYSIS_MODE_KEY, mode);
+    localStorage.setItem(ANALYSIS_SEED_KEY, String(seed));
+}
+
+/**
+ * Check whether an error means the backend could not be reached at all
+ * @param {Error} error - Error thrown by requestApi() or fetch
+ * @returns {boolean} True for network failures and timeouts (not HTTP errors)
+ */
+function isNetworkError(error) {
+    return error.code === 'network_error' || error.code === 'timeout' || error instanceof TypeError;
+}
+
+/**
+ * Run an analyzer and tag the result with where it came from
+ * @param {string} name - Analyzer name
+ * @param {File} imageFile - Image to analyze
+ * @param {string} fruit - Fruit type (see FRUIT_TYPES)
+ * @param {Object|null} lot - Lot the fruit belongs to (see lots.js)
+ * @param {Object} options - { store }: keep the result in the backend's history (default true)
+ * @returns {Promise<Object>} Analysis results
+ */
+async function runAnalyzer(name, imageFile, fruit = getSelectedFruit(), lot = getActiveLot(), options = {}) {
+    const analyzer = getAnalyzer(name);
+    const results = await analyzer.analyze(imageFile, fruit, lot, options);
+
+    return {
+        ...results,
+        fruit: fruit,
+        // The server echoes the lot it recorded; other analyzers run in the browser
+        lot: results.lot || lot || null,
+        analyzer: name,
+        simulated: Boolean(analyzer.simulated),
+        grading_profile: getActiveGradingProfileName(fruit)
+    };
+}
+
+// =============================================
+// DEMO ANALYZERS
+// =============================================
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hash file contents (FNV-1a) so the same image always gives the same seed
+ * @param {File} file - Image file
+ * @returns {Promise<number>} 32-bit hash
+ */
+async function hashFile(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+registerAnalyzer('server', {
+    label: 'Server',
+    simulated: false,
+    analyze: (imageFile, fruit, lot, options) => requestServerAnalysis(imageFile, fruit, lot, options.store !== false)
+});
+
+registerAnalyzer('mock', {
+    label: 'Demo (random)',
+    simulated: true,
+    analyze: (imageFile, fruit) => generateMockAnalysisData(Math.random, fruit)
+});
+
+registerAnalyzer('seeded', {
+    label: 'Demo (seeded)',
+    simulated: true,
+    analyze: async (imageFile, fruit) => {
+        const seed = (await hashFile(imageFile)) ^ getAnalysisSeed();
+        return generateMockAnalysisData(createSeededRandom(seed), fruit);
+    }
+});
@@ -0,0 +1,244 @@
+/**
+ * API.JS
+ * Backend requests for Fruit Detection Project
+ * Features: Structured API errors with messages and recovery actions, request timeouts
+ *           and cancellation, automatic retries with backoff for transient failures
+ */
+
+// =============================================
+// API ERRORS
+// =============================================
+
+/**
+ * Message and recovery action per error code
+ * Codes come from the backend's error responses ({ error: { code, message, retryable } })
+ * or from the client (network_error, timeout, aborted). Actions:
+ * - retry: send the same request again
+ * - chooseImage: the image cannot be analyzed; pick or capture another one
+ * - signIn: the session ended; sign in again
+ * Codes missing here show the server's own message.
+ */
+const API_ERRORS = {
+    network_error: { key: 'apiError.network', action: 'retry' },
+    timeout: { key: 'apiError.timeout', action: 'retry' },
+    server_error: { key: 'apiError.server', action: 'retry' },
+    server_unavailable: { key: 'apiError.unavailable', action: 'retry' },
+    rate_limited: { key: 'apiError.rateLimited', action: 'retry' },
+    image_undecodable: { key: 'apiError.imageUndecodable', action: 'chooseImage' },
+    image_too_small: { key: 'apiError.imageTooSmall', action: 'chooseImage' },
+    image_too_large: { key: 'apiError.imageTooLarge', action: 'chooseImage' },
+    no_fruit_detected: { key: 'apiError.noFruitDetected', action: 'chooseImage' },
+    unknown_fruit: { key: 'apiError.unknownFruit', action: null },
+    not_authenticated: { key: 'error.sessionExpired', action: 'signIn' },
+    invalid_token: { key: 'error.sessionExpired', action: 'signIn' },
+    token_expired: { key: 'error.sessionExpired', action: 'signIn' },
+    account_not_found: { key: 'error.sessionExpired', action: 'signIn' },
+    account_disabled: { key: 'apiError.accountDisabled', action: 'signIn' },
+    forbidden: { key: 'apiError.forbidden', action: null },
+    validation_error: { key: 'apiError.invalidRequest', action: null },
+    aborted: { key: 'apiError.aborted', action: null }
+};
+
+// Codes of failures that may pass when the request is sent again
+const TRANSIENT_ERROR_CODES = ['network_error', 'timeout', 'server_unavailable', 'rate_limited'];
+
+/**
+ * Create an error for a failed request
+ * @param {string} code - Error code (see API_ERRORS)
+ * @param {Object} options - { status, serverMessage, retryable, fields }
+ * @returns {Error} Error with code, status, action, retryable and fields; its message is
+ *                  the translated message for the code, else the server's message
+ */
+function createApiError(code, options = {}) {
+    const known = API_ERRORS[code];
+    const error = new Error(known ? t(known.key) : options.serverMessage || t('error.requestFailed'));
+    error.code = code;
+    error.status = options.status || 0;
+    error.action = known ? known.action : null;
+    error.retryable = options.retryable !== undefined ? options.retryable : TRANSIENT_ERROR_CODES.includes(code);
+    error.fields = options.fields || [];
+    return error;
+}
+
+/**
+ * Create an error from an unsuccessful response
+ * Responses without the structured body (e.g. from a proxy) are classified by status.
+ * @param {Response} response - fetch response
+ * @param {Object|null} data - Parsed body, or null when it was not JSON
+ * @returns {Error} API error
+ */
+function createResponseError(response, data) {
+    const body = data && data.error;
+    if (body && body.code) {
+        return createApiError(body.code, {
+            status: response.status,
+            serverMessage: body.message,
+            retryable: Boolean(body.retryable),
+            fields: body.fields
+        });
+    }
+
+    let code = 'request_failed';
+    if ([502, 503, 504].includes(response.status)) {
+        code = 'server_unavailable';
+    } else if (response.status === 429) {
+        code = 'rate_limited';
+    } else if (response.status >= 500) {
+        code = 'server_error';
+    } else if (response.status === 401) {
+        code = 'not_authenticated';
+    }
+    return createApiError(code, { status: response.status, serverMessage: data && data.detail });
+}
+
+/**
+ * Check whether a request failed because the caller cancelled it
+ * @param {Error} error - Error thrown by requestApi()
+ * @returns {boolean} True for cancelled requests, which need no message
+ */
+function isAbortedRequest(error) {
+    return error.code === 'aborted';
+}
+
+// =============================================
+// REQUESTS
+// =============================================
+
+const API_TIMEOUT_MS = 15000;
+const API_RETRY_ATTEMPTS = 2;
+const API_RETRY_BASE_DELAY_MS = 500;
+const API_RETRY_MAX_DELAY_MS = 8000;
+
+// Methods that can be sent again without doing the work twice; a POST may already have stored its result
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Call a backend endpoint and return its JSON
+ * Transient failures of idempotent requests are retried with exponential backoff. POSTs are
+ * never retried, since the server may have completed them before the failure.
+ * @param {string} path - Path below the API base, e.g. '/api/users'
+ * @param {Object} options - fetch options (a non-string, non-FormData body is sent as JSON), plus:
+ *                           timeout (ms per attempt), retries (extra attempts), signal (cancels
+ *                           the request) and auth (send the bearer token; default true)
+ * @returns {Promise<Object>} Response JSON
+ */
+async function requestApi(path, options = {}) {
+    const { timeout = API_TIMEOUT_MS, retries = API_RETRY_ATTEMPTS, signal = null, auth = true, ...init } = options;
+    const method = (init.method || 'GET').toUpperCase();
+
+    if (init.body && typeof init.body !== 'string' && !(init.body instanceof FormData)) {
+        init.headers = { ...init.headers, 'Content-Type': 'application/json' };
+        init.body = JSON.stringify(init.body);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        const { data, error, retryAfterMs } = await sendApiRequest(getApiUrl(path), init, { timeout, signal, auth });
+        if (!error) {
+            return data;
+        }
+
+        if (error.status === 401 && auth) {
+            handleLogout(null, t('auth.sessionExpired'));
+            throw error;
+        }
+
+        if (attempt >= retries || !error.retryable || !IDEMPOTENT_METHODS.includes(method)) {
+            throw error;
+        }
+
+        await waitForRetry(retryAfterMs || getRetryDelay(attempt), signal);
+    }
+}
+
+/**
+ * Send one request with a timeout
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @param {Object} options - { timeout, signal, auth }
+ * @returns {Promise<Object>} { data } on success, else { error, retryAfterMs }
+ */
+async function sendApiRequest(url, init, options) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, options.timeout);
+
+    const cancel = () => controller.abort();
+    if (options.signal) {
+        if (options.signal.aborted) {
+            controller.abort();
+        }
+        options.signal.addEventListener('abort', cancel);
+    }
+
+    try {
+        const response = await (options.auth ? authFetch : fetch)(url, { ...init, signal: controller.signal });
+        const data = await response.json().catch(() => null);
+
+        if (response.ok) {
+            return { data: data };
+        }
+
+        const retryAfter = parseFloat(response.headers && response.headers.get('Retry-After'));
+        return {
+            error: createResponseError(response, data),
+            retryAfterMs: Number.isFinite(retryAfter) ? Math.min(retryAfter * 1000, API_RETRY_MAX_DELAY_MS) : null
+        };
+    } catch (error) {
+        if (timedOut) {
+            return { error: createApiError('timeout') };
+        }
+        if (controller.signal.aborted) {
+            return { error: createApiError('aborted') };
+        }
+        console.warn('Request failed:', error);
+        return { error: createApiError('network_error') };
+    } finally {
+        clearTimeout(timer);
+        if (options.signal) {
+            options.signal.removeEventListener('abort', cancel);
+        }
+    }
+}
+
+/**
+ * Backoff before a retry: doubles per attempt, with jitter so clients do not retry in step
+ * @param {number} attempt - Attempts made so far, minus one
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempt) {
+    const delay = Math.min(API_RETRY_BASE_DELAY_MS * 2 ** attempt, API_RETRY_MAX_DELAY_MS);
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Wait before a retry, unless the request is cancelled first
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal|null} signal - Cancels the request
+ * @returns {Promise<void>} Rejects with an 'aborted' error when cancelled
+ */
+function waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createApiError('aborted'));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createApiError('aborted'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
@@ -0,0 +1,210 @@
+/**
+ * AUTH.JS
+ * Session handling shared by the login page and dashboard
+ * Features: Token storage, expiry tracking, refresh flow, authenticated fetch
+ */
+
+// =============================================
+// SESSION STORAGE
+// =============================================
+
+// Refresh the access token this long before it expires
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+let sessionRefreshRequest = null;
+
+/**
+ * Get the storage holding the current session ("remember me" uses localStorage)
+ * @returns {Storage} localStorage or sessionStorage
+ */
+function getSessionStorage() {
+    return localStorage.getItem('authToken') ? localStorage : sessionStorage;
+}
+
+/**
+ * Get the current access token
+ * @returns {string|null} Token, or null when signed out
+ */
+function getAuthToken() {
+    return localStorage.getItem('authToken') || sessionStorage.getItem('authToken');
+}
+
+/**
+ * Store a new session after login
+ * @param {Object} data - Login response { token, refresh_token, expires_in, user }
+ * @param {boolean} remember - Keep the session across browser restarts
+ */
+function saveSession(data, remember) {
+    clearSession();
+
+    const storage = remember ? localStorage : sessionStorage;
+    storage.setItem('authToken', data.token);
+    storage.setItem('userData', JSON.stringify(data.user));
+
+    if (data.refresh_token) {
+        storage.setItem('refreshToken', data.refresh_token);
+    }
+    if (data.expires_in) {
+        storage.setItem('authExpiresAt', String(Date.now() + data.expires_in * 1000));
+    }
+}
+
+/**
+ * Remove the session from both storages
+ */
+function clearSession() {
+    ['authToken', 'refreshToken', 'authExpiresAt', 'userData'].forEach(key => {
+        localStorage.removeItem(key);
+        sessionStorage.removeItem(key);
+    });
+}
+
+/**
+ * Check whether the access token is about to expire
+ * @returns {boolean} True if it should be refreshed before use
+ */
+function isTokenExpiring() {
+    const expiresAt = parseInt(getSessionStorage().getItem('authExpiresAt'), 10);
+    return !Number.isNaN(expiresAt) && Date.now() > expiresAt - TOKEN_REFRESH_MARGIN_MS;
+}
+
+// =============================================
+// REFRESH & AUTHENTICATED REQUESTS
+// =============================================
+
+/**
+ * Exchange the refresh token for a new access token
+ * Concurrent callers share one request.
+ * @returns {Promise<boolean>} True if the session was refreshed
+ */
+function refreshSession() {
+    if (sessionRefreshRequest) {
+        return sessionRefreshRequest;
+    }
+
+    const storage = getSessionStorage();
+    const refreshToken = storage.getItem('refreshToken');
+    if (!refreshToken) {
+        return Promise.resolve(false);
+    }
+
+    sessionRefreshRequest = (async () => {
+        try {
+            const data = await requestApi('/api/auth/refresh', {
+                method: 'POST',
+                body: { refresh_token: refreshToken },
+                auth: false,
+                retries: 0
+            });
+            storage.setItem('authToken', data.token);
+            storage.setItem('authExpiresAt', String(Date.now() + data.expires_in * 1000));
+            return true;
+        } catch (error) {
+            return false;
+        } finally {
+            sessionRefreshRequest = null;
+        }
+    })();
+
+    return sessionRefreshRequest;
+}
+
+/**
+ * Fetch with the bearer token, refreshing it when expired
+ * A 401 response is returned to the caller only after a refresh attempt failed.
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} Response
+ */
+async function authFetch(url, options = {}) {
+    if (isTokenExpiring()) {
+        await refreshSession();
+    }
+
+    const send = () => fetch(url, {
+        ...options,
+        headers: { ...options.headers, Authorization: `Bearer ${getAuthToken()}` }
+    });
+
+    const response = await send();
+    if (response.status !== 401 || !(await refreshSession())) {
+        return response;
+    }
+
+    return send();
+}
+
+/**
+ * Confirm the stored session with the server
+ * @returns {Promise<boolean|null>} True if valid, false if rejected, null if the server is unreachable
+ */
+async function verifySession() {
+    try {
+        const response = await authFetch(getApiUrl('/api/auth/me'));
+        if (response.status === 401) {
+            return false;
+        }
+        if (!response.ok) {
+            return null;
+        }
+
+        // Pick up role or name changes made since login
+        const data = await response.json();
+        getSessionStorage().setItem('userData', JSON.stringify(data.user));
+        return true;
+    } catch (error) {
+        return null;
+    }
+}
+
+// =============================================
+// ROLES
+// =============================================
+
+// What each role may see; mirrors require_role() on the backend
+const ROLE_PERMISSIONS = {
+    inspector: ['analyze'],
+    supervisor: ['analyze', 'history', 'compare', 'analytics', 'lots', 'export'],
+    admin: ['analyze', 'history', 'compare', 'analytics', 'lots', 'export', 'users', 'thresholds']
+};
+
+// Sessions from before roles existed get the least privileged role
+const DEFAULT_ROLE = 'inspector';
+
+/**
+ * Get the signed-in user from storage
+ * @returns {Object|null} { name, email, role }, or null when signed out
+ */
+function getCurrentUser() {
+    const userDataStr = localStorage.getItem('userData') || sessionStorage.getItem('userData');
+    if (!userDataStr) {
+        return null;
+    }
+
+    try {
+        const user = JSON.parse(userDataStr);
+        return { ...user, role: ROLE_PERMISSIONS[user.role] ? user.role : DEFAULT_ROLE };
+    } catch (error) {
+        console.error('Error parsing user data:', error);
+        return null;
+    }
+}
+
+/**
+ * Translated display name of a role
+ * @param {string} role - Role name
+ * @returns {string} Display name
+ */
+function formatRole(role) {
+    return tValue('role', role);
+}
+
+/**
+ * Check whether the signed-in user's role grants a permission
+ * @param {string} permission - Permission name (see ROLE_PERMISSIONS)
+ * @returns {boolean} True if allowed
+ */
+function hasPermission(permission) {
+    const user = getCurrentUser();
+    return Boolean(user) && ROLE_PERMISSIONS[user.role].includes(permission);
+}
@@ -0,0 +1,270 @@
+/**
+ * BATCH.JS
+ * Batch analysis of many fruit images in one session
+ * Features: Multi-file queue, limited concurrency, per-item status and retry, batch summary
+ */
+
+// =============================================
+// BATCH QUEUE
+// =============================================
+
+const BATCH_CONCURRENCY = 3;
+
+let batchItems = [];
+let batchNextId = 1;
+let batchActive = 0;
+
+/**
+ * Initialize batch panel controls
+ */
+function initializeBatch() {
+    document.getElementById('batchRetryAllBtn').addEventListener('click', () => {
+        batchItems.filter(item => item.status === 'failed').forEach(retryBatchItem);
+    });
+
+    document.getElementById('batchClearBtn').addEventListener('click', () => {
+        // Keep items that are still in flight so their results are not lost
+        batchItems = batchItems.filter(item => item.status === 'running');
+        renderBatch();
+    });
+
+    document.addEventListener('languagechange', renderBatch);
+}
+
+/**
+ * Add files to the batch queue and start processing
+ * @param {Array<File>} files - Image files
+ */
+function startBatch(files) {
+    const valid = files.filter(file => file.type.startsWith('image/') && file.size <= 10 * 1024 * 1024);
+    const skipped = files.length - valid.length;
+
+    if (skipped > 0) {
+        showToast(t('batch.skipped', { count: formatNumber(skipped) }), 'error');
+    }
+    if (valid.length === 0) return;
+
+    valid.forEach(file => {
+        batchItems.push({
+            id: batchNextId++,
+            file: file,
+            status: 'queued',
+            attempts: 0,
+            results: null,
+            dataUrl: null,
+            error: null
+        });
+    });
+
+    document.getElementById('batchPanel').classList.remove('hidden');
+    showToast(t('batch.added', { count: formatNumber(valid.length) }));
+
+    renderBatch();
+    pumpBatchQueue();
+}
+
+/**
+ * Start queued items until the concurrency limit is reached
+ */
+function pumpBatchQueue() {
+    while (batchActive < BATCH_CONCURRENCY) {
+        const next = batchItems.find(item => item.status === 'queued');
+        if (!next) break;
+        processBatchItem(next);
+    }
+}
+
+/**
+ * Analyze a single batch item
+ * @param {Object} item - Batch item
+ */
+async function processBatchItem(item) {
+    batchActive++;
+    item.status = 'running';
+    item.attempts++;
+    item.error = null;
+    renderBatch();
+
+    try {
+        const results = await callAnalysisAPI(item.file);
+        item.results = results;
+        item.status = 'done';
+
+        item.dataUrl = await readFileAsDataUrl(item.file);
+        saveToHistory(results, { file: item.file, dataUrl: item.dataUrl }).catch(error => {
+            console.error('History error:', error);
+        });
+    } catch (error) {
+        console.error('Batch analysis error:', error);
+        item.status = 'failed';
+        item.error = error.message || t('error.analysisFailed');
+    } finally {
+        batchActive--;
+        renderBatch();
+        pumpBatchQueue();
+    }
+}
+
+/**
+ * Put a failed item back in the queue
+ * @param {Object} item - Batch item
+ */
+function retryBatchItem(item) {
+    item.status = 'queued';
+    renderBatch();
+    pumpBatchQueue();
+}
+
+/**
+ * Read a file into a data URL
+ * @param {File} file - File to read
+ * @returns {Promise<string>} Data URL
+ */
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+// =============================================
+// BATCH VIEW
+// =============================================
+
+/**
+ * Render the batch item list, progress and summary
+ */
+function renderBatch() {
+    const list = document.getElementById('batchList');
+    const finished = batchItems.filter(item => item.status === 'done' || item.status === 'failed').length;
+    const total = batchItems.length;
+
+    document.getElementById('batchProgressText').textContent =
+        t('batch.progress', { finished: formatNumber(finished), total: formatNumber(total) });
+    document.getElementById('batchProgressFill').style.width = total ? `${(finished / total * 100).toFixed(1)}%` : '0%';
+    document.getElementById('batchRetryAllBtn').classList.toggle('hidden', !batchItems.some(item => item.status === 'failed'));
+
+    list.innerHTML = '';
+    batchItems.forEach(item => {
+        list.appendChild(createBatchRow(item));
+    });
+
+    const isComplete = total > 0 && batchItems.every(item => item.status === 'done' || item.status === 'failed');
+    if (isComplete) {
+        renderBatchSummary();
+    } else {
+        document.getElementById('batchSummary').classList.add('hidden');
+    }
+}
+
+/**
+ * Build a row for a batch item
+ * @param {Object} item - Batch item
+ * @returns {HTMLElement} Table row
+ */
+function createBatchRow(item) {
+    const row = document.createElement('tr');
+    let grade = '--';
+    let freshness = '--';
+    if (item.results) {
+        grade = tValue('grades', calculateQualityGrade(item.results).grade);
+        freshness = formatNumber(item.results.freshness_score);
+    }
+
+    row.innerHTML = `
+        <td class="batch-file"></td>
+        <td><span class="batch-status ${item.status}">${t(`batch.status.${item.status}`)}</span></td>
+        <td>${freshness}</td>
+        <td>${grade}</td>
+        <td class="batch-row-actions"></td>
+    `;
+
+    // File names come from the user's disk, so never inject them as HTML
+    row.querySelector('.batch-file').textContent = item.file.name;
+    if (item.error) {
+        row.querySelector('.batch-status').title = item.error;
+    }
+
+    const actions = row.querySelector('.batch-row-actions');
+    if (item.status === 'done') {
+        const viewBtn = document.createElement('button');
+        viewBtn.className = 'btn-secondary';
+        viewBtn.textContent = t('batch.view');
+        viewBtn.addEventListener('click', () => {
+            analysisResults = item.results;
+            analysisImageUrl = item.dataUrl;
+            displayAnalysisResults(item.results);
+            document.querySelector('.nav-item[data-section="analyze"]').click();
+        });
+        actions.appendChild(viewBtn);
+    } else if (item.status === 'failed') {
+        const retryBtn = document.createElement('button');
+        retryBtn.className = 'btn-secondary';
+        retryBtn.textContent = t('batch.retry');
+        retryBtn.addEventListener('click', () => retryBatchItem(item));
+        actions.appendChild(retryBtn);
+    }
+
+    return row;
+}
+
+/**
+ * Summarize completed batch results
+ * @param {Array<Object>} items - Batch items
+ * @returns {Object} Grade counts, mean freshness and unsafe count
+ */
+function summarizeBatch(items) {
+    const done = items.filter(item => item.status === 'done');
+    const gradeCounts = {};
+    getGradeNames().forEach(grade => {
+        gradeCounts[grade] = 0;
+    });
+
+    let freshnessTotal = 0;
+    let notSafeCount = 0;
+
+    done.forEach(item => {
+        const assessment = calculateQualityGrade(item.results);
+        gradeCounts[assessment.grade] = (gradeCounts[assessment.grade] || 0) + 1;
+        freshnessTotal += Number(item.results.freshness_score);
+        if (!assessment.safeToEat) {
+            notSafeCount++;
+        }
+    });
+
+    return {
+        analyzed: done.length,
+        failed: items.filter(item => item.status === 'failed').length,
+        gradeCounts: gradeCounts,
+        meanFreshness: done.length ? freshnessTotal / done.length : null,
+        notSafeCount: notSafeCount
+    };
+}
+
+/**
+ * Render the batch summary table
+ */
+function renderBatchSummary() {
+    const summary = summarizeBatch(batchItems);
+    const body = document.getElementById('batchSummaryBody');
+
+    const gradeRows = Object.entries(summary.gradeCounts).map(([grade, count]) => `
+        <tr>
+            <td>${tValue('grades', grade)}</td>
+            <td>${formatNumber(count)}</td>
+            <td>${formatPercent(summary.analyzed ? count / summary.analyzed * 100 : 0, 0)}</td>
+        </tr>
+    `).join('');
+
+    body.innerHTML = gradeRows;
+
+    document.getElementById('batchMeanFreshness').textContent =
+        summary.meanFreshness === null ? '--' : formatNumber(summary.meanFreshness, 1);
+    document.getElementById('batchNotSafe').textContent = formatNumber(summary.notSafeCount);
+    document.getElementById('batchAnalyzed').textContent = formatNumber(summary.analyzed);
+    document.getElementById('batchFailed').textContent = formatNumber(summary.failed);
+
+    document.getElementById('batchSummary').classList.remove('hidden');
+}
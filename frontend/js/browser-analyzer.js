@@ -0,0 +1,292 @@
+/**
+ * BROWSER-ANALYZER.JS
+ * In-browser fruit analyzer for use without connectivity
+ * Features: Image decoding and downscaling, segmentation in a Web Worker, server-compatible result shape
+ */
+
+// =============================================
+// WORKER
+// =============================================
+
+// Longest image side fed to K-means; keeps phones responsive
+const BROWSER_ANALYSIS_MAX_SIZE = 200;
+// Longest side of the returned label mask (matches the backend)
+const LABEL_MASK_MAX_SIDE = 64;
+
+let segmentationWorker = null;
+let segmentationRequestId = 0;
+const segmentationRequests = new Map();
+
+/**
+ * Get the segmentation worker, creating it on first use
+ * @returns {Worker|null} Worker, or null when workers are unavailable (e.g. file://)
+ */
+function getSegmentationWorker() {
+    if (segmentationWorker !== null) {
+        return segmentationWorker || null;
+    }
+
+    try {
+        segmentationWorker = new Worker('js/segmentation.js');
+        segmentationWorker.onmessage = (e) => {
+            const { id, result, error } = e.data;
+            const request = segmentationRequests.get(id);
+            if (!request) return;
+
+            segmentationRequests.delete(id);
+            if (error) {
+                request.reject(new Error(error));
+            } else {
+                request.resolve(result);
+            }
+        };
+        segmentationWorker.onerror = (e) => {
+            console.error('Segmentation worker error:', e);
+            segmentationRequests.forEach(request => request.reject(new Error('Segmentation worker failed')));
+            segmentationRequests.clear();
+            // Segment on the main thread from now on
+            segmentationWorker = false;
+        };
+    } catch (error) {
+        console.warn('Web Worker unavailable, segmenting on the main thread:', error);
+        segmentationWorker = false;
+    }
+
+    return segmentationWorker || null;
+}
+
+/**
+ * Segment pixels in the worker, or on the main thread as a fallback
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data
+ * @param {Object} options - Segmentation options
+ * @returns {Promise<Object>} Segmentation result (see segmentFruitPixels)
+ */
+function runSegmentation(pixels, options) {
+    const worker = getSegmentationWorker();
+    if (!worker) {
+        return Promise.resolve(segmentFruitPixels(pixels, options));
+    }
+
+    const id = ++segmentationRequestId;
+    return new Promise((resolve, reject) => {
+        segmentationRequests.set(id, { resolve, reject });
+        worker.postMessage({ id, pixels, options }, [pixels.buffer]);
+    });
+}
+
+// =============================================
+// IMAGE DECODING
+// =============================================
+
+/**
+ * Decode an image file and read downscaled pixels
+ * @param {File|Blob} file - Image file
+ * @returns {Promise<Object>} { pixels, width, height, scale }
+ */
+function readImagePixels(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+
+            const scale = Math.min(1, BROWSER_ANALYSIS_MAX_SIZE / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.width * scale));
+            canvas.height = Math.max(1, Math.round(img.height * scale));
+
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+            resolve({
+                pixels: imageData.data,
+                width: canvas.width,
+                height: canvas.height,
+                scale: scale
+            });
+        };
+
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Unable to decode image'));
+        };
+
+        img.src = url;
+    });
+}
+
+// =============================================
+// RESULT BUILDING (mirrors backend/main.py)
+// =============================================
+
+/**
+ * Map a spoilage ratio to a risk label
+ * @param {number} ratio - Spoilage ratio (0-100)
+ * @returns {string} Low / Medium / High
+ */
+function spoilageRiskFromRatio(ratio) {
+    if (ratio <= 25) return 'Low';
+    if (ratio <= 50) return 'Medium';
+    return 'High';
+}
+
+/**
+ * Map freshness to dry matter content
+ * @param {number} freshness - Freshness score (0-100)
+ * @param {string} fruit - Fruit type (see FRUIT_TYPES)
+ * @returns {number} Dry matter percent (apples ~10-18)
+ */
+function dryMatterFromFreshness(freshness, fruit) {
+    const [base, perPoint] = getFruitType(fruit).dryMatter;
+    const clamped = Math.max(0, Math.min(100, freshness));
+    return Math.round((base + perPoint * clamped) * 10) / 10;
+}
+
+/**
+ * Estimate weight from the fruit's pixel area in the full-size image
+ * @param {number} fruitPixels - Fresh + spoiled pixels in the downscaled image
+ * @param {number} scale - Downscale factor that was applied
+ * @param {string} fruit - Fruit type (see FRUIT_TYPES)
+ * @returns {number} Weight in kg
+ */
+function weightFromFruitArea(fruitPixels, scale, fruit) {
+    const radius = Math.max(Math.sqrt(fruitPixels / Math.PI) / scale, 10);
+    return Math.round(getFruitType(fruit).weightFactor * Math.pow(radius, 1.2) * 100) / 100;
+}
+
+/**
+ * Estimate nutrients from dry matter content
+ * @param {number} dm - Dry matter percent
+ * @param {string} fruit - Fruit type (see FRUIT_TYPES)
+ * @returns {Object} Nutrition values
+ */
+function nutritionFromDryMatter(dm, fruit) {
+    const table = getFruitType(fruit).nutrition;
+    const dmFactor = (dm - table.dmReference) / table.dmSpan;
+    const nutrition = {};
+
+    ['water_percent', 'sugar_percent', 'fiber', 'vitamin_c_mg'].forEach(key => {
+        const [value, perSpan, min, max] = table[key];
+        // Vitamin C only degrades as fruit ripens past the reference
+        const factor = key === 'vitamin_c_mg' ? Math.max(dmFactor, 0) : dmFactor;
+        nutrition[key] = Math.round(Math.max(min, Math.min(max, value + perSpan * factor)) * 10) / 10;
+    });
+
+    return nutrition;
+}
+
+/**
+ * Downsample cluster labels into the label mask format used by the backend
+ * @param {Object} segmentation - Result of segmentFruitPixels
+ * @param {number} width - Width of the segmented image
+ * @param {number} height - Height of the segmented image
+ * @returns {Object} { width, height, data } with one digit per pixel (see OVERLAY_CLASSES)
+ */
+function buildLabelMask(segmentation, width, height) {
+    const scale = Math.min(1, LABEL_MASK_MAX_SIDE / Math.max(width, height));
+    const maskWidth = Math.max(1, Math.round(width * scale));
+    const maskHeight = Math.max(1, Math.round(height * scale));
+
+    let data = '';
+    for (let y = 0; y < maskHeight; y++) {
+        const sourceY = Math.min(height - 1, Math.floor(y / scale));
+        for (let x = 0; x < maskWidth; x++) {
+            const sourceX = Math.min(width - 1, Math.floor(x / scale));
+            const cluster = segmentation.labels[sourceY * width + sourceX];
+            if (cluster === segmentation.freshCluster) {
+                data += '1';
+            } else if (cluster === segmentation.spoiledCluster) {
+                data += '2';
+            } else {
+                data += '0';
+            }
+        }
+    }
+
+    return { width: maskWidth, height: maskHeight, data: data };
+}
+
+/**
+ * Analyze an image entirely in the browser
+ * @param {File} imageFile - Image file
+ * @param {string} fruit - Fruit type (see FRUIT_TYPES)
+ * @returns {Promise<Object>} Results in the same shape as /api/analyze/{fruit}; rejects with a
+ *                            no_fruit_detected error, as the server does, when the image shows no fruit
+ */
+async function analyzeInBrowser(imageFile, fruit = DEFAULT_FRUIT) {
+    const { pixels, width, height, scale } = await readImagePixels(imageFile);
+    const segmentation = await runSegmentation(pixels, { k: 3, seed: 1, freshColor: getFruitType(fruit).freshColor });
+    if (!segmentation.fruitDetected) {
+        throw createApiError('no_fruit_detected', { status: 422 });
+    }
+
+    const freshness = segmentation.freshness;
+    const dm = dryMatterFromFreshness(freshness, fruit);
+
+    // Pesticide, spectral and sensor values are demo values, as on the server
+    return {
+        freshness_score: freshness,
+        dry_matter_percent: dm,
+        spoilage_risk: spoilageRiskFromRatio(segmentation.spoilageRatio),
+        pesticide_class: ['Pure', 'Insecticide Low', 'Fungicide Low', 'Fungicide High'][Math.floor(Math.random() * 4)],
+        estimated_weight_kg: weightFromFruitArea(segmentation.freshPixels + segmentation.spoiledPixels, scale, fruit),
+        nutrition: nutritionFromDryMatter(dm, fruit),
+        spectral_prediction_graph_data: Array.from({ length: 50 }, (_, i) =>
+            Math.round((Math.sin(i / 5) * 20 + 50 + (Math.random() - 0.5) * 6) * 100) / 100
+        ),
+        sensor_emulation_values: Array.from({ length: 18 }, () =>
+            Math.floor(Math.random() * 30000) + 5000
+        ),
+        spoilage_ratio: segmentation.spoilageRatio,
+        label_mask: buildLabelMask(segmentation, width, height)
+    };
+}
+
+registerAnalyzer('browser', {
+    label: 'In-browser',
+    simulated: false,
+    analyze: analyzeInBrowser
+});
+
+// =============================================
+// SERVER COMPARISON
+// =============================================
+
+const COMPARE_WITH_BROWSER_KEY = 'compareWithBrowser';
+
+/**
+ * Whether server results should be cross-checked with the in-browser analyzer
+ * @returns {boolean} True unless disabled in settings
+ */
+function isBrowserComparisonEnabled() {
+    return localStorage.getItem(COMPARE_WITH_BROWSER_KEY) !== 'false';
+}
+
+/**
+ * Attach an in-browser score to a server result for comparison
+ * @param {Object} results - Server analysis results
+ * @param {File} imageFile - Image that was analyzed
+ * @returns {Promise<Object>} Results with a browser_comparison field when available
+ */
+async function addBrowserComparison(results, imageFile) {
+    if (results.analyzer !== 'server' || !isBrowserComparisonEnabled()) {
+        return results;
+    }
+
+    try {
+        const browser = await analyzeInBrowser(imageFile, results.fruit);
+        return {
+            ...results,
+            browser_comparison: {
+                freshness_score: browser.freshness_score,
+                spoilage_risk: browser.spoilage_risk
+            }
+        };
+    } catch (error) {
+        // The comparison is optional; keep the server result
+        console.warn('In-browser comparison failed:', error);
+        return results;
+    }
+}
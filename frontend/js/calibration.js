@@ -0,0 +1,402 @@
+/**
+ * CALIBRATION.JS
+ * Dark and white-reference calibration of AS7265x sensors
+ * Features: Calibration wizard, calibration profiles per device, reflectance (0–1) from raw counts,
+ *           stale calibration and saturated channel warnings
+ */
+
+// =============================================
+// CALIBRATION PROFILES
+// =============================================
+
+const CALIBRATION_STORAGE_KEY = 'sensorCalibrations';
+const CALIBRATION_MAX_AGE_HOURS = 8;        // lamp output drifts, so recalibrate every shift
+const CALIBRATION_CAPTURE_READINGS = 5;     // readings averaged for each reference
+const CALIBRATION_MIN_SPAN = 200;           // counts needed between dark and white on every channel
+const DEFAULT_WHITE_REFLECTANCE = 0.99;     // PTFE / Spectralon-type white tile
+const SENSOR_SATURATION_COUNT = 65000;      // the 16-bit ADC tops out at 65535
+
+/**
+ * Get every stored calibration profile
+ * @returns {Object} Profiles by device ID
+ */
+function getCalibrationProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error parsing calibration profiles:', error);
+        return {};
+    }
+}
+
+/**
+ * Get the calibration profile of a device
+ * @param {string} deviceId - Device ID (see getSensorDeviceId)
+ * @returns {Object|null} { deviceId, label, dark, white, whiteReflectance, calibratedAt }, or null
+ */
+function getCalibrationProfile(deviceId) {
+    return getCalibrationProfiles()[deviceId] || null;
+}
+
+/**
+ * Store a calibration profile, replacing the device's previous one
+ * @param {Object} profile - Calibration profile
+ */
+function saveCalibrationProfile(profile) {
+    const profiles = getCalibrationProfiles();
+    profiles[profile.deviceId] = profile;
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(profiles));
+}
+
+/**
+ * Delete the calibration profile of a device
+ * @param {string} deviceId - Device ID
+ */
+function deleteCalibrationProfile(deviceId) {
+    const profiles = getCalibrationProfiles();
+    delete profiles[deviceId];
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(profiles));
+}
+
+/**
+ * Check whether a calibration is too old to trust
+ * @param {Object} profile - Calibration profile
+ * @returns {boolean} True when older than CALIBRATION_MAX_AGE_HOURS
+ */
+function isCalibrationStale(profile) {
+    return Date.now() - new Date(profile.calibratedAt).getTime() > CALIBRATION_MAX_AGE_HOURS * 3600 * 1000;
+}
+
+/**
+ * Convert raw counts to reflectance with a calibration profile
+ * reflectance = (raw - dark) / (white - dark) × reflectance of the white reference
+ * @param {Array<number>} values - 18 raw counts in SENSOR_WAVELENGTHS order
+ * @param {Object} profile - Calibration profile
+ * @returns {Array<number>} Reflectance per channel, clamped to 0–1
+ */
+function computeReflectance(values, profile) {
+    return values.map((value, index) => {
+        const span = profile.white[index] - profile.dark[index];
+        const reflectance = (value - profile.dark[index]) / span * profile.whiteReflectance;
+        return Math.min(1, Math.max(0, reflectance));
+    });
+}
+
+/**
+ * Find channels at the top of the ADC range
+ * @param {Array<number>} values - Raw counts
+ * @returns {Array<number>} Indexes of saturated channels
+ */
+function findSaturatedChannels(values) {
+    return values.reduce((saturated, value, index) => {
+        if (value >= SENSOR_SATURATION_COUNT) {
+            saturated.push(index);
+        }
+        return saturated;
+    }, []);
+}
+
+/**
+ * List channels for messages
+ * @param {Array<number>} indexes - Channel indexes
+ * @returns {string} e.g. "CH5 (510 nm), CH6 (535 nm)"
+ */
+function formatSensorChannels(indexes) {
+    return indexes.map(index => `CH${index + 1} (${SENSOR_WAVELENGTHS[index]} nm)`).join(', ');
+}
+
+// =============================================
+// SENSOR WARNINGS
+// =============================================
+
+/**
+ * Show saturation and calibration warnings above the sensor table
+ * @param {Array<number>} values - Raw counts on display
+ * @param {Object|null} profile - Calibration applied to them, if any
+ */
+function renderSensorWarnings(values, profile) {
+    const container = document.getElementById('sensorWarnings');
+    const warnings = [];
+
+    const saturated = findSaturatedChannels(values);
+    if (saturated.length > 0) {
+        warnings.push(t('calibration.saturated', { channels: formatSensorChannels(saturated) }));
+    }
+
+    if (profile && isCalibrationStale(profile)) {
+        warnings.push(t('calibration.stale', {
+            date: formatDate(profile.calibratedAt),
+            hours: formatNumber(CALIBRATION_MAX_AGE_HOURS)
+        }));
+    } else if (!profile && getActiveSensor()) {
+        warnings.push(t('calibration.missing'));
+    }
+
+    container.innerHTML = '';
+    warnings.forEach(warning => {
+        const item = document.createElement('p');
+        item.className = 'sensor-warning';
+        item.textContent = warning;
+        container.appendChild(item);
+    });
+    container.classList.toggle('hidden', warnings.length === 0);
+}
+
+// =============================================
+// CALIBRATION WIZARD
+// =============================================
+
+let calibrationDraft = null;
+
+/**
+ * Average the next live readings from the sensor
+ * @param {number} count - Readings to average
+ * @returns {Promise<Array<number>>} Mean counts per channel
+ */
+function captureSensorAverage(count = CALIBRATION_CAPTURE_READINGS) {
+    return new Promise((resolve, reject) => {
+        const readings = [];
+
+        const finish = (error) => {
+            clearTimeout(timeout);
+            document.removeEventListener('sensorreading', onReading);
+            if (error) {
+                reject(error);
+                return;
+            }
+            resolve(readings[0].map((value, index) =>
+                readings.reduce((sum, reading) => sum + reading[index], 0) / readings.length
+            ));
+        };
+
+        const onReading = (e) => {
+            readings.push(e.detail.values);
+            if (readings.length >= count) {
+                finish(null);
+            }
+        };
+
+        // Allow for a slow or stalled device
+        const timeout = setTimeout(() => finish(new Error(t('calibration.noReadings'))),
+            count * SENSOR_POLL_INTERVAL_MS * 3 + 2000);
+
+        document.addEventListener('sensorreading', onReading);
+    });
+}
+
+/**
+ * Initialize the calibration wizard and the calibration list in settings
+ */
+function initializeCalibration() {
+    const modal = document.getElementById('calibrationModal');
+
+    document.getElementById('sensorCalibrateBtn').addEventListener('click', openCalibrationWizard);
+    document.getElementById('calibrationDarkBtn').addEventListener('click', () => captureReference('dark'));
+    document.getElementById('calibrationWhiteBtn').addEventListener('click', () => captureReference('white'));
+    document.getElementById('saveCalibrationBtn').addEventListener('click', saveCalibrationDraft);
+
+    // Correcting the reflectance clears its error
+    document.getElementById('calibrationWhiteReflectance').addEventListener('input', () => {
+        if (calibrationDraft && !calibrationDraft.capturing) {
+            calibrationDraft.error = validateCalibrationDraft(calibrationDraft);
+            renderCalibrationWizard();
+        }
+    });
+
+    const close = () => {
+        calibrationDraft = null;
+        closeDialog(modal);
+    };
+    document.getElementById('closeCalibrationModal').addEventListener('click', close);
+    document.getElementById('cancelCalibration').addEventListener('click', close);
+
+    document.addEventListener('languagechange', () => {
+        renderCalibrationProfiles();
+        if (calibrationDraft) {
+            renderCalibrationWizard();
+        }
+    });
+
+    document.querySelector('.nav-item[data-section="settings"]').addEventListener('click', renderCalibrationProfiles);
+    renderCalibrationProfiles();
+}
+
+/**
+ * Open the wizard for the connected sensor
+ */
+function openCalibrationWizard() {
+    const sensor = getActiveSensor();
+    if (!sensor) {
+        showToast(t('calibration.connectFirst'), 'error');
+        return;
+    }
+
+    const previous = getCalibrationProfile(sensor.deviceId);
+    calibrationDraft = {
+        deviceId: sensor.deviceId,
+        dark: null,
+        white: null,
+        capturing: null,
+        error: null
+    };
+
+    document.getElementById('calibrationDeviceName').value = previous ? previous.label : sensor.label;
+    document.getElementById('calibrationWhiteReflectance').value =
+        previous ? previous.whiteReflectance : DEFAULT_WHITE_REFLECTANCE;
+
+    renderCalibrationWizard();
+    openDialog(document.getElementById('calibrationModal'));
+}
+
+/**
+ * Capture the dark or white reference and check it
+ * @param {string} reference - 'dark' or 'white'
+ */
+async function captureReference(reference) {
+    const draft = calibrationDraft;
+    draft.capturing = reference;
+    draft.error = null;
+    renderCalibrationWizard();
+
+    try {
+        const counts = await captureSensorAverage();
+        if (calibrationDraft !== draft) return;
+        draft[reference] = counts;
+        draft.error = validateCalibrationDraft(draft);
+    } catch (error) {
+        if (calibrationDraft !== draft) return;
+        draft.error = error.message;
+    }
+
+    draft.capturing = null;
+    renderCalibrationWizard();
+}
+
+/**
+ * Check captured references for problems that would make the calibration useless
+ * @param {Object} draft - Wizard state ({ dark, white })
+ * @returns {string|null} Translated problem, or null when the references can be used
+ */
+function validateCalibrationDraft(draft) {
+    for (const reference of ['dark', 'white']) {
+        const saturated = draft[reference] ? findSaturatedChannels(draft[reference]) : [];
+        if (saturated.length > 0) {
+            return t('calibration.referenceSaturated', { channels: formatSensorChannels(saturated) });
+        }
+    }
+
+    if (draft.dark && draft.white) {
+        const flat = draft.white.reduce((channels, white, index) => {
+            if (white - draft.dark[index] < CALIBRATION_MIN_SPAN) {
+                channels.push(index);
+            }
+            return channels;
+        }, []);
+        if (flat.length > 0) {
+            return t('calibration.tooDark', { channels: formatSensorChannels(flat) });
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Update the wizard's buttons, captured values and error message
+ */
+function renderCalibrationWizard() {
+    const draft = calibrationDraft;
+
+    ['dark', 'white'].forEach(reference => {
+        const button = document.getElementById(`calibration${reference === 'dark' ? 'Dark' : 'White'}Btn`);
+        const result = document.getElementById(`calibration${reference === 'dark' ? 'Dark' : 'White'}Result`);
+
+        button.disabled = Boolean(draft.capturing);
+        button.textContent = draft.capturing === reference
+            ? t('calibration.capturing', { count: formatNumber(CALIBRATION_CAPTURE_READINGS) })
+            : t(draft[reference] ? 'calibration.recapture' : 'calibration.capture');
+
+        result.textContent = draft[reference]
+            ? t('calibration.captured', {
+                min: formatNumber(Math.min(...draft[reference]), 0),
+                max: formatNumber(Math.max(...draft[reference]), 0)
+            })
+            : '';
+    });
+
+    const errorBox = document.getElementById('calibrationError');
+    errorBox.textContent = draft.error || '';
+    errorBox.classList.toggle('hidden', !draft.error);
+
+    document.getElementById('saveCalibrationBtn').disabled =
+        !draft.dark || !draft.white || Boolean(draft.error) || Boolean(draft.capturing);
+}
+
+/**
+ * Save the wizard's references as the device's calibration profile
+ */
+function saveCalibrationDraft() {
+    const draft = calibrationDraft;
+    const whiteReflectance = parseFloat(document.getElementById('calibrationWhiteReflectance').value);
+
+    if (!(whiteReflectance > 0 && whiteReflectance <= 1)) {
+        draft.error = t('calibration.invalidReflectance');
+        renderCalibrationWizard();
+        return;
+    }
+
+    const label = document.getElementById('calibrationDeviceName').value.trim() || getActiveSensor().label;
+    saveCalibrationProfile({
+        deviceId: draft.deviceId,
+        label: label,
+        dark: draft.dark,
+        white: draft.white,
+        whiteReflectance: whiteReflectance,
+        calibratedAt: new Date().toISOString()
+    });
+
+    calibrationDraft = null;
+    closeDialog(document.getElementById('calibrationModal'));
+    renderCalibrationProfiles();
+    showToast(t('calibration.saved', { device: label }));
+}
+
+// =============================================
+// CALIBRATION LIST (SETTINGS)
+// =============================================
+
+/**
+ * List the stored calibration profiles in settings
+ */
+function renderCalibrationProfiles() {
+    const body = document.getElementById('calibrationProfilesBody');
+    const profiles = Object.values(getCalibrationProfiles())
+        .sort((a, b) => b.calibratedAt.localeCompare(a.calibratedAt));
+
+    document.getElementById('calibrationProfilesEmpty').classList.toggle('hidden', profiles.length > 0);
+    body.innerHTML = '';
+
+    profiles.forEach(profile => {
+        const stale = isCalibrationStale(profile);
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td class="calibration-device"></td>
+            <td>${formatDate(profile.calibratedAt)}</td>
+            <td>${formatNumber(profile.whiteReflectance, 2)}</td>
+            <td><span class="batch-status ${stale ? 'failed' : 'done'}">${t(stale ? 'calibration.statusStale' : 'calibration.statusCurrent')}</span></td>
+            <td class="batch-row-actions"><button class="btn-secondary"></button></td>
+        `;
+
+        // Device names are typed in by users, so never inject them as HTML
+        row.querySelector('.calibration-device').textContent = profile.label;
+
+        const deleteBtn = row.querySelector('button');
+        deleteBtn.textContent = t('common.delete');
+        deleteBtn.addEventListener('click', () => {
+            if (!confirm(t('calibration.confirmDelete', { device: profile.label }))) return;
+            deleteCalibrationProfile(profile.deviceId);
+            renderCalibrationProfiles();
+        });
+
+        body.appendChild(row);
+    });
+}
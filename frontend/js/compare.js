@@ -0,0 +1,366 @@
+/**
+ * COMPARE.JS
+ * Side-by-side comparison of stored analyses
+ * Features: History selection, overlaid spectral and sensor curves, grouped nutrient bars, diff table
+ */
+
+// =============================================
+// SELECTION
+// =============================================
+
+const COMPARE_MIN = 2;
+const COMPARE_MAX = 4;
+
+// One color per compared analysis (A-D); lines also differ in dash and point shape
+const COMPARE_COLORS = [CHART_PALETTE.blue, CHART_PALETTE.orange, CHART_PALETTE.green, CHART_PALETTE.purple];
+
+const compareSelection = new Set();
+
+let compareSpectralChart = null;
+let compareSensorChart = null;
+let compareNutrientChart = null;
+let compareEntries = [];
+
+/**
+ * Initialize comparison controls
+ */
+function initializeCompare() {
+    document.getElementById('compareSelectedBtn').addEventListener('click', () => {
+        openComparison([...compareSelection]);
+    });
+
+    document.getElementById('compareClearBtn').addEventListener('click', () => {
+        compareSelection.clear();
+        updateCompareButton();
+        renderHistory();
+    });
+
+    document.addEventListener('languagechange', () => {
+        updateCompareButton();
+        if (compareEntries.length > 0) {
+            renderComparison(compareEntries);
+        }
+    });
+
+    updateCompareButton();
+}
+
+/**
+ * Add or remove a history entry from the comparison
+ * @param {number} id - History entry ID
+ * @param {boolean} selected - Whether the entry should be compared
+ * @returns {boolean} False if the selection is already full
+ */
+function setCompareSelected(id, selected) {
+    if (selected && !compareSelection.has(id) && compareSelection.size >= COMPARE_MAX) {
+        showToast(t('compare.tooMany', { max: COMPARE_MAX }), 'error');
+        return false;
+    }
+
+    if (selected) {
+        compareSelection.add(id);
+    } else {
+        compareSelection.delete(id);
+    }
+
+    updateCompareButton();
+    return true;
+}
+
+/**
+ * Reflect the selection size on the compare buttons
+ */
+function updateCompareButton() {
+    const button = document.getElementById('compareSelectedBtn');
+    button.textContent = t('compare.selected', { count: formatNumber(compareSelection.size) });
+    button.disabled = compareSelection.size < COMPARE_MIN;
+    document.getElementById('compareClearBtn').classList.toggle('hidden', compareSelection.size === 0);
+}
+
+// =============================================
+// COMPARE VIEW
+// =============================================
+
+/**
+ * Load stored analyses and show them side by side
+ * @param {Array<number>} ids - History entry IDs
+ */
+async function openComparison(ids) {
+    if (!hasPermission('compare')) {
+        showToast(t('compare.notAllowed'), 'error');
+        return;
+    }
+
+    let entries;
+    try {
+        entries = (await Promise.all(ids.map(id => getHistoryEntry(id)))).filter(Boolean);
+    } catch (error) {
+        console.error('History error:', error);
+        showToast(t('compare.loadFailed'), 'error');
+        return;
+    }
+
+    if (entries.length < COMPARE_MIN) {
+        showToast(t('compare.tooFew', { min: COMPARE_MIN }), 'error');
+        return;
+    }
+
+    // Oldest first, so it acts as the baseline for the diff
+    entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    document.getElementById('compareEmpty').classList.add('hidden');
+    document.getElementById('compareContent').classList.remove('hidden');
+
+    renderComparison(entries);
+
+    document.querySelector('.nav-item[data-section="compare"]').click();
+}
+
+/**
+ * Render the compare view (kept for re-rendering after a language change)
+ * @param {Array<Object>} entries - History entries, baseline first
+ */
+function renderComparison(entries) {
+    compareEntries = entries;
+    renderCompareEntries(entries);
+    renderCompareCharts(entries);
+    renderCompareTable(entries);
+}
+
+/**
+ * Short label for a compared analysis (A, B, C, D)
+ * @param {number} index - Position in the comparison
+ * @returns {string} Label
+ */
+function getCompareLabel(index) {
+    return String.fromCharCode(65 + index);
+}
+
+/**
+ * Chart color for a compared analysis
+ * @param {number} index - Position in the comparison
+ * @param {number} alpha - Opacity (1 for solid)
+ * @returns {string} CSS color
+ */
+function getCompareColor(index, alpha = 1) {
+    return getChartColor(COMPARE_COLORS[index % COMPARE_COLORS.length], alpha);
+}
+
+/**
+ * Render the legend of compared analyses
+ * @param {Array<Object>} entries - History entries
+ */
+function renderCompareEntries(entries) {
+    const container = document.getElementById('compareEntries');
+    container.innerHTML = '';
+
+    entries.forEach((entry, index) => {
+        const item = document.createElement('div');
+        item.className = 'compare-entry';
+        item.style.borderColor = getCompareColor(index);
+        item.innerHTML = `
+            <img class="history-thumb" alt="${t('compare.imageAlt', { label: getCompareLabel(index) })}">
+            <div class="history-details">
+                <strong>${index === 0 ? t('compare.baseline', { label: getCompareLabel(index) }) : getCompareLabel(index)}</strong>
+                <span class="history-grade"></span>
+                <span class="history-date">${formatDate(entry.timestamp)}</span>
+            </div>
+        `;
+
+        item.querySelector('.history-grade').replaceWith(createGradeBadge(entry.grade));
+
+        const thumb = item.querySelector('.history-thumb');
+        if (entry.thumbnail) {
+            thumb.src = entry.thumbnail;
+        } else {
+            thumb.classList.add('hidden');
+        }
+
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Draw spectral, sensor and nutrient charts for all compared analyses
+ * @param {Array<Object>} entries - History entries
+ */
+function renderCompareCharts(entries) {
+    [compareSpectralChart, compareSensorChart, compareNutrientChart].forEach(chart => {
+        if (chart) chart.destroy();
+    });
+
+    const lineOptions = (xTitle, yTitle, xScale = {}) => ({
+        responsive: true,
+        maintainAspectRatio: true,
+        plugins: {
+            legend: {
+                display: true,
+                position: 'top'
+            }
+        },
+        scales: {
+            y: {
+                beginAtZero: true,
+                title: {
+                    display: true,
+                    text: yTitle
+                }
+            },
+            x: {
+                ...xScale,
+                title: {
+                    display: true,
+                    text: xTitle
+                }
+            }
+        }
+    });
+
+    const lineDataset = (entry, index, data) => ({
+        label: `${getCompareLabel(index)} · ${tValue('grades', entry.grade)}`,
+        data: data,
+        borderColor: getCompareColor(index),
+        backgroundColor: getCompareColor(index, 0.1),
+        tension: 0.4,
+        fill: false,
+        ...getChartLineStyle(index)
+    });
+
+    compareSpectralChart = new Chart(document.getElementById('compareSpectralChart').getContext('2d'), {
+        type: 'line',
+        data: {
+            datasets: entries.map((entry, index) => {
+                const spectrum = getResultSpectrum(entry.results, 'curve');
+                const points = spectrum ? spectrum.values.map((value, i) => ({ x: spectrum.wavelengths[i], y: value })) : [];
+                return lineDataset(entry, index, points);
+            })
+        },
+        options: lineOptions(t('chart.wavelengthNm'), t('chart.intensity'), { type: 'linear', min: 400, max: 950 })
+    });
+
+    compareSensorChart = new Chart(document.getElementById('compareSensorChart').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: SENSOR_WAVELENGTHS.map(w => `${w}nm`),
+            datasets: entries.map((entry, index) =>
+                lineDataset(entry, index, entry.results.sensor_emulation_values || [])
+            )
+        },
+        options: lineOptions(t('chart.wavelengthNm'), t('chart.intensityValue'))
+    });
+
+    compareNutrientChart = new Chart(document.getElementById('compareNutrientChart').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: getNutrientLabels(),
+            datasets: entries.map((entry, index) => {
+                const nutrition = entry.results.nutrition;
+                return {
+                    label: `${getCompareLabel(index)} · ${tValue('grades', entry.grade)}`,
+                    data: [
+                        parseFloat(nutrition.water_percent),
+                        parseFloat(nutrition.sugar_percent),
+                        parseFloat(nutrition.fiber),
+                        parseFloat(nutrition.vitamin_c_mg)
+                    ],
+                    backgroundColor: getChartPattern(COMPARE_COLORS[index % COMPARE_COLORS.length], index),
+                    borderColor: getCompareColor(index),
+                    borderWidth: 2
+                };
+            })
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top'
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: t('chart.value')
+                    }
+                }
+            }
+        }
+    });
+}
+
+// =============================================
+// DIFF TABLE
+// =============================================
+
+// labelKey / unitKey: message keys of the row label and value format
+// higherIsBetter: true / false colors the change, null only marks it as changed
+const COMPARE_METRICS = [
+    { labelKey: 'metric.freshnessScore', unitKey: null, decimals: 0, higherIsBetter: true, value: entry => Number(entry.results.freshness_score) },
+    { labelKey: 'metric.dryMatterContent', unitKey: 'unit.percent', decimals: 1, higherIsBetter: true, value: entry => Number(entry.results.dry_matter_percent) },
+    { labelKey: 'metric.estimatedWeight', unitKey: 'unit.kg', decimals: 2, higherIsBetter: null, value: entry => Number(entry.results.estimated_weight_kg) }
+];
+
+/**
+ * Classify a change against the baseline
+ * @param {number} delta - Change from the baseline
+ * @param {boolean|null} higherIsBetter - Direction of improvement
+ * @returns {string} CSS class ('' when unchanged)
+ */
+function getDiffClass(delta, higherIsBetter) {
+    if (delta === 0) return '';
+    if (higherIsBetter === null) return 'diff-changed';
+    return (delta > 0) === higherIsBetter ? 'diff-better' : 'diff-worse';
+}
+
+/**
+ * Render the diff table, with changes relative to the first analysis
+ * @param {Array<Object>} entries - History entries (baseline first)
+ */
+function renderCompareTable(entries) {
+    const head = document.getElementById('compareTableHead');
+    const body = document.getElementById('compareTableBody');
+
+    head.innerHTML = `<tr><th>${t('compare.metric')}</th>${entries.map((_, index) =>
+        `<th style="color: ${getCompareColor(index)}">${getCompareLabel(index)}</th>`
+    ).join('')}</tr>`;
+    body.innerHTML = '';
+
+    COMPARE_METRICS.forEach(metric => {
+        const baseline = metric.value(entries[0]);
+        const cells = entries.map((entry, index) => {
+            const value = metric.value(entry);
+            const number = formatNumber(value, metric.decimals);
+            const formatted = metric.unitKey ? t(metric.unitKey, { value: number }) : number;
+            if (index === 0 || Number.isNaN(value) || Number.isNaN(baseline)) {
+                return `<td>${formatted}</td>`;
+            }
+
+            const delta = Number((value - baseline).toFixed(metric.decimals));
+            const sign = delta > 0 ? '+' : '';
+            return `<td class="${getDiffClass(delta, metric.higherIsBetter)}">${formatted} <small>(${sign}${formatNumber(delta, metric.decimals)})</small></td>`;
+        });
+
+        const row = document.createElement('tr');
+        row.innerHTML = `<td><strong>${t(metric.labelKey)}</strong></td>${cells.join('')}`;
+        body.appendChild(row);
+    });
+
+    // Grades compare by rank in the active rule profile (best first); unknown grades are only marked as changed
+    const gradeNames = getGradeNames();
+    const baselineRank = gradeNames.indexOf(entries[0].grade);
+    const gradeRow = document.createElement('tr');
+    gradeRow.innerHTML = `<td><strong>${t('common.grade')}</strong></td>`;
+    entries.forEach((entry, index) => {
+        const rank = gradeNames.indexOf(entry.grade);
+        const cell = document.createElement('td');
+        if (index > 0 && entry.grade !== entries[0].grade) {
+            cell.className = baselineRank < 0 || rank < 0 ? 'diff-changed' : getDiffClass(baselineRank - rank, true);
+        }
+        cell.appendChild(createGradeBadge(entry.grade));
+        gradeRow.appendChild(cell);
+    });
+    body.appendChild(gradeRow);
+}
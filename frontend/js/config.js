@@ -0,0 +1,225 @@
+/**
+ * CONFIG.JS
+ * Shared client configuration for the login and dashboard pages
+ * Features: Named API profiles, config file / query parameter / settings overrides, backend health check
+ *
+ * Resolution order (later wins):
+ *   1. Built-in profiles below
+ *   2. app-config.js (window.APP_CONFIG) next to the HTML pages
+ *   3. Settings saved from the dashboard settings panel (localStorage)
+ *   4. Query parameters ?profile=<name> or ?api=<base url> (kept for the browser tab); ?api= only
+ *      takes a configured backend, this page's origin or one on this computer
+ */
+
+// =============================================
+// PROFILES
+// =============================================
+
+const CONFIG_SETTINGS_KEY = 'clientSettings';
+const CONFIG_OVERRIDE_KEY = 'clientSettingsOverride';
+const HEALTH_CHECK_TIMEOUT_MS = 4000;
+const HEALTH_CHECK_INTERVAL_MS = 30000;
+
+// Hosts a ?api= link may always point at: the backend runs on this computer
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// labelKey: message key of the profile name (see i18n.js)
+const BUILT_IN_PROFILES = {
+    local: {
+        labelKey: 'profile.local',
+        apiBase: 'http://127.0.0.1:8000'
+    },
+    staging: {
+        labelKey: 'profile.staging',
+        apiBase: ''
+    },
+    mock: {
+        labelKey: 'profile.mock',
+        apiBase: '',
+        mock: true
+    }
+};
+
+/**
+ * Read JSON from web storage without failing on bad data
+ * @param {Storage} storage - localStorage or sessionStorage
+ * @param {string} key - Storage key
+ * @returns {Object} Parsed value or an empty object
+ */
+function readStoredSettings(storage, key) {
+    try {
+        return JSON.parse(storage.getItem(key)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Get all profiles, including ones defined in app-config.js
+ * @returns {Object} Profiles keyed by name
+ */
+function getProfiles() {
+    const fileConfig = window.APP_CONFIG || {};
+    const profiles = {};
+
+    Object.entries(BUILT_IN_PROFILES).forEach(([name, profile]) => {
+        profiles[name] = { ...profile, label: t(profile.labelKey) };
+    });
+
+    Object.entries(fileConfig.profiles || {}).forEach(([name, profile]) => {
+        profiles[name] = { label: name, ...profiles[name], ...profile };
+    });
+
+    return profiles;
+}
+
+/**
+ * Check whether a ?api= link may choose a backend
+ * The sign-in form posts passwords to that backend, so a link may only pick one configured in a
+ * profile, this page's own origin or a server on this computer; others are set in Settings.
+ * @param {string} apiBase - Base URL from the link
+ * @returns {boolean} True if allowed
+ */
+function isAllowedApiOverride(apiBase) {
+    let url;
+    try {
+        url = new URL(apiBase, window.location.href);
+    } catch (e) {
+        return false;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return false;
+    }
+
+    const trimmed = apiBase.replace(/\/+$/, '');
+    return url.origin === window.location.origin
+        || LOOPBACK_HOSTS.includes(url.hostname)
+        || Object.values(getProfiles()).some(profile => profile.apiBase && profile.apiBase.replace(/\/+$/, '') === trimmed);
+}
+
+/**
+ * Capture ?profile= / ?api= so they survive the login redirect
+ */
+function captureQueryOverrides() {
+    const params = new URLSearchParams(window.location.search);
+    const override = {};
+
+    if (params.has('profile')) {
+        override.profile = params.get('profile');
+    }
+    if (params.has('api')) {
+        if (isAllowedApiOverride(params.get('api'))) {
+            override.apiBase = params.get('api');
+        } else {
+            console.warn('Ignoring ?api= for a backend that is not configured:', params.get('api'));
+        }
+    }
+
+    if (Object.keys(override).length > 0) {
+        sessionStorage.setItem(CONFIG_OVERRIDE_KEY, JSON.stringify(override));
+    }
+}
+
+/**
+ * Resolve the active client configuration
+ * @returns {Object} { profile, label, apiBase, mock }
+ */
+function getClientConfig() {
+    const profiles = getProfiles();
+    const fileConfig = window.APP_CONFIG || {};
+    const settings = {
+        profile: fileConfig.defaultProfile || 'local',
+        ...readStoredSettings(localStorage, CONFIG_SETTINGS_KEY),
+        ...readStoredSettings(sessionStorage, CONFIG_OVERRIDE_KEY)
+    };
+
+    const profileName = profiles[settings.profile] ? settings.profile : 'local';
+    const profile = profiles[profileName];
+    const isCustomServer = Boolean(settings.apiBase) && settings.apiBase !== profile.apiBase;
+
+    return {
+        profile: profileName,
+        label: isCustomServer ? t('health.customServer', { profile: profile.label }) : profile.label,
+        apiBase: (settings.apiBase || profile.apiBase || '').replace(/\/+$/, ''),
+        mock: Boolean(profile.mock)
+    };
+}
+
+/**
+ * Build a full API URL for the active profile
+ * @param {string} path - API path, e.g. /api/auth/login
+ * @returns {string} Absolute URL
+ */
+function getApiUrl(path) {
+    return getClientConfig().apiBase + path;
+}
+
+/**
+ * Save settings chosen in the settings panel
+ * @param {Object} settings - { profile, apiBase }
+ */
+function saveClientSettings(settings) {
+    localStorage.setItem(CONFIG_SETTINGS_KEY, JSON.stringify(settings));
+    // An explicit choice replaces any query parameter override for this tab
+    sessionStorage.removeItem(CONFIG_OVERRIDE_KEY);
+}
+
+/**
+ * Remove saved settings and overrides
+ */
+function resetClientSettings() {
+    localStorage.removeItem(CONFIG_SETTINGS_KEY);
+    sessionStorage.removeItem(CONFIG_OVERRIDE_KEY);
+}
+
+// =============================================
+// BACKEND HEALTH
+// =============================================
+
+/**
+ * Ping the backend for the active profile
+ * @returns {Promise<string>} 'online', 'offline', 'mock' or 'unconfigured'
+ */
+async function checkBackendHealth() {
+    const config = getClientConfig();
+    if (config.mock) return 'mock';
+    if (!config.apiBase) return 'unconfigured';
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), HEALTH_CHECK_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(`${config.apiBase}/api/health`, { signal: controller.signal });
+        return response.ok ? 'online' : 'offline';
+    } catch (error) {
+        return 'offline';
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Render and periodically refresh a health indicator
+ * @param {HTMLElement} element - Indicator element
+ * @returns {Function} Call to refresh immediately
+ */
+function initializeHealthIndicator(element) {
+    const render = (status) => {
+        const config = getClientConfig();
+        element.className = `health-indicator ${status}`;
+        element.textContent = t('health.status', { profile: config.label, status: t(`health.${status}`) });
+        element.title = config.apiBase || config.label;
+    };
+
+    const refresh = async () => {
+        render('checking');
+        render(await checkBackendHealth());
+    };
+
+    refresh();
+    setInterval(refresh, HEALTH_CHECK_INTERVAL_MS);
+
+    return refresh;
+}
+
+captureQueryOverrides();
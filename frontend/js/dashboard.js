@@ -11,6 +11,19 @@
 let currentSection = 'upload';
 let uploadedImage = null;
 let analysisResults = null;
+let analysisImageUrl = null;   // image behind analysisResults (used by exports)
+
+// Camera chosen in the camera modal
+const PREFERRED_CAMERA_KEY = 'preferredCameraId';
+
+// Segmenting a large photo can take a while on a small server
+const ANALYSIS_TIMEOUT_MS = 60000;
+
+// Toasts with a recovery action stay long enough to use it
+const TOAST_DURATION_MS = 3000;
+const TOAST_ACTION_DURATION_MS = 8000;
+
+let toastTimer = null;
 
 // Chart instances
 let spectralChart = null;
@@ -18,6 +31,10 @@ let nutrientChart = null;
 let qualityChart = null;
 let sensorChart = null;
 
+// Chart colors (see CHART_PALETTE): water, sugar, fiber, vitamin C / fresh, at risk, spoiled
+const NUTRIENT_COLORS = [CHART_PALETTE.sky, CHART_PALETTE.orange, CHART_PALETTE.green, CHART_PALETTE.vermillion];
+const QUALITY_COLORS = [CHART_PALETTE.blue, CHART_PALETTE.orange, CHART_PALETTE.vermillion];
+
 // AS7265x sensor wavelengths (18 channels)
 const SENSOR_WAVELENGTHS = [
     410, 435, 460, 485, 510, 535, 560, 585, 610, 
@@ -29,20 +46,56 @@ const SENSOR_WAVELENGTHS = [
 // =============================================
 
 document.addEventListener('DOMContentLoaded', () => {
+    // Translate the page before anything else renders text
+    initializeLanguageSelect(document.getElementById('languageSelect'));
+    
+    // Keyboard support and display preferences (before the charts are drawn)
+    initializeAccessibility();
+    
     // Check authentication
     checkAuth();
     
+    // Offline app shell and install button
+    registerServiceWorker();
+    initializeInstallButton(document.getElementById('installAppBtn'));
+    
     // Initialize UI components
     initializeNavigation();
     initializeUpload();
+    initializeFruitSelector();
     initializeCamera();
     initializeCharts();
+    initializeSpectralAnalysis();
+    initializeHistory();
+    initializeBatch();
+    initializeUploadQueue();
+    initializeExport();
+    initializeSettings();
+    initializeGradingSettings();
+    initializeOverlay();
+    initializeScanner();
+    initializeRoi();
+    initializeCompare();
+    initializeAnalytics();
+    initializeLots();
+    initializeUsers();
+    initializeSensorSerial();
+    initializeCalibration();
     
     // Load user info
     loadUserInfo();
     
     // Setup logout
     document.getElementById('logoutBtn').addEventListener('click', handleLogout);
+    
+    // Re-render text that was built in JavaScript
+    document.addEventListener('languagechange', () => {
+        loadUserInfo();
+        translateCharts();
+        if (analysisResults) {
+            displayAnalysisResults(analysisResults);
+        }
+    });
 });
 
 // =============================================
@@ -53,10 +106,25 @@ document.addEventListener('DOMContentLoaded', () => {
  * Check if user is authenticated
  */
 function checkAuth() {
-    const token = localStorage.getItem('authToken') || sessionStorage.getItem('authToken');
-    if (!token) {
+    if (!getAuthToken()) {
         window.location.href = 'login.html';
+        return;
+    }
+    
+    // The offline mock profile has no server to verify against
+    if (getClientConfig().mock) {
+        return;
     }
+    
+    // Keep working offline; only a rejected session signs the user out
+    verifySession().then(valid => {
+        if (valid === false) {
+            handleLogout(null, t('auth.sessionExpired'));
+        } else if (valid) {
+            loadUserInfo();
+            applyRolePermissions();
+        }
+    });
 }
 
 
@@ -64,33 +132,44 @@ function checkAuth() {
  * Load user information from storage
  */
 function loadUserInfo() {
-    const userDataStr = localStorage.getItem('userData') || sessionStorage.getItem('userData');
+    const userData = getCurrentUser();
     
-    if (userDataStr) {
-        try {
-            const userData = JSON.parse(userDataStr);
-            document.getElementById('userName').textContent = userData.name || 'User';
-            document.getElementById('userEmail').textContent = userData.email || 'user@atria.edu';
-        } catch (e) {
-            console.error('Error parsing user data:', e);
-        }
+    if (userData) {
+        document.getElementById('userName').textContent = userData.name || t('users.fallbackName');
+        document.getElementById('userEmail').textContent = userData.email || 'user@atria.edu';
+        document.getElementById('userRole').textContent = formatRole(userData.role);
+    }
+}
+
+/**
+ * Hide navigation items and actions the user's role does not allow
+ * Elements opt in with a data-permission attribute (see ROLE_PERMISSIONS).
+ */
+function applyRolePermissions() {
+    document.querySelectorAll('[data-permission]').forEach(element => {
+        element.classList.toggle('role-hidden', !hasPermission(element.dataset.permission));
+    });
+    
+    // Leave a section the role can no longer see
+    const activeItem = document.querySelector('.nav-item.active');
+    if (activeItem && activeItem.classList.contains('role-hidden')) {
+        document.querySelector('.nav-item[data-section="upload"]').click();
     }
 }
 
 /**
  * Handle logout
+ * @param {Event|null} e - Click event, or null when the session was rejected
+ * @param {string} message - Toast shown before redirecting
  */
-function handleLogout(e) {
-    e.preventDefault();
+function handleLogout(e, message = t('toast.loggedOut')) {
+    if (e) e.preventDefault();
     
     // Clear all storage
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('userData');
-    sessionStorage.removeItem('authToken');
-    sessionStorage.removeItem('userData');
+    clearSession();
     
     // Show toast
-    showToast('Logged out successfully');
+    showToast(message, e ? 'success' : 'error');
     
     // Redirect to login
     setTimeout(() => {
@@ -109,6 +188,8 @@ function initializeNavigation() {
     const navItems = document.querySelectorAll('.nav-item[data-section]');
     const sections = document.querySelectorAll('.content-section');
     
+    applyRolePermissions();
+    
     navItems.forEach(item => {
         item.addEventListener('click', (e) => {
             e.preventDefault();
@@ -123,9 +204,11 @@ function initializeNavigation() {
             sections.forEach(section => section.classList.remove('active'));
             document.getElementById(`${sectionId}Section`).classList.add('active');
             
-            // Update page title
-            const pageTitle = item.querySelector('span').textContent;
-            document.getElementById('pageTitle').textContent = pageTitle;
+            // Update page title (keeping its message key for language changes)
+            const label = item.querySelector('span');
+            const pageTitle = document.getElementById('pageTitle');
+            pageTitle.dataset.i18n = label.dataset.i18n;
+            pageTitle.textContent = label.textContent;
             
             currentSection = sectionId;
         });
@@ -136,7 +219,8 @@ function initializeNavigation() {
     const sidebar = document.getElementById('sidebar');
     
     sidebarToggle.addEventListener('click', () => {
-        sidebar.classList.toggle('collapsed');
+        const collapsed = sidebar.classList.toggle('collapsed');
+        sidebarToggle.setAttribute('aria-expanded', String(!collapsed));
     });
 }
 
@@ -163,10 +247,7 @@ function initializeUpload() {
     
     // File selection
     fileInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            handleFileUpload(file);
-        }
+        handleFileSelection(Array.from(e.target.files));
     });
     
     // Drag and drop
@@ -187,12 +268,7 @@ function initializeUpload() {
         uploadZone.style.borderColor = '';
         uploadZone.style.background = '';
         
-        const file = e.dataTransfer.files[0];
-        if (file && file.type.startsWith('image/')) {
-            handleFileUpload(file);
-        } else {
-            showToast('Please upload a valid image file', 'error');
-        }
+        handleFileSelection(Array.from(e.dataTransfer.files));
     });
     
     // Remove image
@@ -204,11 +280,32 @@ function initializeUpload() {
     // Analyze button
     analyzeBtn.addEventListener('click', () => {
         if (uploadedImage) {
-            analyzeApple();
+            analyzeFruit();
         }
     });
 }
 
+/**
+ * Route selected files to single upload or batch analysis
+ * @param {Array<File>} files - Selected or dropped files
+ */
+function handleFileSelection(files) {
+    if (files.length === 0) {
+        return;
+    }
+    
+    if (files.length === 1) {
+        handleFileUpload(files[0]);
+    } else if (shouldQueueUploads()) {
+        queueUploads(files);
+    } else {
+        startBatch(files);
+    }
+    
+    // Allow the same files to be selected again
+    document.getElementById('fileInput').value = '';
+}
+
 /**
  * Handle file upload
  * @param {File} file - Image file
@@ -216,13 +313,13 @@ function initializeUpload() {
 function handleFileUpload(file) {
     // Validate file type
     if (!file.type.startsWith('image/')) {
-        showToast('Please upload a valid image file', 'error');
+        showToast(t('toast.invalidImage'), 'error');
         return;
     }
     
     // Validate file size (max 10MB)
     if (file.size > 10 * 1024 * 1024) {
-        showToast('File size must be less than 10MB', 'error');
+        showToast(t('toast.fileTooLarge'), 'error');
         return;
     }
     
@@ -240,13 +337,14 @@ function handleFileUpload(file) {
         document.getElementById('uploadZone').classList.add('hidden');
         document.querySelector('.upload-buttons').classList.add('hidden');
         document.getElementById('imagePreview').classList.remove('hidden');
+        document.getElementById('roiActions').classList.remove('hidden');
         document.getElementById('analyzeBtn').classList.remove('hidden');
         
-        showToast('Image uploaded successfully');
+        showToast(t('toast.imageUploaded'));
     };
     
     reader.onerror = () => {
-        showToast('Error reading file', 'error');
+        showToast(t('toast.readError'), 'error');
     };
     
     reader.readAsDataURL(file);
@@ -256,11 +354,14 @@ function handleFileUpload(file) {
  * Clear uploaded image
  */
 function clearUploadedImage() {
+    cancelCrop();
+    clearFruitBoxes();
     uploadedImage = null;
     document.getElementById('fileInput').value = '';
     document.getElementById('uploadZone').classList.remove('hidden');
     document.querySelector('.upload-buttons').classList.remove('hidden');
     document.getElementById('imagePreview').classList.add('hidden');
+    document.getElementById('roiActions').classList.add('hidden');
     document.getElementById('analyzeBtn').classList.add('hidden');
 }
 
@@ -279,33 +380,65 @@ function initializeCamera() {
     const captureBtn = document.getElementById('captureBtn');
     const cameraStream = document.getElementById('cameraStream');
     const cameraCanvas = document.getElementById('cameraCanvas');
+    const cameraSelect = document.getElementById('cameraSelect');
     
     let stream = null;
     
+    // Start (or switch) the camera stream; a saved device wins over the rear-camera default
+    const startStream = async (deviceId) => {
+        if (stream) {
+            stream.getTracks().forEach(track => track.stop());
+        }
+        
+        stream = await navigator.mediaDevices.getUserMedia({
+            video: deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'environment' }
+        });
+        cameraStream.srcObject = stream;
+    };
+    
     // Open camera modal
     cameraBtn.addEventListener('click', async () => {
         try {
             // Request camera access
-            stream = await navigator.mediaDevices.getUserMedia({ 
-                video: { facingMode: 'environment' } 
-            });
+            try {
+                await startStream(localStorage.getItem(PREFERRED_CAMERA_KEY));
+            } catch (error) {
+                // The saved camera may have been unplugged
+                localStorage.removeItem(PREFERRED_CAMERA_KEY);
+                await startStream(null);
+            }
             
-            cameraStream.srcObject = stream;
-            cameraModal.classList.remove('hidden');
+            openDialog(cameraModal, captureBtn);
             
+            // Device labels are only available once permission is granted
+            const activeDeviceId = stream.getVideoTracks()[0].getSettings().deviceId;
+            await populateCameraList(cameraSelect, activeDeviceId);
+            
+        } catch (error) {
+            console.error('Camera error:', error);
+            showToast(t('toast.cameraDenied'), 'error');
+        }
+    });
+    
+    // Switch camera
+    cameraSelect.addEventListener('change', async () => {
+        try {
+            await startStream(cameraSelect.value);
+            localStorage.setItem(PREFERRED_CAMERA_KEY, cameraSelect.value);
         } catch (error) {
             console.error('Camera error:', error);
-            showToast('Unable to access camera. Please check permissions.', 'error');
+            showToast(t('toast.cameraSwitchFailed'), 'error');
         }
     });
     
     // Close camera modal
     const closeCamera = () => {
+        stopContinuousScan();
         if (stream) {
             stream.getTracks().forEach(track => track.stop());
             stream = null;
         }
-        cameraModal.classList.add('hidden');
+        closeDialog(cameraModal);
     };
     
     closeCameraModal.addEventListener('click', closeCamera);
@@ -336,16 +469,47 @@ function initializeCamera() {
     });
 }
 
+/**
+ * Fill the camera selector with available video inputs
+ * @param {HTMLSelectElement} select - Camera selector
+ * @param {string} activeDeviceId - Device currently streaming
+ */
+async function populateCameraList(select, activeDeviceId) {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const cameras = devices.filter(device => device.kind === 'videoinput');
+    
+    select.innerHTML = '';
+    cameras.forEach((camera, index) => {
+        const option = document.createElement('option');
+        option.value = camera.deviceId;
+        option.textContent = camera.label || t('camera.option', { number: index + 1 });
+        select.appendChild(option);
+    });
+    
+    select.value = activeDeviceId;
+    
+    // Nothing to switch between with a single camera
+    select.classList.toggle('hidden', cameras.length < 2);
+}
+
 // =============================================
 // FRUIT ANALYSIS
 // =============================================
 
 /**
- * Analyze uploaded apple image
+ * Analyze uploaded fruit image as the fruit type chosen on the upload screen
  */
-async function analyzeApple() {
+async function analyzeFruit() {
     if (!uploadedImage) {
-        showToast('Please upload an image first', 'error');
+        showToast(t('toast.uploadFirst'), 'error');
+        return;
+    }
+    
+    // Without a connection the image waits in the upload queue
+    if (shouldQueueUploads()) {
+        if (await queueUploads([uploadedImage.file]) > 0) {
+            clearUploadedImage();
+        }
         return;
     }
     
@@ -355,83 +519,156 @@ async function analyzeApple() {
     const analyzeSpinner = document.getElementById('analyzeSpinner');
     
     analyzeBtn.disabled = true;
-    analyzeBtnText.textContent = 'Analyzing...';
+    analyzeBtnText.textContent = t('analyze.analyzing');
     analyzeSpinner.classList.remove('hidden');
     
     try {
-        // Call analysis API
-        const results = await callAnalysisAPI(uploadedImage.file);
+        if (document.getElementById('multiFruitToggle').checked) {
+            const count = await analyzeEachFruit();
+            if (count > 0) {
+                document.querySelector('.nav-item[data-section="analyze"]').click();
+                showToast(t('roi.analyzedCount', { count: formatNumber(count) }));
+                return;
+            }
+            showToast(t('roi.noneFound'), 'error');
+        }
+        
+        // Call analysis API, cross-checking server scores in the browser
+        const results = await addBrowserComparison(
+            await callAnalysisAPI(uploadedImage.file),
+            uploadedImage.file
+        );
         
         // Store results
         analysisResults = results;
+        analysisImageUrl = uploadedImage.dataUrl;
         
         // Update UI with results
+        hideMultiFruitResults();
         displayAnalysisResults(results);
         
+        // Keep a copy in history (failures here must not break the analysis)
+        saveToHistory(results, uploadedImage).catch(error => {
+            console.error('History error:', error);
+        });
+        
         // Switch to analyze section
         document.querySelector('.nav-item[data-section="analyze"]').click();
         
-        showToast('Analysis completed successfully');
+        showToast(t('toast.analysisDone'));
         
     } catch (error) {
         console.error('Analysis error:', error);
-        showToast('Analysis failed. Please try again.', 'error');
+        showAnalysisError(error);
         
     } finally {
         // Hide loading state
         analyzeBtn.disabled = false;
-        analyzeBtnText.textContent = 'Analyze Apple';
+        updateFruitCopy();
         analyzeSpinner.classList.add('hidden');
     }
 }
 
 /**
- * Call analysis API endpoint
+ * Analyze an image with the analyzer chosen by the analysis mode
  * @param {File} imageFile - Image file to analyze
+ * @param {string} fruit - Fruit type (see FRUIT_TYPES); the upload screen's choice by default
+ * @param {Object|null} lot - Lot the fruit belongs to; the upload screen's active lot by default
+ * @param {Object} options - { store }: keep the result in the backend's history (default true)
  * @returns {Promise<Object>} Analysis results
  */
-async function callAnalysisAPI(imageFile) {
-    const API_URL = 'http://127.0.0.1:8000/api/analyze/apple';  // fixed absolute URL
+async function callAnalysisAPI(imageFile, fruit = getSelectedFruit(), lot = getActiveLot(), options = {}) {
+    const mode = getAnalysisMode();
+    
+    // The offline mock profile has no backend to call
+    if (getClientConfig().mock) {
+        return runAnalyzer(['mock', 'browser'].includes(mode) ? mode : 'seeded', imageFile, fruit, lot, options);
+    }
+    
+    if (mode !== 'auto' && mode !== 'server') {
+        return runAnalyzer(mode, imageFile, fruit, lot, options);
+    }
+    
+    try {
+        return await runAnalyzer('server', imageFile, fruit, lot, options);
+    } catch (error) {
+        if (mode !== 'auto' || !isNetworkError(error)) {
+            throw error;
+        }
+        console.warn('Backend unreachable, using in-browser analyzer:', error);
+        return runAnalyzer('browser', imageFile, fruit, lot, options);
+    }
+}
+
+/**
+ * Explain why an analysis failed and offer its recovery action
+ * @param {Error} error - Error from callAnalysisAPI() (API errors carry a code and action, see api.js)
+ */
+function showAnalysisError(error) {
+    // An ended session already sends the user to the login page
+    if (error.action === 'signIn') {
+        return;
+    }
+
+    const actions = {
+        retry: { label: t('apiError.action.retry'), run: analyzeFruit },
+        chooseImage: { label: t('apiError.action.chooseImage'), run: () => document.getElementById('fileInput').click() }
+    };
+    showToast(error.code ? error.message : t('toast.analysisFailed'), 'error', actions[error.action] || null);
+}
 
+/**
+ * Call analysis API endpoint
+ * @param {File} imageFile - Image file to analyze
+ * @param {string} fruit - Fruit type (see FRUIT_TYPES)
+ * @param {Object|null} lot - Lot the fruit belongs to; the backend records it with the result
+ * @param {boolean} store - Have the backend store the analysis (it then returns analysis_id)
+ * @returns {Promise<Object>} Analysis results
+ */
+async function requestServerAnalysis(imageFile, fruit, lot = null, store = true) {
     const formData = new FormData();
     formData.append('image', imageFile);
+    if (store) {
+        formData.append('store', 'true');
+    }
+    // Recorded with the stored analysis so history can grade it with the same rules
+    formData.append('grading_profile', getActiveGradingProfileName(fruit));
+    if (lot) {
+        formData.append('lot', JSON.stringify(lot));
+    }
 
-    const response = await fetch(API_URL, {
+    return requestApi(`/api/analyze/${fruit}`, {
         method: 'POST',
-        body: formData
+        body: formData,
+        timeout: ANALYSIS_TIMEOUT_MS
     });
-
-    if (!response.ok) {
-        throw new Error('Analysis request failed');
-    }
-
-    return await response.json();
 }
 
 /**
  * Generate mock analysis data for demo
+ * @param {Function} random - Random source returning [0, 1); pass a seeded one for repeatable results
+ * @param {string} fruit - Fruit type; dry matter and nutrients follow its model (see FRUIT_TYPES)
  * @returns {Object} Mock analysis results
  */
-function generateMockAnalysisData() {
+function generateMockAnalysisData(random = Math.random, fruit = DEFAULT_FRUIT) {
     return new Promise((resolve) => {
         setTimeout(() => {
+            const freshness = Math.floor(random() * 20) + 75; // 75-95
+            const dm = dryMatterFromFreshness(freshness, fruit);
+            // Heavier or lighter than an apple of the same size
+            const weightScale = getFruitType(fruit).weightFactor / FRUIT_TYPES.apple.weightFactor;
             resolve({
-                freshness_score: Math.floor(Math.random() * 20) + 75, // 75-95
-                dry_matter_percent: (Math.random() * 3 + 12).toFixed(1), // 12-15%
-                spoilage_risk: ['Low', 'Medium', 'High'][Math.floor(Math.random() * 3)],
-                pesticide_class: ['Pure', 'Fungicide Low', 'Fungicide High', 'Insecticide Low'][Math.floor(Math.random() * 4)],
-                estimated_weight_kg: (Math.random() * 0.15 + 0.15).toFixed(2), // 0.15-0.30 kg
-                nutrition: {
-                    water_percent: (Math.random() * 3 + 84).toFixed(1), // 84-87%
-                    sugar_percent: (Math.random() * 2 + 10).toFixed(1), // 10-12%
-                    fiber: (Math.random() * 1 + 2).toFixed(1), // 2-3g
-                    vitamin_c_mg: (Math.random() * 3 + 4).toFixed(1) // 4-7mg
-                },
+                freshness_score: freshness,
+                dry_matter_percent: dm.toFixed(1),
+                spoilage_risk: ['Low', 'Medium', 'High'][Math.floor(random() * 3)],
+                pesticide_class: ['Pure', 'Fungicide Low', 'Fungicide High', 'Insecticide Low'][Math.floor(random() * 4)],
+                estimated_weight_kg: ((random() * 0.15 + 0.15) * weightScale).toFixed(2), // apples 0.15-0.30 kg
+                nutrition: nutritionFromDryMatter(dm, fruit),
                 spectral_prediction_graph_data: Array.from({length: 50}, (_, i) => 
-                    Math.sin(i / 5) * 20 + 50 + Math.random() * 10
+                    Math.sin(i / 5) * 20 + 50 + random() * 10
                 ),
                 sensor_emulation_values: Array.from({length: 18}, () => 
-                    Math.floor(Math.random() * 30000) + 5000
+                    Math.floor(random() * 30000) + 5000
                 )
             });
         }, 2000);
@@ -444,17 +681,20 @@ function generateMockAnalysisData() {
  */
 function displayAnalysisResults(results) {
     // Update stat cards
-    document.getElementById('freshnessScore').textContent = results.freshness_score;
-    document.getElementById('dryMatter').textContent = results.dry_matter_percent + '%';
-    document.getElementById('spoilageRisk').textContent = results.spoilage_risk;
-    document.getElementById('pesticideLevel').textContent = results.pesticide_class;
-    document.getElementById('estimatedWeight').textContent = results.estimated_weight_kg + ' kg';
+    document.getElementById('freshnessScore').textContent = formatNumber(results.freshness_score);
+    document.getElementById('dryMatter').textContent = formatPercent(results.dry_matter_percent);
+    document.getElementById('spoilageRisk').textContent = tValue('risk', results.spoilage_risk);
+    document.getElementById('pesticideLevel').textContent = tValue('pesticide', results.pesticide_class);
+    document.getElementById('estimatedWeight').textContent = formatWeight(results.estimated_weight_kg);
     
     // Update nutrition values
-    document.getElementById('waterContent').textContent = results.nutrition.water_percent + '%';
-    document.getElementById('sugarContent').textContent = results.nutrition.sugar_percent + '%';
-    document.getElementById('vitaminC').textContent = results.nutrition.vitamin_c_mg + ' mg';
-    document.getElementById('fiberContent').textContent = results.nutrition.fiber + ' g';
+    document.getElementById('waterContent').textContent = formatPercent(results.nutrition.water_percent);
+    document.getElementById('sugarContent').textContent = formatPercent(results.nutrition.sugar_percent);
+    document.getElementById('vitaminC').textContent = t('unit.mg', { value: formatNumber(results.nutrition.vitamin_c_mg) });
+    document.getElementById('fiberContent').textContent = t('unit.g', { value: formatNumber(results.nutrition.fiber) });
+    
+    // Show in-browser vs server freshness when both are available
+    displayBrowserComparison(results);
     
     // Apply color coding to spoilage card
     const spoilageCard = document.getElementById('spoilageCard');
@@ -475,8 +715,14 @@ function displayAnalysisResults(results) {
     // Display quality assessment banner
     displayQualityAssessment(results);
     
+    // Results can now be exported
+    document.getElementById('exportBar').classList.remove('hidden');
+    
+    // Show where fresh and spoiled pixels were found
+    displaySpoilageOverlay(results);
+    
     // Update charts
-    updateSpectralChart(results.spectral_prediction_graph_data);
+    updateSpectralChart(results);
     updateNutrientChart(results.nutrition);
     updateQualityChart(results.freshness_score, results.spoilage_risk);
     
@@ -484,6 +730,31 @@ function displayAnalysisResults(results) {
     displaySensorData(results.sensor_emulation_values);
 }
 
+/**
+ * Display the in-browser cross-check of a server result
+ * @param {Object} results - Analysis results
+ */
+function displayBrowserComparison(results) {
+    const card = document.getElementById('comparisonCard');
+    const comparison = results.browser_comparison;
+    
+    if (!comparison) {
+        card.classList.add('hidden');
+        return;
+    }
+    
+    const difference = comparison.freshness_score - results.freshness_score;
+    document.getElementById('comparisonScore').textContent = t('analyze.comparisonScore', {
+        browser: formatNumber(comparison.freshness_score),
+        server: formatNumber(results.freshness_score)
+    });
+    document.getElementById('comparisonDetail').textContent = t('analyze.comparisonDetail', {
+        difference: `${difference >= 0 ? '+' : ''}${formatNumber(difference)}`,
+        risk: tValue('risk', comparison.spoilage_risk)
+    });
+    card.classList.remove('hidden');
+}
+
 /**
  * Display overall quality assessment with safety recommendation
  * @param {Object} results - Analysis results
@@ -495,111 +766,66 @@ function displayQualityAssessment(results) {
     const safetyBadge = document.getElementById('safetyBadge');
     const weightBadge = document.getElementById('weightBadge');
     const shelfLifeBadge = document.getElementById('shelfLifeBadge');
+    const simulatedBadge = document.getElementById('simulatedBadge');
     
     // Calculate overall quality grade
     const assessment = calculateQualityGrade(results);
     
     // Update banner styling
-    banner.className = 'quality-banner ' + assessment.grade.toLowerCase();
+    banner.className = 'quality-banner ' + assessment.gradeClass;
     banner.classList.remove('hidden');
     
-    // Update content
+    // Results from a demo analyzer must never be mistaken for real measurements
+    banner.classList.toggle('simulated', Boolean(results.simulated));
+    simulatedBadge.classList.toggle('hidden', !results.simulated);
+    
+    // Update content (the icon repeats the grade as a shape, not just a color)
+    document.getElementById('qualityIcon').textContent = GRADE_ICONS[assessment.gradeClass] || GRADE_ICONS.fair;
     qualityGrade.textContent = assessment.gradeText;
     qualityMessage.textContent = assessment.message;
     
     // Update safety badge
     if (assessment.safeToEat) {
-        safetyBadge.innerHTML = '✓ Safe to Eat';
+        safetyBadge.textContent = t('analyze.safeToEat');
         safetyBadge.style.background = 'rgba(255, 255, 255, 0.3)';
     } else {
-        safetyBadge.innerHTML = '✗ Not Recommended';
+        safetyBadge.textContent = t('analyze.notRecommended');
         safetyBadge.style.background = 'rgba(255, 255, 255, 0.5)';
     }
     
     // Update weight badge
-    weightBadge.textContent = `Weight: ${results.estimated_weight_kg} kg`;
+    weightBadge.textContent = t('analyze.weightBadge', { weight: formatWeight(results.estimated_weight_kg) });
     
     // Update shelf life badge
-    shelfLifeBadge.textContent = `Shelf Life: ${assessment.shelfLife}`;
+    shelfLifeBadge.textContent = t('analyze.shelfLifeBadge', { shelfLife: assessment.shelfLife });
+    
+    // Rule profile the grade came from
+    document.getElementById('gradingProfileBadge').textContent = t('analyze.rulesBadge', { profile: assessment.profile });
+    
+    // Lot the fruit was analyzed for (codes are typed or scanned, so set as text)
+    const lotBadge = document.getElementById('lotBadge');
+    lotBadge.classList.toggle('hidden', !results.lot);
+    lotBadge.textContent = results.lot ? t('lots.badge', { code: results.lot.code }) : '';
+    
+    // Read the outcome out, since the banner changes without moving focus
+    announce(t('a11y.resultSummary', {
+        grade: assessment.gradeText,
+        freshness: formatNumber(results.freshness_score),
+        risk: tValue('risk', results.spoilage_risk),
+        pesticide: tValue('pesticide', results.pesticide_class),
+        safety: t(assessment.safeToEat ? 'a11y.safeToEat' : 'a11y.notSafeToEat')
+    }));
 }
 
 /**
  * Calculate overall quality grade based on all metrics
+ * Uses the rule profile recorded on the result, or the active profile (see grading.js).
  * @param {Object} results - Analysis results
  * @returns {Object} Quality assessment
  */
 function calculateQualityGrade(results) {
-    const freshness = results.freshness_score;
-    const spoilage = results.spoilage_risk;
-    const pesticide = results.pesticide_class.toLowerCase();
-    
-    let grade = 'Excellent';
-    let gradeText = 'Excellent Quality';
-    let safeToEat = true;
-    let message = '';
-    let shelfLife = '';
-    
-    // Determine safety based on pesticide level
-    const isPesticideHigh = pesticide.includes('high');
-    const isPesticidePure = pesticide.includes('pure');
-    
-    // Determine grade and safety
-    if (spoilage === 'High') {
-        grade = 'Poor';
-        gradeText = 'Poor Quality - High Spoilage Risk';
-        safeToEat = false;
-        message = '⚠️ This apple shows signs of spoilage and is NOT recommended for consumption. Discard immediately.';
-        shelfLife = 'Spoiled';
-    } else if (isPesticideHigh) {
-        grade = 'Unsafe';
-        gradeText = 'Unsafe - High Pesticide Levels';
-        safeToEat = false;
-        message = '⚠️ High pesticide residue detected. This apple should NOT be consumed without thorough washing or processing.';
-        shelfLife = 'Not Safe';
-    } else if (freshness >= 80 && spoilage === 'Low' && isPesticidePure) {
-        grade = 'Excellent';
-        gradeText = 'Excellent Quality';
-        safeToEat = true;
-        message = '✓ This apple is in perfect condition! Fresh, ripe, and free from pesticides. Safe to eat immediately.';
-        shelfLife = '7-10 days';
-    } else if (freshness >= 70 && spoilage === 'Low') {
-        grade = 'Good';
-        gradeText = 'Good Quality';
-        safeToEat = true;
-        message = '✓ This apple is in good condition and safe to eat. Wash thoroughly before consumption.';
-        shelfLife = '5-7 days';
-    } else if (freshness >= 60 && spoilage === 'Medium') {
-        grade = 'Fair';
-        gradeText = 'Fair Quality - Consume Soon';
-        safeToEat = true;
-        message = '⚡ This apple is edible but showing early signs of aging. Consume within 1-2 days. Best used for cooking.';
-        shelfLife = '1-3 days';
-    } else if (spoilage === 'Medium') {
-        grade = 'Fair';
-        gradeText = 'Fair Quality - Limited Freshness';
-        safeToEat = true;
-        message = '⚡ This apple is past its prime but still edible. Best used for cooking, baking, or smoothies within 1-2 days.';
-        shelfLife = '1-2 days';
-    } else {
-        grade = 'Poor';
-        gradeText = 'Poor Quality';
-        safeToEat = false;
-        message = '✗ This apple has deteriorated and is not recommended for consumption. Quality is too low.';
-        shelfLife = 'Not recommended';
-    }
-    
-    // Additional pesticide warnings
-    if (safeToEat && !isPesticidePure) {
-        message += ' Note: Pesticide residue detected - wash thoroughly with water or use produce wash.';
-    }
-    
-    return {
-        grade: grade,
-        gradeText: gradeText,
-        safeToEat: safeToEat,
-        message: message,
-        shelfLife: shelfLife
-    };
+    // Results from before fruit types existed are apples
+    return applyGradingRules(results, getGradingProfile(results.grading_profile, results.fruit || DEFAULT_FRUIT));
 }
 
 // =============================================
@@ -615,12 +841,11 @@ function initializeCharts() {
     spectralChart = new Chart(spectralCtx, {
         type: 'line',
         data: {
-            labels: [],
             datasets: [{
-                label: 'Spectral Response',
+                label: t('chart.spectralResponse'),
                 data: [],
-                borderColor: 'rgb(79, 70, 229)',
-                backgroundColor: 'rgba(79, 70, 229, 0.1)',
+                borderColor: getChartColor(CHART_PALETTE.blue),
+                backgroundColor: getChartColor(CHART_PALETTE.blue, 0.1),
                 tension: 0.4,
                 fill: true
             }]
@@ -639,13 +864,16 @@ function initializeCharts() {
                     beginAtZero: true,
                     title: {
                         display: true,
-                        text: 'Intensity'
+                        text: t('chart.intensity')
                     }
                 },
                 x: {
+                    type: 'linear',
+                    min: 400,
+                    max: 950,
                     title: {
                         display: true,
-                        text: 'Wavelength Index'
+                        text: t('chart.wavelengthNm')
                     }
                 }
             }
@@ -657,22 +885,12 @@ function initializeCharts() {
     nutrientChart = new Chart(nutrientCtx, {
         type: 'bar',
         data: {
-            labels: ['Water', 'Sugar', 'Fiber', 'Vitamin C'],
+            labels: getNutrientLabels(),
             datasets: [{
-                label: 'Nutrient Composition',
+                label: t('chart.nutrientTitle'),
                 data: [0, 0, 0, 0],
-                backgroundColor: [
-                    'rgba(59, 130, 246, 0.7)',
-                    'rgba(245, 158, 11, 0.7)',
-                    'rgba(16, 185, 129, 0.7)',
-                    'rgba(239, 68, 68, 0.7)'
-                ],
-                borderColor: [
-                    'rgb(59, 130, 246)',
-                    'rgb(245, 158, 11)',
-                    'rgb(16, 185, 129)',
-                    'rgb(239, 68, 68)'
-                ],
+                backgroundColor: NUTRIENT_COLORS.map(getChartPattern),
+                borderColor: NUTRIENT_COLORS.map(color => getChartColor(color)),
                 borderWidth: 2
             }]
         },
@@ -689,7 +907,7 @@ function initializeCharts() {
                     beginAtZero: true,
                     title: {
                         display: true,
-                        text: 'Value'
+                        text: t('chart.value')
                     }
                 }
             }
@@ -701,19 +919,11 @@ function initializeCharts() {
     qualityChart = new Chart(qualityCtx, {
         type: 'doughnut',
         data: {
-            labels: ['Fresh', 'At Risk', 'Spoiled'],
+            labels: getQualityLabels(),
             datasets: [{
                 data: [0, 0, 0],
-                backgroundColor: [
-                    'rgba(16, 185, 129, 0.7)',
-                    'rgba(245, 158, 11, 0.7)',
-                    'rgba(239, 68, 68, 0.7)'
-                ],
-                borderColor: [
-                    'rgb(16, 185, 129)',
-                    'rgb(245, 158, 11)',
-                    'rgb(239, 68, 68)'
-                ],
+                backgroundColor: QUALITY_COLORS.map(getChartPattern),
+                borderColor: QUALITY_COLORS.map(color => getChartColor(color)),
                 borderWidth: 2
             }]
         },
@@ -730,13 +940,82 @@ function initializeCharts() {
 }
 
 /**
- * Update spectral chart with data
- * @param {Array} data - Spectral data array
+ * Nutrient chart categories
+ * @returns {Array<string>} Translated labels (water, sugar, fiber, vitamin C)
+ */
+function getNutrientLabels() {
+    return [t('chart.water'), t('chart.sugar'), t('chart.fiber'), t('chart.vitaminC')];
+}
+
+/**
+ * Quality distribution categories
+ * @returns {Array<string>} Translated labels (fresh, at risk, spoiled)
+ */
+function getQualityLabels() {
+    return [t('chart.fresh'), t('chart.atRisk'), t('chart.spoiled')];
+}
+
+/**
+ * Re-label the charts after a language change
+ */
+function translateCharts() {
+    spectralChart.data.datasets[0].label = t(getSpectralSource() === 'sensor' ? 'chart.sensorResponse' : 'chart.spectralResponse');
+    spectralChart.options.scales.y.title.text = t('chart.intensity');
+    spectralChart.options.scales.x.title.text = t('chart.wavelengthNm');
+    spectralChart.update();
+    
+    nutrientChart.data.labels = getNutrientLabels();
+    nutrientChart.data.datasets[0].label = t('chart.nutrientTitle');
+    nutrientChart.options.scales.y.title.text = t('chart.value');
+    nutrientChart.update();
+    
+    qualityChart.data.labels = getQualityLabels();
+    qualityChart.update();
+    
+    if (sensorChart) {
+        sensorChart.data.datasets[0].label = t('chart.sensorResponse');
+        sensorChart.options.plugins.title.text = t('chart.sensorTitle');
+        sensorChart.options.scales.y.title.text = t('chart.intensityValue');
+        sensorChart.data.datasets[1].label = t('chart.reflectance');
+        sensorChart.options.scales.y1.title.text = t('chart.reflectance');
+        sensorChart.options.scales.x.title.text = t('chart.wavelengthNm');
+        sensorChart.update();
+    }
+}
+
+/**
+ * Update spectral chart with the chosen spectrum (see getSpectralSource) and its reference spectra
+ * The sensor source shows the connected sensor's latest reading, else the result's sensor values.
+ * @param {Object} results - Analysis results
  */
-function updateSpectralChart(data) {
-    spectralChart.data.labels = data.map((_, i) => i + 1);
-    spectralChart.data.datasets[0].data = data;
+function updateSpectralChart(results) {
+    const source = getSpectralSource();
+    const fruit = getFruitName(results.fruit);
+    const spectrum = (source === 'sensor' && getLiveSensorSpectrum()) || getResultSpectrum(results, source);
+    const references = spectrum ? compareToReferences(spectrum, fruit) : [];
+    const toPoints = (wavelengths, values) => values.map((value, i) => ({ x: wavelengths[i], y: value }));
+
+    const measured = spectralChart.data.datasets[0];
+    const label = t(source === 'sensor' ? 'chart.sensorResponse' : 'chart.spectralResponse');
+    const calibrated = Boolean(spectrum && spectrum.calibrated);
+    measured.label = calibrated ? t('chart.reflectance') : t('chart.uncalibrated', { label: label });
+    measured.data = spectrum ? toPoints(spectrum.wavelengths, spectrum.values) : [];
+    spectralChart.options.scales.y.title.text = t(calibrated ? 'chart.reflectance' : 'chart.intensity');
+
+    // Reference spectra are dashed, after the measured curve
+    const referenceColors = { fresh: CHART_PALETTE.green, overripe: CHART_PALETTE.vermillion };
+    spectralChart.data.datasets = [measured, ...references.map((reference, index) => ({
+        label: getReferenceLabel(reference.key, fruit),
+        data: toPoints(SENSOR_WAVELENGTHS, reference.values),
+        borderColor: getChartColor(referenceColors[reference.key] || CHART_PALETTE.grey),
+        backgroundColor: getChartColor(referenceColors[reference.key] || CHART_PALETTE.grey, 0.1),
+        tension: 0.4,
+        fill: false,
+        ...getChartLineStyle(index + 1)
+    }))];
     spectralChart.update();
+
+    renderSpectralSummary(spectrum, references, fruit);
 }
 
 /**
@@ -785,38 +1064,52 @@ function updateQualityChart(freshness, spoilage) {
 
 /**
  * Display AS7265x sensor data
- * @param {Array} values - 18 sensor channel values
+ * @param {Array} values - 18 sensor channel values (raw counts)
+ * @param {Object|null} calibration - Calibration profile of the sensor (see calibration.js); without one
+ *                                    only raw counts are shown
  */
-function displaySensorData(values) {
+function displaySensorData(values, calibration = null) {
     const tableBody = document.getElementById('sensorTableBody');
     tableBody.innerHTML = '';
     
+    const reflectance = calibration ? computeReflectance(values, calibration) : null;
+    const saturated = findSaturatedChannels(values);
+    
     values.forEach((value, index) => {
         const row = document.createElement('tr');
         
-        // Calculate intensity percentage
-        const maxValue = 65535; // 16-bit max
-        const percentage = (value / maxValue * 100).toFixed(1);
+        // Bar shows reflectance when calibrated, otherwise the share of the 16-bit range
+        const maxValue = 65535;
+        const percentage = (reflectance ? reflectance[index] * 100 : value / maxValue * 100).toFixed(1);
+        const isSaturated = saturated.includes(index);
         
+        row.classList.toggle('saturated', isSaturated);
         row.innerHTML = `
             <td><strong>CH${index + 1}</strong></td>
             <td>${SENSOR_WAVELENGTHS[index]} nm</td>
-            <td>${value.toLocaleString()}</td>
+            <td>${isSaturated ? ` <span class="saturation-flag" title="${t('calibration.saturatedChannel')}">⚠</span>` : ''}</td>
+            <td></td>
             <td>
                 <div class="intensity-bar">
                     <div class="intensity-fill" style="width: ${percentage}%"></div>
                 </div>
             </td>
         `;
+
+        // Readings can come from stored results, so they are shown as text
+        row.children[2].prepend(formatNumber(value));
+        row.children[3].textContent = reflectance ? formatNumber(reflectance[index], 3) : '--';
         
         tableBody.appendChild(row);
     });
     
+    renderSensorWarnings(values, calibration);
+    
     // Setup sensor graph button
     const viewSensorGraphBtn = document.getElementById('viewSensorGraphBtn');
     viewSensorGraphBtn.onclick = () => {
         document.getElementById('sensorChartCard').classList.remove('hidden');
-        updateSensorChart(values);
+        updateSensorChart(values, reflectance);
         
         // Scroll to chart
         document.getElementById('sensorChartCard').scrollIntoView({ behavior: 'smooth' });
@@ -825,30 +1118,45 @@ function displaySensorData(values) {
 
 /**
  * Update sensor visualization chart
- * @param {Array} values - 18 sensor channel values
+ * @param {Array} values - 18 sensor channel values (raw counts)
+ * @param {Array|null} reflectance - Calibrated reflectance per channel, drawn on a 0–1 axis when given
  */
-function updateSensorChart(values) {
-    const ctx = document.getElementById('sensorChart').getContext('2d');
-    
-    // Destroy existing chart if exists
+function updateSensorChart(values, reflectance = null) {
+    // Live sensor readings replace the data without redrawing the chart from scratch
     if (sensorChart) {
-        sensorChart.destroy();
+        sensorChart.data.datasets[0].data = values;
+        sensorChart.data.datasets[1].data = reflectance || [];
+        sensorChart.data.datasets[1].hidden = !reflectance;
+        sensorChart.options.scales.y1.display = Boolean(reflectance);
+        sensorChart.update();
+        return;
     }
     
+    const ctx = document.getElementById('sensorChart').getContext('2d');
+    
     // Create new chart
     sensorChart = new Chart(ctx, {
         type: 'line',
         data: {
             labels: SENSOR_WAVELENGTHS.map(w => `${w}nm`),
             datasets: [{
-                label: 'Sensor Response',
+                label: t('chart.sensorResponse'),
                 data: values,
-                borderColor: 'rgb(139, 92, 246)',
-                backgroundColor: 'rgba(139, 92, 246, 0.1)',
+                borderColor: getChartColor(CHART_PALETTE.purple),
+                backgroundColor: getChartColor(CHART_PALETTE.purple, 0.1),
                 tension: 0.4,
                 fill: true,
                 pointRadius: 5,
                 pointHoverRadius: 7
+            }, {
+                label: t('chart.reflectance'),
+                data: reflectance || [],
+                hidden: !reflectance,
+                yAxisID: 'y1',
+                borderColor: getChartColor(CHART_PALETTE.green),
+                backgroundColor: getChartColor(CHART_PALETTE.green),
+                tension: 0.4,
+                ...getChartLineStyle(1)
             }]
         },
         options: {
@@ -861,7 +1169,7 @@ function updateSensorChart(values) {
                 },
                 title: {
                     display: true,
-                    text: 'AS7265x 18-Channel Spectral Response'
+                    text: t('chart.sensorTitle')
                 }
             },
             scales: {
@@ -869,13 +1177,26 @@ function updateSensorChart(values) {
                     beginAtZero: true,
                     title: {
                         display: true,
-                        text: 'Intensity Value'
+                        text: t('chart.intensityValue')
+                    }
+                },
+                y1: {
+                    display: Boolean(reflectance),
+                    position: 'right',
+                    min: 0,
+                    max: 1,
+                    grid: {
+                        drawOnChartArea: false
+                    },
+                    title: {
+                        display: true,
+                        text: t('chart.reflectance')
                     }
                 },
                 x: {
                     title: {
                         display: true,
-                        text: 'Wavelength (nm)'
+                        text: t('chart.wavelengthNm')
                     }
                 }
             }
@@ -883,6 +1204,111 @@ function updateSensorChart(values) {
     });
 }
 
+// =============================================
+// SETTINGS
+// =============================================
+
+/**
+ * Initialize the settings panel and backend health indicator
+ */
+function initializeSettings() {
+    const profileSelect = document.getElementById('settingsProfile');
+    const apiBaseInput = document.getElementById('settingsApiBase');
+    const refreshHealth = initializeHealthIndicator(document.getElementById('healthIndicator'));
+    
+    // Populate profile options
+    const showProfileOptions = () => {
+        profileSelect.innerHTML = '';
+        Object.entries(getProfiles()).forEach(([name, profile]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = profile.label;
+            profileSelect.appendChild(option);
+        });
+    };
+    showProfileOptions();
+    
+    const showCurrentConfig = () => {
+        const config = getClientConfig();
+        profileSelect.value = config.profile;
+        apiBaseInput.value = config.mock ? '' : config.apiBase;
+        apiBaseInput.disabled = config.mock;
+    };
+    
+    // Show the selected profile's default server while choosing
+    profileSelect.addEventListener('change', () => {
+        const profile = getProfiles()[profileSelect.value];
+        apiBaseInput.value = profile.mock ? '' : profile.apiBase;
+        apiBaseInput.disabled = Boolean(profile.mock);
+    });
+    
+    document.getElementById('settingsSaveBtn').addEventListener('click', () => {
+        const apiBase = apiBaseInput.value.trim();
+        if (apiBase && !/^https?:\/\//.test(apiBase)) {
+            showToast(t('settings.invalidUrl'), 'error');
+            return;
+        }
+        
+        saveClientSettings({ profile: profileSelect.value, apiBase: apiBase });
+        showCurrentConfig();
+        refreshHealth();
+        showToast(t('settings.saved'));
+    });
+    
+    document.getElementById('settingsResetBtn').addEventListener('click', () => {
+        resetClientSettings();
+        showCurrentConfig();
+        refreshHealth();
+        showToast(t('settings.resetDone'));
+    });
+    
+    document.getElementById('settingsTestBtn').addEventListener('click', refreshHealth);
+    
+    // Profile names and the health label are translated
+    document.addEventListener('languagechange', () => {
+        const selected = profileSelect.value;
+        showProfileOptions();
+        profileSelect.value = selected;
+        refreshHealth();
+    });
+    
+    showCurrentConfig();
+    initializeAnalysisModeSettings();
+}
+
+/**
+ * Initialize analysis mode (offline / demo) settings
+ */
+function initializeAnalysisModeSettings() {
+    const modeSelect = document.getElementById('settingsAnalysisMode');
+    const seedInput = document.getElementById('settingsSeed');
+    const compareCheckbox = document.getElementById('settingsCompareBrowser');
+    
+    Object.entries(ANALYSIS_MODES).forEach(([mode, labelKey]) => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.dataset.i18n = labelKey;
+        option.textContent = t(labelKey);
+        modeSelect.appendChild(option);
+    });
+    
+    modeSelect.value = getAnalysisMode();
+    seedInput.value = getAnalysisSeed();
+    compareCheckbox.checked = isBrowserComparisonEnabled();
+    
+    document.getElementById('settingsModeSaveBtn').addEventListener('click', () => {
+        const seed = parseInt(seedInput.value, 10);
+        if (Number.isNaN(seed)) {
+            showToast(t('settings.invalidSeed'), 'error');
+            return;
+        }
+        
+        saveAnalysisSettings(modeSelect.value, seed);
+        localStorage.setItem(COMPARE_WITH_BROWSER_KEY, String(compareCheckbox.checked));
+        showToast(t('settings.modeSaved', { mode: t(ANALYSIS_MODES[modeSelect.value]) }));
+    });
+}
+
 // =============================================
 // TOAST NOTIFICATIONS
 // =============================================
@@ -891,18 +1317,34 @@ function updateSensorChart(values) {
  * Show toast notification
  * @param {string} message - Message to display
  * @param {string} type - Toast type ('success' or 'error')
+ * @param {Object|null} action - Button shown in the toast: { label, run }
  */
-function showToast(message, type = 'success') {
+function showToast(message, type = 'success', action = null) {
     const toast = document.getElementById('toast');
     const toastMessage = document.getElementById('toastMessage');
+    const toastAction = document.getElementById('toastAction');
     
     toastMessage.textContent = message;
     toast.classList.remove('hidden');
     
-    // Auto-hide after 3 seconds
-    setTimeout(() => {
+    toastAction.classList.toggle('hidden', !action);
+    toastAction.onclick = null;
+    if (action) {
+        toastAction.textContent = action.label;
+        toastAction.onclick = () => {
+            toast.classList.add('hidden');
+            action.run();
+        };
+    }
+    
+    // The toast is visual only; screen readers get the message from a live region
+    announce(message, type === 'error' ? 'assertive' : 'polite');
+    
+    // Auto-hide; a newer toast restarts the timer
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
         toast.classList.add('hidden');
-    }, 3000);
+    }, action ? TOAST_ACTION_DURATION_MS : TOAST_DURATION_MS);
 }
 
 // =============================================
@@ -0,0 +1,338 @@
+/**
+ * EXPORT.JS
+ * Exportable analysis reports for Fruit Detection Project
+ * Features: Printable report (image, stat cards, quality banner, charts), CSV and JSON downloads
+ */
+
+// =============================================
+// EXPORT ACTIONS
+// =============================================
+
+/**
+ * Initialize export buttons on the analyze section
+ */
+function initializeExport() {
+    document.getElementById('exportPrintBtn').addEventListener('click', () => runExport(printAnalysisReport));
+    document.getElementById('exportCsvBtn').addEventListener('click', () => runExport(downloadAnalysisCsv));
+    document.getElementById('exportJsonBtn').addEventListener('click', () => runExport(downloadAnalysisJson));
+}
+
+/**
+ * Run an export action against the current analysis
+ * @param {Function} exporter - Receives the export record
+ */
+function runExport(exporter) {
+    if (!hasPermission('export')) {
+        showToast(t('export.notAllowed'), 'error');
+        return;
+    }
+
+    if (!analysisResults) {
+        showToast(t('export.nothingToExport'), 'error');
+        return;
+    }
+
+    try {
+        exporter(buildExportRecord(analysisResults));
+    } catch (error) {
+        console.error('Export error:', error);
+        showToast(t('export.failed'), 'error');
+    }
+}
+
+/**
+ * Build the export record for an analysis
+ * @param {Object} results - Analysis results
+ * @returns {Object} Results plus assessment and spectral indices, with sensor values keyed by wavelength
+ */
+function buildExportRecord(results) {
+    const sensorByWavelength = {};
+    (results.sensor_emulation_values || []).forEach((value, index) => {
+        sensorByWavelength[`${SENSOR_WAVELENGTHS[index]}nm`] = value;
+    });
+
+    return {
+        exported_at: new Date().toISOString(),
+        assessment: calculateQualityGrade(results),
+        spectral_analysis: buildSpectralExport(results),
+        results: {
+            ...results,
+            sensor_emulation_values: sensorByWavelength
+        }
+    };
+}
+
+/**
+ * Spectral indices and reference similarity for each spectrum of a result
+ * @param {Object} results - Analysis results
+ * @returns {Object} Per source (see SPECTRAL_SOURCES): wavelengths, whether it is calibrated, indices and
+ *                  similarity (%) to each reference (empty for uncalibrated spectra)
+ */
+function buildSpectralExport(results) {
+    const fruit = getFruitName(results.fruit);
+
+    return Object.fromEntries(SPECTRAL_SOURCES.flatMap(source => {
+        const spectrum = getResultSpectrum(results, source);
+        if (!spectrum) {
+            return [];
+        }
+
+        const similarity = compareToReferences(spectrum, fruit)
+            .map(reference => [reference.key, Math.round(reference.similarity * 10) / 10]);
+        return [[source, {
+            wavelengths_nm: spectrum.wavelengths,
+            calibrated: spectrum.calibrated,
+            indices: computeSpectralIndices(spectrum),
+            reference_similarity: Object.fromEntries(similarity)
+        }]];
+    }));
+}
+
+/**
+ * Flatten a nested object into dotted key/value pairs
+ * @param {Object} obj - Object to flatten
+ * @param {string} prefix - Key prefix
+ * @returns {Array<Array>} [key, value] pairs
+ */
+function flattenForCsv(obj, prefix = '') {
+    return Object.entries(obj).flatMap(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value !== null && typeof value === 'object') {
+            // Arrays are numbered from 1 to match the chart labels
+            const entries = Array.isArray(value)
+                ? Object.fromEntries(value.map((v, i) => [i + 1, v]))
+                : value;
+            return flattenForCsv(entries, path);
+        }
+        return [[path, value]];
+    });
+}
+
+/**
+ * Quote a CSV cell when needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function toCsvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Download the analysis as a field,value CSV
+ * @param {Object} record - Export record
+ */
+function downloadAnalysisCsv(record) {
+    const rows = [['field', 'value'], ...flattenForCsv(record)];
+    const csv = rows.map(row => row.map(toCsvCell).join(',')).join('\n');
+    downloadFile(`${getExportBaseName(record.results.fruit)}.csv`, csv, 'text/csv');
+    showToast(t('export.csvDone'));
+}
+
+/**
+ * Download the analysis as JSON
+ * @param {Object} record - Export record
+ */
+function downloadAnalysisJson(record) {
+    downloadFile(`${getExportBaseName(record.results.fruit)}.json`, JSON.stringify(record, null, 2), 'application/json');
+    showToast(t('export.jsonDone'));
+}
+
+/**
+ * Trigger a browser download for generated content
+ * @param {string} filename - Download file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type
+ */
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build a timestamped base name for export files (not translated, so names stay ASCII)
+ * @param {string} fruit - Analyzed fruit type
+ * @returns {string} e.g. apple-analysis-20250101-153000
+ */
+function getExportBaseName(fruit) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${getFruitName(fruit)}-analysis-${stamp}`;
+}
+
+// =============================================
+// PRINTABLE REPORT
+// =============================================
+
+// Images the report embeds: base64 data URLs of raster formats only
+const REPORT_IMAGE_PATTERN = /^data:image\/(jpeg|png|webp|gif|bmp);base64,[A-Za-z0-9+/=]+$/;
+
+/**
+ * Open a print-ready report in a new window
+ * @param {Object} record - Export record
+ */
+function printAnalysisReport(record) {
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+        showToast(t('export.allowPopups'), 'error');
+        return;
+    }
+
+    reportWindow.document.write(buildReportHtml());
+    reportWindow.document.close();
+    fillReport(reportWindow.document, record);
+
+    // Wait for the embedded images before opening the print dialog. The window's load event may
+    // already have fired during close() (and document.write clears handlers set before it), so
+    // wait on the images themselves; a broken image is printed as it is.
+    const images = Array.from(reportWindow.document.images);
+    Promise.all(images.map(image => image.decode().catch(() => null))).then(() => {
+        reportWindow.focus();
+        reportWindow.print();
+    });
+}
+
+/**
+ * Build the report layout. Only translated labels go into the markup; the analysis values
+ * (which may come from other users through the server) are filled in by fillReport.
+ * @returns {string} Report HTML
+ */
+function buildReportHtml() {
+    const charts = [
+        t('chart.spectralTitle'),
+        t('chart.nutrientTitle'),
+        t('chart.qualityTitle')
+    ].map(title => `
+        <figure>
+            <img alt="${t('report.chartAlt', { title })}">
+            <figcaption>${title}</figcaption>
+        </figure>
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${getLanguage()}">
+<head>
+    <meta charset="UTF-8">
+    <title></title>
+    <style>
+        body { font-family: 'Poppins', Arial, sans-serif; color: #1f2937; margin: 32px; }
+        h1 { font-size: 1.5rem; margin-bottom: 4px; }
+        h2 { font-size: 1.1rem; margin: 24px 0 8px; }
+        .meta { color: #6b7280; font-size: 0.85rem; }
+        .banner { border: 2px solid #1f2937; border-radius: 8px; padding: 16px; margin: 20px 0; }
+        .banner h2 { margin: 0 0 8px; }
+        .badges span { display: inline-block; margin-right: 16px; font-weight: 600; }
+        .top { display: flex; gap: 24px; align-items: flex-start; }
+        .report-image { max-width: 260px; border-radius: 8px; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+        th, td { border: 1px solid #e5e7eb; padding: 6px 10px; text-align: left; }
+        th { background: #f9fafb; width: 45%; }
+        .charts { display: flex; flex-wrap: wrap; gap: 16px; }
+        figure { margin: 0; width: 48%; page-break-inside: avoid; }
+        figure img { width: 100%; }
+        figcaption { text-align: center; font-size: 0.85rem; color: #6b7280; }
+    </style>
+</head>
+<body>
+    <h1 class="report-heading"></h1>
+    <p class="meta"></p>
+
+    <div class="banner">
+        <h2 class="report-grade"></h2>
+        <p class="report-message"></p>
+        <div class="badges">
+            <span class="report-safety"></span>
+            <span class="report-weight"></span>
+            <span class="report-shelf-life"></span>
+        </div>
+    </div>
+
+    <div class="top">
+        <img class="report-image">
+        <table class="report-stats"></table>
+    </div>
+
+    <h2>${t('report.charts')}</h2>
+    <div class="charts">${charts}</div>
+
+    <h2>${t('report.sensorChannels')}</h2>
+    <table class="report-sensors"></table>
+</body>
+</html>`;
+}
+
+/**
+ * Fill the report layout with the analysis values, as text
+ * @param {Document} reportDocument - Document of the report window
+ * @param {Object} record - Export record
+ */
+function fillReport(reportDocument, record) {
+    const { results, assessment } = record;
+    const nutrition = results.nutrition || {};
+    const fruitLabel = getFruitLabel(results.fruit);
+    const generated = formatDate(record.exported_at);
+    const find = selector => reportDocument.querySelector(selector);
+
+    reportDocument.title = t('report.title', { fruit: fruitLabel, date: generated });
+    find('.report-heading').textContent = t('report.heading', { fruit: fruitLabel });
+    find('.meta').textContent = `${t('report.generated', { date: generated })} · Fruit Detection Project`;
+
+    find('.report-grade').textContent = assessment.gradeText;
+    find('.report-message').textContent = assessment.message;
+    find('.report-safety').textContent = assessment.safeToEat ? t('analyze.safeToEat') : t('analyze.notRecommended');
+    find('.report-weight').textContent = t('analyze.weightBadge', { weight: formatWeight(results.estimated_weight_kg) });
+    find('.report-shelf-life').textContent = t('analyze.shelfLifeBadge', { shelfLife: assessment.shelfLife });
+
+    fillReportTable(find('.report-stats'), [
+        [t('grading.fruit'), fruitLabel],
+        [t('metric.freshnessScore'), t('report.outOf100', { value: formatNumber(results.freshness_score) })],
+        [t('metric.dryMatterContent'), formatPercent(results.dry_matter_percent)],
+        [t('metric.spoilageRisk'), tValue('risk', results.spoilage_risk)],
+        [t('metric.pesticideLevel'), tValue('pesticide', results.pesticide_class)],
+        [t('metric.estimatedWeight'), formatWeight(results.estimated_weight_kg)],
+        [t('metric.waterContent'), formatPercent(nutrition.water_percent)],
+        [t('metric.sugarContent'), formatPercent(nutrition.sugar_percent)],
+        [t('metric.vitaminC'), t('unit.mg', { value: formatNumber(nutrition.vitamin_c_mg) })],
+        [t('metric.fiber'), t('unit.g', { value: formatNumber(nutrition.fiber) })]
+    ]);
+
+    fillReportTable(find('.report-sensors'), Object.entries(results.sensor_emulation_values || {})
+        .map(([wavelength, value]) => [wavelength, formatNumber(value)]));
+
+    const chartImages = reportDocument.querySelectorAll('.charts img');
+    [spectralChart, nutrientChart, qualityChart].forEach((chart, index) => {
+        chartImages[index].src = chart.toBase64Image();
+    });
+
+    // Only raster data URLs are embedded; anything else leaves the image out
+    const image = find('.report-image');
+    if (analysisImageUrl && REPORT_IMAGE_PATTERN.test(analysisImageUrl)) {
+        image.alt = t('history.imageAlt', { fruit: getFruitNoun(results.fruit) });
+        image.src = analysisImageUrl;
+    } else {
+        image.remove();
+    }
+}
+
+/**
+ * Fill a two-column report table
+ * @param {HTMLTableElement} table - Table to fill
+ * @param {Array<Array<string>>} rows - [label, value] pairs
+ */
+function fillReportTable(table, rows) {
+    rows.forEach(([label, value]) => {
+        const row = table.insertRow();
+        const header = table.ownerDocument.createElement('th');
+        header.textContent = label;
+        row.appendChild(header);
+        row.insertCell().textContent = value;
+    });
+}
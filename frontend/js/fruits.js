@@ -0,0 +1,197 @@
+/**
+ * FRUITS.JS
+ * Supported fruit types and the fruit selector
+ * Features: Per-fruit color, dry matter, weight and nutrition models, fruit-aware copy
+ */
+
+// =============================================
+// FRUIT TYPES
+// =============================================
+
+const SELECTED_FRUIT_KEY = 'fruitType';
+const DEFAULT_FRUIT = 'apple';
+
+/**
+ * Fruit models, mirroring FRUIT_PROFILES in backend/main.py
+ * Names are in the message catalogs: fruit.<name> (label), fruitNoun.<name> (in sentences) and
+ * fruitUpload.<name> (in the upload prompt).
+ * - freshColor: weights on the Lab a (red) and b (yellow) axes for the fresh cluster
+ * - dryMatter: [base %, % per freshness point]
+ * - weightFactor: kg per enclosing-circle radius ^ 1.2
+ * - nutrition: dry matter reference and span, then per nutrient [value at reference, change per span, min, max]
+ * - gradingProfile: rule profile used until another is chosen in settings (see grading.js)
+ */
+const FRUIT_TYPES = {
+    apple: {
+        icon: '🍎',
+        freshColor: [1, 0],
+        dryMatter: [10, 0.08],
+        weightFactor: 0.0015,
+        nutrition: {
+            dmReference: 14, dmSpan: 4,
+            water_percent: [86, -2, 70, 90],
+            sugar_percent: [10, 1, 5, 20],
+            fiber: [2.4, 0.3, 1, 5],
+            vitamin_c_mg: [4.6, -0.5, 1, 8]
+        },
+        gradingProfile: 'Retail'
+    },
+    pear: {
+        icon: '🍐',
+        freshColor: [-0.5, 1],
+        dryMatter: [12, 0.06],
+        weightFactor: 0.0017,
+        nutrition: {
+            dmReference: 15, dmSpan: 3,
+            water_percent: [84, -2, 70, 90],
+            sugar_percent: [10, 1.2, 5, 20],
+            fiber: [3.1, 0.3, 1, 6],
+            vitamin_c_mg: [4.3, -0.5, 1, 8]
+        },
+        gradingProfile: 'Retail'
+    },
+    mango: {
+        icon: '🥭',
+        freshColor: [0.5, 1],
+        dryMatter: [14, 0.08],
+        weightFactor: 0.0022,
+        nutrition: {
+            dmReference: 18, dmSpan: 4,
+            water_percent: [83, -2.5, 70, 90],
+            sugar_percent: [14, 1.5, 5, 25],
+            fiber: [1.6, 0.2, 0.5, 4],
+            vitamin_c_mg: [36, -4, 10, 60]
+        },
+        gradingProfile: 'Peeled fruit retail'
+    },
+    orange: {
+        icon: '🍊',
+        freshColor: [0.7, 1],
+        dryMatter: [11, 0.06],
+        weightFactor: 0.0018,
+        nutrition: {
+            dmReference: 14, dmSpan: 3,
+            water_percent: [87, -1.5, 75, 92],
+            sugar_percent: [9, 1, 5, 15],
+            fiber: [2.4, 0.2, 1, 5],
+            vitamin_c_mg: [53, -4, 20, 70]
+        },
+        gradingProfile: 'Peeled fruit retail'
+    },
+    banana: {
+        icon: '🍌',
+        freshColor: [0, 1],
+        dryMatter: [20, 0.1],
+        weightFactor: 0.0013,
+        nutrition: {
+            dmReference: 25, dmSpan: 5,
+            water_percent: [75, -2.5, 60, 85],
+            sugar_percent: [12, 2, 5, 25],
+            fiber: [2.6, -0.3, 1, 5],
+            vitamin_c_mg: [8.7, -1, 3, 15]
+        },
+        gradingProfile: 'Peeled fruit retail'
+    }
+};
+
+/**
+ * Resolve a fruit name, falling back to apples for unknown or missing names
+ * @param {string} fruit - Fruit name (e.g. 'mango'); results from before fruit types existed are apples
+ * @returns {string} A key of FRUIT_TYPES
+ */
+function getFruitName(fruit) {
+    return FRUIT_TYPES[fruit] ? fruit : DEFAULT_FRUIT;
+}
+
+/**
+ * Get a fruit type
+ * @param {string} fruit - Fruit name (e.g. 'mango')
+ * @returns {Object} Fruit type (see FRUIT_TYPES)
+ */
+function getFruitType(fruit) {
+    return FRUIT_TYPES[getFruitName(fruit)];
+}
+
+/**
+ * Get the fruit chosen on the upload screen
+ * @returns {string} Fruit name
+ */
+function getSelectedFruit() {
+    const fruit = localStorage.getItem(SELECTED_FRUIT_KEY);
+    return FRUIT_TYPES[fruit] ? fruit : DEFAULT_FRUIT;
+}
+
+/**
+ * Fruit name as shown in labels and lists
+ * @param {string} fruit - Fruit name
+ * @returns {string} e.g. "Mango"
+ */
+function getFruitLabel(fruit) {
+    return t(`fruit.${getFruitName(fruit)}`);
+}
+
+/**
+ * Fruit name as used in sentences
+ * @param {string} fruit - Fruit name
+ * @returns {string} e.g. "mango"
+ */
+function getFruitNoun(fruit) {
+    return t(`fruitNoun.${getFruitName(fruit)}`);
+}
+
+/**
+ * Fill a select with the fruit types
+ * @param {HTMLSelectElement} select - Select to (re)fill
+ */
+function fillFruitOptions(select) {
+    select.innerHTML = '';
+    Object.entries(FRUIT_TYPES).forEach(([fruit, type]) => {
+        const option = document.createElement('option');
+        option.value = fruit;
+        option.textContent = `${type.icon} ${getFruitLabel(fruit)}`;
+        select.appendChild(option);
+    });
+}
+
+// =============================================
+// FRUIT SELECTOR
+// =============================================
+
+/**
+ * Initialize the fruit type selector on the upload screen
+ */
+function initializeFruitSelector() {
+    const select = document.getElementById('fruitTypeSelect');
+
+    fillFruitOptions(select);
+    select.value = getSelectedFruit();
+
+    select.addEventListener('change', () => {
+        localStorage.setItem(SELECTED_FRUIT_KEY, select.value);
+        updateFruitCopy();
+    });
+
+    document.addEventListener('languagechange', () => {
+        fillFruitOptions(select);
+        select.value = getSelectedFruit();
+        updateFruitCopy();
+    });
+
+    updateFruitCopy();
+}
+
+/**
+ * Update upload screen text for the selected fruit
+ */
+function updateFruitCopy() {
+    const fruit = getSelectedFruit();
+
+    document.getElementById('uploadSubtitle').textContent =
+        t('upload.subtitle', { fruit: t(`fruitUpload.${fruit}`) });
+
+    // Leave the button alone while an analysis is running
+    const analyzeBtn = document.getElementById('analyzeBtn');
+    if (!analyzeBtn.disabled) {
+        document.getElementById('analyzeBtnText').textContent = t('analyze.button', { fruit: getFruitLabel(fruit) });
+    }
+}
@@ -0,0 +1,851 @@
+/**
+ * GRADING.JS
+ * Declarative grading rules for analysis results
+ * Features: Named rule profiles shared through the backend, first-match rule evaluation, rule set validation,
+ *           rules editor
+ */
+
+// =============================================
+// RULE PROFILES
+// =============================================
+
+// Custom profiles and the profile of each fruit type live on the backend (GET /api/grading, changed
+// by admins), so every dashboard grades alike; without a backend (mock profile) they are kept here
+const GRADING_PROFILES_KEY = 'gradingProfiles';
+const ACTIVE_GRADING_PROFILE_KEY = 'gradingProfile';   // JSON map of fruit type -> profile name
+const DEFAULT_GRADING_PROFILE = 'Retail';
+
+let customGradingProfiles = {};     // Profiles keyed by name, as last loaded
+let activeGradingProfiles = {};     // Profile names keyed by fruit type, as last loaded
+
+// Banner / badge colors a grade can use
+const GRADE_STYLES = ['excellent', 'good', 'fair', 'poor', 'unsafe'];
+
+// Banner icon per style, so a grade is not told by color alone
+const GRADE_ICONS = { excellent: '★', good: '✓', fair: '!', poor: '✗', unsafe: '⚠' };
+
+// Conditions a rule's "when" block may use; all listed conditions must hold
+const RULE_RANGE_CONDITIONS = {
+    minFreshness: results => Number(results.freshness_score),
+    maxFreshness: results => Number(results.freshness_score),
+    minDryMatter: results => Number(results.dry_matter_percent),
+    maxDryMatter: results => Number(results.dry_matter_percent),
+    minWeightKg: results => Number(results.estimated_weight_kg),
+    maxWeightKg: results => Number(results.estimated_weight_kg)
+};
+const RULE_LIST_CONDITIONS = ['spoilageRisk', 'pesticide'];
+const SPOILAGE_LEVELS = ['Low', 'Medium', 'High'];
+
+// Grade names and labels are stored with analyses, so they stay plain text (the backend rejects the rest)
+const GRADE_NAME_MAX_LENGTH = 40;
+const GRADE_LABEL_MAX_LENGTH = 200;
+const GRADE_TEXT_PATTERN = /^[^<>&"'`\p{Cc}]+$/u;
+
+const DEFAULT_GRADES = [
+    { name: 'Excellent', style: 'excellent' },
+    { name: 'Good', style: 'good' },
+    { name: 'Fair', style: 'fair' },
+    { name: 'Poor', style: 'poor' },
+    { name: 'Unsafe', style: 'unsafe' }
+];
+
+// Built-in profiles are read-only; edit a copy under a new name.
+// "{fruit}" in a message is replaced with the analyzed fruit (e.g. "This {fruit} is...").
+// Built-in text is translated with the rules.<profile id>.<rule id> catalog keys; custom profiles show their own text.
+const BUILT_IN_GRADING_PROFILES = {
+    'Retail': {
+        name: 'Retail',
+        id: 'retail',
+        description: 'Fresh-market apples sold whole to consumers',
+        grades: DEFAULT_GRADES,
+        rules: [
+            {
+                id: 'spoiled',
+                grade: 'Poor',
+                label: 'Poor Quality - High Spoilage Risk',
+                when: { spoilageRisk: ['High'] },
+                safe: false,
+                message: '⚠️ This {fruit} shows signs of spoilage and is NOT recommended for consumption. Discard immediately.',
+                shelfLife: 'Spoiled'
+            },
+            {
+                id: 'pesticide',
+                grade: 'Unsafe',
+                label: 'Unsafe - High Pesticide Levels',
+                when: { pesticide: ['high'] },
+                safe: false,
+                message: '⚠️ High pesticide residue detected. This {fruit} should NOT be consumed without thorough washing or processing.',
+                shelfLife: 'Not Safe'
+            },
+            {
+                id: 'excellent',
+                grade: 'Excellent',
+                label: 'Excellent Quality',
+                when: { minFreshness: 80, spoilageRisk: ['Low'], pesticide: ['pure'] },
+                safe: true,
+                message: '✓ This {fruit} is in perfect condition! Fresh, ripe, and free from pesticides. Safe to eat immediately.',
+                shelfLifeDays: [7, 10]
+            },
+            {
+                id: 'good',
+                grade: 'Good',
+                label: 'Good Quality',
+                when: { minFreshness: 70, spoilageRisk: ['Low'] },
+                safe: true,
+                message: '✓ This {fruit} is in good condition and safe to eat. Wash thoroughly before consumption.',
+                shelfLifeDays: [5, 7]
+            },
+            {
+                id: 'consumeSoon',
+                grade: 'Fair',
+                label: 'Fair Quality - Consume Soon',
+                when: { minFreshness: 60, spoilageRisk: ['Medium'] },
+                safe: true,
+                message: '⚡ This {fruit} is edible but showing early signs of aging. Consume within 1-2 days. Best used for cooking.',
+                shelfLifeDays: [1, 3]
+            },
+            {
+                id: 'limitedFreshness',
+                grade: 'Fair',
+                label: 'Fair Quality - Limited Freshness',
+                when: { spoilageRisk: ['Medium'] },
+                safe: true,
+                message: '⚡ This {fruit} is past its prime but still edible. Best used for cooking, baking, or smoothies within 1-2 days.',
+                shelfLifeDays: [1, 2]
+            },
+            {
+                id: 'poor',
+                grade: 'Poor',
+                label: 'Poor Quality',
+                when: {},
+                safe: false,
+                message: '✗ This {fruit} has deteriorated and is not recommended for consumption. Quality is too low.',
+                shelfLife: 'Not recommended'
+            }
+        ],
+        pesticideNote: {
+            exceptPesticide: ['pure'],
+            text: 'Note: Pesticide residue detected - wash thoroughly with water or use produce wash.'
+        }
+    },
+    'Juice processing': {
+        name: 'Juice processing',
+        id: 'juice',
+        description: 'Apples pressed for juice: cosmetic defects matter less, sugar (dry matter) matters more',
+        grades: DEFAULT_GRADES,
+        rules: [
+            {
+                id: 'pesticide',
+                grade: 'Unsafe',
+                label: 'Unsafe - High Pesticide Levels',
+                when: { pesticide: ['high'] },
+                safe: false,
+                message: '⚠️ High pesticide residue detected. Reject this lot for pressing.',
+                shelfLife: 'Not Safe'
+            },
+            {
+                id: 'spoiled',
+                grade: 'Poor',
+                label: 'Rejected - Spoiled',
+                when: { spoilageRisk: ['High'] },
+                safe: false,
+                message: '✗ Spoilage would taint the juice. Reject for pressing.',
+                shelfLife: 'Spoiled'
+            },
+            {
+                id: 'premium',
+                grade: 'Excellent',
+                label: 'Premium Juice Grade',
+                when: { minFreshness: 65, minDryMatter: 13, spoilageRisk: ['Low'] },
+                safe: true,
+                message: '✓ High sugar content and sound fruit. Ideal for premium juice.',
+                shelfLifeDays: [3, 5]
+            },
+            {
+                id: 'juice',
+                grade: 'Good',
+                label: 'Juice Grade',
+                when: { minFreshness: 50, spoilageRisk: ['Low', 'Medium'] },
+                safe: true,
+                message: '✓ Suitable for pressing. Process within a few days.',
+                shelfLifeDays: [2, 3]
+            },
+            {
+                id: 'processNow',
+                grade: 'Fair',
+                label: 'Process Immediately',
+                when: { spoilageRisk: ['Medium'] },
+                safe: true,
+                message: '⚡ Usable for juice concentrate if pressed today.',
+                shelfLife: 'Press today'
+            },
+            {
+                id: 'belowGrade',
+                grade: 'Poor',
+                label: 'Below Juice Grade',
+                when: {},
+                safe: false,
+                message: '✗ Quality is too low for pressing.',
+                shelfLife: 'Not recommended'
+            }
+        ],
+        pesticideNote: {
+            exceptPesticide: ['pure'],
+            text: 'Note: Pesticide residue detected - wash before pressing.'
+        }
+    },
+    'Peeled fruit retail': {
+        name: 'Peeled fruit retail',
+        id: 'peeled',
+        description: 'Fruit eaten peeled (mangoes, oranges, bananas): peel residue and ripening spots weigh less',
+        grades: DEFAULT_GRADES,
+        rules: [
+            {
+                id: 'spoiled',
+                grade: 'Poor',
+                label: 'Poor Quality - High Spoilage Risk',
+                when: { spoilageRisk: ['High'] },
+                safe: false,
+                message: '⚠️ This {fruit} shows signs of spoilage and is NOT recommended for consumption. Discard immediately.',
+                shelfLife: 'Spoiled'
+            },
+            {
+                id: 'pesticide',
+                grade: 'Unsafe',
+                label: 'Unsafe - High Pesticide Levels',
+                when: { pesticide: ['high'] },
+                safe: false,
+                message: '⚠️ High pesticide residue detected on the peel. This {fruit} should NOT be consumed.',
+                shelfLife: 'Not Safe'
+            },
+            {
+                id: 'excellent',
+                grade: 'Excellent',
+                label: 'Excellent Quality',
+                when: { minFreshness: 75, spoilageRisk: ['Low'] },
+                safe: true,
+                message: '✓ This {fruit} is in perfect condition. Peel and enjoy.',
+                shelfLifeDays: [5, 8]
+            },
+            {
+                id: 'good',
+                grade: 'Good',
+                label: 'Good Quality',
+                when: { minFreshness: 65, spoilageRisk: ['Low'] },
+                safe: true,
+                message: '✓ This {fruit} is in good condition and safe to eat once peeled.',
+                shelfLifeDays: [3, 5]
+            },
+            {
+                id: 'veryRipe',
+                grade: 'Fair',
+                label: 'Fair Quality - Very Ripe',
+                when: { minFreshness: 55, spoilageRisk: ['Medium'] },
+                safe: true,
+                message: '⚡ This {fruit} is very ripe. Eat within 1-2 days or use it for smoothies and baking.',
+                shelfLifeDays: [1, 2]
+            },
+            {
+                id: 'poor',
+                grade: 'Poor',
+                label: 'Poor Quality',
+                when: {},
+                safe: false,
+                message: '✗ This {fruit} has deteriorated and is not recommended for consumption.',
+                shelfLife: 'Not recommended'
+            }
+        ],
+        pesticideNote: {
+            exceptPesticide: ['pure'],
+            text: 'Note: Pesticide residue detected on the peel - wash before peeling and wash your hands afterwards.'
+        }
+    }
+};
+
+/**
+ * Whether grading profiles are kept by the backend
+ * @returns {boolean} False with the offline mock profile
+ */
+function isServerGrading() {
+    return !getClientConfig().mock;
+}
+
+/**
+ * Load the custom profiles and the profile of each fruit type
+ * @returns {Promise<void>} Resolves once loaded; a failure is reported and leaves the built-in profiles
+ */
+async function loadGradingProfiles() {
+    if (!isServerGrading()) {
+        setGradingState({ profiles: readStoredJson(GRADING_PROFILES_KEY, {}), active: readStoredActiveProfiles() });
+        return;
+    }
+
+    try {
+        setGradingState(await requestApi('/api/grading'));
+    } catch (error) {
+        console.error('Grading error:', error);
+        showToast(t('grading.loadFailed', { error: error.message }), 'error');
+    }
+}
+
+/**
+ * Keep the grading state returned by the backend (or read from this browser)
+ * @param {Object} state - { profiles, active }
+ */
+function setGradingState(state) {
+    customGradingProfiles = state.profiles || {};
+    activeGradingProfiles = state.active || {};
+}
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value when missing or unreadable
+ * @returns {*} Stored value
+ */
+function readStoredJson(key, fallback) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) || fallback;
+    } catch (error) {
+        console.error('Error parsing grading profiles:', error);
+        return fallback;
+    }
+}
+
+/**
+ * Read the profile of each fruit type saved in this browser (mock profile only)
+ * @returns {Object} Profile names keyed by fruit type
+ */
+function readStoredActiveProfiles() {
+    const stored = localStorage.getItem(ACTIVE_GRADING_PROFILE_KEY);
+    if (!stored) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(stored);
+    } catch (error) {
+        // Saved before fruit types existed: a single profile name, used for apples
+        return { apple: stored };
+    }
+}
+
+/**
+ * Get the custom rule profiles
+ * @returns {Object} Profiles keyed by name
+ */
+function getCustomGradingProfiles() {
+    return customGradingProfiles;
+}
+
+/**
+ * Get all rule profiles (built-in and custom)
+ * @returns {Object} Profiles keyed by name
+ */
+function getGradingProfiles() {
+    return { ...BUILT_IN_GRADING_PROFILES, ...getCustomGradingProfiles() };
+}
+
+/**
+ * Get the profile chosen for each fruit type
+ * @returns {Object} Profile names keyed by fruit type
+ */
+function getActiveGradingProfiles() {
+    return activeGradingProfiles;
+}
+
+/**
+ * Get the name of the profile used for new results
+ * @param {string} fruit - Fruit type; the upload screen's choice by default
+ * @returns {string} Profile name
+ */
+function getActiveGradingProfileName(fruit = getSelectedFruit()) {
+    const profiles = getGradingProfiles();
+    const name = getActiveGradingProfiles()[fruit];
+    if (name && profiles[name]) {
+        return name;
+    }
+
+    const fruitDefault = getFruitType(fruit).gradingProfile;
+    return profiles[fruitDefault] ? fruitDefault : DEFAULT_GRADING_PROFILE;
+}
+
+/**
+ * Choose the profile used for new results of a fruit type
+ * @param {string} name - Profile name
+ * @param {string} fruit - Fruit type; the upload screen's choice by default
+ * @returns {Promise<void>} Rejects with the API error when the backend refuses
+ */
+async function setActiveGradingProfile(name, fruit = getSelectedFruit()) {
+    if (isServerGrading()) {
+        setGradingState(await requestApi(`/api/grading/active/${encodeURIComponent(fruit)}`, {
+            method: 'PUT',
+            body: { profile: name }
+        }));
+        return;
+    }
+
+    activeGradingProfiles = { ...activeGradingProfiles, [fruit]: name };
+    localStorage.setItem(ACTIVE_GRADING_PROFILE_KEY, JSON.stringify(activeGradingProfiles));
+}
+
+/**
+ * Get a rule profile by name
+ * @param {string} name - Profile name; the active profile when omitted or unknown
+ * @param {string} fruit - Fruit type whose active profile is the fallback
+ * @returns {Object} Rule set
+ */
+function getGradingProfile(name, fruit = getSelectedFruit()) {
+    const profiles = getGradingProfiles();
+    return profiles[name] || profiles[getActiveGradingProfileName(fruit)];
+}
+
+/**
+ * Save a custom rule profile
+ * @param {Object} ruleSet - Rule set to save
+ * @returns {Promise<Array<string>>} Validation errors, or the backend's refusal (empty when saved)
+ */
+async function saveGradingProfile(ruleSet) {
+    const errors = validateRuleSet(ruleSet);
+    if (errors.length === 0 && BUILT_IN_GRADING_PROFILES[ruleSet.name]) {
+        errors.push(t('grading.error.builtIn', { name: ruleSet.name }));
+    }
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    if (isServerGrading()) {
+        try {
+            setGradingState(await requestApi(`/api/grading/profiles/${encodeURIComponent(ruleSet.name)}`, {
+                method: 'PUT',
+                body: ruleSet
+            }));
+        } catch (error) {
+            console.error('Grading error:', error);
+            return [error.message];
+        }
+        return [];
+    }
+
+    customGradingProfiles = { ...customGradingProfiles, [ruleSet.name]: ruleSet };
+    localStorage.setItem(GRADING_PROFILES_KEY, JSON.stringify(customGradingProfiles));
+    return [];
+}
+
+/**
+ * Delete a custom rule profile; fruits that used it go back to their default profile
+ * @param {string} name - Profile name
+ * @returns {Promise<void>} Rejects with the API error when the backend refuses
+ */
+async function deleteGradingProfile(name) {
+    if (isServerGrading()) {
+        setGradingState(await requestApi(`/api/grading/profiles/${encodeURIComponent(name)}`, { method: 'DELETE' }));
+        return;
+    }
+
+    const profiles = { ...customGradingProfiles };
+    delete profiles[name];
+    const active = { ...activeGradingProfiles };
+    Object.keys(active).forEach(fruit => {
+        if (active[fruit] === name) delete active[fruit];
+    });
+    setGradingState({ profiles, active });
+    localStorage.setItem(GRADING_PROFILES_KEY, JSON.stringify(profiles));
+    localStorage.setItem(ACTIVE_GRADING_PROFILE_KEY, JSON.stringify(active));
+}
+
+/**
+ * Grade names of a profile, best first
+ * @param {string} profileName - Profile name; the active profile when omitted
+ * @returns {Array<string>} Grade names
+ */
+function getGradeNames(profileName) {
+    return getGradingProfile(profileName).grades.map(grade => grade.name);
+}
+
+/**
+ * CSS style class for a grade name, looked up across all profiles
+ * @param {string} gradeName - Grade name
+ * @returns {string} One of GRADE_STYLES, or '' for grades no profile defines
+ */
+function getGradeClass(gradeName) {
+    for (const profile of Object.values(getGradingProfiles())) {
+        const grade = profile.grades.find(g => g.name === gradeName);
+        if (grade) return grade.style;
+    }
+    const style = String(gradeName).toLowerCase();
+    return GRADE_STYLES.includes(style) ? style : '';
+}
+
+/**
+ * Build a grade badge
+ * Grade names can come from other users' custom profiles, so they are set as text.
+ * @param {string} gradeName - Grade name
+ * @param {string} text - Badge text; the translated grade name by default
+ * @returns {HTMLElement} Badge element
+ */
+function createGradeBadge(gradeName, text = tValue('grades', gradeName)) {
+    const badge = document.createElement('span');
+    badge.className = `history-grade ${getGradeClass(gradeName)}`.trim();
+    badge.textContent = text;
+    return badge;
+}
+
+// =============================================
+// EVALUATION
+// =============================================
+
+/**
+ * Check whether a result satisfies a rule's conditions
+ * @param {Object} when - Rule conditions
+ * @param {Object} results - Analysis results
+ * @returns {boolean} True if every condition holds
+ */
+function ruleMatches(when, results) {
+    for (const [key, read] of Object.entries(RULE_RANGE_CONDITIONS)) {
+        if (when[key] === undefined) continue;
+        const value = read(results);
+        if (key.startsWith('min') ? !(value >= when[key]) : !(value <= when[key])) return false;
+    }
+
+    if (when.spoilageRisk && !when.spoilageRisk.includes(results.spoilage_risk)) {
+        return false;
+    }
+
+    // Pesticide terms match anywhere in the class, e.g. "high" matches "Fungicide High"
+    const pesticide = String(results.pesticide_class || '').toLowerCase();
+    if (when.pesticide && !when.pesticide.some(term => pesticide.includes(term.toLowerCase()))) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Format a rule's shelf life
+ * @param {Object} rule - Matching rule
+ * @returns {string} e.g. "5-7 days", or the rule's shelfLife text (translated when the catalog has it)
+ */
+function formatShelfLife(rule) {
+    if (!rule.shelfLifeDays) {
+        return tValue('shelfLife', rule.shelfLife);
+    }
+
+    const [min, max] = rule.shelfLifeDays.map(days => formatNumber(days));
+    if (min !== max) {
+        return t('shelfLife.dayRange', { min, max });
+    }
+    return t(rule.shelfLifeDays[0] === 1 ? 'shelfLife.oneDay' : 'shelfLife.days', { days: min });
+}
+
+/**
+ * Grade a result with a rule set; the first matching rule wins
+ * @param {Object} results - Analysis results
+ * @param {Object} ruleSet - Rule profile
+ * @returns {Object} { grade, gradeText, gradeClass, safeToEat, message, shelfLife, profile }
+ */
+function applyGradingRules(results, ruleSet) {
+    const rule = ruleSet.rules.find(r => ruleMatches(r.when || {}, results)) ||
+        ruleSet.rules[ruleSet.rules.length - 1];
+    const grade = ruleSet.grades.find(g => g.name === rule.grade);
+
+    // Built-in profiles are shown in the interface language
+    const builtIn = BUILT_IN_GRADING_PROFILES[ruleSet.name] === ruleSet;
+    const text = (key, fallback) => (builtIn ? t(`rules.${ruleSet.id}.${key}`) : fallback);
+
+    let message = text(`${rule.id}.message`, rule.message);
+    const note = ruleSet.pesticideNote;
+    if (rule.safe && note && !ruleMatches({ pesticide: note.exceptPesticide }, results)) {
+        message += ` ${text('note', note.text)}`;
+    }
+    message = message.replace(/\{fruit\}/g, getFruitNoun(results.fruit));
+
+    return {
+        grade: rule.grade,
+        gradeText: text(`${rule.id}.label`, rule.label),
+        gradeClass: grade ? grade.style : String(rule.grade).toLowerCase(),
+        safeToEat: rule.safe,
+        message: message,
+        shelfLife: formatShelfLife(rule),
+        profile: ruleSet.name
+    };
+}
+
+// =============================================
+// VALIDATION
+// =============================================
+
+/**
+ * Check a rule set for mistakes before it is used
+ * @param {Object} ruleSet - Parsed rule set
+ * @returns {Array<string>} Human-readable errors (empty when valid)
+ */
+function validateRuleSet(ruleSet) {
+    const errors = [];
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+
+    if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+        return [t('grading.error.notObject')];
+    }
+    if (!isText(ruleSet.name)) {
+        errors.push(t('grading.error.required', { field: 'name' }));
+    } else if (ruleSet.name.length > GRADE_LABEL_MAX_LENGTH || !GRADE_TEXT_PATTERN.test(ruleSet.name)) {
+        errors.push(t('grading.error.plainText', { at: 'profile', field: 'name', max: GRADE_LABEL_MAX_LENGTH }));
+    }
+
+    // Grades
+    const gradeNames = [];
+    if (!Array.isArray(ruleSet.grades) || ruleSet.grades.length === 0) {
+        errors.push(t('grading.error.noGrades'));
+    } else {
+        ruleSet.grades.forEach((grade, i) => {
+            if (!grade || !isText(grade.name)) {
+                errors.push(t('grading.error.itemRequired', { at: `grades[${i}]`, field: 'name' }));
+                return;
+            }
+            if (grade.name.length > GRADE_NAME_MAX_LENGTH || !GRADE_TEXT_PATTERN.test(grade.name)) {
+                errors.push(t('grading.error.plainText', { at: `grades[${i}]`, field: 'name', max: GRADE_NAME_MAX_LENGTH }));
+            }
+            if (gradeNames.includes(grade.name)) {
+                errors.push(t('grading.error.duplicateGrade', { at: `grades[${i}]`, grade: grade.name }));
+            }
+            if (!GRADE_STYLES.includes(grade.style)) {
+                errors.push(t('grading.error.style', { at: `grades[${i}]`, styles: GRADE_STYLES.join(', ') }));
+            }
+            gradeNames.push(grade.name);
+        });
+    }
+
+    // Rules
+    if (!Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+        errors.push(t('grading.error.noRules'));
+        return errors;
+    }
+
+    ruleSet.rules.forEach((rule, i) => {
+        const at = `rules[${i}]`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(t('grading.error.ruleObject', { at }));
+            return;
+        }
+        if (!gradeNames.includes(rule.grade)) {
+            errors.push(t('grading.error.unknownGrade', { at }));
+        }
+        if (!isText(rule.label)) {
+            errors.push(t('grading.error.itemRequired', { at, field: 'label' }));
+        } else if (rule.label.length > GRADE_LABEL_MAX_LENGTH || !GRADE_TEXT_PATTERN.test(rule.label)) {
+            errors.push(t('grading.error.plainText', { at, field: 'label', max: GRADE_LABEL_MAX_LENGTH }));
+        }
+        if (!isText(rule.message)) errors.push(t('grading.error.itemRequired', { at, field: 'message' }));
+        if (typeof rule.safe !== 'boolean') errors.push(t('grading.error.safe', { at }));
+
+        if (rule.shelfLifeDays !== undefined) {
+            const days = rule.shelfLifeDays;
+            if (!Array.isArray(days) || days.length !== 2 || !days.every(d => Number.isFinite(d) && d >= 0) || days[0] > days[1]) {
+                errors.push(t('grading.error.shelfLifeDays', { at }));
+            }
+        } else if (!isText(rule.shelfLife)) {
+            errors.push(t('grading.error.shelfLife', { at }));
+        }
+
+        const when = rule.when || {};
+        if (typeof when !== 'object' || Array.isArray(when)) {
+            errors.push(t('grading.error.when', { at }));
+            return;
+        }
+        Object.keys(when).forEach(key => {
+            if (key in RULE_RANGE_CONDITIONS) {
+                if (!Number.isFinite(when[key])) errors.push(t('grading.error.number', { at, key }));
+            } else if (RULE_LIST_CONDITIONS.includes(key)) {
+                if (!Array.isArray(when[key]) || when[key].length === 0 || !when[key].every(isText)) {
+                    errors.push(t('grading.error.list', { at, key }));
+                }
+            } else {
+                errors.push(t('grading.error.unknownCondition', { at, key }));
+            }
+        });
+        if (Array.isArray(when.spoilageRisk) && !when.spoilageRisk.every(level => SPOILAGE_LEVELS.includes(level))) {
+            errors.push(t('grading.error.spoilageRisk', { at, levels: SPOILAGE_LEVELS.join(', ') }));
+        }
+        ['Freshness', 'DryMatter', 'WeightKg'].forEach(metric => {
+            if (when[`min${metric}`] > when[`max${metric}`]) {
+                errors.push(t('grading.error.minMax', { at, min: `min${metric}`, max: `max${metric}` }));
+            }
+        });
+    });
+
+    // Every result must get a grade
+    const last = ruleSet.rules[ruleSet.rules.length - 1];
+    if (last && last.when && Object.keys(last.when).length > 0) {
+        errors.push(t('grading.error.lastRule'));
+    }
+
+    if (ruleSet.pesticideNote !== undefined) {
+        const note = ruleSet.pesticideNote;
+        if (!note || !isText(note.text) || !Array.isArray(note.exceptPesticide) || !note.exceptPesticide.every(isText)) {
+            errors.push(t('grading.error.pesticideNote'));
+        }
+    }
+
+    return errors;
+}
+
+// =============================================
+// RULES EDITOR
+// =============================================
+
+/**
+ * Initialize the grading rules card in settings
+ */
+function initializeGradingSettings() {
+    const select = document.getElementById('gradingProfileSelect');
+    const fruitSelect = document.getElementById('gradingFruitSelect');
+
+    fillFruitOptions(fruitSelect);
+    fruitSelect.value = getSelectedFruit();
+    fruitSelect.addEventListener('change', loadGradingEditor);
+
+    select.addEventListener('change', async () => {
+        if (!checkGradingPermission()) {
+            loadGradingEditor();
+            return;
+        }
+        const name = select.value;
+        try {
+            await setActiveGradingProfile(name, fruitSelect.value);
+        } catch (error) {
+            console.error('Grading error:', error);
+            showToast(error.message, 'error');
+            loadGradingEditor();
+            return;
+        }
+        loadGradingEditor();
+        showToast(t('grading.activated', { fruit: getFruitLabel(fruitSelect.value), name }));
+    });
+
+    document.getElementById('gradingValidateBtn').addEventListener('click', () => {
+        const { errors } = readGradingEditor();
+        showGradingErrors(errors);
+        if (errors.length === 0) showToast(t('grading.valid'));
+    });
+
+    document.getElementById('gradingSaveBtn').addEventListener('click', async () => {
+        if (!checkGradingPermission()) return;
+        const { ruleSet, errors } = readGradingEditor();
+        const saveErrors = errors.length > 0 ? errors : await saveGradingProfile(ruleSet);
+        showGradingErrors(saveErrors);
+        if (saveErrors.length > 0) return;
+
+        try {
+            await setActiveGradingProfile(ruleSet.name, fruitSelect.value);
+        } catch (error) {
+            console.error('Grading error:', error);
+            showToast(error.message, 'error');
+            loadGradingEditor();
+            return;
+        }
+        loadGradingEditor();
+        showToast(t('grading.saved', { name: ruleSet.name }));
+    });
+
+    document.getElementById('gradingDeleteBtn').addEventListener('click', async () => {
+        const name = select.value;
+        if (!checkGradingPermission() || !confirm(t('grading.confirmDelete', { name }))) return;
+
+        try {
+            await deleteGradingProfile(name);
+        } catch (error) {
+            console.error('Grading error:', error);
+            showToast(error.message, 'error');
+            return;
+        }
+        loadGradingEditor();
+        showToast(t('grading.deleted', { name }));
+    });
+
+    document.getElementById('gradingRevertBtn').addEventListener('click', loadGradingEditor);
+
+    // Option labels are translated; the editor keeps unsaved changes
+    document.addEventListener('languagechange', () => {
+        const fruit = fruitSelect.value;
+        fillFruitOptions(fruitSelect);
+        fruitSelect.value = fruit;
+        Array.from(select.options).forEach(option => {
+            option.textContent = getGradingProfileOptionLabel(option.value);
+        });
+    });
+
+    loadGradingEditor();
+    loadGradingProfiles().then(loadGradingEditor);
+}
+
+/**
+ * Check that the user's role may change grading profiles, and say so when it may not
+ * @returns {boolean} True if allowed
+ */
+function checkGradingPermission() {
+    if (hasPermission('thresholds')) {
+        return true;
+    }
+    showToast(t('grading.notAllowed'), 'error');
+    return false;
+}
+
+/**
+ * Fill the profile list and editor from the active profile of the chosen fruit
+ */
+function loadGradingEditor() {
+    const select = document.getElementById('gradingProfileSelect');
+    const active = getActiveGradingProfileName(document.getElementById('gradingFruitSelect').value);
+
+    select.innerHTML = '';
+    Object.keys(getGradingProfiles()).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = getGradingProfileOptionLabel(name);
+        select.appendChild(option);
+    });
+    select.value = active;
+
+    document.getElementById('gradingRulesEditor').value = JSON.stringify(getGradingProfile(active), null, 2);
+    document.getElementById('gradingDeleteBtn').disabled = Boolean(BUILT_IN_GRADING_PROFILES[active]);
+    showGradingErrors([]);
+}
+
+/**
+ * Label of a profile in the profile list
+ * @param {string} name - Profile name
+ * @returns {string} Name, marked when built in
+ */
+function getGradingProfileOptionLabel(name) {
+    return BUILT_IN_GRADING_PROFILES[name] ? t('grading.builtIn', { name }) : name;
+}
+
+/**
+ * Parse and validate the editor contents
+ * @returns {Object} { ruleSet, errors }
+ */
+function readGradingEditor() {
+    let ruleSet;
+    try {
+        ruleSet = JSON.parse(document.getElementById('gradingRulesEditor').value);
+    } catch (error) {
+        return { ruleSet: null, errors: [t('grading.error.json', { error: error.message })] };
+    }
+    return { ruleSet, errors: validateRuleSet(ruleSet) };
+}
+
+/**
+ * Show validation errors under the editor
+ * @param {Array<string>} errors - Errors to show (empty hides the list)
+ */
+function showGradingErrors(errors) {
+    const list = document.getElementById('gradingRulesErrors');
+    list.innerHTML = '';
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+    });
+    list.classList.toggle('hidden', errors.length === 0);
+}
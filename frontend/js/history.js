@@ -0,0 +1,883 @@
+/**
+ * HISTORY.JS
+ * Persistent analysis history for Fruit Detection Project
+ * Features: Server-side history over the REST API, IndexedDB storage for the mock profile,
+ *           history browsing with filters and pages, re-opening past results
+ */
+
+// =============================================
+// HISTORY STORAGE (IndexedDB)
+// =============================================
+
+const HISTORY_DB_NAME = 'fruitQualityHistory';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'analyses';
+const THUMBNAIL_MAX_SIZE = 320;
+
+// Operator filter value for analyses stored before the operator was recorded
+const UNKNOWN_OPERATOR = 'unknown';
+
+let historyDb = null;
+
+/**
+ * Open (or create) the history database
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+function openHistoryDB() {
+    if (historyDb) {
+        return Promise.resolve(historyDb);
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+        request.onupgradeneeded = (e) => {
+            const db = e.target.result;
+            if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('timestamp', 'timestamp');
+                store.createIndex('grade', 'grade');
+            }
+        };
+
+        request.onsuccess = (e) => {
+            historyDb = e.target.result;
+            resolve(historyDb);
+        };
+
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a request against the history object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} action - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function runHistoryRequest(mode, action) {
+    const db = await openHistoryDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(HISTORY_STORE, mode);
+        const request = action(tx.objectStore(HISTORY_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Get all locally stored history entries, newest first
+ * @returns {Promise<Array>} History entries
+ */
+async function getLocalHistoryEntries() {
+    const entries = await runHistoryRequest('readonly', store => store.getAll());
+    return entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+/**
+ * Downscale an image data URL for storage
+ * @param {string} dataUrl - Source image data URL
+ * @returns {Promise<string|null>} JPEG thumbnail data URL, or null when the image cannot be decoded
+ */
+function createThumbnail(dataUrl) {
+    return new Promise((resolve) => {
+        const img = new Image();
+
+        img.onload = () => {
+            const scale = Math.min(1, THUMBNAIL_MAX_SIZE / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.width * scale);
+            canvas.height = Math.round(img.height * scale);
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            resolve(canvas.toDataURL('image/jpeg', 0.8));
+        };
+
+        // Images the browser cannot decode get no thumbnail
+        img.onerror = () => resolve(null);
+
+        img.src = dataUrl;
+    });
+}
+
+// =============================================
+// HISTORY API
+// =============================================
+
+/**
+ * Call the history API
+ * @param {string} path - Path below /api/history
+ * @param {Object} options - requestApi() options
+ * @returns {Promise<Object>} Response JSON
+ */
+function requestHistoryApi(path, options = {}) {
+    return requestApi(`/api/history${path}`, options);
+}
+
+/**
+ * Convert a stored analysis from the API into a history entry
+ * Analyses that were never graded are graded now, with the rule profile recorded on the result.
+ * @param {Object} analysis - Analysis record from the API
+ * @returns {Object} History entry ({ id, timestamp, operator, grade, gradeText, safeToEat, thumbnail, results })
+ */
+function toHistoryEntry(analysis) {
+    const results = { analyzer: 'server', ...analysis.result, analysis_id: analysis.id };
+    const assessment = analysis.grade
+        ? { grade: analysis.grade, gradeText: analysis.grade_text, safeToEat: analysis.safe_to_eat }
+        : calculateQualityGrade(results);
+
+    return {
+        id: analysis.id,
+        timestamp: analysis.created_at,
+        operator: analysis.user,
+        grade: assessment.grade,
+        gradeText: assessment.gradeText,
+        safeToEat: assessment.safeToEat,
+        thumbnail: analysis.thumbnail,
+        results: results
+    };
+}
+
+/**
+ * Build the API query string for history filters
+ * @param {Object} filters - History filters (see matchesHistoryFilters())
+ * @param {Object} extra - Further parameters (page, page_size, group_by)
+ * @returns {string} Query string including the leading '?'
+ */
+function toHistoryQuery(filters, extra = {}) {
+    const params = new URLSearchParams();
+    if (filters.grade) params.set('grade', filters.grade);
+    if (filters.spoilage) params.set('spoilage_risk', filters.spoilage);
+    if (filters.pesticide) params.set('pesticide_class', filters.pesticide);
+    if (filters.operator) params.set('operator', filters.operator);
+    if (filters.lot) params.set('lot', filters.lot);
+
+    // Date filters are local calendar days; the API compares UTC times
+    const from = filters.date || filters.from;
+    const to = filters.date || filters.to;
+    if (from) {
+        params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    }
+    if (to) {
+        const end = new Date(`${to}T00:00:00`);
+        end.setDate(end.getDate() + 1);
+        params.set('to', end.toISOString());
+    }
+
+    Object.entries(extra).forEach(([key, value]) => params.set(key, value));
+    return `?${params}`;
+}
+
+/**
+ * Convert an aggregate from the API into the form getHistoryAggregate() returns
+ * @param {Object} data - Response of /api/history/aggregate, or one of its groups
+ * @returns {Object} Aggregate
+ */
+function toHistoryAggregate(data) {
+    const aggregate = {
+        count: data.count,
+        meanFreshness: data.mean_freshness_score,
+        meanDryMatter: data.mean_dry_matter_percent,
+        unsafeCount: data.unsafe_count,
+        gradedCount: data.graded_count,
+        grades: data.grades
+    };
+    if (data.pesticide_classes) {
+        aggregate.pesticides = data.pesticide_classes;
+    }
+    if (data.groups) {
+        aggregate.groups = data.groups.map(group => ({
+            key: group.key,
+            ...toHistoryAggregate(group),
+            latest: { timestamp: group.latest.created_at, operator: group.latest.user, lot: group.latest.lot }
+        }));
+    }
+    return aggregate;
+}
+
+// =============================================
+// HISTORY ACCESS
+// =============================================
+
+/**
+ * Check whether history is kept by the backend
+ * The mock profile has no backend, so its history stays in this browser.
+ * @returns {boolean} True when history goes through the API
+ */
+function isServerHistory() {
+    return !getClientConfig().mock;
+}
+
+/**
+ * Store an analysis result in history
+ * Analyses the backend stored (they carry analysis_id) only receive their grade; the rest are posted.
+ * When the backend cannot be reached, the entry is kept in this browser and uploaded later
+ * by uploadPendingHistory(). Results of the demo analyzers are never sent to the backend;
+ * they stay in this browser so they cannot reach shared statistics.
+ * @param {Object} results - Analysis results
+ * @param {Object} image - Uploaded image ({ file, dataUrl })
+ * @returns {Promise<number|null>} ID of the history entry, or null while it waits to be uploaded
+ */
+async function saveToHistory(results, image) {
+    const assessment = calculateQualityGrade(results);
+
+    if (isServerHistory() && results.analysis_id) {
+        const data = await requestHistoryApi(`/${results.analysis_id}/grade`, {
+            method: 'PUT',
+            body: { grade: assessment.grade, grade_text: assessment.gradeText, safe_to_eat: assessment.safeToEat }
+        });
+        return data.analysis.id;
+    }
+
+    const user = getCurrentUser();
+    const entry = {
+        timestamp: new Date().toISOString(),
+        operator: user ? { name: user.name, email: user.email } : null,
+        grade: assessment.grade,
+        gradeText: assessment.gradeText,
+        safeToEat: assessment.safeToEat,
+        thumbnail: image ? await createThumbnail(image.dataUrl) : null,
+        results: results
+    };
+
+    if (isServerHistory() && results.simulated) {
+        const id = await runHistoryRequest('readwrite', store => store.add(entry));
+        showToast(t('history.simulatedLocal'));
+        return id;
+    }
+
+    if (isServerHistory()) {
+        try {
+            return await postHistoryEntry(entry);
+        } catch (error) {
+            if (!isNetworkError(error)) throw error;
+            await runHistoryRequest('readwrite', store => store.add({ ...entry, pending: true }));
+            showToast(t('history.savedLocally'));
+            return null;
+        }
+    }
+
+    return runHistoryRequest('readwrite', store => store.add(entry));
+}
+
+/**
+ * Post a history entry to the backend
+ * @param {Object} entry - Entry in the local format
+ * @returns {Promise<number>} ID of the stored analysis
+ */
+async function postHistoryEntry(entry) {
+    const data = await requestHistoryApi('', {
+        method: 'POST',
+        body: {
+            result: entry.results,
+            grade: entry.grade,
+            grade_text: entry.gradeText,
+            safe_to_eat: entry.safeToEat,
+            thumbnail: entry.thumbnail
+        }
+    });
+    return data.analysis.id;
+}
+
+let historyUploadRunning = false;
+
+/**
+ * Upload the entries kept in this browser while the backend was unreachable, oldest first
+ * Each entry is removed once the backend stored it. A network failure, a server fault or an
+ * expired session stops the run; the remaining entries wait for the next one. An entry the
+ * backend refuses is marked rejected with its reason and not sent again; History lists it
+ * until it is discarded.
+ */
+async function uploadPendingHistory() {
+    if (!isServerHistory() || isOffline() || historyUploadRunning) return;
+    historyUploadRunning = true;
+
+    let uploaded = 0;
+    let rejected = 0;
+    try {
+        const pending = (await getLocalHistoryEntries()).filter(entry => entry.pending).reverse();
+        for (const entry of pending) {
+            try {
+                await postHistoryEntry(entry);
+            } catch (error) {
+                if (isNetworkError(error) || error.retryable || error.status === 401 || error.status === 403) break;
+                console.error('History error:', error);
+                await runHistoryRequest('readwrite', store => store.put({ ...entry, pending: false, rejected: error.message }));
+                rejected++;
+                continue;
+            }
+            await runHistoryRequest('readwrite', store => store.delete(entry.id));
+            uploaded++;
+        }
+    } catch (error) {
+        console.error('History error:', error);
+    } finally {
+        historyUploadRunning = false;
+    }
+
+    if (rejected > 0) {
+        showToast(t('history.pendingRejected', { count: rejected }), 'error');
+    } else if (uploaded > 0) {
+        showToast(t('history.pendingUploaded', { count: uploaded }));
+    }
+    if (uploaded > 0 || rejected > 0) {
+        renderHistory();
+    }
+}
+
+/**
+ * Get one page of history entries matching the filters, newest first
+ * @param {Object} filters - Filters from getHistoryFilters()
+ * @param {number} page - Page number, from 1
+ * @param {AbortSignal|null} signal - Cancels the request
+ * @returns {Promise<Object>} { items, total, page, pages }
+ */
+async function getHistoryPage(filters, page, signal = null) {
+    if (isServerHistory()) {
+        const data = await requestHistoryApi(toHistoryQuery(filters, { page: page, page_size: HISTORY_PAGE_SIZE }), {
+            signal: signal
+        });
+        return { items: data.items.map(toHistoryEntry), total: data.total, page: data.page, pages: data.pages };
+    }
+
+    const matching = (await getLocalHistoryEntries()).filter(entry => matchesHistoryFilters(entry, filters));
+    const pages = Math.max(1, Math.ceil(matching.length / HISTORY_PAGE_SIZE));
+    const current = Math.min(page, pages);
+    return {
+        items: matching.slice((current - 1) * HISTORY_PAGE_SIZE, current * HISTORY_PAGE_SIZE),
+        total: matching.length,
+        page: current,
+        pages: pages
+    };
+}
+
+/**
+ * Summarize the history entries matching the filters
+ * The backend summarizes its analyses itself, so they are never all downloaded.
+ * @param {Object} filters - History filters (see matchesHistoryFilters())
+ * @param {string|null} groupBy - Also summarize per 'day', 'week' (from Monday), 'lot' or 'operator'
+ * @param {AbortSignal|null} signal - Cancels the request
+ * @returns {Promise<Object>} { count, meanFreshness and meanDryMatter (null when empty), unsafeCount,
+ *                             gradedCount (analyses with a safe-to-eat verdict), grades (grade → count),
+ *                             pesticides (class → count) }, with groupBy also groups: [{ key, count,
+ *                             meanFreshness, meanDryMatter, unsafeCount, gradedCount, grades,
+ *                             latest: { timestamp, operator, lot } }], most recent first
+ */
+async function getHistoryAggregate(filters, groupBy = null, signal = null) {
+    if (isServerHistory()) {
+        // Days and weeks are counted in this browser's time zone
+        const extra = groupBy ? { group_by: groupBy, tz_offset: -new Date().getTimezoneOffset() } : {};
+        const data = await requestHistoryApi(`/aggregate${toHistoryQuery(filters, extra)}`, { signal: signal });
+        return toHistoryAggregate(data);
+    }
+
+    // Demo results are listed but not counted, as on the backend
+    const matching = (await getLocalHistoryEntries())
+        .filter(entry => !entry.results.simulated && matchesHistoryFilters(entry, filters));
+    const aggregate = aggregateHistoryEntries(matching);
+    if (groupBy) {
+        const groups = new Map();
+        matching.forEach(entry => {
+            const key = getHistoryGroupKey(entry, groupBy);
+            if (key === null) return;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(entry);
+        });
+        // Entries are newest first, so a group's first entry is its latest
+        aggregate.groups = [...groups].map(([key, entries]) => ({
+            key: key,
+            ...aggregateHistoryEntries(entries),
+            latest: { timestamp: entries[0].timestamp, operator: entries[0].operator, lot: entries[0].results.lot || null }
+        }));
+    }
+    return aggregate;
+}
+
+/**
+ * Summarize locally stored history entries the way /api/history/aggregate does
+ * @param {Array<Object>} entries - History entries
+ * @returns {Object} { count, meanFreshness, meanDryMatter, unsafeCount, gradedCount, grades, pesticides }
+ */
+function aggregateHistoryEntries(entries) {
+    const mean = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    const countBy = value => entries.reduce((counts, entry) => {
+        const key = value(entry);
+        if (key) counts[key] = (counts[key] || 0) + 1;
+        return counts;
+    }, {});
+
+    return {
+        count: entries.length,
+        meanFreshness: mean(entries.map(entry => Number(entry.results.freshness_score)).filter(Number.isFinite)),
+        meanDryMatter: mean(entries.map(entry => Number(entry.results.dry_matter_percent)).filter(Number.isFinite)),
+        unsafeCount: entries.filter(entry => entry.safeToEat === false).length,
+        gradedCount: entries.filter(entry => typeof entry.safeToEat === 'boolean').length,
+        grades: countBy(entry => entry.grade),
+        pesticides: countBy(entry => entry.results.pesticide_class)
+    };
+}
+
+/**
+ * Group a locally stored history entry falls in
+ * @param {Object} entry - History entry
+ * @param {string} groupBy - 'day', 'week', 'lot' or 'operator'
+ * @returns {string|null} Group key as the API forms it, or null when the entry has none
+ */
+function getHistoryGroupKey(entry, groupBy) {
+    if (groupBy === 'lot') {
+        return entry.results.lot && entry.results.lot.code ? entry.results.lot.code : null;
+    }
+    if (groupBy === 'operator') {
+        return getEntryOperator(entry);
+    }
+    return toLocalDateString(getPeriodStart(new Date(entry.timestamp), groupBy));
+}
+
+/**
+ * Get a single history entry
+ * @param {number} id - History entry ID
+ * @returns {Promise<Object|undefined>} History entry, or undefined when it does not exist
+ */
+async function getHistoryEntry(id) {
+    if (!isServerHistory()) {
+        return runHistoryRequest('readonly', store => store.get(id));
+    }
+
+    try {
+        return toHistoryEntry((await requestHistoryApi(`/${id}`)).analysis);
+    } catch (error) {
+        if (error.status === 404) {
+            return undefined;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Delete a single history entry
+ * @param {number} id - History entry ID
+ */
+function deleteHistoryEntry(id) {
+    if (isServerHistory()) {
+        return requestHistoryApi(`/${id}`, { method: 'DELETE' });
+    }
+    return runHistoryRequest('readwrite', store => store.delete(id));
+}
+
+/**
+ * Delete all locally stored history entries
+ * Server history is only deleted one analysis at a time.
+ */
+function clearHistory() {
+    return runHistoryRequest('readwrite', store => store.clear());
+}
+
+// =============================================
+// HISTORY VIEW
+// =============================================
+
+const HISTORY_PAGE_SIZE = 20;
+
+let historyPage = 1;
+let historyRequest = null;   // AbortController of the render in progress
+
+/**
+ * Initialize history section controls
+ */
+function initializeHistory() {
+    const filterIds = ['historyGradeFilter', 'historySpoilageFilter', 'historyPesticideFilter', 'historyDateFilter'];
+
+    populateHistoryGradeFilter();
+
+    filterIds.forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            historyPage = 1;
+            renderHistory();
+        });
+    });
+
+    document.getElementById('historyResetFilters').addEventListener('click', () => {
+        filterIds.forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        historyPage = 1;
+        renderHistory();
+    });
+
+    document.getElementById('historyPrevBtn').addEventListener('click', () => {
+        historyPage--;
+        renderHistory();
+    });
+
+    document.getElementById('historyNextBtn').addEventListener('click', () => {
+        historyPage++;
+        renderHistory();
+    });
+
+    document.getElementById('historyClearBtn').addEventListener('click', async () => {
+        if (!confirm(t('history.confirmClear'))) return;
+
+        try {
+            await clearHistory();
+            compareSelection.clear();
+            updateCompareButton();
+            historyPage = 1;
+            renderHistory();
+            showToast(t('history.cleared'));
+        } catch (error) {
+            console.error('History error:', error);
+            showToast(t('history.clearFailed'), 'error');
+        }
+    });
+
+    document.addEventListener('languagechange', () => {
+        populateHistoryGradeFilter();
+        renderHistory();
+    });
+
+    window.addEventListener('online', uploadPendingHistory);
+    uploadPendingHistory();
+
+    // Refresh whenever the section is opened
+    document.querySelector('.nav-item[data-section="history"]').addEventListener('click', () => {
+        populateHistoryGradeFilter();
+        renderHistory();
+    });
+}
+
+/**
+ * List the grades of every rule profile in the grade filter
+ */
+function populateHistoryGradeFilter() {
+    const select = document.getElementById('historyGradeFilter');
+    const selected = select.value;
+    const names = new Set();
+    Object.values(getGradingProfiles()).forEach(profile => {
+        profile.grades.forEach(grade => names.add(grade.name));
+    });
+
+    select.innerHTML = `<option value="" data-i18n="history.allGrades">${t('history.allGrades')}</option>`;
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = tValue('grades', name);
+        select.appendChild(option);
+    });
+    select.value = names.has(selected) ? selected : '';
+}
+
+/**
+ * Read current filter values from the history toolbar
+ * @returns {Object} Active filters
+ */
+function getHistoryFilters() {
+    return {
+        grade: document.getElementById('historyGradeFilter').value,
+        spoilage: document.getElementById('historySpoilageFilter').value,
+        pesticide: document.getElementById('historyPesticideFilter').value,
+        date: document.getElementById('historyDateFilter').value
+    };
+}
+
+/**
+ * Check whether a history entry matches the active filters
+ * @param {Object} entry - History entry
+ * @param {Object} filters - Any of grade, spoilage, pesticide, operator (email), lot (code), and
+ *                           date, from or to (YYYY-MM-DD local days, inclusive)
+ * @returns {boolean} True if the entry should be shown
+ */
+function matchesHistoryFilters(entry, filters) {
+    const date = toLocalDateString(new Date(entry.timestamp));
+    if (filters.grade && entry.grade !== filters.grade) return false;
+    if (filters.spoilage && entry.results.spoilage_risk !== filters.spoilage) return false;
+    if (filters.pesticide && entry.results.pesticide_class !== filters.pesticide) return false;
+    if (filters.operator && getEntryOperator(entry) !== filters.operator) return false;
+    if (filters.lot && !(entry.results.lot && entry.results.lot.code === filters.lot)) return false;
+    if (filters.date && date !== filters.date) return false;
+    if (filters.from && date < filters.from) return false;
+    if (filters.to && date > filters.to) return false;
+    return true;
+}
+
+/**
+ * Operator of a history entry
+ * @param {Object} entry - History entry
+ * @returns {string} Operator email, or UNKNOWN_OPERATOR
+ */
+function getEntryOperator(entry) {
+    return entry.operator && entry.operator.email ? entry.operator.email : UNKNOWN_OPERATOR;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time (matches <input type="date">)
+ * @param {Date} date - Date to format
+ * @returns {string} Local date string
+ */
+function toLocalDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Start of the day or week (Monday) a time falls in, in local time
+ * @param {Date} date - Time
+ * @param {string} period - 'day' or 'week'
+ * @returns {Date} Local midnight at the start of the period
+ */
+function getPeriodStart(date, period) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    if (period === 'week') {
+        start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+    }
+    return start;
+}
+
+/**
+ * Render the current page of the history list using the active filters
+ */
+async function renderHistory() {
+    const list = document.getElementById('historyList');
+    const count = document.getElementById('historyCount');
+    const filters = getHistoryFilters();
+
+    // Server history can only be deleted one analysis at a time
+    document.getElementById('historyClearBtn').classList.toggle('hidden', isServerHistory());
+    renderLocalHistory();
+
+    // A newer render (another filter or page) replaces this one
+    if (historyRequest) {
+        historyRequest.abort();
+    }
+    const request = historyRequest = new AbortController();
+
+    let page, summary;
+    try {
+        [page, summary] = await Promise.all([
+            getHistoryPage(filters, historyPage, request.signal),
+            getHistoryAggregate(filters, null, request.signal)
+        ]);
+    } catch (error) {
+        if (request.signal.aborted) {
+            return;
+        }
+        console.error('History error:', error);
+        count.textContent = '';
+        document.getElementById('historyPager').classList.add('hidden');
+        list.innerHTML = `<p class="empty-state">${t(isServerHistory() ? 'history.serverUnavailable' : 'history.unavailable')}</p>`;
+        return;
+    }
+
+    if (request.signal.aborted) {
+        return;
+    }
+
+    // Deleting the last entry of the last page leaves the page past the end
+    if (page.items.length === 0 && page.total > 0 && historyPage > 1) {
+        historyPage = Math.min(historyPage - 1, page.pages);
+        renderHistory();
+        return;
+    }
+    historyPage = page.page;
+
+    count.textContent = t('history.summary', {
+        count: formatNumber(summary.count),
+        freshness: summary.meanFreshness === null ? '--' : formatNumber(summary.meanFreshness, 1),
+        unsafe: formatNumber(summary.unsafeCount)
+    });
+    renderHistoryPager(page);
+    list.innerHTML = '';
+
+    if (page.items.length === 0) {
+        const filtered = Object.values(filters).some(Boolean);
+        list.innerHTML = `<p class="empty-state">${t(filtered ? 'history.noMatches' : 'history.empty')}</p>`;
+        return;
+    }
+
+    page.items.forEach(entry => {
+        list.appendChild(createHistoryItem(entry));
+    });
+}
+
+/**
+ * Show the page position and enable the pager buttons
+ * @param {Object} page - Result of getHistoryPage()
+ */
+function renderHistoryPager(page) {
+    document.getElementById('historyPager').classList.toggle('hidden', page.pages <= 1);
+    document.getElementById('historyPageInfo').textContent = t('history.page', {
+        page: formatNumber(page.page),
+        pages: formatNumber(page.pages)
+    });
+    document.getElementById('historyPrevBtn').disabled = page.page <= 1;
+    document.getElementById('historyNextBtn').disabled = page.page >= page.pages;
+}
+
+/**
+ * Build a history list item
+ * @param {Object} entry - History entry
+ * @returns {HTMLElement} History item element
+ */
+function createHistoryItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+
+    const fruit = entry.results.fruit;
+
+    item.innerHTML = `
+        <img class="history-thumb" alt="${t('history.imageAlt', { fruit: getFruitNoun(fruit) })}">
+        <div class="history-details">
+            <span class="history-grade"></span>
+            <span class="history-fruit"></span>
+            <span class="history-date">${formatDate(entry.timestamp)}</span>
+            <div class="history-metrics">
+                <span>${t('history.freshness')} <strong class="history-freshness"></strong></span>
+                <span>${t('history.spoilage')} <strong class="history-spoilage"></strong></span>
+                <span>${t('history.pesticide')} <strong class="history-pesticide"></strong></span>
+            </div>
+        </div>
+        <div class="history-actions">
+            <label class="checkbox-label history-compare">
+                <input type="checkbox">
+                <span>${t('nav.compare')}</span>
+            </label>
+            <button class="btn-secondary history-open">${t('history.open')}</button>
+            <button class="btn-secondary history-delete">${t('history.delete')}</button>
+        </div>
+    `;
+
+    // Stored values are shown as text; results can come from other users
+    item.querySelector('.history-grade').replaceWith(createGradeBadge(entry.grade));
+    item.querySelector('.history-fruit').textContent = `${getFruitType(fruit).icon} ${getFruitLabel(fruit)}`;
+    item.querySelector('.history-freshness').textContent = formatNumber(entry.results.freshness_score);
+    item.querySelector('.history-spoilage').textContent = tValue('risk', entry.results.spoilage_risk);
+    item.querySelector('.history-pesticide').textContent = tValue('pesticide', entry.results.pesticide_class);
+
+    const thumb = item.querySelector('.history-thumb');
+    if (entry.thumbnail) {
+        thumb.src = entry.thumbnail;
+    } else {
+        thumb.classList.add('hidden');
+    }
+
+    const compareBox = item.querySelector('.history-compare input');
+    compareBox.checked = compareSelection.has(entry.id);
+    compareBox.addEventListener('change', () => {
+        if (!setCompareSelected(entry.id, compareBox.checked)) {
+            compareBox.checked = false;
+        }
+    });
+
+    item.querySelector('.history-open').addEventListener('click', () => openHistoryEntry(entry.id));
+
+    item.querySelector('.history-delete').addEventListener('click', async () => {
+        try {
+            await deleteHistoryEntry(entry.id);
+            setCompareSelected(entry.id, false);
+            renderHistory();
+            showToast(t('history.removed'));
+        } catch (error) {
+            console.error('History error:', error);
+            showToast(t('history.deleteFailed'), 'error');
+        }
+    });
+
+    return item;
+}
+
+/**
+ * List the entries that only this browser holds while history is on the server: results
+ * waiting to be uploaded, results the backend refused and demo results
+ */
+async function renderLocalHistory() {
+    const container = document.getElementById('historyLocal');
+    const list = document.getElementById('historyLocalList');
+
+    let entries = [];
+    if (isServerHistory()) {
+        try {
+            entries = await getLocalHistoryEntries();
+        } catch (error) {
+            console.error('History error:', error);
+        }
+    }
+
+    list.innerHTML = '';
+    entries.forEach(entry => list.appendChild(createLocalHistoryItem(entry)));
+    container.classList.toggle('hidden', entries.length === 0);
+}
+
+/**
+ * Build a list item for an entry kept in this browser
+ * @param {Object} entry - Local history entry
+ * @returns {HTMLElement} History item element
+ */
+function createLocalHistoryItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+
+    const fruit = entry.results.fruit;
+
+    item.innerHTML = `
+        <div class="history-details">
+            <span class="history-grade"></span>
+            <span class="history-fruit"></span>
+            <span class="history-date">${formatDate(entry.timestamp)}</span>
+            <span class="history-status"></span>
+        </div>
+        <div class="history-actions">
+            <button class="btn-secondary history-discard">${t('history.discard')}</button>
+        </div>
+    `;
+
+    item.querySelector('.history-grade').replaceWith(createGradeBadge(entry.grade));
+    item.querySelector('.history-fruit').textContent = `${getFruitType(fruit).icon} ${getFruitLabel(fruit)}`;
+
+    const status = item.querySelector('.history-status');
+    if (entry.rejected) {
+        status.textContent = t('history.rejected', { error: entry.rejected });
+        status.classList.add('rejected');
+    } else if (entry.pending) {
+        status.textContent = t('history.waitingUpload');
+    } else {
+        status.textContent = t(entry.results.simulated ? 'history.demoOnly' : 'history.localOnly');
+    }
+
+    item.querySelector('.history-discard').addEventListener('click', async () => {
+        if (!confirm(t('history.confirmDiscard'))) return;
+        try {
+            await runHistoryRequest('readwrite', store => store.delete(entry.id));
+            renderLocalHistory();
+            showToast(t('history.discarded'));
+        } catch (error) {
+            console.error('History error:', error);
+            showToast(t('history.deleteFailed'), 'error');
+        }
+    });
+
+    return item;
+}
+
+/**
+ * Re-open a stored analysis in the analyze view
+ * @param {number} id - History entry ID
+ */
+async function openHistoryEntry(id) {
+    try {
+        const entry = await getHistoryEntry(id);
+        if (!entry) {
+            showToast(t('history.notFound'), 'error');
+            return;
+        }
+
+        analysisResults = entry.results;
+        analysisImageUrl = entry.thumbnail;
+        displayAnalysisResults(entry.results);
+
+        document.querySelector('.nav-item[data-section="analyze"]').click();
+        showToast(t('history.showing', { date: formatDate(entry.timestamp) }));
+    } catch (error) {
+        console.error('History error:', error);
+        showToast(t('history.openFailed'), 'error');
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * I18N.JS
+ * Message catalogs and locale formatting shared by the login page and dashboard
+ * Features: Per-language catalogs (js/locales), runtime language switching, saved preference,
+ *           data-i18n markup, locale-aware number / weight / date formatting
+ */
+
+// =============================================
+// CATALOGS
+// =============================================
+
+const LANGUAGE_KEY = 'language';
+const DEFAULT_LANGUAGE = 'en';
+
+// Filled by the files in js/locales: { en: { label, locale, messages }, ... }
+const LANGUAGES = {};
+
+/**
+ * Register a language and its message catalog
+ * @param {string} code - Language code (e.g. 'hi')
+ * @param {Object} catalog - { label, locale, messages } where messages are keyed by dotted names
+ */
+function registerLanguage(code, catalog) {
+    LANGUAGES[code] = catalog;
+}
+
+/**
+ * Get the chosen language
+ * @returns {string} Language code
+ */
+function getLanguage() {
+    const language = localStorage.getItem(LANGUAGE_KEY);
+    return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Get the BCP 47 locale used for formatting
+ * @returns {string} e.g. 'hi-IN'
+ */
+function getLocale() {
+    return LANGUAGES[getLanguage()].locale;
+}
+
+/**
+ * Look up a message in the active language, falling back to English
+ * @param {string} key - Message key, e.g. 'toast.imageUploaded'
+ * @returns {string|undefined} Message template, or undefined when no catalog has it
+ */
+function findMessage(key) {
+    const messages = LANGUAGES[getLanguage()].messages;
+    return key in messages ? messages[key] : LANGUAGES[DEFAULT_LANGUAGE].messages[key];
+}
+
+/**
+ * Translate a message
+ * @param {string} key - Message key
+ * @param {Object} params - Values for {name} placeholders
+ * @returns {string} Translated text (the key itself if it is missing everywhere)
+ */
+function t(key, params = {}) {
+    const template = findMessage(key);
+    if (template === undefined) {
+        console.warn(`Missing message: ${key}`);
+        return key;
+    }
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Translate a data value shown to users (grade, spoilage risk, pesticide class)
+ * Values without a catalog entry, such as custom grade names, are shown as they are.
+ * @param {string} group - Catalog group, e.g. 'risk'
+ * @param {string} value - Stored value, e.g. 'Medium'
+ * @returns {string} Display text
+ */
+function tValue(group, value) {
+    const template = findMessage(`${group}.${value}`);
+    return template === undefined ? String(value) : template;
+}
+
+// =============================================
+// LANGUAGE SWITCHING
+// =============================================
+
+/**
+ * Switch the interface language and remember it
+ * Dynamic content re-renders on the 'languagechange' document event.
+ * @param {string} language - Language code
+ */
+function setLanguage(language) {
+    localStorage.setItem(LANGUAGE_KEY, language);
+    applyTranslations();
+    document.dispatchEvent(new CustomEvent('languagechange', { detail: { language: getLanguage() } }));
+}
+
+/**
+ * Translate static markup
+ * - data-i18n: text content
+ * - data-i18n-placeholder / data-i18n-title / data-i18n-aria-label / data-i18n-alt: attributes
+ * @param {ParentNode} root - Element to translate (whole document by default)
+ */
+function applyTranslations(root = document) {
+    document.documentElement.lang = getLanguage();
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+    root.querySelectorAll('[data-i18n-alt]').forEach(element => {
+        element.alt = t(element.dataset.i18nAlt);
+    });
+}
+
+/**
+ * Fill a language selector and switch languages when it changes
+ * @param {HTMLSelectElement} select - Language selector
+ */
+function initializeLanguageSelect(select) {
+    Object.entries(LANGUAGES).forEach(([code, language]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = language.label;
+        select.appendChild(option);
+    });
+    select.value = getLanguage();
+    select.addEventListener('change', () => setLanguage(select.value));
+
+    applyTranslations();
+}
+
+// =============================================
+// FORMATTING
+// =============================================
+
+/**
+ * Format a number for the active locale
+ * @param {number|string} value - Number (numeric strings are accepted)
+ * @param {number} decimals - Fixed number of decimals; omit to keep the value's own precision
+ * @returns {string} Formatted number, or "--" if the value is not numeric
+ */
+function formatNumber(value, decimals) {
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isFinite(number)) {
+        return '--';
+    }
+
+    const options = decimals === undefined
+        ? { maximumFractionDigits: 3 }
+        : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+    return number.toLocaleString(getLocale(), options);
+}
+
+/**
+ * Format a percentage value (already 0-100)
+ * @param {number|string} value - Percent value
+ * @param {number} decimals - Decimals to show
+ * @returns {string} e.g. "86.5%"
+ */
+function formatPercent(value, decimals) {
+    return t('unit.percent', { value: formatNumber(value, decimals) });
+}
+
+/**
+ * Format a weight in kilograms
+ * @param {number|string} kg - Weight in kg
+ * @returns {string} e.g. "0.21 kg"
+ */
+function formatWeight(kg) {
+    return t('unit.kg', { value: formatNumber(kg, 2) });
+}
+
+/**
+ * Format a date and time
+ * @param {Date|number|string} value - Date, timestamp or ISO string
+ * @returns {string} Localized date and time
+ */
+function formatDate(value) {
+    return new Date(value).toLocaleString(getLocale());
+}
@@ -0,0 +1,671 @@
+/**
+ * EN.JS
+ * English messages (fallback for every other language)
+ */
+
+registerLanguage('en', {
+    label: 'English',
+    locale: 'en-IN',
+    messages: {
+        // Application
+        'app.dashboardTitle': 'Dashboard - Fruit Detection Project | AI Fruit Quality Detection',
+        'app.shortName': 'Fruit Detection',
+
+        // Navigation
+        'nav.upload': 'Upload Fruit Image',
+        'nav.analyze': 'Analyze Quality',
+        'nav.history': 'History',
+        'nav.compare': 'Compare',
+        'nav.analytics': 'Analytics',
+        'nav.lots': 'Lots',
+        'nav.sensor': 'Sensor Emulation',
+        'nav.users': 'Users',
+        'nav.settings': 'Settings',
+        'nav.about': 'About Project',
+        'nav.logout': 'Logout',
+
+        // Shared labels
+        'common.clear': 'Clear',
+        'common.status': 'Status',
+        'common.freshness': 'Freshness',
+        'common.grade': 'Grade',
+        'common.cancel': 'Cancel',
+        'common.reset': 'Reset',
+        'common.save': 'Save',
+        'common.language': 'Language',
+        'common.delete': 'Delete',
+
+        // Accessibility
+        'a11y.skipToContent': 'Skip to main content',
+        'a11y.mainNav': 'Main navigation',
+        'a11y.toggleSidebar': 'Toggle sidebar',
+        'a11y.previewImage': 'Selected image',
+        'a11y.removeImage': 'Remove image',
+        'a11y.close': 'Close',
+        'a11y.cameraPreview': 'Camera preview',
+        'a11y.resultSummary': 'Result: {grade}. Freshness {freshness} out of 100, spoilage risk {risk}, pesticide level {pesticide}. {safety}.',
+        'a11y.safeToEat': 'Safe to eat',
+        'a11y.notSafeToEat': 'Not recommended to eat',
+
+        // Units
+        'unit.percent': '{value}%',
+        'unit.kg': '{value} kg',
+        'unit.g': '{value} g',
+        'unit.mg': '{value} mg',
+
+        // Fruit types
+        'fruit.apple': 'Apple',
+        'fruit.pear': 'Pear',
+        'fruit.mango': 'Mango',
+        'fruit.orange': 'Orange',
+        'fruit.banana': 'Banana',
+        'fruitNoun.apple': 'apple',
+        'fruitNoun.pear': 'pear',
+        'fruitNoun.mango': 'mango',
+        'fruitNoun.orange': 'orange',
+        'fruitNoun.banana': 'banana',
+        'fruitUpload.apple': 'an apple',
+        'fruitUpload.pear': 'a pear',
+        'fruitUpload.mango': 'a mango',
+        'fruitUpload.orange': 'an orange',
+        'fruitUpload.banana': 'a banana',
+
+        // Stored values (grades, spoilage risk, pesticide classes, roles, shelf life)
+        'grades.Excellent': 'Excellent',
+        'grades.Good': 'Good',
+        'grades.Fair': 'Fair',
+        'grades.Poor': 'Poor',
+        'grades.Unsafe': 'Unsafe',
+        'grades.ungraded': 'Ungraded',
+        'risk.Low': 'Low',
+        'risk.Medium': 'Medium',
+        'risk.High': 'High',
+        'pesticide.Pure': 'Pure',
+        'pesticide.Insecticide Low': 'Insecticide Low',
+        'pesticide.Fungicide Low': 'Fungicide Low',
+        'pesticide.Fungicide High': 'Fungicide High',
+        'role.inspector': 'Inspector',
+        'role.supervisor': 'Supervisor',
+        'role.admin': 'Admin',
+        'shelfLife.dayRange': '{min}-{max} days',
+        'shelfLife.oneDay': '{days} day',
+        'shelfLife.days': '{days} days',
+        'shelfLife.Spoiled': 'Spoiled',
+        'shelfLife.Not Safe': 'Not Safe',
+        'shelfLife.Not recommended': 'Not recommended',
+        'shelfLife.Press today': 'Press today',
+
+        // Session and errors
+        'auth.sessionExpired': 'Session expired. Please sign in again.',
+        'error.sessionExpired': 'Session expired',
+
+        // API errors
+        'apiError.network': 'Cannot reach the server. Check your connection and try again.',
+        'apiError.timeout': 'The server took too long to answer. Try again.',
+        'apiError.server': 'The server ran into a problem. Try again in a moment.',
+        'apiError.unavailable': 'The server is temporarily unavailable. Try again in a moment.',
+        'apiError.rateLimited': 'Too many requests. Wait a moment and try again.',
+        'apiError.imageUndecodable': 'This file is not an image or is damaged. Choose another photo.',
+        'apiError.imageTooSmall': 'The image is too small to analyze. Use a photo at least 32 pixels on each side.',
+        'apiError.imageTooLarge': 'The image has too many pixels to analyze. Use a smaller photo.',
+        'apiError.noFruitDetected': 'No fruit was found in the image. Center the fruit on a plain background and try another photo.',
+        'apiError.unknownFruit': 'The server does not support this fruit type. Choose another fruit type.',
+        'apiError.accountDisabled': 'Your account has been disabled. Contact an administrator.',
+        'apiError.forbidden': 'Your role does not allow this action.',
+        'apiError.invalidRequest': 'The request has missing or invalid fields.',
+        'apiError.aborted': 'The request was cancelled.',
+        'apiError.action.retry': 'Try again',
+        'apiError.action.chooseImage': 'Choose another image',
+        'error.analysisFailed': 'Analysis failed',
+        'error.requestFailed': 'Request failed',
+
+        // Notifications
+        'toast.loggedOut': 'Logged out successfully',
+        'toast.invalidImage': 'Please upload a valid image file',
+        'toast.fileTooLarge': 'File size must be less than 10MB',
+        'toast.imageUploaded': 'Image uploaded successfully',
+        'toast.readError': 'Error reading file',
+        'toast.cameraDenied': 'Unable to access camera. Please check permissions.',
+        'toast.cameraSwitchFailed': 'Unable to switch camera',
+        'toast.uploadFirst': 'Please upload an image first',
+        'toast.analysisDone': 'Analysis completed successfully',
+        'toast.analysisFailed': 'Analysis failed. Please try again.',
+
+        // Upload
+        'upload.title': 'Upload or Capture Fruit Image',
+        'upload.subtitle': 'Upload {fruit} image to analyze its quality, freshness, and nutritional content',
+        'upload.fruitType': 'Fruit type',
+        'upload.dropHint': 'Drag & drop images here or click to browse',
+        'upload.batchHint': 'Select several images to analyze a whole batch',
+        'upload.browse': 'Browse Files',
+        'upload.camera': 'Capture from Camera',
+        'analyze.button': 'Analyze {fruit}',
+        'analyze.analyzing': 'Analyzing...',
+
+        // Cropping and multi-fruit detection
+        'roi.crop': 'Crop to Fruit',
+        'roi.applyCrop': 'Apply Crop',
+        'roi.undoCrop': 'Undo Crop',
+        'roi.multiFruit': 'Detect and analyze each fruit separately',
+        'roi.detectedFruits': 'Detected Fruits',
+        'roi.dragHint': 'Drag over the image to select the fruit',
+        'roi.cropped': 'Image cropped',
+        'roi.cropFailed': 'Unable to crop image',
+        'roi.analyzedCount': 'Analyzed {count} fruit(s)',
+        'roi.noneFound': 'No separate fruits found - analyzing the whole image',
+        'roi.detectedCount': '{count} fruit(s) detected',
+        'roi.fruitNumber': 'Fruit #{number}',
+        'roi.viewDetails': 'View Details',
+
+        // Batch analysis
+        'batch.title': 'Batch Analysis',
+        'batch.retryFailed': 'Retry Failed',
+        'batch.file': 'File',
+        'batch.summary': 'Batch Summary',
+        'batch.analyzed': 'Analyzed',
+        'batch.failed': 'Failed',
+        'batch.meanFreshness': 'Mean Freshness',
+        'batch.notSafe': 'Not Safe to Eat',
+        'batch.count': 'Count',
+        'batch.share': 'Share',
+        'batch.skipped': '{count} file(s) skipped: only images under 10MB are accepted',
+        'batch.added': '{count} image(s) added to batch',
+        'batch.progress': '{finished} of {total} processed',
+        'batch.status.queued': 'Queued',
+        'batch.status.running': 'Analyzing...',
+        'batch.status.done': 'Done',
+        'batch.status.failed': 'Failed',
+        'batch.view': 'View',
+        'batch.retry': 'Retry',
+
+        // Offline upload queue and installing
+        'queue.title': 'Upload Queue',
+        'queue.syncNow': 'Sync Now',
+        'queue.clearDone': 'Clear Done',
+        'queue.fruit': 'Fruit',
+        'queue.queuedAt': 'Queued',
+        'queue.remove': 'Remove',
+        'queue.waiting': '{count} waiting to be analyzed',
+        'queue.waitingOffline': 'Offline: {count} waiting, analyzed automatically when the connection returns',
+        'queue.added': 'Offline: {count} image(s) queued for analysis',
+        'queue.synced': '{count} queued image(s) analyzed and saved to history',
+        'queue.saveFailed': 'Unable to queue the image on this device',
+        'pwa.install': 'Install App',
+
+        // Camera and continuous scanning
+        'camera.title': 'Capture Fruit Image',
+        'camera.select': 'Camera',
+        'camera.option': 'Camera {number}',
+        'camera.startScan': 'Start Continuous Scan',
+        'camera.stopScan': 'Stop Continuous Scan',
+        'camera.capture': 'Capture Photo',
+        'camera.every': 'Every',
+        'camera.seconds': 's',
+        'camera.logAfter': 'Log after',
+        'camera.stableFrames': 'stable frames',
+        'camera.scanLog': 'Scan log',
+        'scan.waiting': 'Waiting for first reading...',
+        'scan.failed': 'Reading failed - retrying',
+        'scan.freshness': 'Freshness {freshness}',
+        'scan.placeNext': 'Logged - place the next fruit',
+        'scan.logged': 'Stable reading logged',
+        'scan.stabilizing': 'Stabilizing ({count}/{total})',
+        'scan.loggedToast': 'Logged: {grade} (freshness {freshness})',
+
+        // Export and printed report
+        'export.title': 'Export',
+        'export.print': 'Print Report',
+        'export.csv': 'Download CSV',
+        'export.json': 'Download JSON',
+        'export.notAllowed': 'Your role does not allow exports',
+        'export.nothingToExport': 'Analyze a fruit before exporting',
+        'export.failed': 'Export failed. Please try again.',
+        'export.csvDone': 'CSV downloaded',
+        'export.jsonDone': 'JSON downloaded',
+        'export.allowPopups': 'Allow pop-ups to print the report',
+        'report.title': '{fruit} Quality Report - {date}',
+        'report.heading': '{fruit} Quality Inspection Report',
+        'report.generated': 'Generated {date}',
+        'report.outOf100': '{value} / 100',
+        'report.chartAlt': '{title} chart',
+        'report.charts': 'Charts',
+        'report.sensorChannels': 'AS7265x Sensor Channels',
+        'analyze.simulated': 'Simulated result - not a real measurement',
+        'analyze.outOf100': 'Out of 100',
+        'analyze.ripenessIndicator': 'Ripeness Indicator',
+        'analyze.riskAssessment': 'Risk Assessment',
+        'analyze.detectionStatus': 'Detection Status',
+        'analyze.fromImage': 'From Image Analysis',
+        'analyze.browserCheck': 'In-Browser Check',
+        'analyze.nutrientBreakdown': 'Nutrient Breakdown',
+        'analyze.comparisonScore': '{browser} vs {server}',
+        'analyze.comparisonDetail': 'In-browser vs server ({difference}), browser spoilage: {risk}',
+        'analyze.safeToEat': '✓ Safe to Eat',
+        'analyze.notRecommended': '✗ Not Recommended',
+        'analyze.weightBadge': 'Weight: {weight}',
+        'analyze.shelfLifeBadge': 'Shelf Life: {shelfLife}',
+        'analyze.rulesBadge': 'Rules: {profile}',
+
+        // Result metrics
+        'metric.freshnessScore': 'Freshness Score',
+        'metric.dryMatterContent': 'Dry Matter Content',
+        'metric.spoilageRisk': 'Spoilage Risk',
+        'metric.pesticideLevel': 'Pesticide Level',
+        'metric.estimatedWeight': 'Estimated Weight',
+        'metric.waterContent': 'Water Content',
+        'metric.sugarContent': 'Sugar Content',
+        'metric.vitaminC': 'Vitamin C',
+        'metric.fiber': 'Fiber (approx)',
+
+        // Spoilage overlay
+        'overlay.title': 'Spoilage Map',
+        'overlay.subtitle': 'Pixels classified as fresh, spoiled or background',
+        'overlay.show': 'Show overlay',
+        'overlay.opacity': 'Opacity',
+        'overlay.unavailable': 'No pixel map for this result (simulated results and older analyses do not include one).',
+        'overlay.background': 'Background',
+        'overlay.fresh': 'Fresh',
+        'overlay.spoiled': 'Spoiled',
+
+        // Charts
+        'chart.spectralTitle': 'Spectral Analysis Graph',
+        'chart.nutrientTitle': 'Nutrient Composition',
+        'chart.qualityTitle': 'Quality Distribution',
+        'chart.spectralResponse': 'Spectral Response',
+        'chart.sensorResponse': 'Sensor Response',
+        'chart.sensorTitle': 'AS7265x 18-Channel Spectral Response',
+        'chart.intensity': 'Intensity',
+        'chart.intensityValue': 'Intensity Value',
+        'chart.wavelengthNm': 'Wavelength (nm)',
+        'chart.value': 'Value',
+        'chart.water': 'Water',
+        'chart.sugar': 'Sugar',
+        'chart.fiber': 'Fiber',
+        'chart.vitaminC': 'Vitamin C',
+        'chart.fresh': 'Fresh',
+        'chart.atRisk': 'At Risk',
+        'chart.spoiled': 'Spoiled',
+        'chart.uncalibrated': '{label} (uncalibrated)',
+        'chart.reflectance': 'Reflectance',
+
+        // Spectral indices and reference spectra
+        'spectral.source': 'Spectrum source',
+        'spectral.sourceCurve': 'Predicted curve',
+        'spectral.sourceSensor': 'Sensor channels',
+        'spectral.indicesTitle': 'Spectral Indices',
+        'spectral.ndvi': 'NDVI (810 / 680 nm)',
+        'spectral.redEdge': 'Red edge (760 / 705 nm)',
+        'spectral.chlorophyll': 'Chlorophyll absorption depth (680 nm)',
+        'spectral.water': 'Water band depth (940 nm)',
+        'spectral.similarityTitle': 'Similarity to Reference Spectra',
+        'spectral.reference.fresh': 'Fresh {fruit}',
+        'spectral.reference.overripe': 'Overripe {fruit}',
+        'spectral.closest': 'Closest match: {reference}',
+        'spectral.uncalibrated': 'Uncalibrated: these indices are computed from raw values, not reflectance. Connect a calibrated sensor to compare with the reference spectra.',
+        'spectral.noReferences': 'No reference spectra for {fruit} yet.',
+
+        // History
+        'history.title': 'Analysis History',
+        'history.clear': 'Clear History',
+        'history.allGrades': 'All grades',
+        'history.allRisks': 'All spoilage risks',
+        'history.allPesticides': 'All pesticide classes',
+        'history.confirmClear': 'Delete all stored analyses? This cannot be undone.',
+        'history.cleared': 'History cleared',
+        'history.clearFailed': 'Unable to clear history',
+        'history.savedLocally': 'The server cannot be reached; this result is kept on this device and added to History when the connection returns',
+        'history.simulatedLocal': 'Demo results are kept on this device only and are not sent to the server',
+        'history.pendingUploaded': '{count} results kept on this device were added to History',
+        'history.pendingRejected': '{count} results kept on this device were refused by the server; see History',
+        'history.localTitle': 'Kept on this device',
+        'history.waitingUpload': 'Waiting to be added to History',
+        'history.rejected': 'Refused by the server: {error}',
+        'history.demoOnly': 'Demo result, not sent to the server',
+        'history.localOnly': 'Saved on this device only',
+        'history.discard': 'Discard',
+        'history.confirmDiscard': 'Discard this result? It is not stored anywhere else.',
+        'history.discarded': 'Result discarded',
+        'history.unavailable': 'History is unavailable in this browser.',
+        'history.count': '{visible} of {total} analyses',
+        'history.summary': '{count} analyses · mean freshness {freshness} · {unsafe} not safe to eat',
+        'history.serverUnavailable': 'Unable to load history from the server.',
+        'history.previous': 'Previous',
+        'history.next': 'Next',
+        'history.page': 'Page {page} of {pages}',
+        'history.empty': 'No analyses yet. Results are saved here automatically.',
+        'history.noMatches': 'No analyses match the selected filters.',
+        'history.imageAlt': 'Analyzed {fruit}',
+        'history.freshness': 'Freshness:',
+        'history.spoilage': 'Spoilage:',
+        'history.pesticide': 'Pesticide:',
+        'history.open': 'Open',
+        'history.delete': 'Delete',
+        'history.removed': 'Analysis removed from history',
+        'history.deleteFailed': 'Unable to delete analysis',
+        'history.notFound': 'Analysis not found',
+        'history.showing': 'Showing analysis from {date}',
+        'history.openFailed': 'Unable to open analysis',
+
+        // Comparison
+        'compare.title': 'Compare Analyses',
+        'compare.subtitle': 'Select 2–4 analyses in History and choose Compare Selected',
+        'compare.empty': 'No analyses selected for comparison yet.',
+        'compare.differences': 'Differences',
+        'compare.differencesHint': 'Changes are relative to the oldest analysis (A)',
+        'compare.clearSelection': 'Clear Selection',
+        'compare.selected': 'Compare Selected ({count})',
+        'compare.tooMany': 'Compare up to {max} analyses at a time',
+        'compare.tooFew': 'Select at least {min} analyses to compare',
+        'compare.notAllowed': 'Your role does not allow comparisons',
+        'compare.loadFailed': 'Unable to load analyses',
+        'compare.imageAlt': 'Analysis {label}',
+        'compare.baseline': '{label} (baseline)',
+        'compare.metric': 'Metric',
+
+        // Trend analytics
+        'analytics.title': 'Trend Analytics',
+        'analytics.from': 'From',
+        'analytics.to': 'To',
+        'analytics.operator': 'Operator',
+        'analytics.allOperators': 'All operators',
+        'analytics.unknownOperator': 'Unknown operator',
+        'analytics.period': 'Period',
+        'analytics.perDay': 'Per day',
+        'analytics.perWeek': 'Per week',
+        'analytics.weekOf': 'Week of {date}',
+        'analytics.empty': 'No analyses stored yet. Trends appear here once fruit has been analyzed.',
+        'analytics.analyses': 'Analyses',
+        'analytics.inRange': 'In the selected range',
+        'analytics.meanFreshness': 'Mean Freshness',
+        'analytics.meanDryMatter': 'Mean Dry Matter',
+        'analytics.unsafeShare': 'Rejected as Unsafe',
+        'analytics.unsafeCount': '{count} of {total} not safe to eat',
+        'analytics.trendTitle': 'Freshness and Dry Matter',
+        'analytics.unsafeTitle': 'Share Rejected as Unsafe',
+        'analytics.gradeTitle': 'Grade Distribution',
+        'analytics.pesticideTitle': 'Pesticide Classes',
+        'analytics.freshnessAxis': 'Freshness (0–100)',
+        'analytics.dryMatterAxis': 'Dry matter (%)',
+        'analytics.unsafeAxis': 'Unsafe (%)',
+
+        // Lot tracking
+        'lots.title': 'Lots',
+        'lots.lot': 'Lot',
+        'lots.none': 'No lot',
+        'lots.new': 'New Lot',
+        'lots.editTitle': 'Edit Lot',
+        'lots.code': 'Lot code',
+        'lots.supplier': 'Supplier',
+        'lots.origin': 'Orchard / origin',
+        'lots.variety': 'Variety',
+        'lots.harvestDate': 'Harvest date',
+        'lots.storageCondition': 'Storage condition',
+        'lots.storage.unknown': 'Not recorded',
+        'lots.storage.ambient': 'Ambient',
+        'lots.storage.cold': 'Cold store',
+        'lots.storage.controlled_atmosphere': 'Controlled atmosphere',
+        'lots.scan': 'Scan Code',
+        'lots.stopScan': 'Stop Scanning',
+        'lots.scanUnsupported': 'This browser cannot read QR codes or barcodes; type the code instead',
+        'lots.scanned': 'Scanned {code}',
+        'lots.selected': 'Lot {code} selected',
+        'lots.created': 'Lot {code} created',
+        'lots.updated': 'Lot {code} updated',
+        'lots.deleted': 'Lot {code} deleted',
+        'lots.confirmDelete': 'Delete lot "{code}"?',
+        'lots.deleteHasAnalyses': 'Lots with recorded analyses cannot be deleted',
+        'lots.error.code': 'Enter a lot code of up to {max} characters',
+        'lots.error.codeTaken': 'A lot with this code already exists',
+        'lots.error.harvestFuture': 'The harvest date cannot be in the future',
+        'lots.count': '{count} lot(s)',
+        'lots.empty': 'No lots yet. Create one here or on the upload screen.',
+        'lots.recommendation': 'Recommendation',
+        'lots.close': 'Close',
+        'lots.detailTitle': 'Lot {code}',
+        'lots.badge': 'Lot {code}',
+        'lots.inLot': 'Recorded for this lot',
+        'lots.analysesTitle': 'Analyses in this lot',
+        'lots.noAnalyses': 'No analyses recorded for this lot yet. Select it on the upload screen before analyzing.',
+        'lots.latestAnalyses': 'Showing the latest {shown} of {total} analyses; see History for the rest',
+        'lots.analyzedAt': 'Analyzed',
+        'lots.safety': 'Safety',
+        'lots.decision.accept': 'Accept lot',
+        'lots.decision.reject': 'Reject lot',
+        'lots.decision.insufficient': 'Needs more samples',
+        'lots.reason.tooFew': '{count} analysis(es) recorded; at least {min} are needed for a recommendation',
+        'lots.reason.unsafe': '{share} of samples are not safe to eat (limit {max})',
+        'lots.reason.freshness': 'Mean freshness {freshness} is below {min}',
+        'lots.reason.meetsRules': 'Mean freshness {freshness} (minimum {min}) and {share} not safe to eat (limit {max})',
+
+        // Sensor emulation
+        'sensor.title': 'AS7265x Virtual Sensor Output',
+        'sensor.subtitle': '18-channel spectral sensor emulation (410–940 nm)',
+        'sensor.channel': 'Channel',
+        'sensor.viewGraph': 'View Sensor Graph',
+        'sensor.chartTitle': 'Spectral Sensor Visualization',
+        'sensor.connect': 'Connect AS7265x',
+        'sensor.simulator': 'Use Simulator',
+        'sensor.disconnect': 'Disconnect',
+        'sensor.statusAnalysis': 'Showing the values from the last analysis',
+        'sensor.statusLive': 'Live from the AS7265x on the serial port ({count} readings)',
+        'sensor.statusSimulated': 'Live from the simulated AS7265x ({count} readings)',
+        'sensor.unsupported': 'This browser cannot open serial ports (use Chrome or Edge over localhost or HTTPS); the simulator still works',
+        'sensor.connected': 'Sensor connected',
+        'sensor.simulatorStarted': 'Simulated sensor started',
+        'sensor.disconnected': 'Sensor disconnected',
+        'sensor.connectFailed': 'Unable to open the sensor port',
+        'sensor.lost': 'Lost the connection to the sensor',
+        'sensor.rawCounts': 'Raw Counts',
+        'sensor.simulatedDevice': 'Simulated AS7265x',
+        'sensor.serialDevice': 'AS7265x (serial port)',
+
+        // Sensor calibration
+        'calibration.open': 'Calibrate',
+        'calibration.title': 'Calibrate Sensor',
+        'calibration.deviceName': 'Device name',
+        'calibration.darkTitle': 'Dark reference',
+        'calibration.darkHint': 'Cover the sensor window (or switch off the lamp) so no light reaches it, then capture.',
+        'calibration.whiteTitle': 'White reference',
+        'calibration.whiteHint': 'Place the white reference tile flat against the sensor window with the lamp on, then capture.',
+        'calibration.whiteReflectance': 'Reflectance of the white reference (0–1)',
+        'calibration.capture': 'Capture',
+        'calibration.recapture': 'Capture Again',
+        'calibration.capturing': 'Averaging {count} readings...',
+        'calibration.captured': 'Captured: {min}–{max} counts',
+        'calibration.save': 'Save Calibration',
+        'calibration.saved': 'Calibration saved for {device}',
+        'calibration.connectFirst': 'Connect a sensor or start the simulator first',
+        'calibration.noReadings': 'No readings arrived from the sensor; check the connection and try again',
+        'calibration.referenceSaturated': 'The reference saturates {channels}; lower the gain or integration time and capture again',
+        'calibration.tooDark': 'The white reference is barely brighter than the dark reference on {channels}; check the lamp and the tile',
+        'calibration.invalidReflectance': 'Enter the white reference reflectance as a number between 0 and 1',
+        'calibration.saturated': 'Saturated: {channels} read at the top of the sensor range, so their values are clipped. Lower the gain or integration time.',
+        'calibration.saturatedChannel': 'Saturated channel',
+        'calibration.stale': 'This sensor was calibrated on {date}, more than {hours} hours ago; recalibrate for reliable reflectance.',
+        'calibration.missing': 'This sensor is not calibrated, so only raw counts are shown. Use Calibrate to capture a dark and a white reference.',
+        'calibration.settingsTitle': 'Sensor Calibration',
+        'calibration.settingsHint': 'Dark and white-reference calibrations saved in this browser, one per sensor. Calibrate from the Sensor Emulation section while the sensor is connected.',
+        'calibration.none': 'No sensor has been calibrated yet.',
+        'calibration.device': 'Device',
+        'calibration.calibratedAt': 'Calibrated',
+        'calibration.whiteShort': 'White Reference',
+        'calibration.statusCurrent': 'Current',
+        'calibration.statusStale': 'Stale',
+        'calibration.confirmDelete': 'Delete the calibration of "{device}"?',
+
+        // User management
+        'users.title': 'User Management',
+        'users.add': 'Add User',
+        'users.name': 'Name',
+        'users.email': 'Email',
+        'users.role': 'Role',
+        'users.actions': 'Actions',
+        'users.password': 'Password',
+        'users.fallbackName': 'User',
+        'users.needsBackend': 'User management needs a backend (the offline mock profile has none).',
+        'users.loadFailed': 'Unable to load users: {error}',
+        'users.count': '{count} user(s)',
+        'users.you': '(you)',
+        'users.active': 'Active',
+        'users.disabled': 'Disabled',
+        'users.edit': 'Edit',
+        'users.editTitle': 'Edit User',
+        'users.resetPassword': 'Reset Password',
+        'users.enable': 'Enable',
+        'users.disable': 'Disable',
+        'users.confirmDisable': 'Disable {email}? They will be signed out and unable to log in.',
+        'users.disabledToast': '{email} disabled',
+        'users.enabledToast': '{email} enabled',
+        'users.added': '{email} added',
+        'users.updated': '{email} updated',
+        'users.passwordReset': 'Password reset for {email}',
+
+        // Settings
+        'settings.serverTitle': 'Server Settings',
+        'settings.serverHint': 'Choose which backend this browser talks to. Saved settings apply to both the login page and the dashboard.',
+        'settings.profile': 'Profile',
+        'settings.serverUrl': 'Server URL',
+        'settings.testConnection': 'Test Connection',
+        'settings.resetDefaults': 'Reset to Defaults',
+        'settings.modeTitle': 'Analysis Mode',
+        'settings.modeHint': 'The in-browser analyzer scores freshness on this device with no connection. Demo modes label every result as simulated; use the seeded mode for training and repeatable tests.',
+        'settings.mode': 'Mode',
+        'settings.seed': 'Seed (seeded demo)',
+        'settings.compareBrowser': 'Cross-check server freshness with the in-browser analyzer',
+        'settings.accessibilityTitle': 'Accessibility',
+        'settings.accessibilityHint': 'Charts use a colorblind-safe palette with patterns and results are read out to screen readers. Use the arrow keys in the sidebar; Escape closes dialogs.',
+        'settings.highContrast': 'High-contrast theme',
+        'settings.invalidUrl': 'Server URL must start with http:// or https://',
+        'settings.saved': 'Settings saved',
+        'settings.resetDone': 'Settings reset to defaults',
+        'settings.invalidSeed': 'Seed must be a whole number',
+        'settings.modeSaved': 'Analysis mode: {mode}',
+        'mode.auto': 'Automatic (server, in-browser when offline)',
+        'mode.server': 'Server only',
+        'mode.browser': 'In-browser only (no connection needed)',
+        'mode.mock': 'Demo - random values',
+        'mode.seeded': 'Demo - seeded, repeatable values',
+        'profile.local': 'Local',
+        'profile.staging': 'Staging',
+        'profile.mock': 'Offline mock',
+        'health.status': '{profile}: {status}',
+        'health.customServer': '{profile} (custom server)',
+        'health.online': 'Backend online',
+        'health.offline': 'Backend unreachable',
+        'health.mock': 'Offline mock',
+        'health.unconfigured': 'No server configured',
+        'health.checking': 'Checking...',
+
+        // Grading rules
+        'grading.title': 'Grading Rules',
+        'grading.hint': 'Each fruit type is graded with its active rule profile; each result records the profile it was graded with. Rules are checked top to bottom and the first match wins.',
+        'grading.fruit': 'Fruit',
+        'grading.activeProfile': 'Active profile',
+        'grading.rulesJson': 'Rules (JSON)',
+        'grading.conditionsHint': 'Conditions: minFreshness, maxFreshness, minDryMatter, maxDryMatter, minWeightKg, maxWeightKg, spoilageRisk (Low / Medium / High), pesticide (text contained in the pesticide class). Write {fruit} in a message for the fruit\'s name. To customize a built-in profile, change its "name" and save.',
+        'grading.saveProfile': 'Save Profile',
+        'grading.validate': 'Validate',
+        'grading.revert': 'Revert',
+        'grading.deleteProfile': 'Delete Profile',
+        'grading.builtIn': '{name} (built-in)',
+        'grading.activated': '{fruit}: grading with "{name}" rules',
+        'grading.valid': 'Rules are valid',
+        'grading.saved': 'Saved "{name}" rules',
+        'grading.confirmDelete': 'Delete the "{name}" rule profile?',
+        'grading.deleted': 'Deleted "{name}" rules',
+        'grading.notAllowed': 'Your role does not allow changing grading rules',
+        'grading.loadFailed': 'Could not load the grading profiles ({error}); grading with the built-in profiles',
+        'grading.error.builtIn': '"{name}" is a built-in profile; give your copy a new name',
+        'grading.error.json': 'Invalid JSON: {error}',
+        'grading.error.notObject': 'The rule set must be a JSON object',
+        'grading.error.required': '"{field}" is required',
+        'grading.error.itemRequired': '{at}: "{field}" is required',
+        'grading.error.noGrades': '"grades" must list at least one grade',
+        'grading.error.duplicateGrade': '{at}: duplicate grade "{grade}"',
+        'grading.error.plainText': '{at}: "{field}" must be at most {max} characters, without < > & " \' or `',
+        'grading.error.style': '{at}: "style" must be one of {styles}',
+        'grading.error.noRules': '"rules" must list at least one rule',
+        'grading.error.ruleObject': '{at}: must be an object',
+        'grading.error.unknownGrade': '{at}: "grade" must be one of the grades',
+        'grading.error.safe': '{at}: "safe" must be true or false',
+        'grading.error.shelfLifeDays': '{at}: "shelfLifeDays" must be [min, max] with 0 <= min <= max',
+        'grading.error.shelfLife': '{at}: "shelfLife" text or "shelfLifeDays" range is required',
+        'grading.error.when': '{at}: "when" must be an object',
+        'grading.error.number': '{at}: "{key}" must be a number',
+        'grading.error.list': '{at}: "{key}" must be a non-empty list of strings',
+        'grading.error.unknownCondition': '{at}: unknown condition "{key}"',
+        'grading.error.spoilageRisk': '{at}: "spoilageRisk" values must be {levels}',
+        'grading.error.minMax': '{at}: "{min}" is greater than "{max}"',
+        'grading.error.lastRule': 'The last rule must have an empty "when" so every result gets a grade',
+        'grading.error.pesticideNote': '"pesticideNote" needs "text" and an "exceptPesticide" list',
+
+        // About
+        'about.title': 'About Fruit Detection Project',
+        'about.body': 'This dashboard simulates an AI-based fruit quality system (apples, pears, mangoes, oranges and bananas) with freshness, spoilage, pesticide, nutrients, and sensor emulation.',
+
+        // Login page
+        'login.pageTitle': 'Login - Fruit Detection Project | AI Fruit Quality Detection',
+        'login.welcome': 'Welcome to Fruit Detection Project',
+        'login.subtitle': 'Sign in to analyze fruit quality using AI',
+        'login.email': 'Email Address',
+        'login.emailPlaceholder': 'Enter your email',
+        'login.passwordPlaceholder': 'Enter your password',
+        'login.showPassword': 'Show password',
+        'login.remember': 'Remember me',
+        'login.signIn': 'Sign In',
+        'login.signingIn': 'Signing in...',
+        'login.emailRequired': 'Email is required',
+        'login.emailInvalid': 'Enter a valid email',
+        'login.passwordRequired': 'Password is required',
+        'login.passwordTooShort': 'Password must be at least {min} characters',
+        'login.unknownAccount': 'No account exists for this email',
+        'login.wrongPassword': 'Incorrect password',
+        'login.accountDisabled': 'This account has been disabled. Contact an administrator.',
+        'login.error': 'Login error',
+        'login.projectSubtitle': 'AI Fruit Quality Detection System',
+        'login.tagline': '"Analyze freshness, ripeness, spoilage risk & pesticide levels with AI"',
+
+        // Built-in rule profiles
+        'rules.retail.spoiled.label': 'Poor Quality - High Spoilage Risk',
+        'rules.retail.spoiled.message': '⚠️ This {fruit} shows signs of spoilage and is NOT recommended for consumption. Discard immediately.',
+        'rules.retail.pesticide.label': 'Unsafe - High Pesticide Levels',
+        'rules.retail.pesticide.message': '⚠️ High pesticide residue detected. This {fruit} should NOT be consumed without thorough washing or processing.',
+        'rules.retail.excellent.label': 'Excellent Quality',
+        'rules.retail.excellent.message': '✓ This {fruit} is in perfect condition! Fresh, ripe, and free from pesticides. Safe to eat immediately.',
+        'rules.retail.good.label': 'Good Quality',
+        'rules.retail.good.message': '✓ This {fruit} is in good condition and safe to eat. Wash thoroughly before consumption.',
+        'rules.retail.consumeSoon.label': 'Fair Quality - Consume Soon',
+        'rules.retail.consumeSoon.message': '⚡ This {fruit} is edible but showing early signs of aging. Consume within 1-2 days. Best used for cooking.',
+        'rules.retail.limitedFreshness.label': 'Fair Quality - Limited Freshness',
+        'rules.retail.limitedFreshness.message': '⚡ This {fruit} is past its prime but still edible. Best used for cooking, baking, or smoothies within 1-2 days.',
+        'rules.retail.poor.label': 'Poor Quality',
+        'rules.retail.poor.message': '✗ This {fruit} has deteriorated and is not recommended for consumption. Quality is too low.',
+        'rules.retail.note': 'Note: Pesticide residue detected - wash thoroughly with water or use produce wash.',
+        'rules.juice.pesticide.label': 'Unsafe - High Pesticide Levels',
+        'rules.juice.pesticide.message': '⚠️ High pesticide residue detected. Reject this lot for pressing.',
+        'rules.juice.spoiled.label': 'Rejected - Spoiled',
+        'rules.juice.spoiled.message': '✗ Spoilage would taint the juice. Reject for pressing.',
+        'rules.juice.premium.label': 'Premium Juice Grade',
+        'rules.juice.premium.message': '✓ High sugar content and sound fruit. Ideal for premium juice.',
+        'rules.juice.juice.label': 'Juice Grade',
+        'rules.juice.juice.message': '✓ Suitable for pressing. Process within a few days.',
+        'rules.juice.processNow.label': 'Process Immediately',
+        'rules.juice.processNow.message': '⚡ Usable for juice concentrate if pressed today.',
+        'rules.juice.belowGrade.label': 'Below Juice Grade',
+        'rules.juice.belowGrade.message': '✗ Quality is too low for pressing.',
+        'rules.juice.note': 'Note: Pesticide residue detected - wash before pressing.',
+        'rules.peeled.spoiled.label': 'Poor Quality - High Spoilage Risk',
+        'rules.peeled.spoiled.message': '⚠️ This {fruit} shows signs of spoilage and is NOT recommended for consumption. Discard immediately.',
+        'rules.peeled.pesticide.label': 'Unsafe - High Pesticide Levels',
+        'rules.peeled.pesticide.message': '⚠️ High pesticide residue detected on the peel. This {fruit} should NOT be consumed.',
+        'rules.peeled.excellent.label': 'Excellent Quality',
+        'rules.peeled.excellent.message': '✓ This {fruit} is in perfect condition. Peel and enjoy.',
+        'rules.peeled.good.label': 'Good Quality',
+        'rules.peeled.good.message': '✓ This {fruit} is in good condition and safe to eat once peeled.',
+        'rules.peeled.veryRipe.label': 'Fair Quality - Very Ripe',
+        'rules.peeled.veryRipe.message': '⚡ This {fruit} is very ripe. Eat within 1-2 days or use it for smoothies and baking.',
+        'rules.peeled.poor.label': 'Poor Quality',
+        'rules.peeled.poor.message': '✗ This {fruit} has deteriorated and is not recommended for consumption.',
+        'rules.peeled.note': 'Note: Pesticide residue detected on the peel - wash before peeling and wash your hands afterwards.'
+    }
+});
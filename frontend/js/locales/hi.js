@@ -0,0 +1,671 @@
+/**
+ * HI.JS
+ * Hindi messages
+ */
+
+registerLanguage('hi', {
+    label: 'हिन्दी',
+    locale: 'hi-IN',
+    messages: {
+        // Application
+        'app.dashboardTitle': 'डैशबोर्ड - फल पहचान परियोजना | AI फल गुणवत्ता पहचान',
+        'app.shortName': 'फल पहचान',
+
+        // Navigation
+        'nav.upload': 'फल की छवि अपलोड करें',
+        'nav.analyze': 'गुणवत्ता विश्लेषण',
+        'nav.history': 'इतिहास',
+        'nav.compare': 'तुलना',
+        'nav.analytics': 'विश्लेषिकी',
+        'nav.lots': 'लॉट',
+        'nav.sensor': 'सेंसर अनुकरण',
+        'nav.users': 'उपयोगकर्ता',
+        'nav.settings': 'सेटिंग्स',
+        'nav.about': 'परियोजना के बारे में',
+        'nav.logout': 'लॉग आउट',
+
+        // Shared labels
+        'common.clear': 'साफ़ करें',
+        'common.status': 'स्थिति',
+        'common.freshness': 'ताज़गी',
+        'common.grade': 'ग्रेड',
+        'common.cancel': 'रद्द करें',
+        'common.reset': 'रीसेट करें',
+        'common.save': 'सहेजें',
+        'common.language': 'भाषा',
+        'common.delete': 'हटाएँ',
+
+        // Accessibility
+        'a11y.skipToContent': 'मुख्य सामग्री पर जाएँ',
+        'a11y.mainNav': 'मुख्य नेविगेशन',
+        'a11y.toggleSidebar': 'साइडबार दिखाएँ/छिपाएँ',
+        'a11y.previewImage': 'चुनी गई छवि',
+        'a11y.removeImage': 'छवि हटाएँ',
+        'a11y.close': 'बंद करें',
+        'a11y.cameraPreview': 'कैमरा पूर्वावलोकन',
+        'a11y.resultSummary': 'परिणाम: {grade}। ताज़गी 100 में से {freshness}, खराबी का जोखिम {risk}, कीटनाशक स्तर {pesticide}। {safety}।',
+        'a11y.safeToEat': 'खाने के लिए सुरक्षित',
+        'a11y.notSafeToEat': 'खाने की सलाह नहीं',
+
+        // Units
+        'unit.percent': '{value}%',
+        'unit.kg': '{value} किग्रा',
+        'unit.g': '{value} ग्रा',
+        'unit.mg': '{value} मिग्रा',
+
+        // Fruit types
+        'fruit.apple': 'सेब',
+        'fruit.pear': 'नाशपाती',
+        'fruit.mango': 'आम',
+        'fruit.orange': 'संतरा',
+        'fruit.banana': 'केला',
+        'fruitNoun.apple': 'सेब',
+        'fruitNoun.pear': 'नाशपाती',
+        'fruitNoun.mango': 'आम',
+        'fruitNoun.orange': 'संतरा',
+        'fruitNoun.banana': 'केला',
+        'fruitUpload.apple': 'सेब',
+        'fruitUpload.pear': 'नाशपाती',
+        'fruitUpload.mango': 'आम',
+        'fruitUpload.orange': 'संतरे',
+        'fruitUpload.banana': 'केले',
+
+        // Stored values (grades, spoilage risk, pesticide classes, roles, shelf life)
+        'grades.Excellent': 'उत्कृष्ट',
+        'grades.Good': 'अच्छा',
+        'grades.Fair': 'ठीक',
+        'grades.Poor': 'खराब',
+        'grades.Unsafe': 'असुरक्षित',
+        'grades.ungraded': 'बिना ग्रेड',
+        'risk.Low': 'कम',
+        'risk.Medium': 'मध्यम',
+        'risk.High': 'अधिक',
+        'pesticide.Pure': 'शुद्ध',
+        'pesticide.Insecticide Low': 'कीटनाशक कम',
+        'pesticide.Fungicide Low': 'फफूंदनाशक कम',
+        'pesticide.Fungicide High': 'फफूंदनाशक अधिक',
+        'role.inspector': 'निरीक्षक',
+        'role.supervisor': 'पर्यवेक्षक',
+        'role.admin': 'प्रशासक',
+        'shelfLife.dayRange': '{min}-{max} दिन',
+        'shelfLife.oneDay': '{days} दिन',
+        'shelfLife.days': '{days} दिन',
+        'shelfLife.Spoiled': 'खराब हो चुका',
+        'shelfLife.Not Safe': 'सुरक्षित नहीं',
+        'shelfLife.Not recommended': 'अनुशंसित नहीं',
+        'shelfLife.Press today': 'आज ही रस निकालें',
+
+        // Session and errors
+        'auth.sessionExpired': 'सत्र समाप्त हो गया। कृपया फिर से साइन इन करें।',
+        'error.sessionExpired': 'सत्र समाप्त हो गया',
+
+        // API errors
+        'apiError.network': 'सर्वर तक नहीं पहुँच सके। अपना कनेक्शन जाँचें और फिर से प्रयास करें।',
+        'apiError.timeout': 'सर्वर ने उत्तर देने में बहुत देर लगाई। फिर से प्रयास करें।',
+        'apiError.server': 'सर्वर में समस्या आई। थोड़ी देर में फिर से प्रयास करें।',
+        'apiError.unavailable': 'सर्वर अस्थायी रूप से उपलब्ध नहीं है। थोड़ी देर में फिर से प्रयास करें।',
+        'apiError.rateLimited': 'बहुत अधिक अनुरोध। थोड़ा रुकें और फिर से प्रयास करें।',
+        'apiError.imageUndecodable': 'यह फ़ाइल छवि नहीं है या क्षतिग्रस्त है। कोई दूसरी फ़ोटो चुनें।',
+        'apiError.imageTooSmall': 'छवि विश्लेषण के लिए बहुत छोटी है। हर तरफ़ कम से कम 32 पिक्सेल की फ़ोटो लें।',
+        'apiError.imageTooLarge': 'छवि में विश्लेषण के लिए बहुत अधिक पिक्सेल हैं। छोटी फ़ोटो लें।',
+        'apiError.noFruitDetected': 'छवि में कोई फल नहीं मिला। फल को सादे पृष्ठभूमि पर बीच में रखकर दूसरी फ़ोटो लें।',
+        'apiError.unknownFruit': 'सर्वर इस फल प्रकार का समर्थन नहीं करता। कोई दूसरा फल प्रकार चुनें।',
+        'apiError.accountDisabled': 'आपका खाता निष्क्रिय कर दिया गया है। किसी व्यवस्थापक से संपर्क करें।',
+        'apiError.forbidden': 'आपकी भूमिका इस कार्य की अनुमति नहीं देती।',
+        'apiError.invalidRequest': 'अनुरोध में फ़ील्ड गायब या अमान्य हैं।',
+        'apiError.aborted': 'अनुरोध रद्द कर दिया गया।',
+        'apiError.action.retry': 'फिर से प्रयास करें',
+        'apiError.action.chooseImage': 'दूसरी छवि चुनें',
+        'error.analysisFailed': 'विश्लेषण विफल रहा',
+        'error.requestFailed': 'अनुरोध विफल रहा',
+
+        // Notifications
+        'toast.loggedOut': 'सफलतापूर्वक लॉग आउट हुआ',
+        'toast.invalidImage': 'कृपया एक मान्य छवि फ़ाइल अपलोड करें',
+        'toast.fileTooLarge': 'फ़ाइल का आकार 10MB से कम होना चाहिए',
+        'toast.imageUploaded': 'छवि सफलतापूर्वक अपलोड हुई',
+        'toast.readError': 'फ़ाइल पढ़ने में त्रुटि',
+        'toast.cameraDenied': 'कैमरा उपलब्ध नहीं है। कृपया अनुमतियाँ जाँचें।',
+        'toast.cameraSwitchFailed': 'कैमरा बदला नहीं जा सका',
+        'toast.uploadFirst': 'कृपया पहले एक छवि अपलोड करें',
+        'toast.analysisDone': 'विश्लेषण सफलतापूर्वक पूरा हुआ',
+        'toast.analysisFailed': 'विश्लेषण विफल रहा। कृपया फिर से प्रयास करें।',
+
+        // Upload
+        'upload.title': 'फल की छवि अपलोड या कैप्चर करें',
+        'upload.subtitle': '{fruit} की छवि अपलोड करें और उसकी गुणवत्ता, ताज़गी और पोषण का विश्लेषण करें',
+        'upload.fruitType': 'फल का प्रकार',
+        'upload.dropHint': 'छवियाँ यहाँ खींचकर छोड़ें या ब्राउज़ करने के लिए क्लिक करें',
+        'upload.batchHint': 'पूरे बैच का विश्लेषण करने के लिए कई छवियाँ चुनें',
+        'upload.browse': 'फ़ाइलें ब्राउज़ करें',
+        'upload.camera': 'कैमरे से कैप्चर करें',
+        'analyze.button': '{fruit} का विश्लेषण करें',
+        'analyze.analyzing': 'विश्लेषण हो रहा है...',
+
+        // Cropping and multi-fruit detection
+        'roi.crop': 'फल तक काटें',
+        'roi.applyCrop': 'काटें',
+        'roi.undoCrop': 'काटना पूर्ववत करें',
+        'roi.multiFruit': 'हर फल को अलग से पहचानें और जाँचें',
+        'roi.detectedFruits': 'पहचाने गए फल',
+        'roi.dragHint': 'फल चुनने के लिए छवि पर खींचें',
+        'roi.cropped': 'छवि काटी गई',
+        'roi.cropFailed': 'छवि काटी नहीं जा सकी',
+        'roi.analyzedCount': '{count} फलों का विश्लेषण हुआ',
+        'roi.noneFound': 'अलग फल नहीं मिले - पूरी छवि का विश्लेषण हो रहा है',
+        'roi.detectedCount': '{count} फल पहचाने गए',
+        'roi.fruitNumber': 'फल #{number}',
+        'roi.viewDetails': 'विवरण देखें',
+
+        // Batch analysis
+        'batch.title': 'बैच विश्लेषण',
+        'batch.retryFailed': 'विफल फिर से चलाएँ',
+        'batch.file': 'फ़ाइल',
+        'batch.summary': 'बैच सारांश',
+        'batch.analyzed': 'विश्लेषित',
+        'batch.failed': 'विफल',
+        'batch.meanFreshness': 'औसत ताज़गी',
+        'batch.notSafe': 'खाने योग्य नहीं',
+        'batch.count': 'संख्या',
+        'batch.share': 'हिस्सा',
+        'batch.skipped': '{count} फ़ाइलें छोड़ी गईं: केवल 10MB से छोटी छवियाँ स्वीकार हैं',
+        'batch.added': '{count} छवियाँ बैच में जोड़ी गईं',
+        'batch.progress': '{total} में से {finished} संसाधित',
+        'batch.status.queued': 'कतार में',
+        'batch.status.running': 'विश्लेषण हो रहा है...',
+        'batch.status.done': 'पूर्ण',
+        'batch.status.failed': 'विफल',
+        'batch.view': 'देखें',
+        'batch.retry': 'फिर से प्रयास करें',
+
+        // Offline upload queue and installing
+        'queue.title': 'अपलोड कतार',
+        'queue.syncNow': 'अभी सिंक करें',
+        'queue.clearDone': 'पूर्ण हटाएँ',
+        'queue.fruit': 'फल',
+        'queue.queuedAt': 'कतार में जोड़ा गया',
+        'queue.remove': 'हटाएँ',
+        'queue.waiting': '{count} विश्लेषण की प्रतीक्षा में',
+        'queue.waitingOffline': 'ऑफ़लाइन: {count} प्रतीक्षा में, कनेक्शन लौटने पर अपने-आप विश्लेषण होगा',
+        'queue.added': 'ऑफ़लाइन: {count} छवि(याँ) विश्लेषण के लिए कतार में',
+        'queue.synced': 'कतार की {count} छवि(यों) का विश्लेषण कर इतिहास में सहेजा गया',
+        'queue.saveFailed': 'इस डिवाइस पर छवि को कतार में नहीं रखा जा सका',
+        'pwa.install': 'ऐप इंस्टॉल करें',
+
+        // Camera and continuous scanning
+        'camera.title': 'फल की छवि कैप्चर करें',
+        'camera.select': 'कैमरा',
+        'camera.option': 'कैमरा {number}',
+        'camera.startScan': 'लगातार स्कैन शुरू करें',
+        'camera.stopScan': 'लगातार स्कैन रोकें',
+        'camera.capture': 'फ़ोटो लें',
+        'camera.every': 'हर',
+        'camera.seconds': 'सेकंड',
+        'camera.logAfter': 'इतने के बाद दर्ज करें:',
+        'camera.stableFrames': 'स्थिर फ़्रेम',
+        'camera.scanLog': 'स्कैन लॉग',
+        'scan.waiting': 'पहली रीडिंग की प्रतीक्षा...',
+        'scan.failed': 'रीडिंग विफल - फिर से प्रयास',
+        'scan.freshness': 'ताज़गी {freshness}',
+        'scan.placeNext': 'दर्ज हुआ - अगला फल रखें',
+        'scan.logged': 'स्थिर रीडिंग दर्ज हुई',
+        'scan.stabilizing': 'स्थिर हो रहा है ({count}/{total})',
+        'scan.loggedToast': 'दर्ज: {grade} (ताज़गी {freshness})',
+
+        // Export and printed report
+        'export.title': 'निर्यात',
+        'export.print': 'रिपोर्ट प्रिंट करें',
+        'export.csv': 'CSV डाउनलोड करें',
+        'export.json': 'JSON डाउनलोड करें',
+        'export.notAllowed': 'आपकी भूमिका निर्यात की अनुमति नहीं देती',
+        'export.nothingToExport': 'निर्यात से पहले किसी फल का विश्लेषण करें',
+        'export.failed': 'निर्यात विफल रहा। कृपया फिर से प्रयास करें।',
+        'export.csvDone': 'CSV डाउनलोड हुई',
+        'export.jsonDone': 'JSON डाउनलोड हुई',
+        'export.allowPopups': 'रिपोर्ट प्रिंट करने के लिए पॉप-अप की अनुमति दें',
+        'report.title': '{fruit} गुणवत्ता रिपोर्ट - {date}',
+        'report.heading': '{fruit} गुणवत्ता निरीक्षण रिपोर्ट',
+        'report.generated': '{date} को बनाई गई',
+        'report.outOf100': '{value} / 100',
+        'report.chartAlt': '{title} चार्ट',
+        'report.charts': 'चार्ट',
+        'report.sensorChannels': 'AS7265x सेंसर चैनल',
+        'analyze.simulated': 'अनुकरित परिणाम - वास्तविक माप नहीं',
+        'analyze.outOf100': '100 में से',
+        'analyze.ripenessIndicator': 'पकने का संकेतक',
+        'analyze.riskAssessment': 'जोखिम आकलन',
+        'analyze.detectionStatus': 'पहचान स्थिति',
+        'analyze.fromImage': 'छवि विश्लेषण से',
+        'analyze.browserCheck': 'ब्राउज़र में जाँच',
+        'analyze.nutrientBreakdown': 'पोषक तत्व विवरण',
+        'analyze.comparisonScore': '{browser} बनाम {server}',
+        'analyze.comparisonDetail': 'ब्राउज़र बनाम सर्वर ({difference}), ब्राउज़र खराबी जोखिम: {risk}',
+        'analyze.safeToEat': '✓ खाने के लिए सुरक्षित',
+        'analyze.notRecommended': '✗ अनुशंसित नहीं',
+        'analyze.weightBadge': 'वज़न: {weight}',
+        'analyze.shelfLifeBadge': 'भंडारण अवधि: {shelfLife}',
+        'analyze.rulesBadge': 'नियम: {profile}',
+
+        // Result metrics
+        'metric.freshnessScore': 'ताज़गी स्कोर',
+        'metric.dryMatterContent': 'शुष्क पदार्थ मात्रा',
+        'metric.spoilageRisk': 'खराबी का जोखिम',
+        'metric.pesticideLevel': 'कीटनाशक स्तर',
+        'metric.estimatedWeight': 'अनुमानित वज़न',
+        'metric.waterContent': 'पानी की मात्रा',
+        'metric.sugarContent': 'शर्करा की मात्रा',
+        'metric.vitaminC': 'विटामिन C',
+        'metric.fiber': 'रेशा (लगभग)',
+
+        // Spoilage overlay
+        'overlay.title': 'खराबी का नक्शा',
+        'overlay.subtitle': 'ताज़ा, खराब या पृष्ठभूमि के रूप में वर्गीकृत पिक्सेल',
+        'overlay.show': 'ओवरले दिखाएँ',
+        'overlay.opacity': 'अपारदर्शिता',
+        'overlay.unavailable': 'इस परिणाम के लिए पिक्सेल नक्शा नहीं है (अनुकरित और पुराने विश्लेषणों में यह नहीं होता)।',
+        'overlay.background': 'पृष्ठभूमि',
+        'overlay.fresh': 'ताज़ा',
+        'overlay.spoiled': 'खराब',
+
+        // Charts
+        'chart.spectralTitle': 'स्पेक्ट्रल विश्लेषण ग्राफ़',
+        'chart.nutrientTitle': 'पोषक तत्व संरचना',
+        'chart.qualityTitle': 'गुणवत्ता वितरण',
+        'chart.spectralResponse': 'स्पेक्ट्रल प्रतिक्रिया',
+        'chart.sensorResponse': 'सेंसर प्रतिक्रिया',
+        'chart.sensorTitle': 'AS7265x 18-चैनल स्पेक्ट्रल प्रतिक्रिया',
+        'chart.intensity': 'तीव्रता',
+        'chart.intensityValue': 'तीव्रता मान',
+        'chart.wavelengthNm': 'तरंगदैर्ध्य (nm)',
+        'chart.value': 'मान',
+        'chart.water': 'पानी',
+        'chart.sugar': 'शर्करा',
+        'chart.fiber': 'रेशा',
+        'chart.vitaminC': 'विटामिन C',
+        'chart.fresh': 'ताज़ा',
+        'chart.atRisk': 'जोखिम में',
+        'chart.spoiled': 'खराब',
+        'chart.uncalibrated': '{label} (कैलिब्रेट नहीं किया गया)',
+        'chart.reflectance': 'परावर्तकता',
+
+        // Spectral indices and reference spectra
+        'spectral.source': 'स्पेक्ट्रम स्रोत',
+        'spectral.sourceCurve': 'अनुमानित वक्र',
+        'spectral.sourceSensor': 'सेंसर चैनल',
+        'spectral.indicesTitle': 'स्पेक्ट्रल सूचकांक',
+        'spectral.ndvi': 'NDVI (810 / 680 nm)',
+        'spectral.redEdge': 'रेड एज (760 / 705 nm)',
+        'spectral.chlorophyll': 'क्लोरोफ़िल अवशोषण गहराई (680 nm)',
+        'spectral.water': 'जल बैंड गहराई (940 nm)',
+        'spectral.similarityTitle': 'संदर्भ स्पेक्ट्रा से समानता',
+        'spectral.reference.fresh': 'ताज़ा {fruit}',
+        'spectral.reference.overripe': 'अधिक पका {fruit}',
+        'spectral.closest': 'सबसे निकट मिलान: {reference}',
+        'spectral.uncalibrated': 'कैलिब्रेट नहीं किया गया: ये सूचकांक परावर्तकता से नहीं, कच्चे मानों से गणना किए गए हैं। संदर्भ स्पेक्ट्रा से तुलना के लिए कैलिब्रेट किया गया सेंसर जोड़ें।',
+        'spectral.noReferences': '{fruit} के लिए अभी कोई संदर्भ स्पेक्ट्रा नहीं है।',
+
+        // History
+        'history.title': 'विश्लेषण इतिहास',
+        'history.clear': 'इतिहास साफ़ करें',
+        'history.allGrades': 'सभी ग्रेड',
+        'history.allRisks': 'सभी खराबी जोखिम',
+        'history.allPesticides': 'सभी कीटनाशक वर्ग',
+        'history.confirmClear': 'सभी सहेजे गए विश्लेषण हटाएँ? इसे पूर्ववत नहीं किया जा सकता।',
+        'history.cleared': 'इतिहास साफ़ हुआ',
+        'history.clearFailed': 'इतिहास साफ़ नहीं हो सका',
+        'history.savedLocally': 'सर्वर तक नहीं पहुँचा जा सका; यह परिणाम इस डिवाइस पर रखा गया है और पहुँच मिलते ही इतिहास में जोड़ा जाएगा',
+        'history.simulatedLocal': 'डेमो परिणाम केवल इस डिवाइस पर रखे जाते हैं और सर्वर को नहीं भेजे जाते',
+        'history.pendingUploaded': 'इस डिवाइस पर रखे गए {count} परिणाम इतिहास में जोड़े गए',
+        'history.pendingRejected': 'इस डिवाइस पर रखे गए {count} परिणाम सर्वर ने अस्वीकार किए; इतिहास देखें',
+        'history.localTitle': 'इस डिवाइस पर रखे गए',
+        'history.waitingUpload': 'इतिहास में जोड़े जाने की प्रतीक्षा में',
+        'history.rejected': 'सर्वर ने अस्वीकार किया: {error}',
+        'history.demoOnly': 'डेमो परिणाम, सर्वर को नहीं भेजा गया',
+        'history.localOnly': 'केवल इस डिवाइस पर सहेजा गया',
+        'history.discard': 'हटाएँ',
+        'history.confirmDiscard': 'यह परिणाम हटाएँ? यह कहीं और सहेजा नहीं गया है।',
+        'history.discarded': 'परिणाम हटाया गया',
+        'history.unavailable': 'इस ब्राउज़र में इतिहास उपलब्ध नहीं है।',
+        'history.count': '{total} में से {visible} विश्लेषण',
+        'history.summary': '{count} विश्लेषण · औसत ताज़गी {freshness} · {unsafe} खाने के लिए असुरक्षित',
+        'history.serverUnavailable': 'सर्वर से इतिहास लोड नहीं हो सका।',
+        'history.previous': 'पिछला',
+        'history.next': 'अगला',
+        'history.page': 'पृष्ठ {page} / {pages}',
+        'history.empty': 'अभी कोई विश्लेषण नहीं। परिणाम यहाँ अपने-आप सहेजे जाते हैं।',
+        'history.noMatches': 'चुने गए फ़िल्टर से कोई विश्लेषण मेल नहीं खाता।',
+        'history.imageAlt': 'विश्लेषित {fruit}',
+        'history.freshness': 'ताज़गी:',
+        'history.spoilage': 'खराबी:',
+        'history.pesticide': 'कीटनाशक:',
+        'history.open': 'खोलें',
+        'history.delete': 'हटाएँ',
+        'history.removed': 'विश्लेषण इतिहास से हटाया गया',
+        'history.deleteFailed': 'विश्लेषण हटाया नहीं जा सका',
+        'history.notFound': 'विश्लेषण नहीं मिला',
+        'history.showing': '{date} का विश्लेषण दिखाया जा रहा है',
+        'history.openFailed': 'विश्लेषण खोला नहीं जा सका',
+
+        // Comparison
+        'compare.title': 'विश्लेषणों की तुलना',
+        'compare.subtitle': 'इतिहास में 2–4 विश्लेषण चुनें और "चयनित की तुलना करें" दबाएँ',
+        'compare.empty': 'तुलना के लिए अभी कोई विश्लेषण नहीं चुना गया।',
+        'compare.differences': 'अंतर',
+        'compare.differencesHint': 'बदलाव सबसे पुराने विश्लेषण (A) के सापेक्ष हैं',
+        'compare.clearSelection': 'चयन साफ़ करें',
+        'compare.selected': 'चयनित की तुलना करें ({count})',
+        'compare.tooMany': 'एक बार में अधिकतम {max} विश्लेषणों की तुलना करें',
+        'compare.tooFew': 'तुलना के लिए कम से कम {min} विश्लेषण चुनें',
+        'compare.notAllowed': 'आपकी भूमिका तुलना की अनुमति नहीं देती',
+        'compare.loadFailed': 'विश्लेषण लोड नहीं हो सके',
+        'compare.imageAlt': 'विश्लेषण {label}',
+        'compare.baseline': '{label} (आधार)',
+        'compare.metric': 'माप',
+
+        // Trend analytics
+        'analytics.title': 'रुझान विश्लेषिकी',
+        'analytics.from': 'से',
+        'analytics.to': 'तक',
+        'analytics.operator': 'ऑपरेटर',
+        'analytics.allOperators': 'सभी ऑपरेटर',
+        'analytics.unknownOperator': 'अज्ञात ऑपरेटर',
+        'analytics.period': 'अवधि',
+        'analytics.perDay': 'प्रति दिन',
+        'analytics.perWeek': 'प्रति सप्ताह',
+        'analytics.weekOf': '{date} का सप्ताह',
+        'analytics.empty': 'अभी कोई विश्लेषण सहेजा नहीं गया है। फल का विश्लेषण होने पर रुझान यहाँ दिखाई देंगे।',
+        'analytics.analyses': 'विश्लेषण',
+        'analytics.inRange': 'चुनी गई अवधि में',
+        'analytics.meanFreshness': 'औसत ताज़गी',
+        'analytics.meanDryMatter': 'औसत शुष्क पदार्थ',
+        'analytics.unsafeShare': 'असुरक्षित के रूप में अस्वीकृत',
+        'analytics.unsafeCount': '{total} में से {count} खाने के लिए सुरक्षित नहीं',
+        'analytics.trendTitle': 'ताज़गी और शुष्क पदार्थ',
+        'analytics.unsafeTitle': 'असुरक्षित के रूप में अस्वीकृत हिस्सा',
+        'analytics.gradeTitle': 'ग्रेड वितरण',
+        'analytics.pesticideTitle': 'कीटनाशक वर्ग',
+        'analytics.freshnessAxis': 'ताज़गी (0–100)',
+        'analytics.dryMatterAxis': 'शुष्क पदार्थ (%)',
+        'analytics.unsafeAxis': 'असुरक्षित (%)',
+
+        // Lot tracking
+        'lots.title': 'लॉट',
+        'lots.lot': 'लॉट',
+        'lots.none': 'कोई लॉट नहीं',
+        'lots.new': 'नया लॉट',
+        'lots.editTitle': 'लॉट संपादित करें',
+        'lots.code': 'लॉट कोड',
+        'lots.supplier': 'आपूर्तिकर्ता',
+        'lots.origin': 'बाग / मूल स्थान',
+        'lots.variety': 'किस्म',
+        'lots.harvestDate': 'कटाई की तारीख',
+        'lots.storageCondition': 'भंडारण की स्थिति',
+        'lots.storage.unknown': 'दर्ज नहीं',
+        'lots.storage.ambient': 'सामान्य तापमान',
+        'lots.storage.cold': 'शीत भंडार',
+        'lots.storage.controlled_atmosphere': 'नियंत्रित वातावरण',
+        'lots.scan': 'कोड स्कैन करें',
+        'lots.stopScan': 'स्कैन रोकें',
+        'lots.scanUnsupported': 'यह ब्राउज़र QR कोड या बारकोड नहीं पढ़ सकता; कोड टाइप करें',
+        'lots.scanned': '{code} स्कैन किया गया',
+        'lots.selected': 'लॉट {code} चुना गया',
+        'lots.created': 'लॉट {code} बनाया गया',
+        'lots.updated': 'लॉट {code} अपडेट किया गया',
+        'lots.deleted': 'लॉट {code} हटाया गया',
+        'lots.confirmDelete': 'लॉट "{code}" हटाएँ?',
+        'lots.deleteHasAnalyses': 'दर्ज विश्लेषण वाले लॉट हटाए नहीं जा सकते',
+        'lots.error.code': 'अधिकतम {max} अक्षरों का लॉट कोड दर्ज करें',
+        'lots.error.codeTaken': 'इस कोड वाला लॉट पहले से मौजूद है',
+        'lots.error.harvestFuture': 'कटाई की तारीख भविष्य में नहीं हो सकती',
+        'lots.count': '{count} लॉट',
+        'lots.empty': 'अभी कोई लॉट नहीं है। यहाँ या अपलोड स्क्रीन पर एक बनाएँ।',
+        'lots.recommendation': 'सिफ़ारिश',
+        'lots.close': 'बंद करें',
+        'lots.detailTitle': 'लॉट {code}',
+        'lots.badge': 'लॉट {code}',
+        'lots.inLot': 'इस लॉट के लिए दर्ज',
+        'lots.analysesTitle': 'इस लॉट के विश्लेषण',
+        'lots.noAnalyses': 'इस लॉट के लिए अभी कोई विश्लेषण दर्ज नहीं है। विश्लेषण से पहले इसे अपलोड स्क्रीन पर चुनें।',
+        'lots.latestAnalyses': 'कुल {total} में से नवीनतम {shown} विश्लेषण दिखाए गए हैं; बाकी इतिहास में देखें',
+        'lots.analyzedAt': 'विश्लेषण का समय',
+        'lots.safety': 'सुरक्षा',
+        'lots.decision.accept': 'लॉट स्वीकार करें',
+        'lots.decision.reject': 'लॉट अस्वीकार करें',
+        'lots.decision.insufficient': 'और नमूने चाहिए',
+        'lots.reason.tooFew': '{count} विश्लेषण दर्ज; सिफ़ारिश के लिए कम से कम {min} चाहिए',
+        'lots.reason.unsafe': '{share} नमूने खाने के लिए सुरक्षित नहीं हैं (सीमा {max})',
+        'lots.reason.freshness': 'औसत ताज़गी {freshness}, {min} से कम है',
+        'lots.reason.meetsRules': 'औसत ताज़गी {freshness} (न्यूनतम {min}) और {share} खाने के लिए सुरक्षित नहीं (सीमा {max})',
+
+        // Sensor emulation
+        'sensor.title': 'AS7265x आभासी सेंसर आउटपुट',
+        'sensor.subtitle': '18-चैनल स्पेक्ट्रल सेंसर अनुकरण (410–940 nm)',
+        'sensor.channel': 'चैनल',
+        'sensor.viewGraph': 'सेंसर ग्राफ़ देखें',
+        'sensor.chartTitle': 'स्पेक्ट्रल सेंसर दृश्य',
+        'sensor.connect': 'AS7265x जोड़ें',
+        'sensor.simulator': 'सिम्युलेटर चलाएँ',
+        'sensor.disconnect': 'डिस्कनेक्ट करें',
+        'sensor.statusAnalysis': 'अंतिम विश्लेषण के मान दिखाए जा रहे हैं',
+        'sensor.statusLive': 'सीरियल पोर्ट पर AS7265x से लाइव ({count} रीडिंग)',
+        'sensor.statusSimulated': 'सिम्युलेटेड AS7265x से लाइव ({count} रीडिंग)',
+        'sensor.unsupported': 'यह ब्राउज़र सीरियल पोर्ट नहीं खोल सकता (localhost या HTTPS पर Chrome या Edge का उपयोग करें); सिम्युलेटर फिर भी काम करता है',
+        'sensor.connected': 'सेंसर जुड़ गया',
+        'sensor.simulatorStarted': 'सिम्युलेटेड सेंसर शुरू हुआ',
+        'sensor.disconnected': 'सेंसर डिस्कनेक्ट हुआ',
+        'sensor.connectFailed': 'सेंसर पोर्ट नहीं खुल सका',
+        'sensor.lost': 'सेंसर से कनेक्शन टूट गया',
+        'sensor.rawCounts': 'कच्ची गणना',
+        'sensor.simulatedDevice': 'सिम्युलेटेड AS7265x',
+        'sensor.serialDevice': 'AS7265x (सीरियल पोर्ट)',
+
+        // Sensor calibration
+        'calibration.open': 'कैलिब्रेट करें',
+        'calibration.title': 'सेंसर कैलिब्रेट करें',
+        'calibration.deviceName': 'डिवाइस का नाम',
+        'calibration.darkTitle': 'डार्क संदर्भ',
+        'calibration.darkHint': 'सेंसर की खिड़की ढक दें (या लैंप बंद कर दें) ताकि कोई प्रकाश न पहुँचे, फिर कैप्चर करें।',
+        'calibration.whiteTitle': 'सफ़ेद संदर्भ',
+        'calibration.whiteHint': 'लैंप चालू रखकर सफ़ेद संदर्भ टाइल को सेंसर की खिड़की पर सपाट रखें, फिर कैप्चर करें।',
+        'calibration.whiteReflectance': 'सफ़ेद संदर्भ की परावर्तकता (0–1)',
+        'calibration.capture': 'कैप्चर करें',
+        'calibration.recapture': 'फिर से कैप्चर करें',
+        'calibration.capturing': '{count} रीडिंग का औसत लिया जा रहा है...',
+        'calibration.captured': 'कैप्चर किया गया: {min}–{max} गणना',
+        'calibration.save': 'कैलिब्रेशन सहेजें',
+        'calibration.saved': '{device} के लिए कैलिब्रेशन सहेजा गया',
+        'calibration.connectFirst': 'पहले सेंसर जोड़ें या सिम्युलेटर चलाएँ',
+        'calibration.noReadings': 'सेंसर से कोई रीडिंग नहीं आई; कनेक्शन जाँचें और फिर से प्रयास करें',
+        'calibration.referenceSaturated': 'संदर्भ {channels} को संतृप्त करता है; गेन या इंटीग्रेशन समय कम करके फिर से कैप्चर करें',
+        'calibration.tooDark': '{channels} पर सफ़ेद संदर्भ डार्क संदर्भ से मुश्किल से अधिक चमकीला है; लैंप और टाइल जाँचें',
+        'calibration.invalidReflectance': 'सफ़ेद संदर्भ की परावर्तकता 0 और 1 के बीच की संख्या के रूप में दर्ज करें',
+        'calibration.saturated': 'संतृप्त: {channels} सेंसर सीमा के शीर्ष पर हैं, इसलिए उनके मान कटे हुए हैं। गेन या इंटीग्रेशन समय कम करें।',
+        'calibration.saturatedChannel': 'संतृप्त चैनल',
+        'calibration.stale': 'यह सेंसर {date} को, {hours} घंटे से अधिक पहले कैलिब्रेट किया गया था; विश्वसनीय परावर्तकता के लिए फिर से कैलिब्रेट करें।',
+        'calibration.missing': 'यह सेंसर कैलिब्रेट नहीं है, इसलिए केवल कच्ची गणना दिखाई जाती है। डार्क और सफ़ेद संदर्भ कैप्चर करने के लिए कैलिब्रेट करें का उपयोग करें।',
+        'calibration.settingsTitle': 'सेंसर कैलिब्रेशन',
+        'calibration.settingsHint': 'इस ब्राउज़र में सहेजे गए डार्क और सफ़ेद संदर्भ कैलिब्रेशन, प्रत्येक सेंसर के लिए एक। सेंसर जुड़ा होने पर सेंसर अनुकरण अनुभाग से कैलिब्रेट करें।',
+        'calibration.none': 'अभी तक कोई सेंसर कैलिब्रेट नहीं किया गया है।',
+        'calibration.device': 'डिवाइस',
+        'calibration.calibratedAt': 'कैलिब्रेट किया गया',
+        'calibration.whiteShort': 'सफ़ेद संदर्भ',
+        'calibration.statusCurrent': 'वर्तमान',
+        'calibration.statusStale': 'पुराना',
+        'calibration.confirmDelete': '"{device}" का कैलिब्रेशन हटाएँ?',
+
+        // User management
+        'users.title': 'उपयोगकर्ता प्रबंधन',
+        'users.add': 'उपयोगकर्ता जोड़ें',
+        'users.name': 'नाम',
+        'users.email': 'ईमेल',
+        'users.role': 'भूमिका',
+        'users.actions': 'क्रियाएँ',
+        'users.password': 'पासवर्ड',
+        'users.fallbackName': 'उपयोगकर्ता',
+        'users.needsBackend': 'उपयोगकर्ता प्रबंधन के लिए सर्वर चाहिए (ऑफ़लाइन मॉक प्रोफ़ाइल में सर्वर नहीं है)।',
+        'users.loadFailed': 'उपयोगकर्ता लोड नहीं हो सके: {error}',
+        'users.count': '{count} उपयोगकर्ता',
+        'users.you': '(आप)',
+        'users.active': 'सक्रिय',
+        'users.disabled': 'निष्क्रिय',
+        'users.edit': 'संपादित करें',
+        'users.editTitle': 'उपयोगकर्ता संपादित करें',
+        'users.resetPassword': 'पासवर्ड रीसेट करें',
+        'users.enable': 'सक्रिय करें',
+        'users.disable': 'निष्क्रिय करें',
+        'users.confirmDisable': '{email} को निष्क्रिय करें? वे साइन आउट हो जाएँगे और लॉग इन नहीं कर पाएँगे।',
+        'users.disabledToast': '{email} निष्क्रिय किया गया',
+        'users.enabledToast': '{email} सक्रिय किया गया',
+        'users.added': '{email} जोड़ा गया',
+        'users.updated': '{email} अपडेट किया गया',
+        'users.passwordReset': '{email} का पासवर्ड रीसेट हुआ',
+
+        // Settings
+        'settings.serverTitle': 'सर्वर सेटिंग्स',
+        'settings.serverHint': 'चुनें कि यह ब्राउज़र किस सर्वर से बात करे। सहेजी गई सेटिंग्स लॉगिन पेज और डैशबोर्ड दोनों पर लागू होती हैं।',
+        'settings.profile': 'प्रोफ़ाइल',
+        'settings.serverUrl': 'सर्वर URL',
+        'settings.testConnection': 'कनेक्शन जाँचें',
+        'settings.resetDefaults': 'डिफ़ॉल्ट पर लौटें',
+        'settings.modeTitle': 'विश्लेषण मोड',
+        'settings.modeHint': 'ब्राउज़र विश्लेषक बिना कनेक्शन के इसी डिवाइस पर ताज़गी आँकता है। डेमो मोड हर परिणाम को अनुकरित बताते हैं; प्रशिक्षण और दोहराने योग्य परीक्षणों के लिए सीडेड मोड का उपयोग करें।',
+        'settings.mode': 'मोड',
+        'settings.seed': 'सीड (सीडेड डेमो)',
+        'settings.compareBrowser': 'सर्वर की ताज़गी को ब्राउज़र विश्लेषक से जाँचें',
+        'settings.accessibilityTitle': 'सुगम्यता',
+        'settings.accessibilityHint': 'चार्ट रंग-दृष्टिहीनता के अनुकूल रंगों और पैटर्न का उपयोग करते हैं और परिणाम स्क्रीन रीडर को पढ़कर सुनाए जाते हैं। साइडबार में तीर कुंजियों का उपयोग करें; Escape से संवाद बंद होते हैं।',
+        'settings.highContrast': 'उच्च कंट्रास्ट थीम',
+        'settings.invalidUrl': 'सर्वर URL http:// या https:// से शुरू होना चाहिए',
+        'settings.saved': 'सेटिंग्स सहेजी गईं',
+        'settings.resetDone': 'सेटिंग्स डिफ़ॉल्ट पर लौटाई गईं',
+        'settings.invalidSeed': 'सीड एक पूर्ण संख्या होनी चाहिए',
+        'settings.modeSaved': 'विश्लेषण मोड: {mode}',
+        'mode.auto': 'स्वचालित (सर्वर, ऑफ़लाइन होने पर ब्राउज़र में)',
+        'mode.server': 'केवल सर्वर',
+        'mode.browser': 'केवल ब्राउज़र में (कनेक्शन की ज़रूरत नहीं)',
+        'mode.mock': 'डेमो - यादृच्छिक मान',
+        'mode.seeded': 'डेमो - सीडेड, दोहराने योग्य मान',
+        'profile.local': 'स्थानीय',
+        'profile.staging': 'स्टेजिंग',
+        'profile.mock': 'ऑफ़लाइन मॉक',
+        'health.status': '{profile}: {status}',
+        'health.customServer': '{profile} (कस्टम सर्वर)',
+        'health.online': 'सर्वर ऑनलाइन',
+        'health.offline': 'सर्वर से संपर्क नहीं',
+        'health.mock': 'ऑफ़लाइन मॉक',
+        'health.unconfigured': 'कोई सर्वर सेट नहीं',
+        'health.checking': 'जाँच हो रही है...',
+
+        // Grading rules
+        'grading.title': 'ग्रेडिंग नियम',
+        'grading.hint': 'हर फल प्रकार की ग्रेडिंग उसकी सक्रिय नियम प्रोफ़ाइल से होती है; हर परिणाम में वह प्रोफ़ाइल दर्ज रहती है। नियम ऊपर से नीचे जाँचे जाते हैं और पहला मेल लागू होता है।',
+        'grading.fruit': 'फल',
+        'grading.activeProfile': 'सक्रिय प्रोफ़ाइल',
+        'grading.rulesJson': 'नियम (JSON)',
+        'grading.conditionsHint': 'शर्तें: minFreshness, maxFreshness, minDryMatter, maxDryMatter, minWeightKg, maxWeightKg, spoilageRisk (Low / Medium / High), pesticide (कीटनाशक वर्ग में शामिल पाठ)। फल के नाम के लिए संदेश में {fruit} लिखें। किसी अंतर्निहित प्रोफ़ाइल को बदलने के लिए उसका "name" बदलें और सहेजें।',
+        'grading.saveProfile': 'प्रोफ़ाइल सहेजें',
+        'grading.validate': 'जाँचें',
+        'grading.revert': 'वापस लें',
+        'grading.deleteProfile': 'प्रोफ़ाइल हटाएँ',
+        'grading.builtIn': '{name} (अंतर्निहित)',
+        'grading.activated': '{fruit}: "{name}" नियमों से ग्रेडिंग',
+        'grading.valid': 'नियम सही हैं',
+        'grading.saved': '"{name}" नियम सहेजे गए',
+        'grading.confirmDelete': '"{name}" नियम प्रोफ़ाइल हटाएँ?',
+        'grading.deleted': '"{name}" नियम हटाए गए',
+        'grading.notAllowed': 'आपकी भूमिका ग्रेडिंग नियम बदलने की अनुमति नहीं देती',
+        'grading.loadFailed': 'ग्रेडिंग प्रोफ़ाइल लोड नहीं हो सकीं ({error}); अंतर्निहित प्रोफ़ाइल से ग्रेडिंग हो रही है',
+        'grading.error.builtIn': '"{name}" एक अंतर्निहित प्रोफ़ाइल है; अपनी प्रति को नया नाम दें',
+        'grading.error.json': 'अमान्य JSON: {error}',
+        'grading.error.notObject': 'नियम सेट एक JSON ऑब्जेक्ट होना चाहिए',
+        'grading.error.required': '"{field}" आवश्यक है',
+        'grading.error.itemRequired': '{at}: "{field}" आवश्यक है',
+        'grading.error.noGrades': '"grades" में कम से कम एक ग्रेड होना चाहिए',
+        'grading.error.duplicateGrade': '{at}: दोहराया गया ग्रेड "{grade}"',
+        'grading.error.plainText': '{at}: "{field}" अधिकतम {max} वर्णों का हो, जिसमें < > & " \' या ` न हों',
+        'grading.error.style': '{at}: "style" इनमें से एक होना चाहिए: {styles}',
+        'grading.error.noRules': '"rules" में कम से कम एक नियम होना चाहिए',
+        'grading.error.ruleObject': '{at}: ऑब्जेक्ट होना चाहिए',
+        'grading.error.unknownGrade': '{at}: "grade" दिए गए ग्रेड में से एक होना चाहिए',
+        'grading.error.safe': '{at}: "safe" true या false होना चाहिए',
+        'grading.error.shelfLifeDays': '{at}: "shelfLifeDays" [min, max] होना चाहिए, जहाँ 0 <= min <= max',
+        'grading.error.shelfLife': '{at}: "shelfLife" पाठ या "shelfLifeDays" सीमा आवश्यक है',
+        'grading.error.when': '{at}: "when" ऑब्जेक्ट होना चाहिए',
+        'grading.error.number': '{at}: "{key}" एक संख्या होनी चाहिए',
+        'grading.error.list': '{at}: "{key}" पाठ की खाली न रहने वाली सूची होनी चाहिए',
+        'grading.error.unknownCondition': '{at}: अज्ञात शर्त "{key}"',
+        'grading.error.spoilageRisk': '{at}: "spoilageRisk" के मान {levels} होने चाहिए',
+        'grading.error.minMax': '{at}: "{min}", "{max}" से बड़ा है',
+        'grading.error.lastRule': 'अंतिम नियम का "when" खाली होना चाहिए ताकि हर परिणाम को ग्रेड मिले',
+        'grading.error.pesticideNote': '"pesticideNote" में "text" और "exceptPesticide" सूची चाहिए',
+
+        // About
+        'about.title': 'फल पहचान परियोजना के बारे में',
+        'about.body': 'यह डैशबोर्ड AI आधारित फल गुणवत्ता प्रणाली (सेब, नाशपाती, आम, संतरा और केला) का अनुकरण करता है, जिसमें ताज़गी, खराबी, कीटनाशक, पोषक तत्व और सेंसर अनुकरण शामिल हैं।',
+
+        // Login page
+        'login.pageTitle': 'लॉगिन - फल पहचान परियोजना | AI फल गुणवत्ता पहचान',
+        'login.welcome': 'फल पहचान परियोजना में आपका स्वागत है',
+        'login.subtitle': 'AI से फल की गुणवत्ता जाँचने के लिए साइन इन करें',
+        'login.email': 'ईमेल पता',
+        'login.emailPlaceholder': 'अपना ईमेल दर्ज करें',
+        'login.passwordPlaceholder': 'अपना पासवर्ड दर्ज करें',
+        'login.showPassword': 'पासवर्ड दिखाएँ',
+        'login.remember': 'मुझे याद रखें',
+        'login.signIn': 'साइन इन करें',
+        'login.signingIn': 'साइन इन हो रहा है...',
+        'login.emailRequired': 'ईमेल आवश्यक है',
+        'login.emailInvalid': 'मान्य ईमेल दर्ज करें',
+        'login.passwordRequired': 'पासवर्ड आवश्यक है',
+        'login.passwordTooShort': 'पासवर्ड में कम से कम {min} अक्षर होने चाहिए',
+        'login.unknownAccount': 'इस ईमेल का कोई खाता नहीं है',
+        'login.wrongPassword': 'गलत पासवर्ड',
+        'login.accountDisabled': 'यह खाता निष्क्रिय कर दिया गया है। व्यवस्थापक से संपर्क करें।',
+        'login.error': 'लॉगिन त्रुटि',
+        'login.projectSubtitle': 'AI फल गुणवत्ता पहचान प्रणाली',
+        'login.tagline': '"AI से ताज़गी, पकाव, खराबी का जोखिम और कीटनाशक स्तर जाँचें"',
+
+        // Built-in rule profiles
+        'rules.retail.spoiled.label': 'खराब गुणवत्ता - खराबी का अधिक जोखिम',
+        'rules.retail.spoiled.message': '⚠️ इस {fruit} में खराबी के लक्षण हैं और इसे खाने की सलाह नहीं दी जाती। तुरंत फेंक दें।',
+        'rules.retail.pesticide.label': 'असुरक्षित - कीटनाशक का उच्च स्तर',
+        'rules.retail.pesticide.message': '⚠️ कीटनाशक अवशेष अधिक पाए गए। इस {fruit} को अच्छी तरह धोए या संसाधित किए बिना नहीं खाना चाहिए।',
+        'rules.retail.excellent.label': 'उत्कृष्ट गुणवत्ता',
+        'rules.retail.excellent.message': '✓ यह {fruit} बिल्कुल सही स्थिति में है! ताज़ा, पका हुआ और कीटनाशक-मुक्त। तुरंत खाने के लिए सुरक्षित।',
+        'rules.retail.good.label': 'अच्छी गुणवत्ता',
+        'rules.retail.good.message': '✓ यह {fruit} अच्छी स्थिति में है और खाने के लिए सुरक्षित है। खाने से पहले अच्छी तरह धोएँ।',
+        'rules.retail.consumeSoon.label': 'ठीक गुणवत्ता - जल्दी खाएँ',
+        'rules.retail.consumeSoon.message': '⚡ यह {fruit} खाने योग्य है पर पुराना होने के शुरुआती लक्षण दिख रहे हैं। 1-2 दिनों में खा लें। पकाने के लिए सबसे अच्छा।',
+        'rules.retail.limitedFreshness.label': 'ठीक गुणवत्ता - सीमित ताज़गी',
+        'rules.retail.limitedFreshness.message': '⚡ यह {fruit} अपने सबसे अच्छे समय से आगे है पर अभी भी खाने योग्य है। 1-2 दिनों में पकाने, बेक करने या स्मूदी में उपयोग करें।',
+        'rules.retail.poor.label': 'खराब गुणवत्ता',
+        'rules.retail.poor.message': '✗ यह {fruit} खराब हो गया है और खाने की सलाह नहीं दी जाती। गुणवत्ता बहुत कम है।',
+        'rules.retail.note': 'नोट: कीटनाशक अवशेष पाए गए - पानी या फल-सब्ज़ी धोने के घोल से अच्छी तरह धोएँ।',
+        'rules.juice.pesticide.label': 'असुरक्षित - कीटनाशक का उच्च स्तर',
+        'rules.juice.pesticide.message': '⚠️ कीटनाशक अवशेष अधिक पाए गए। इस लॉट को रस निकालने के लिए अस्वीकार करें।',
+        'rules.juice.spoiled.label': 'अस्वीकृत - खराब',
+        'rules.juice.spoiled.message': '✗ खराबी रस को दूषित कर देगी। रस निकालने के लिए अस्वीकार करें।',
+        'rules.juice.premium.label': 'प्रीमियम रस ग्रेड',
+        'rules.juice.premium.message': '✓ अधिक शर्करा और स्वस्थ फल। प्रीमियम रस के लिए आदर्श।',
+        'rules.juice.juice.label': 'रस ग्रेड',
+        'rules.juice.juice.message': '✓ रस निकालने के लिए उपयुक्त। कुछ दिनों में संसाधित करें।',
+        'rules.juice.processNow.label': 'तुरंत संसाधित करें',
+        'rules.juice.processNow.message': '⚡ आज रस निकाला जाए तो सांद्र रस के लिए उपयोगी।',
+        'rules.juice.belowGrade.label': 'रस ग्रेड से नीचे',
+        'rules.juice.belowGrade.message': '✗ रस निकालने के लिए गुणवत्ता बहुत कम है।',
+        'rules.juice.note': 'नोट: कीटनाशक अवशेष पाए गए - रस निकालने से पहले धोएँ।',
+        'rules.peeled.spoiled.label': 'खराब गुणवत्ता - खराबी का अधिक जोखिम',
+        'rules.peeled.spoiled.message': '⚠️ इस {fruit} में खराबी के लक्षण हैं और इसे खाने की सलाह नहीं दी जाती। तुरंत फेंक दें।',
+        'rules.peeled.pesticide.label': 'असुरक्षित - कीटनाशक का उच्च स्तर',
+        'rules.peeled.pesticide.message': '⚠️ छिलके पर कीटनाशक अवशेष अधिक पाए गए। यह {fruit} नहीं खाना चाहिए।',
+        'rules.peeled.excellent.label': 'उत्कृष्ट गुणवत्ता',
+        'rules.peeled.excellent.message': '✓ यह {fruit} बिल्कुल सही स्थिति में है। छीलें और आनंद लें।',
+        'rules.peeled.good.label': 'अच्छी गुणवत्ता',
+        'rules.peeled.good.message': '✓ यह {fruit} अच्छी स्थिति में है और छीलने के बाद खाने के लिए सुरक्षित है।',
+        'rules.peeled.veryRipe.label': 'ठीक गुणवत्ता - बहुत पका हुआ',
+        'rules.peeled.veryRipe.message': '⚡ यह {fruit} बहुत पका हुआ है। 1-2 दिनों में खाएँ या स्मूदी और बेकिंग में उपयोग करें।',
+        'rules.peeled.poor.label': 'खराब गुणवत्ता',
+        'rules.peeled.poor.message': '✗ यह {fruit} खराब हो गया है और खाने की सलाह नहीं दी जाती।',
+        'rules.peeled.note': 'नोट: छिलके पर कीटनाशक अवशेष पाए गए - छीलने से पहले धोएँ और बाद में हाथ धोएँ।'
+    }
+});
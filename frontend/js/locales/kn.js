@@ -0,0 +1,671 @@
+/**
+ * KN.JS
+ * Kannada messages
+ */
+
+registerLanguage('kn', {
+    label: 'ಕನ್ನಡ',
+    locale: 'kn-IN',
+    messages: {
+        // Application
+        'app.dashboardTitle': 'ಡ್ಯಾಶ್‌ಬೋರ್ಡ್ - ಹಣ್ಣು ಪತ್ತೆ ಯೋಜನೆ | AI ಹಣ್ಣಿನ ಗುಣಮಟ್ಟ ಪತ್ತೆ',
+        'app.shortName': 'ಹಣ್ಣು ಪತ್ತೆ',
+
+        // Navigation
+        'nav.upload': 'ಹಣ್ಣಿನ ಚಿತ್ರ ಅಪ್‌ಲೋಡ್',
+        'nav.analyze': 'ಗುಣಮಟ್ಟ ವಿಶ್ಲೇಷಣೆ',
+        'nav.history': 'ಇತಿಹಾಸ',
+        'nav.compare': 'ಹೋಲಿಕೆ',
+        'nav.analytics': 'ವಿಶ್ಲೇಷಣಾ ಅಂಕಿಅಂಶ',
+        'nav.lots': 'ಲಾಟ್‌ಗಳು',
+        'nav.sensor': 'ಸೆನ್ಸರ್ ಅನುಕರಣೆ',
+        'nav.users': 'ಬಳಕೆದಾರರು',
+        'nav.settings': 'ಸೆಟ್ಟಿಂಗ್‌ಗಳು',
+        'nav.about': 'ಯೋಜನೆಯ ಬಗ್ಗೆ',
+        'nav.logout': 'ಲಾಗ್ ಔಟ್',
+
+        // Shared labels
+        'common.clear': 'ತೆರವುಗೊಳಿಸಿ',
+        'common.status': 'ಸ್ಥಿತಿ',
+        'common.freshness': 'ತಾಜಾತನ',
+        'common.grade': 'ಶ್ರೇಣಿ',
+        'common.cancel': 'ರದ್ದುಮಾಡಿ',
+        'common.reset': 'ಮರುಹೊಂದಿಸಿ',
+        'common.save': 'ಉಳಿಸಿ',
+        'common.language': 'ಭಾಷೆ',
+        'common.delete': 'ಅಳಿಸಿ',
+
+        // Accessibility
+        'a11y.skipToContent': 'ಮುಖ್ಯ ವಿಷಯಕ್ಕೆ ಹೋಗಿ',
+        'a11y.mainNav': 'ಮುಖ್ಯ ನ್ಯಾವಿಗೇಷನ್',
+        'a11y.toggleSidebar': 'ಸೈಡ್‌ಬಾರ್ ತೋರಿಸಿ/ಮರೆಮಾಡಿ',
+        'a11y.previewImage': 'ಆಯ್ಕೆಮಾಡಿದ ಚಿತ್ರ',
+        'a11y.removeImage': 'ಚಿತ್ರ ತೆಗೆದುಹಾಕಿ',
+        'a11y.close': 'ಮುಚ್ಚಿ',
+        'a11y.cameraPreview': 'ಕ್ಯಾಮೆರಾ ಮುನ್ನೋಟ',
+        'a11y.resultSummary': 'ಫಲಿತಾಂಶ: {grade}. ತಾಜಾತನ 100 ರಲ್ಲಿ {freshness}, ಕೆಡುವಿಕೆಯ ಅಪಾಯ {risk}, ಕೀಟನಾಶಕ ಮಟ್ಟ {pesticide}. {safety}.',
+        'a11y.safeToEat': 'ತಿನ್ನಲು ಸುರಕ್ಷಿತ',
+        'a11y.notSafeToEat': 'ತಿನ್ನಲು ಶಿಫಾರಸು ಮಾಡಲಾಗಿಲ್ಲ',
+
+        // Units
+        'unit.percent': '{value}%',
+        'unit.kg': '{value} ಕೆಜಿ',
+        'unit.g': '{value} ಗ್ರಾಂ',
+        'unit.mg': '{value} ಮಿಗ್ರಾಂ',
+
+        // Fruit types
+        'fruit.apple': 'ಸೇಬು',
+        'fruit.pear': 'ಮರಸೇಬು',
+        'fruit.mango': 'ಮಾವು',
+        'fruit.orange': 'ಕಿತ್ತಳೆ',
+        'fruit.banana': 'ಬಾಳೆಹಣ್ಣು',
+        'fruitNoun.apple': 'ಸೇಬು',
+        'fruitNoun.pear': 'ಮರಸೇಬು',
+        'fruitNoun.mango': 'ಮಾವು',
+        'fruitNoun.orange': 'ಕಿತ್ತಳೆ',
+        'fruitNoun.banana': 'ಬಾಳೆಹಣ್ಣು',
+        'fruitUpload.apple': 'ಸೇಬಿನ',
+        'fruitUpload.pear': 'ಮರಸೇಬಿನ',
+        'fruitUpload.mango': 'ಮಾವಿನ',
+        'fruitUpload.orange': 'ಕಿತ್ತಳೆಯ',
+        'fruitUpload.banana': 'ಬಾಳೆಹಣ್ಣಿನ',
+
+        // Stored values (grades, spoilage risk, pesticide classes, roles, shelf life)
+        'grades.Excellent': 'ಅತ್ಯುತ್ತಮ',
+        'grades.Good': 'ಉತ್ತಮ',
+        'grades.Fair': 'ಸಾಧಾರಣ',
+        'grades.Poor': 'ಕಳಪೆ',
+        'grades.Unsafe': 'ಅಸುರಕ್ಷಿತ',
+        'grades.ungraded': 'ಶ್ರೇಣಿ ನೀಡಿಲ್ಲ',
+        'risk.Low': 'ಕಡಿಮೆ',
+        'risk.Medium': 'ಮಧ್ಯಮ',
+        'risk.High': 'ಹೆಚ್ಚು',
+        'pesticide.Pure': 'ಶುದ್ಧ',
+        'pesticide.Insecticide Low': 'ಕೀಟನಾಶಕ ಕಡಿಮೆ',
+        'pesticide.Fungicide Low': 'ಶಿಲೀಂಧ್ರನಾಶಕ ಕಡಿಮೆ',
+        'pesticide.Fungicide High': 'ಶಿಲೀಂಧ್ರನಾಶಕ ಹೆಚ್ಚು',
+        'role.inspector': 'ತಪಾಸಕ',
+        'role.supervisor': 'ಮೇಲ್ವಿಚಾರಕ',
+        'role.admin': 'ನಿರ್ವಾಹಕ',
+        'shelfLife.dayRange': '{min}-{max} ದಿನಗಳು',
+        'shelfLife.oneDay': '{days} ದಿನ',
+        'shelfLife.days': '{days} ದಿನಗಳು',
+        'shelfLife.Spoiled': 'ಕೆಟ್ಟುಹೋಗಿದೆ',
+        'shelfLife.Not Safe': 'ಸುರಕ್ಷಿತವಲ್ಲ',
+        'shelfLife.Not recommended': 'ಶಿಫಾರಸು ಮಾಡಲಾಗಿಲ್ಲ',
+        'shelfLife.Press today': 'ಇಂದೇ ರಸ ತೆಗೆಯಿರಿ',
+
+        // Session and errors
+        'auth.sessionExpired': 'ಸೆಷನ್ ಮುಕ್ತಾಯವಾಗಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಸೈನ್ ಇನ್ ಮಾಡಿ.',
+        'error.sessionExpired': 'ಸೆಷನ್ ಮುಕ್ತಾಯವಾಗಿದೆ',
+
+        // API errors
+        'apiError.network': 'ಸರ್ವರ್ ತಲುಪಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ. ನಿಮ್ಮ ಸಂಪರ್ಕವನ್ನು ಪರಿಶೀಲಿಸಿ ಮತ್ತು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+        'apiError.timeout': 'ಸರ್ವರ್ ಉತ್ತರಿಸಲು ತುಂಬಾ ಸಮಯ ತೆಗೆದುಕೊಂಡಿತು. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+        'apiError.server': 'ಸರ್ವರ್‌ನಲ್ಲಿ ಸಮಸ್ಯೆ ಉಂಟಾಗಿದೆ. ಸ್ವಲ್ಪ ಸಮಯದ ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+        'apiError.unavailable': 'ಸರ್ವರ್ ತಾತ್ಕಾಲಿಕವಾಗಿ ಲಭ್ಯವಿಲ್ಲ. ಸ್ವಲ್ಪ ಸಮಯದ ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+        'apiError.rateLimited': 'ತುಂಬಾ ವಿನಂತಿಗಳು. ಸ್ವಲ್ಪ ಕಾಯಿರಿ ಮತ್ತು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+        'apiError.imageUndecodable': 'ಈ ಫೈಲ್ ಚಿತ್ರವಲ್ಲ ಅಥವಾ ಹಾಳಾಗಿದೆ. ಬೇರೆ ಫೋಟೋ ಆಯ್ಕೆಮಾಡಿ.',
+        'apiError.imageTooSmall': 'ವಿಶ್ಲೇಷಿಸಲು ಚಿತ್ರ ತುಂಬಾ ಚಿಕ್ಕದಾಗಿದೆ. ಪ್ರತಿ ಬದಿಯಲ್ಲಿ ಕನಿಷ್ಠ 32 ಪಿಕ್ಸೆಲ್‌ಗಳ ಫೋಟೋ ಬಳಸಿ.',
+        'apiError.imageTooLarge': 'ವಿಶ್ಲೇಷಿಸಲು ಚಿತ್ರದಲ್ಲಿ ತುಂಬಾ ಪಿಕ್ಸೆಲ್‌ಗಳಿವೆ. ಚಿಕ್ಕ ಫೋಟೋ ಬಳಸಿ.',
+        'apiError.noFruitDetected': 'ಚಿತ್ರದಲ್ಲಿ ಯಾವುದೇ ಹಣ್ಣು ಕಂಡುಬಂದಿಲ್ಲ. ಹಣ್ಣನ್ನು ಸರಳ ಹಿನ್ನೆಲೆಯ ಮಧ್ಯದಲ್ಲಿ ಇರಿಸಿ ಬೇರೆ ಫೋಟೋ ತೆಗೆಯಿರಿ.',
+        'apiError.unknownFruit': 'ಸರ್ವರ್ ಈ ಹಣ್ಣಿನ ಪ್ರಕಾರವನ್ನು ಬೆಂಬಲಿಸುವುದಿಲ್ಲ. ಬೇರೆ ಹಣ್ಣಿನ ಪ್ರಕಾರ ಆಯ್ಕೆಮಾಡಿ.',
+        'apiError.accountDisabled': 'ನಿಮ್ಮ ಖಾತೆಯನ್ನು ನಿಷ್ಕ್ರಿಯಗೊಳಿಸಲಾಗಿದೆ. ನಿರ್ವಾಹಕರನ್ನು ಸಂಪರ್ಕಿಸಿ.',
+        'apiError.forbidden': 'ನಿಮ್ಮ ಪಾತ್ರ ಈ ಕ್ರಿಯೆಯನ್ನು ಅನುಮತಿಸುವುದಿಲ್ಲ.',
+        'apiError.invalidRequest': 'ವಿನಂತಿಯಲ್ಲಿ ಕ್ಷೇತ್ರಗಳು ಕಾಣೆಯಾಗಿವೆ ಅಥವಾ ಅಮಾನ್ಯವಾಗಿವೆ.',
+        'apiError.aborted': 'ವಿನಂತಿಯನ್ನು ರದ್ದುಗೊಳಿಸಲಾಗಿದೆ.',
+        'apiError.action.retry': 'ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ',
+        'apiError.action.chooseImage': 'ಬೇರೆ ಚಿತ್ರ ಆಯ್ಕೆಮಾಡಿ',
+        'error.analysisFailed': 'ವಿಶ್ಲೇಷಣೆ ವಿಫಲವಾಗಿದೆ',
+        'error.requestFailed': 'ವಿನಂತಿ ವಿಫಲವಾಗಿದೆ',
+
+        // Notifications
+        'toast.loggedOut': 'ಯಶಸ್ವಿಯಾಗಿ ಲಾಗ್ ಔಟ್ ಆಗಿದೆ',
+        'toast.invalidImage': 'ದಯವಿಟ್ಟು ಸರಿಯಾದ ಚಿತ್ರ ಫೈಲ್ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ',
+        'toast.fileTooLarge': 'ಫೈಲ್ ಗಾತ್ರ 10MB ಗಿಂತ ಕಡಿಮೆ ಇರಬೇಕು',
+        'toast.imageUploaded': 'ಚಿತ್ರ ಯಶಸ್ವಿಯಾಗಿ ಅಪ್‌ಲೋಡ್ ಆಗಿದೆ',
+        'toast.readError': 'ಫೈಲ್ ಓದುವಲ್ಲಿ ದೋಷ',
+        'toast.cameraDenied': 'ಕ್ಯಾಮೆರಾ ಬಳಸಲು ಸಾಧ್ಯವಾಗುತ್ತಿಲ್ಲ. ದಯವಿಟ್ಟು ಅನುಮತಿಗಳನ್ನು ಪರಿಶೀಲಿಸಿ.',
+        'toast.cameraSwitchFailed': 'ಕ್ಯಾಮೆರಾ ಬದಲಾಯಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ',
+        'toast.uploadFirst': 'ದಯವಿಟ್ಟು ಮೊದಲು ಚಿತ್ರವನ್ನು ಅಪ್‌ಲೋಡ್ ಮಾಡಿ',
+        'toast.analysisDone': 'ವಿಶ್ಲೇಷಣೆ ಯಶಸ್ವಿಯಾಗಿ ಪೂರ್ಣಗೊಂಡಿದೆ',
+        'toast.analysisFailed': 'ವಿಶ್ಲೇಷಣೆ ವಿಫಲವಾಗಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+
+        // Upload
+        'upload.title': 'ಹಣ್ಣಿನ ಚಿತ್ರವನ್ನು ಅಪ್‌ಲೋಡ್ ಅಥವಾ ಸೆರೆಹಿಡಿಯಿರಿ',
+        'upload.subtitle': '{fruit} ಚಿತ್ರವನ್ನು ಅಪ್‌ಲೋಡ್ ಮಾಡಿ ಅದರ ಗುಣಮಟ್ಟ, ತಾಜಾತನ ಮತ್ತು ಪೋಷಕಾಂಶಗಳನ್ನು ವಿಶ್ಲೇಷಿಸಿ',
+        'upload.fruitType': 'ಹಣ್ಣಿನ ಪ್ರಕಾರ',
+        'upload.dropHint': 'ಚಿತ್ರಗಳನ್ನು ಇಲ್ಲಿ ಎಳೆದು ಬಿಡಿ ಅಥವಾ ಬ್ರೌಸ್ ಮಾಡಲು ಕ್ಲಿಕ್ ಮಾಡಿ',
+        'upload.batchHint': 'ಸಂಪೂರ್ಣ ಬ್ಯಾಚ್ ವಿಶ್ಲೇಷಿಸಲು ಹಲವು ಚಿತ್ರಗಳನ್ನು ಆಯ್ಕೆಮಾಡಿ',
+        'upload.browse': 'ಫೈಲ್‌ಗಳನ್ನು ಬ್ರೌಸ್ ಮಾಡಿ',
+        'upload.camera': 'ಕ್ಯಾಮೆರಾದಿಂದ ಸೆರೆಹಿಡಿಯಿರಿ',
+        'analyze.button': '{fruit} ವಿಶ್ಲೇಷಿಸಿ',
+        'analyze.analyzing': 'ವಿಶ್ಲೇಷಿಸಲಾಗುತ್ತಿದೆ...',
+
+        // Cropping and multi-fruit detection
+        'roi.crop': 'ಹಣ್ಣಿಗೆ ಕತ್ತರಿಸಿ',
+        'roi.applyCrop': 'ಕತ್ತರಿಸಿ',
+        'roi.undoCrop': 'ಕತ್ತರಿಸುವಿಕೆ ರದ್ದುಮಾಡಿ',
+        'roi.multiFruit': 'ಪ್ರತಿ ಹಣ್ಣನ್ನು ಪ್ರತ್ಯೇಕವಾಗಿ ಪತ್ತೆಹಚ್ಚಿ ವಿಶ್ಲೇಷಿಸಿ',
+        'roi.detectedFruits': 'ಪತ್ತೆಯಾದ ಹಣ್ಣುಗಳು',
+        'roi.dragHint': 'ಹಣ್ಣನ್ನು ಆಯ್ಕೆಮಾಡಲು ಚಿತ್ರದ ಮೇಲೆ ಎಳೆಯಿರಿ',
+        'roi.cropped': 'ಚಿತ್ರವನ್ನು ಕತ್ತರಿಸಲಾಗಿದೆ',
+        'roi.cropFailed': 'ಚಿತ್ರವನ್ನು ಕತ್ತರಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ',
+        'roi.analyzedCount': '{count} ಹಣ್ಣುಗಳನ್ನು ವಿಶ್ಲೇಷಿಸಲಾಗಿದೆ',
+        'roi.noneFound': 'ಪ್ರತ್ಯೇಕ ಹಣ್ಣುಗಳು ಕಂಡುಬಂದಿಲ್ಲ - ಸಂಪೂರ್ಣ ಚಿತ್ರವನ್ನು ವಿಶ್ಲೇಷಿಸಲಾಗುತ್ತಿದೆ',
+        'roi.detectedCount': '{count} ಹಣ್ಣುಗಳು ಪತ್ತೆಯಾಗಿವೆ',
+        'roi.fruitNumber': 'ಹಣ್ಣು #{number}',
+        'roi.viewDetails': 'ವಿವರಗಳನ್ನು ನೋಡಿ',
+
+        // Batch analysis
+        'batch.title': 'ಬ್ಯಾಚ್ ವಿಶ್ಲೇಷಣೆ',
+        'batch.retryFailed': 'ವಿಫಲವಾದವನ್ನು ಮರುಪ್ರಯತ್ನಿಸಿ',
+        'batch.file': 'ಫೈಲ್',
+        'batch.summary': 'ಬ್ಯಾಚ್ ಸಾರಾಂಶ',
+        'batch.analyzed': 'ವಿಶ್ಲೇಷಿಸಲಾಗಿದೆ',
+        'batch.failed': 'ವಿಫಲ',
+        'batch.meanFreshness': 'ಸರಾಸರಿ ತಾಜಾತನ',
+        'batch.notSafe': 'ತಿನ್ನಲು ಸುರಕ್ಷಿತವಲ್ಲ',
+        'batch.count': 'ಸಂಖ್ಯೆ',
+        'batch.share': 'ಪಾಲು',
+        'batch.skipped': '{count} ಫೈಲ್‌ಗಳನ್ನು ಬಿಡಲಾಗಿದೆ: 10MB ಗಿಂತ ಚಿಕ್ಕ ಚಿತ್ರಗಳನ್ನು ಮಾತ್ರ ಸ್ವೀಕರಿಸಲಾಗುತ್ತದೆ',
+        'batch.added': '{count} ಚಿತ್ರಗಳನ್ನು ಬ್ಯಾಚ್‌ಗೆ ಸೇರಿಸಲಾಗಿದೆ',
+        'batch.progress': '{total} ರಲ್ಲಿ {finished} ಪೂರ್ಣಗೊಂಡಿವೆ',
+        'batch.status.queued': 'ಸರದಿಯಲ್ಲಿದೆ',
+        'batch.status.running': 'ವಿಶ್ಲೇಷಿಸಲಾಗುತ್ತಿದೆ...',
+        'batch.status.done': 'ಮುಗಿದಿದೆ',
+        'batch.status.failed': 'ವಿಫಲ',
+        'batch.view': 'ನೋಡಿ',
+        'batch.retry': 'ಮರುಪ್ರಯತ್ನಿಸಿ',
+
+        // Offline upload queue and installing
+        'queue.title': 'ಅಪ್‌ಲೋಡ್ ಸರತಿ',
+        'queue.syncNow': 'ಈಗ ಸಿಂಕ್ ಮಾಡಿ',
+        'queue.clearDone': 'ಮುಗಿದವುಗಳನ್ನು ತೆರವುಗೊಳಿಸಿ',
+        'queue.fruit': 'ಹಣ್ಣು',
+        'queue.queuedAt': 'ಸರತಿಗೆ ಸೇರಿಸಲಾಗಿದೆ',
+        'queue.remove': 'ತೆಗೆದುಹಾಕಿ',
+        'queue.waiting': '{count} ವಿಶ್ಲೇಷಣೆಗಾಗಿ ಕಾಯುತ್ತಿವೆ',
+        'queue.waitingOffline': 'ಆಫ್‌ಲೈನ್: {count} ಕಾಯುತ್ತಿವೆ, ಸಂಪರ್ಕ ಮರಳಿದಾಗ ಸ್ವಯಂಚಾಲಿತವಾಗಿ ವಿಶ್ಲೇಷಿಸಲಾಗುತ್ತದೆ',
+        'queue.added': 'ಆಫ್‌ಲೈನ್: {count} ಚಿತ್ರ(ಗಳು) ವಿಶ್ಲೇಷಣೆಗಾಗಿ ಸರತಿಯಲ್ಲಿವೆ',
+        'queue.synced': 'ಸರತಿಯ {count} ಚಿತ್ರ(ಗಳನ್ನು) ವಿಶ್ಲೇಷಿಸಿ ಇತಿಹಾಸದಲ್ಲಿ ಉಳಿಸಲಾಗಿದೆ',
+        'queue.saveFailed': 'ಈ ಸಾಧನದಲ್ಲಿ ಚಿತ್ರವನ್ನು ಸರತಿಗೆ ಸೇರಿಸಲಾಗಲಿಲ್ಲ',
+        'pwa.install': 'ಆ್ಯಪ್ ಇನ್‌ಸ್ಟಾಲ್ ಮಾಡಿ',
+
+        // Camera and continuous scanning
+        'camera.title': 'ಹಣ್ಣಿನ ಚಿತ್ರ ಸೆರೆಹಿಡಿಯಿರಿ',
+        'camera.select': 'ಕ್ಯಾಮೆರಾ',
+        'camera.option': 'ಕ್ಯಾಮೆರಾ {number}',
+        'camera.startScan': 'ನಿರಂತರ ಸ್ಕ್ಯಾನ್ ಪ್ರಾರಂಭಿಸಿ',
+        'camera.stopScan': 'ನಿರಂತರ ಸ್ಕ್ಯಾನ್ ನಿಲ್ಲಿಸಿ',
+        'camera.capture': 'ಫೋಟೋ ತೆಗೆಯಿರಿ',
+        'camera.every': 'ಪ್ರತಿ',
+        'camera.seconds': 'ಸೆಕೆಂಡ್',
+        'camera.logAfter': 'ಇಷ್ಟರ ನಂತರ ದಾಖಲಿಸಿ:',
+        'camera.stableFrames': 'ಸ್ಥಿರ ಫ್ರೇಮ್‌ಗಳು',
+        'camera.scanLog': 'ಸ್ಕ್ಯಾನ್ ದಾಖಲೆ',
+        'scan.waiting': 'ಮೊದಲ ಓದುವಿಕೆಗಾಗಿ ಕಾಯಲಾಗುತ್ತಿದೆ...',
+        'scan.failed': 'ಓದುವಿಕೆ ವಿಫಲ - ಮರುಪ್ರಯತ್ನಿಸಲಾಗುತ್ತಿದೆ',
+        'scan.freshness': 'ತಾಜಾತನ {freshness}',
+        'scan.placeNext': 'ದಾಖಲಾಗಿದೆ - ಮುಂದಿನ ಹಣ್ಣನ್ನು ಇಡಿ',
+        'scan.logged': 'ಸ್ಥಿರ ಓದುವಿಕೆ ದಾಖಲಾಗಿದೆ',
+        'scan.stabilizing': 'ಸ್ಥಿರಗೊಳ್ಳುತ್ತಿದೆ ({count}/{total})',
+        'scan.loggedToast': 'ದಾಖಲಾಗಿದೆ: {grade} (ತಾಜಾತನ {freshness})',
+
+        // Export and printed report
+        'export.title': 'ರಫ್ತು',
+        'export.print': 'ವರದಿ ಮುದ್ರಿಸಿ',
+        'export.csv': 'CSV ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ',
+        'export.json': 'JSON ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ',
+        'export.notAllowed': 'ನಿಮ್ಮ ಪಾತ್ರಕ್ಕೆ ರಫ್ತು ಮಾಡಲು ಅನುಮತಿ ಇಲ್ಲ',
+        'export.nothingToExport': 'ರಫ್ತು ಮಾಡುವ ಮೊದಲು ಹಣ್ಣನ್ನು ವಿಶ್ಲೇಷಿಸಿ',
+        'export.failed': 'ರಫ್ತು ವಿಫಲವಾಗಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+        'export.csvDone': 'CSV ಡೌನ್‌ಲೋಡ್ ಆಗಿದೆ',
+        'export.jsonDone': 'JSON ಡೌನ್‌ಲೋಡ್ ಆಗಿದೆ',
+        'export.allowPopups': 'ವರದಿ ಮುದ್ರಿಸಲು ಪಾಪ್-ಅಪ್‌ಗಳನ್ನು ಅನುಮತಿಸಿ',
+        'report.title': '{fruit} ಗುಣಮಟ್ಟ ವರದಿ - {date}',
+        'report.heading': '{fruit} ಗುಣಮಟ್ಟ ತಪಾಸಣೆ ವರದಿ',
+        'report.generated': '{date} ರಂದು ರಚಿಸಲಾಗಿದೆ',
+        'report.outOf100': '{value} / 100',
+        'report.chartAlt': '{title} ಚಾರ್ಟ್',
+        'report.charts': 'ಚಾರ್ಟ್‌ಗಳು',
+        'report.sensorChannels': 'AS7265x ಸೆನ್ಸರ್ ಚಾನೆಲ್‌ಗಳು',
+        'analyze.simulated': 'ಅನುಕರಿಸಿದ ಫಲಿತಾಂಶ - ನಿಜವಾದ ಅಳತೆಯಲ್ಲ',
+        'analyze.outOf100': '100 ರಲ್ಲಿ',
+        'analyze.ripenessIndicator': 'ಹಣ್ಣಾಗುವಿಕೆಯ ಸೂಚಕ',
+        'analyze.riskAssessment': 'ಅಪಾಯ ಮೌಲ್ಯಮಾಪನ',
+        'analyze.detectionStatus': 'ಪತ್ತೆ ಸ್ಥಿತಿ',
+        'analyze.fromImage': 'ಚಿತ್ರ ವಿಶ್ಲೇಷಣೆಯಿಂದ',
+        'analyze.browserCheck': 'ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಪರಿಶೀಲನೆ',
+        'analyze.nutrientBreakdown': 'ಪೋಷಕಾಂಶ ವಿವರ',
+        'analyze.comparisonScore': '{browser} vs {server}',
+        'analyze.comparisonDetail': 'ಬ್ರೌಸರ್ vs ಸರ್ವರ್ ({difference}), ಬ್ರೌಸರ್ ಕೆಡುವಿಕೆ ಅಪಾಯ: {risk}',
+        'analyze.safeToEat': '✓ ತಿನ್ನಲು ಸುರಕ್ಷಿತ',
+        'analyze.notRecommended': '✗ ಶಿಫಾರಸು ಮಾಡಲಾಗಿಲ್ಲ',
+        'analyze.weightBadge': 'ತೂಕ: {weight}',
+        'analyze.shelfLifeBadge': 'ಬಾಳಿಕೆ ಅವಧಿ: {shelfLife}',
+        'analyze.rulesBadge': 'ನಿಯಮಗಳು: {profile}',
+
+        // Result metrics
+        'metric.freshnessScore': 'ತಾಜಾತನ ಅಂಕ',
+        'metric.dryMatterContent': 'ಒಣ ಪದಾರ್ಥ ಪ್ರಮಾಣ',
+        'metric.spoilageRisk': 'ಕೆಡುವಿಕೆಯ ಅಪಾಯ',
+        'metric.pesticideLevel': 'ಕೀಟನಾಶಕ ಮಟ್ಟ',
+        'metric.estimatedWeight': 'ಅಂದಾಜು ತೂಕ',
+        'metric.waterContent': 'ನೀರಿನ ಅಂಶ',
+        'metric.sugarContent': 'ಸಕ್ಕರೆ ಅಂಶ',
+        'metric.vitaminC': 'ವಿಟಮಿನ್ C',
+        'metric.fiber': 'ನಾರಿನಂಶ (ಅಂದಾಜು)',
+
+        // Spoilage overlay
+        'overlay.title': 'ಕೆಡುವಿಕೆ ನಕ್ಷೆ',
+        'overlay.subtitle': 'ತಾಜಾ, ಕೆಟ್ಟ ಅಥವಾ ಹಿನ್ನೆಲೆ ಎಂದು ವರ್ಗೀಕರಿಸಿದ ಪಿಕ್ಸೆಲ್‌ಗಳು',
+        'overlay.show': 'ಓವರ್‌ಲೇ ತೋರಿಸಿ',
+        'overlay.opacity': 'ಅಪಾರದರ್ಶಕತೆ',
+        'overlay.unavailable': 'ಈ ಫಲಿತಾಂಶಕ್ಕೆ ಪಿಕ್ಸೆಲ್ ನಕ್ಷೆ ಇಲ್ಲ (ಅನುಕರಿಸಿದ ಮತ್ತು ಹಳೆಯ ವಿಶ್ಲೇಷಣೆಗಳಲ್ಲಿ ಇದು ಇರುವುದಿಲ್ಲ).',
+        'overlay.background': 'ಹಿನ್ನೆಲೆ',
+        'overlay.fresh': 'ತಾಜಾ',
+        'overlay.spoiled': 'ಕೆಟ್ಟದ್ದು',
+
+        // Charts
+        'chart.spectralTitle': 'ಸ್ಪೆಕ್ಟ್ರಲ್ ವಿಶ್ಲೇಷಣೆ ಗ್ರಾಫ್',
+        'chart.nutrientTitle': 'ಪೋಷಕಾಂಶ ಸಂಯೋಜನೆ',
+        'chart.qualityTitle': 'ಗುಣಮಟ್ಟ ವಿತರಣೆ',
+        'chart.spectralResponse': 'ಸ್ಪೆಕ್ಟ್ರಲ್ ಪ್ರತಿಕ್ರಿಯೆ',
+        'chart.sensorResponse': 'ಸೆನ್ಸರ್ ಪ್ರತಿಕ್ರಿಯೆ',
+        'chart.sensorTitle': 'AS7265x 18-ಚಾನೆಲ್ ಸ್ಪೆಕ್ಟ್ರಲ್ ಪ್ರತಿಕ್ರಿಯೆ',
+        'chart.intensity': 'ತೀವ್ರತೆ',
+        'chart.intensityValue': 'ತೀವ್ರತೆ ಮೌಲ್ಯ',
+        'chart.wavelengthNm': 'ತರಂಗಾಂತರ (nm)',
+        'chart.value': 'ಮೌಲ್ಯ',
+        'chart.water': 'ನೀರು',
+        'chart.sugar': 'ಸಕ್ಕರೆ',
+        'chart.fiber': 'ನಾರಿನಂಶ',
+        'chart.vitaminC': 'ವಿಟಮಿನ್ C',
+        'chart.fresh': 'ತಾಜಾ',
+        'chart.atRisk': 'ಅಪಾಯದಲ್ಲಿ',
+        'chart.spoiled': 'ಕೆಟ್ಟದ್ದು',
+        'chart.uncalibrated': '{label} (ಮಾಪನಾಂಕ ನಿರ್ಣಯಿಸಿಲ್ಲ)',
+        'chart.reflectance': 'ಪ್ರತಿಫಲನ',
+
+        // Spectral indices and reference spectra
+        'spectral.source': 'ಸ್ಪೆಕ್ಟ್ರಮ್ ಮೂಲ',
+        'spectral.sourceCurve': 'ಅಂದಾಜು ವಕ್ರರೇಖೆ',
+        'spectral.sourceSensor': 'ಸೆನ್ಸರ್ ಚಾನೆಲ್‌ಗಳು',
+        'spectral.indicesTitle': 'ಸ್ಪೆಕ್ಟ್ರಲ್ ಸೂಚ್ಯಂಕಗಳು',
+        'spectral.ndvi': 'NDVI (810 / 680 nm)',
+        'spectral.redEdge': 'ರೆಡ್ ಎಡ್ಜ್ (760 / 705 nm)',
+        'spectral.chlorophyll': 'ಕ್ಲೋರೋಫಿಲ್ ಹೀರಿಕೆ ಆಳ (680 nm)',
+        'spectral.water': 'ನೀರಿನ ಬ್ಯಾಂಡ್ ಆಳ (940 nm)',
+        'spectral.similarityTitle': 'ಉಲ್ಲೇಖ ಸ್ಪೆಕ್ಟ್ರಾಗೆ ಹೋಲಿಕೆ',
+        'spectral.reference.fresh': 'ತಾಜಾ {fruit}',
+        'spectral.reference.overripe': 'ಅತಿಯಾಗಿ ಮಾಗಿದ {fruit}',
+        'spectral.closest': 'ಅತ್ಯಂತ ಹತ್ತಿರದ ಹೊಂದಾಣಿಕೆ: {reference}',
+        'spectral.uncalibrated': 'ಮಾಪನಾಂಕ ನಿರ್ಣಯಿಸಿಲ್ಲ: ಈ ಸೂಚ್ಯಂಕಗಳನ್ನು ಪ್ರತಿಫಲನದಿಂದಲ್ಲ, ಕಚ್ಚಾ ಮೌಲ್ಯಗಳಿಂದ ಲೆಕ್ಕಹಾಕಲಾಗಿದೆ. ಉಲ್ಲೇಖ ಸ್ಪೆಕ್ಟ್ರಾದೊಂದಿಗೆ ಹೋಲಿಸಲು ಮಾಪನಾಂಕ ನಿರ್ಣಯಿಸಿದ ಸೆನ್ಸರ್ ಸಂಪರ್ಕಿಸಿ.',
+        'spectral.noReferences': '{fruit} ಗಾಗಿ ಇನ್ನೂ ಯಾವುದೇ ಉಲ್ಲೇಖ ಸ್ಪೆಕ್ಟ್ರಾ ಇಲ್ಲ.',
+
+        // History
+        'history.title': 'ವಿಶ್ಲೇಷಣೆ ಇತಿಹಾಸ',
+        'history.clear': 'ಇತಿಹಾಸ ತೆರವುಗೊಳಿಸಿ',
+        'history.allGrades': 'ಎಲ್ಲಾ ಶ್ರೇಣಿಗಳು',
+        'history.allRisks': 'ಎಲ್ಲಾ ಕೆಡುವಿಕೆ ಅಪಾಯಗಳು',
+        'history.allPesticides': 'ಎಲ್ಲಾ ಕೀಟನಾಶಕ ವರ್ಗಗಳು',
+        'history.confirmClear': 'ಉಳಿಸಿದ ಎಲ್ಲಾ ವಿಶ್ಲೇಷಣೆಗಳನ್ನು ಅಳಿಸುವುದೇ? ಇದನ್ನು ರದ್ದುಮಾಡಲು ಸಾಧ್ಯವಿಲ್ಲ.',
+        'history.cleared': 'ಇತಿಹಾಸ ತೆರವುಗೊಂಡಿದೆ',
+        'history.clearFailed': 'ಇತಿಹಾಸ ತೆರವುಗೊಳಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ',
+        'history.savedLocally': 'ಸರ್ವರ್ ತಲುಪಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ; ಈ ಫಲಿತಾಂಶವನ್ನು ಈ ಸಾಧನದಲ್ಲಿ ಇರಿಸಲಾಗಿದೆ ಮತ್ತು ಸಂಪರ್ಕ ಸಿಕ್ಕಾಗ ಇತಿಹಾಸಕ್ಕೆ ಸೇರಿಸಲಾಗುತ್ತದೆ',
+        'history.simulatedLocal': 'ಡೆಮೊ ಫಲಿತಾಂಶಗಳನ್ನು ಈ ಸಾಧನದಲ್ಲಿ ಮಾತ್ರ ಇರಿಸಲಾಗುತ್ತದೆ ಮತ್ತು ಸರ್ವರ್‌ಗೆ ಕಳುಹಿಸಲಾಗುವುದಿಲ್ಲ',
+        'history.pendingUploaded': 'ಈ ಸಾಧನದಲ್ಲಿ ಇರಿಸಿದ್ದ {count} ಫಲಿತಾಂಶಗಳನ್ನು ಇತಿಹಾಸಕ್ಕೆ ಸೇರಿಸಲಾಗಿದೆ',
+        'history.pendingRejected': 'ಈ ಸಾಧನದಲ್ಲಿ ಇರಿಸಿದ್ದ {count} ಫಲಿತಾಂಶಗಳನ್ನು ಸರ್ವರ್ ನಿರಾಕರಿಸಿದೆ; ಇತಿಹಾಸ ನೋಡಿ',
+        'history.localTitle': 'ಈ ಸಾಧನದಲ್ಲಿ ಇರಿಸಲಾಗಿದೆ',
+        'history.waitingUpload': 'ಇತಿಹಾಸಕ್ಕೆ ಸೇರಿಸಲು ಕಾಯುತ್ತಿದೆ',
+        'history.rejected': 'ಸರ್ವರ್ ನಿರಾಕರಿಸಿದೆ: {error}',
+        'history.demoOnly': 'ಡೆಮೊ ಫಲಿತಾಂಶ, ಸರ್ವರ್‌ಗೆ ಕಳುಹಿಸಲಾಗಿಲ್ಲ',
+        'history.localOnly': 'ಈ ಸಾಧನದಲ್ಲಿ ಮಾತ್ರ ಉಳಿಸಲಾಗಿದೆ',
+        'history.discard': 'ತ್ಯಜಿಸಿ',
+        'history.confirmDiscard': 'ಈ ಫಲಿತಾಂಶವನ್ನು ತ್ಯಜಿಸುವುದೇ? ಇದನ್ನು ಬೇರೆಲ್ಲೂ ಉಳಿಸಲಾಗಿಲ್ಲ.',
+        'history.discarded': 'ಫಲಿತಾಂಶವನ್ನು ತ್ಯಜಿಸಲಾಗಿದೆ',
+        'history.unavailable': 'ಈ ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಇತಿಹಾಸ ಲಭ್ಯವಿಲ್ಲ.',
+        'history.count': '{total} ರಲ್ಲಿ {visible} ವಿಶ್ಲೇಷಣೆಗಳು',
+        'history.summary': '{count} ವಿಶ್ಲೇಷಣೆಗಳು · ಸರಾಸರಿ ತಾಜಾತನ {freshness} · {unsafe} ತಿನ್ನಲು ಅಸುರಕ್ಷಿತ',
+        'history.serverUnavailable': 'ಸರ್ವರ್‌ನಿಂದ ಇತಿಹಾಸವನ್ನು ಲೋಡ್ ಮಾಡಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ.',
+        'history.previous': 'ಹಿಂದಿನ',
+        'history.next': 'ಮುಂದಿನ',
+        'history.page': 'ಪುಟ {page} / {pages}',
+        'history.empty': 'ಇನ್ನೂ ಯಾವುದೇ ವಿಶ್ಲೇಷಣೆಗಳಿಲ್ಲ. ಫಲಿತಾಂಶಗಳು ಇಲ್ಲಿ ಸ್ವಯಂಚಾಲಿತವಾಗಿ ಉಳಿಯುತ್ತವೆ.',
+        'history.noMatches': 'ಆಯ್ಕೆಮಾಡಿದ ಫಿಲ್ಟರ್‌ಗಳಿಗೆ ಯಾವುದೇ ವಿಶ್ಲೇಷಣೆ ಹೊಂದುವುದಿಲ್ಲ.',
+        'history.imageAlt': 'ವಿಶ್ಲೇಷಿಸಿದ {fruit}',
+        'history.freshness': 'ತಾಜಾತನ:',
+        'history.spoilage': 'ಕೆಡುವಿಕೆ:',
+        'history.pesticide': 'ಕೀಟನಾಶಕ:',
+        'history.open': 'ತೆರೆಯಿರಿ',
+        'history.delete': 'ಅಳಿಸಿ',
+        'history.removed': 'ವಿಶ್ಲೇಷಣೆಯನ್ನು ಇತಿಹಾಸದಿಂದ ತೆಗೆದುಹಾಕಲಾಗಿದೆ',
+        'history.deleteFailed': 'ವಿಶ್ಲೇಷಣೆಯನ್ನು ಅಳಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ',
+        'history.notFound': 'ವಿಶ್ಲೇಷಣೆ ಕಂಡುಬಂದಿಲ್ಲ',
+        'history.showing': '{date} ರ ವಿಶ್ಲೇಷಣೆಯನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+        'history.openFailed': 'ವಿಶ್ಲೇಷಣೆಯನ್ನು ತೆರೆಯಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ',
+
+        // Comparison
+        'compare.title': 'ವಿಶ್ಲೇಷಣೆಗಳ ಹೋಲಿಕೆ',
+        'compare.subtitle': 'ಇತಿಹಾಸದಲ್ಲಿ 2–4 ವಿಶ್ಲೇಷಣೆಗಳನ್ನು ಆಯ್ಕೆಮಾಡಿ "ಆಯ್ಕೆಮಾಡಿದವನ್ನು ಹೋಲಿಸಿ" ಒತ್ತಿರಿ',
+        'compare.empty': 'ಹೋಲಿಕೆಗೆ ಇನ್ನೂ ಯಾವುದೇ ವಿಶ್ಲೇಷಣೆ ಆಯ್ಕೆಯಾಗಿಲ್ಲ.',
+        'compare.differences': 'ವ್ಯತ್ಯಾಸಗಳು',
+        'compare.differencesHint': 'ಬದಲಾವಣೆಗಳು ಅತ್ಯಂತ ಹಳೆಯ ವಿಶ್ಲೇಷಣೆಗೆ (A) ಹೋಲಿಸಿದಂತೆ',
+        'compare.clearSelection': 'ಆಯ್ಕೆ ತೆರವುಗೊಳಿಸಿ',
+        'compare.selected': 'ಆಯ್ಕೆಮಾಡಿದವನ್ನು ಹೋಲಿಸಿ ({count})',
+        'compare.tooMany': 'ಒಮ್ಮೆಗೆ ಗರಿಷ್ಠ {max} ವಿಶ್ಲೇಷಣೆಗಳನ್ನು ಹೋಲಿಸಿ',
+        'compare.tooFew': 'ಹೋಲಿಸಲು ಕನಿಷ್ಠ {min} ವಿಶ್ಲೇಷಣೆಗಳನ್ನು ಆಯ್ಕೆಮಾಡಿ',
+        'compare.notAllowed': 'ನಿಮ್ಮ ಪಾತ್ರಕ್ಕೆ ಹೋಲಿಕೆ ಮಾಡಲು ಅನುಮತಿ ಇಲ್ಲ',
+        'compare.loadFailed': 'ವಿಶ್ಲೇಷಣೆಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ',
+        'compare.imageAlt': 'ವಿಶ್ಲೇಷಣೆ {label}',
+        'compare.baseline': '{label} (ಆಧಾರ)',
+        'compare.metric': 'ಅಳತೆ',
+
+        // Trend analytics
+        'analytics.title': 'ಪ್ರವೃತ್ತಿ ವಿಶ್ಲೇಷಣೆ',
+        'analytics.from': 'ಇಂದ',
+        'analytics.to': 'ವರೆಗೆ',
+        'analytics.operator': 'ನಿರ್ವಾಹಕ',
+        'analytics.allOperators': 'ಎಲ್ಲಾ ನಿರ್ವಾಹಕರು',
+        'analytics.unknownOperator': 'ಅಜ್ಞಾತ ನಿರ್ವಾಹಕ',
+        'analytics.period': 'ಅವಧಿ',
+        'analytics.perDay': 'ಪ್ರತಿ ದಿನ',
+        'analytics.perWeek': 'ಪ್ರತಿ ವಾರ',
+        'analytics.weekOf': '{date} ರ ವಾರ',
+        'analytics.empty': 'ಇನ್ನೂ ಯಾವುದೇ ವಿಶ್ಲೇಷಣೆ ಉಳಿಸಲಾಗಿಲ್ಲ. ಹಣ್ಣನ್ನು ವಿಶ್ಲೇಷಿಸಿದ ನಂತರ ಪ್ರವೃತ್ತಿಗಳು ಇಲ್ಲಿ ಕಾಣಿಸುತ್ತವೆ.',
+        'analytics.analyses': 'ವಿಶ್ಲೇಷಣೆಗಳು',
+        'analytics.inRange': 'ಆಯ್ಕೆಮಾಡಿದ ಅವಧಿಯಲ್ಲಿ',
+        'analytics.meanFreshness': 'ಸರಾಸರಿ ತಾಜಾತನ',
+        'analytics.meanDryMatter': 'ಸರಾಸರಿ ಒಣ ಪದಾರ್ಥ',
+        'analytics.unsafeShare': 'ಅಸುರಕ್ಷಿತವೆಂದು ತಿರಸ್ಕರಿಸಲಾಗಿದೆ',
+        'analytics.unsafeCount': '{total} ರಲ್ಲಿ {count} ತಿನ್ನಲು ಸುರಕ್ಷಿತವಲ್ಲ',
+        'analytics.trendTitle': 'ತಾಜಾತನ ಮತ್ತು ಒಣ ಪದಾರ್ಥ',
+        'analytics.unsafeTitle': 'ಅಸುರಕ್ಷಿತವೆಂದು ತಿರಸ್ಕರಿಸಿದ ಪಾಲು',
+        'analytics.gradeTitle': 'ಶ್ರೇಣಿ ವಿತರಣೆ',
+        'analytics.pesticideTitle': 'ಕೀಟನಾಶಕ ವರ್ಗಗಳು',
+        'analytics.freshnessAxis': 'ತಾಜಾತನ (0–100)',
+        'analytics.dryMatterAxis': 'ಒಣ ಪದಾರ್ಥ (%)',
+        'analytics.unsafeAxis': 'ಅಸುರಕ್ಷಿತ (%)',
+
+        // Lot tracking
+        'lots.title': 'ಲಾಟ್‌ಗಳು',
+        'lots.lot': 'ಲಾಟ್',
+        'lots.none': 'ಲಾಟ್ ಇಲ್ಲ',
+        'lots.new': 'ಹೊಸ ಲಾಟ್',
+        'lots.editTitle': 'ಲಾಟ್ ಸಂಪಾದಿಸಿ',
+        'lots.code': 'ಲಾಟ್ ಕೋಡ್',
+        'lots.supplier': 'ಪೂರೈಕೆದಾರ',
+        'lots.origin': 'ತೋಟ / ಮೂಲ',
+        'lots.variety': 'ತಳಿ',
+        'lots.harvestDate': 'ಕೊಯ್ಲಿನ ದಿನಾಂಕ',
+        'lots.storageCondition': 'ಸಂಗ್ರಹಣಾ ಸ್ಥಿತಿ',
+        'lots.storage.unknown': 'ದಾಖಲಿಸಿಲ್ಲ',
+        'lots.storage.ambient': 'ಸಾಮಾನ್ಯ ತಾಪಮಾನ',
+        'lots.storage.cold': 'ಶೀತಲ ಗೋದಾಮು',
+        'lots.storage.controlled_atmosphere': 'ನಿಯಂತ್ರಿತ ವಾತಾವರಣ',
+        'lots.scan': 'ಕೋಡ್ ಸ್ಕ್ಯಾನ್ ಮಾಡಿ',
+        'lots.stopScan': 'ಸ್ಕ್ಯಾನ್ ನಿಲ್ಲಿಸಿ',
+        'lots.scanUnsupported': 'ಈ ಬ್ರೌಸರ್ QR ಕೋಡ್ ಅಥವಾ ಬಾರ್‌ಕೋಡ್ ಓದಲಾರದು; ಕೋಡ್ ಅನ್ನು ಟೈಪ್ ಮಾಡಿ',
+        'lots.scanned': '{code} ಸ್ಕ್ಯಾನ್ ಮಾಡಲಾಗಿದೆ',
+        'lots.selected': 'ಲಾಟ್ {code} ಆಯ್ಕೆಯಾಗಿದೆ',
+        'lots.created': 'ಲಾಟ್ {code} ರಚಿಸಲಾಗಿದೆ',
+        'lots.updated': 'ಲಾಟ್ {code} ನವೀಕರಿಸಲಾಗಿದೆ',
+        'lots.deleted': 'ಲಾಟ್ {code} ಅಳಿಸಲಾಗಿದೆ',
+        'lots.confirmDelete': 'ಲಾಟ್ "{code}" ಅಳಿಸುವುದೇ?',
+        'lots.deleteHasAnalyses': 'ದಾಖಲಾದ ವಿಶ್ಲೇಷಣೆಗಳಿರುವ ಲಾಟ್‌ಗಳನ್ನು ಅಳಿಸಲಾಗುವುದಿಲ್ಲ',
+        'lots.error.code': 'ಗರಿಷ್ಠ {max} ಅಕ್ಷರಗಳ ಲಾಟ್ ಕೋಡ್ ನಮೂದಿಸಿ',
+        'lots.error.codeTaken': 'ಈ ಕೋಡ್‌ನ ಲಾಟ್ ಈಗಾಗಲೇ ಇದೆ',
+        'lots.error.harvestFuture': 'ಕೊಯ್ಲಿನ ದಿನಾಂಕ ಭವಿಷ್ಯದಲ್ಲಿರಲು ಸಾಧ್ಯವಿಲ್ಲ',
+        'lots.count': '{count} ಲಾಟ್(ಗಳು)',
+        'lots.empty': 'ಇನ್ನೂ ಯಾವುದೇ ಲಾಟ್ ಇಲ್ಲ. ಇಲ್ಲಿ ಅಥವಾ ಅಪ್‌ಲೋಡ್ ಪರದೆಯಲ್ಲಿ ಒಂದನ್ನು ರಚಿಸಿ.',
+        'lots.recommendation': 'ಶಿಫಾರಸು',
+        'lots.close': 'ಮುಚ್ಚಿ',
+        'lots.detailTitle': 'ಲಾಟ್ {code}',
+        'lots.badge': 'ಲಾಟ್ {code}',
+        'lots.inLot': 'ಈ ಲಾಟ್‌ಗೆ ದಾಖಲಾಗಿದೆ',
+        'lots.analysesTitle': 'ಈ ಲಾಟ್‌ನ ವಿಶ್ಲೇಷಣೆಗಳು',
+        'lots.noAnalyses': 'ಈ ಲಾಟ್‌ಗೆ ಇನ್ನೂ ಯಾವುದೇ ವಿಶ್ಲೇಷಣೆ ದಾಖಲಾಗಿಲ್ಲ. ವಿಶ್ಲೇಷಿಸುವ ಮೊದಲು ಅಪ್‌ಲೋಡ್ ಪರದೆಯಲ್ಲಿ ಇದನ್ನು ಆಯ್ಕೆಮಾಡಿ.',
+        'lots.latestAnalyses': 'ಒಟ್ಟು {total} ರಲ್ಲಿ ಇತ್ತೀಚಿನ {shown} ವಿಶ್ಲೇಷಣೆಗಳನ್ನು ತೋರಿಸಲಾಗಿದೆ; ಉಳಿದವನ್ನು ಇತಿಹಾಸದಲ್ಲಿ ನೋಡಿ',
+        'lots.analyzedAt': 'ವಿಶ್ಲೇಷಿಸಿದ ಸಮಯ',
+        'lots.safety': 'ಸುರಕ್ಷತೆ',
+        'lots.decision.accept': 'ಲಾಟ್ ಸ್ವೀಕರಿಸಿ',
+        'lots.decision.reject': 'ಲಾಟ್ ತಿರಸ್ಕರಿಸಿ',
+        'lots.decision.insufficient': 'ಹೆಚ್ಚಿನ ಮಾದರಿಗಳು ಬೇಕು',
+        'lots.reason.tooFew': '{count} ವಿಶ್ಲೇಷಣೆ(ಗಳು) ದಾಖಲಾಗಿವೆ; ಶಿಫಾರಸಿಗೆ ಕನಿಷ್ಠ {min} ಬೇಕು',
+        'lots.reason.unsafe': '{share} ಮಾದರಿಗಳು ತಿನ್ನಲು ಸುರಕ್ಷಿತವಲ್ಲ (ಮಿತಿ {max})',
+        'lots.reason.freshness': 'ಸರಾಸರಿ ತಾಜಾತನ {freshness}, {min} ಕ್ಕಿಂತ ಕಡಿಮೆ ಇದೆ',
+        'lots.reason.meetsRules': 'ಸರಾಸರಿ ತಾಜಾತನ {freshness} (ಕನಿಷ್ಠ {min}) ಮತ್ತು {share} ತಿನ್ನಲು ಸುರಕ್ಷಿತವಲ್ಲ (ಮಿತಿ {max})',
+
+        // Sensor emulation
+        'sensor.title': 'AS7265x ವರ್ಚುವಲ್ ಸೆನ್ಸರ್ ಔಟ್‌ಪುಟ್',
+        'sensor.subtitle': '18-ಚಾನೆಲ್ ಸ್ಪೆಕ್ಟ್ರಲ್ ಸೆನ್ಸರ್ ಅನುಕರಣೆ (410–940 nm)',
+        'sensor.channel': 'ಚಾನೆಲ್',
+        'sensor.viewGraph': 'ಸೆನ್ಸರ್ ಗ್ರಾಫ್ ನೋಡಿ',
+        'sensor.chartTitle': 'ಸ್ಪೆಕ್ಟ್ರಲ್ ಸೆನ್ಸರ್ ದೃಶ್ಯೀಕರಣ',
+        'sensor.connect': 'AS7265x ಸಂಪರ್ಕಿಸಿ',
+        'sensor.simulator': 'ಸಿಮ್ಯುಲೇಟರ್ ಬಳಸಿ',
+        'sensor.disconnect': 'ಸಂಪರ್ಕ ಕಡಿತಗೊಳಿಸಿ',
+        'sensor.statusAnalysis': 'ಕೊನೆಯ ವಿಶ್ಲೇಷಣೆಯ ಮೌಲ್ಯಗಳನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+        'sensor.statusLive': 'ಸೀರಿಯಲ್ ಪೋರ್ಟ್‌ನಲ್ಲಿನ AS7265x ನಿಂದ ನೇರ ({count} ರೀಡಿಂಗ್‌ಗಳು)',
+        'sensor.statusSimulated': 'ಸಿಮ್ಯುಲೇಟೆಡ್ AS7265x ನಿಂದ ನೇರ ({count} ರೀಡಿಂಗ್‌ಗಳು)',
+        'sensor.unsupported': 'ಈ ಬ್ರೌಸರ್ ಸೀರಿಯಲ್ ಪೋರ್ಟ್‌ಗಳನ್ನು ತೆರೆಯಲು ಸಾಧ್ಯವಿಲ್ಲ (localhost ಅಥವಾ HTTPS ಮೂಲಕ Chrome ಅಥವಾ Edge ಬಳಸಿ); ಸಿಮ್ಯುಲೇಟರ್ ಆದರೂ ಕೆಲಸ ಮಾಡುತ್ತದೆ',
+        'sensor.connected': 'ಸೆನ್ಸರ್ ಸಂಪರ್ಕಗೊಂಡಿದೆ',
+        'sensor.simulatorStarted': 'ಸಿಮ್ಯುಲೇಟೆಡ್ ಸೆನ್ಸರ್ ಪ್ರಾರಂಭವಾಗಿದೆ',
+        'sensor.disconnected': 'ಸೆನ್ಸರ್ ಸಂಪರ್ಕ ಕಡಿತಗೊಂಡಿದೆ',
+        'sensor.connectFailed': 'ಸೆನ್ಸರ್ ಪೋರ್ಟ್ ತೆರೆಯಲಾಗಲಿಲ್ಲ',
+        'sensor.lost': 'ಸೆನ್ಸರ್‌ನೊಂದಿಗಿನ ಸಂಪರ್ಕ ಕಳೆದುಹೋಗಿದೆ',
+        'sensor.rawCounts': 'ಕಚ್ಚಾ ಎಣಿಕೆ',
+        'sensor.simulatedDevice': 'ಸಿಮ್ಯುಲೇಟೆಡ್ AS7265x',
+        'sensor.serialDevice': 'AS7265x (ಸೀರಿಯಲ್ ಪೋರ್ಟ್)',
+
+        // Sensor calibration
+        'calibration.open': 'ಮಾಪನಾಂಕ ನಿರ್ಣಯಿಸಿ',
+        'calibration.title': 'ಸೆನ್ಸರ್ ಮಾಪನಾಂಕ ನಿರ್ಣಯಿಸಿ',
+        'calibration.deviceName': 'ಸಾಧನದ ಹೆಸರು',
+        'calibration.darkTitle': 'ಡಾರ್ಕ್ ಉಲ್ಲೇಖ',
+        'calibration.darkHint': 'ಯಾವುದೇ ಬೆಳಕು ತಲುಪದಂತೆ ಸೆನ್ಸರ್ ಕಿಟಕಿಯನ್ನು ಮುಚ್ಚಿ (ಅಥವಾ ದೀಪ ಆರಿಸಿ), ನಂತರ ಸೆರೆಹಿಡಿಯಿರಿ.',
+        'calibration.whiteTitle': 'ಬಿಳಿ ಉಲ್ಲೇಖ',
+        'calibration.whiteHint': 'ದೀಪ ಆನ್ ಇರುವಾಗ ಬಿಳಿ ಉಲ್ಲೇಖ ಟೈಲ್ ಅನ್ನು ಸೆನ್ಸರ್ ಕಿಟಕಿಗೆ ಸಮತಟ್ಟಾಗಿ ಇರಿಸಿ, ನಂತರ ಸೆರೆಹಿಡಿಯಿರಿ.',
+        'calibration.whiteReflectance': 'ಬಿಳಿ ಉಲ್ಲೇಖದ ಪ್ರತಿಫಲನ (0–1)',
+        'calibration.capture': 'ಸೆರೆಹಿಡಿಯಿರಿ',
+        'calibration.recapture': 'ಮತ್ತೆ ಸೆರೆಹಿಡಿಯಿರಿ',
+        'calibration.capturing': '{count} ರೀಡಿಂಗ್‌ಗಳ ಸರಾಸರಿ ತೆಗೆಯಲಾಗುತ್ತಿದೆ...',
+        'calibration.captured': 'ಸೆರೆಹಿಡಿಯಲಾಗಿದೆ: {min}–{max} ಎಣಿಕೆಗಳು',
+        'calibration.save': 'ಮಾಪನಾಂಕ ಉಳಿಸಿ',
+        'calibration.saved': '{device} ಗಾಗಿ ಮಾಪನಾಂಕ ಉಳಿಸಲಾಗಿದೆ',
+        'calibration.connectFirst': 'ಮೊದಲು ಸೆನ್ಸರ್ ಸಂಪರ್ಕಿಸಿ ಅಥವಾ ಸಿಮ್ಯುಲೇಟರ್ ಪ್ರಾರಂಭಿಸಿ',
+        'calibration.noReadings': 'ಸೆನ್ಸರ್‌ನಿಂದ ಯಾವುದೇ ರೀಡಿಂಗ್ ಬರಲಿಲ್ಲ; ಸಂಪರ್ಕ ಪರಿಶೀಲಿಸಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ',
+        'calibration.referenceSaturated': 'ಉಲ್ಲೇಖವು {channels} ಅನ್ನು ಸ್ಯಾಚುರೇಟ್ ಮಾಡುತ್ತದೆ; ಗೇನ್ ಅಥವಾ ಇಂಟಿಗ್ರೇಶನ್ ಸಮಯ ಕಡಿಮೆ ಮಾಡಿ ಮತ್ತೆ ಸೆರೆಹಿಡಿಯಿರಿ',
+        'calibration.tooDark': '{channels} ನಲ್ಲಿ ಬಿಳಿ ಉಲ್ಲೇಖವು ಡಾರ್ಕ್ ಉಲ್ಲೇಖಕ್ಕಿಂತ ಕೇವಲ ಸ್ವಲ್ಪ ಪ್ರಕಾಶಮಾನವಾಗಿದೆ; ದೀಪ ಮತ್ತು ಟೈಲ್ ಪರಿಶೀಲಿಸಿ',
+        'calibration.invalidReflectance': 'ಬಿಳಿ ಉಲ್ಲೇಖದ ಪ್ರತಿಫಲನವನ್ನು 0 ಮತ್ತು 1 ರ ನಡುವಿನ ಸಂಖ್ಯೆಯಾಗಿ ನಮೂದಿಸಿ',
+        'calibration.saturated': 'ಸ್ಯಾಚುರೇಟೆಡ್: {channels} ಸೆನ್ಸರ್ ವ್ಯಾಪ್ತಿಯ ಮೇಲ್ಭಾಗದಲ್ಲಿವೆ, ಆದ್ದರಿಂದ ಅವುಗಳ ಮೌಲ್ಯಗಳು ಕತ್ತರಿಸಲ್ಪಟ್ಟಿವೆ. ಗೇನ್ ಅಥವಾ ಇಂಟಿಗ್ರೇಶನ್ ಸಮಯ ಕಡಿಮೆ ಮಾಡಿ.',
+        'calibration.saturatedChannel': 'ಸ್ಯಾಚುರೇಟೆಡ್ ಚಾನೆಲ್',
+        'calibration.stale': 'ಈ ಸೆನ್ಸರ್ ಅನ್ನು {date} ರಂದು, {hours} ಗಂಟೆಗಳಿಗಿಂತ ಹಿಂದೆ ಮಾಪನಾಂಕ ಮಾಡಲಾಗಿದೆ; ವಿಶ್ವಾಸಾರ್ಹ ಪ್ರತಿಫಲನಕ್ಕಾಗಿ ಮತ್ತೆ ಮಾಪನಾಂಕ ಮಾಡಿ.',
+        'calibration.missing': 'ಈ ಸೆನ್ಸರ್ ಮಾಪನಾಂಕಗೊಂಡಿಲ್ಲ, ಆದ್ದರಿಂದ ಕಚ್ಚಾ ಎಣಿಕೆಗಳನ್ನು ಮಾತ್ರ ತೋರಿಸಲಾಗುತ್ತದೆ. ಡಾರ್ಕ್ ಮತ್ತು ಬಿಳಿ ಉಲ್ಲೇಖವನ್ನು ಸೆರೆಹಿಡಿಯಲು ಮಾಪನಾಂಕ ನಿರ್ಣಯಿಸಿ ಬಳಸಿ.',
+        'calibration.settingsTitle': 'ಸೆನ್ಸರ್ ಮಾಪನಾಂಕ',
+        'calibration.settingsHint': 'ಈ ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಉಳಿಸಲಾದ ಡಾರ್ಕ್ ಮತ್ತು ಬಿಳಿ ಉಲ್ಲೇಖ ಮಾಪನಾಂಕಗಳು, ಪ್ರತಿ ಸೆನ್ಸರ್‌ಗೆ ಒಂದು. ಸೆನ್ಸರ್ ಸಂಪರ್ಕದಲ್ಲಿರುವಾಗ ಸೆನ್ಸರ್ ಅನುಕರಣೆ ವಿಭಾಗದಿಂದ ಮಾಪನಾಂಕ ನಿರ್ಣಯಿಸಿ.',
+        'calibration.none': 'ಇನ್ನೂ ಯಾವುದೇ ಸೆನ್ಸರ್ ಮಾಪನಾಂಕಗೊಂಡಿಲ್ಲ.',
+        'calibration.device': 'ಸಾಧನ',
+        'calibration.calibratedAt': 'ಮಾಪನಾಂಕಗೊಂಡದ್ದು',
+        'calibration.whiteShort': 'ಬಿಳಿ ಉಲ್ಲೇಖ',
+        'calibration.statusCurrent': 'ಪ್ರಸ್ತುತ',
+        'calibration.statusStale': 'ಹಳೆಯದು',
+        'calibration.confirmDelete': '"{device}" ನ ಮಾಪನಾಂಕವನ್ನು ಅಳಿಸುವುದೇ?',
+
+        // User management
+        'users.title': 'ಬಳಕೆದಾರರ ನಿರ್ವಹಣೆ',
+        'users.add': 'ಬಳಕೆದಾರರನ್ನು ಸೇರಿಸಿ',
+        'users.name': 'ಹೆಸರು',
+        'users.email': 'ಇಮೇಲ್',
+        'users.role': 'ಪಾತ್ರ',
+        'users.actions': 'ಕ್ರಿಯೆಗಳು',
+        'users.password': 'ಪಾಸ್‌ವರ್ಡ್',
+        'users.fallbackName': 'ಬಳಕೆದಾರ',
+        'users.needsBackend': 'ಬಳಕೆದಾರರ ನಿರ್ವಹಣೆಗೆ ಸರ್ವರ್ ಬೇಕು (ಆಫ್‌ಲೈನ್ ಮಾಕ್ ಪ್ರೊಫೈಲ್‌ನಲ್ಲಿ ಸರ್ವರ್ ಇಲ್ಲ).',
+        'users.loadFailed': 'ಬಳಕೆದಾರರನ್ನು ಲೋಡ್ ಮಾಡಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ: {error}',
+        'users.count': '{count} ಬಳಕೆದಾರರು',
+        'users.you': '(ನೀವು)',
+        'users.active': 'ಸಕ್ರಿಯ',
+        'users.disabled': 'ನಿಷ್ಕ್ರಿಯ',
+        'users.edit': 'ಸಂಪಾದಿಸಿ',
+        'users.editTitle': 'ಬಳಕೆದಾರರನ್ನು ಸಂಪಾದಿಸಿ',
+        'users.resetPassword': 'ಪಾಸ್‌ವರ್ಡ್ ಮರುಹೊಂದಿಸಿ',
+        'users.enable': 'ಸಕ್ರಿಯಗೊಳಿಸಿ',
+        'users.disable': 'ನಿಷ್ಕ್ರಿಯಗೊಳಿಸಿ',
+        'users.confirmDisable': '{email} ನಿಷ್ಕ್ರಿಯಗೊಳಿಸುವುದೇ? ಅವರನ್ನು ಸೈನ್ ಔಟ್ ಮಾಡಲಾಗುತ್ತದೆ ಮತ್ತು ಲಾಗ್ ಇನ್ ಮಾಡಲು ಸಾಧ್ಯವಾಗುವುದಿಲ್ಲ.',
+        'users.disabledToast': '{email} ನಿಷ್ಕ್ರಿಯಗೊಂಡಿದೆ',
+        'users.enabledToast': '{email} ಸಕ್ರಿಯಗೊಂಡಿದೆ',
+        'users.added': '{email} ಸೇರಿಸಲಾಗಿದೆ',
+        'users.updated': '{email} ನವೀಕರಿಸಲಾಗಿದೆ',
+        'users.passwordReset': '{email} ಗೆ ಪಾಸ್‌ವರ್ಡ್ ಮರುಹೊಂದಿಸಲಾಗಿದೆ',
+
+        // Settings
+        'settings.serverTitle': 'ಸರ್ವರ್ ಸೆಟ್ಟಿಂಗ್‌ಗಳು',
+        'settings.serverHint': 'ಈ ಬ್ರೌಸರ್ ಯಾವ ಸರ್ವರ್ ಜೊತೆ ಸಂಪರ್ಕಿಸಬೇಕು ಎಂದು ಆಯ್ಕೆಮಾಡಿ. ಉಳಿಸಿದ ಸೆಟ್ಟಿಂಗ್‌ಗಳು ಲಾಗಿನ್ ಪುಟ ಮತ್ತು ಡ್ಯಾಶ್‌ಬೋರ್ಡ್ ಎರಡಕ್ಕೂ ಅನ್ವಯಿಸುತ್ತವೆ.',
+        'settings.profile': 'ಪ್ರೊಫೈಲ್',
+        'settings.serverUrl': 'ಸರ್ವರ್ URL',
+        'settings.testConnection': 'ಸಂಪರ್ಕ ಪರೀಕ್ಷಿಸಿ',
+        'settings.resetDefaults': 'ಡೀಫಾಲ್ಟ್‌ಗೆ ಮರುಹೊಂದಿಸಿ',
+        'settings.modeTitle': 'ವಿಶ್ಲೇಷಣೆ ಮೋಡ್',
+        'settings.modeHint': 'ಬ್ರೌಸರ್ ವಿಶ್ಲೇಷಕವು ಸಂಪರ್ಕವಿಲ್ಲದೆ ಈ ಸಾಧನದಲ್ಲೇ ತಾಜಾತನವನ್ನು ಅಳೆಯುತ್ತದೆ. ಡೆಮೊ ಮೋಡ್‌ಗಳು ಪ್ರತಿ ಫಲಿತಾಂಶವನ್ನು ಅನುಕರಿಸಿದ್ದು ಎಂದು ಗುರುತಿಸುತ್ತವೆ; ತರಬೇತಿ ಮತ್ತು ಪುನರಾವರ್ತಿತ ಪರೀಕ್ಷೆಗಳಿಗೆ ಸೀಡೆಡ್ ಮೋಡ್ ಬಳಸಿ.',
+        'settings.mode': 'ಮೋಡ್',
+        'settings.seed': 'ಸೀಡ್ (ಸೀಡೆಡ್ ಡೆಮೊ)',
+        'settings.compareBrowser': 'ಸರ್ವರ್ ತಾಜಾತನವನ್ನು ಬ್ರೌಸರ್ ವಿಶ್ಲೇಷಕದೊಂದಿಗೆ ಪರಿಶೀಲಿಸಿ',
+        'settings.accessibilityTitle': 'ಪ್ರವೇಶಸಾಧ್ಯತೆ',
+        'settings.accessibilityHint': 'ಚಾರ್ಟ್‌ಗಳು ಬಣ್ಣಕುರುಡುತನಕ್ಕೆ ಸುರಕ್ಷಿತ ಬಣ್ಣಗಳು ಮತ್ತು ಮಾದರಿಗಳನ್ನು ಬಳಸುತ್ತವೆ ಮತ್ತು ಫಲಿತಾಂಶಗಳನ್ನು ಸ್ಕ್ರೀನ್ ರೀಡರ್‌ಗಳಿಗೆ ಓದಲಾಗುತ್ತದೆ. ಸೈಡ್‌ಬಾರ್‌ನಲ್ಲಿ ಬಾಣದ ಕೀಲಿಗಳನ್ನು ಬಳಸಿ; Escape ಸಂವಾದಗಳನ್ನು ಮುಚ್ಚುತ್ತದೆ.',
+        'settings.highContrast': 'ಹೆಚ್ಚಿನ ಕಾಂಟ್ರಾಸ್ಟ್ ಥೀಮ್',
+        'settings.invalidUrl': 'ಸರ್ವರ್ URL http:// ಅಥವಾ https:// ನಿಂದ ಪ್ರಾರಂಭವಾಗಬೇಕು',
+        'settings.saved': 'ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ',
+        'settings.resetDone': 'ಸೆಟ್ಟಿಂಗ್‌ಗಳನ್ನು ಡೀಫಾಲ್ಟ್‌ಗೆ ಮರುಹೊಂದಿಸಲಾಗಿದೆ',
+        'settings.invalidSeed': 'ಸೀಡ್ ಪೂರ್ಣ ಸಂಖ್ಯೆಯಾಗಿರಬೇಕು',
+        'settings.modeSaved': 'ವಿಶ್ಲೇಷಣೆ ಮೋಡ್: {mode}',
+        'mode.auto': 'ಸ್ವಯಂಚಾಲಿತ (ಸರ್ವರ್, ಆಫ್‌ಲೈನ್ ಆದಾಗ ಬ್ರೌಸರ್‌ನಲ್ಲಿ)',
+        'mode.server': 'ಸರ್ವರ್ ಮಾತ್ರ',
+        'mode.browser': 'ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಮಾತ್ರ (ಸಂಪರ್ಕ ಬೇಕಿಲ್ಲ)',
+        'mode.mock': 'ಡೆಮೊ - ಯಾದೃಚ್ಛಿಕ ಮೌಲ್ಯಗಳು',
+        'mode.seeded': 'ಡೆಮೊ - ಸೀಡೆಡ್, ಪುನರಾವರ್ತಿಸಬಹುದಾದ ಮೌಲ್ಯಗಳು',
+        'profile.local': 'ಸ್ಥಳೀಯ',
+        'profile.staging': 'ಸ್ಟೇಜಿಂಗ್',
+        'profile.mock': 'ಆಫ್‌ಲೈನ್ ಮಾಕ್',
+        'health.status': '{profile}: {status}',
+        'health.customServer': '{profile} (ಕಸ್ಟಮ್ ಸರ್ವರ್)',
+        'health.online': 'ಸರ್ವರ್ ಆನ್‌ಲೈನ್',
+        'health.offline': 'ಸರ್ವರ್ ತಲುಪಲಾಗುತ್ತಿಲ್ಲ',
+        'health.mock': 'ಆಫ್‌ಲೈನ್ ಮಾಕ್',
+        'health.unconfigured': 'ಯಾವುದೇ ಸರ್ವರ್ ಹೊಂದಿಸಿಲ್ಲ',
+        'health.checking': 'ಪರಿಶೀಲಿಸಲಾಗುತ್ತಿದೆ...',
+
+        // Grading rules
+        'grading.title': 'ಶ್ರೇಣೀಕರಣ ನಿಯಮಗಳು',
+        'grading.hint': 'ಪ್ರತಿ ಹಣ್ಣಿನ ಪ್ರಕಾರವನ್ನು ಅದರ ಸಕ್ರಿಯ ನಿಯಮ ಪ್ರೊಫೈಲ್‌ನಿಂದ ಶ್ರೇಣೀಕರಿಸಲಾಗುತ್ತದೆ; ಪ್ರತಿ ಫಲಿತಾಂಶ ಆ ಪ್ರೊಫೈಲ್ ಅನ್ನು ದಾಖಲಿಸುತ್ತದೆ. ನಿಯಮಗಳನ್ನು ಮೇಲಿನಿಂದ ಕೆಳಗೆ ಪರಿಶೀಲಿಸಲಾಗುತ್ತದೆ ಮತ್ತು ಮೊದಲ ಹೊಂದಿಕೆ ಅನ್ವಯಿಸುತ್ತದೆ.',
+        'grading.fruit': 'ಹಣ್ಣು',
+        'grading.activeProfile': 'ಸಕ್ರಿಯ ಪ್ರೊಫೈಲ್',
+        'grading.rulesJson': 'ನಿಯಮಗಳು (JSON)',
+        'grading.conditionsHint': 'ಷರತ್ತುಗಳು: minFreshness, maxFreshness, minDryMatter, maxDryMatter, minWeightKg, maxWeightKg, spoilageRisk (Low / Medium / High), pesticide (ಕೀಟನಾಶಕ ವರ್ಗದಲ್ಲಿರುವ ಪಠ್ಯ). ಹಣ್ಣಿನ ಹೆಸರಿಗಾಗಿ ಸಂದೇಶದಲ್ಲಿ {fruit} ಬರೆಯಿರಿ. ಅಂತರ್ನಿರ್ಮಿತ ಪ್ರೊಫೈಲ್ ಬದಲಿಸಲು ಅದರ "name" ಬದಲಿಸಿ ಉಳಿಸಿ.',
+        'grading.saveProfile': 'ಪ್ರೊಫೈಲ್ ಉಳಿಸಿ',
+        'grading.validate': 'ಪರಿಶೀಲಿಸಿ',
+        'grading.revert': 'ಹಿಂತಿರುಗಿಸಿ',
+        'grading.deleteProfile': 'ಪ್ರೊಫೈಲ್ ಅಳಿಸಿ',
+        'grading.builtIn': '{name} (ಅಂತರ್ನಿರ್ಮಿತ)',
+        'grading.activated': '{fruit}: "{name}" ನಿಯಮಗಳಿಂದ ಶ್ರೇಣೀಕರಣ',
+        'grading.valid': 'ನಿಯಮಗಳು ಸರಿಯಾಗಿವೆ',
+        'grading.saved': '"{name}" ನಿಯಮಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ',
+        'grading.confirmDelete': '"{name}" ನಿಯಮ ಪ್ರೊಫೈಲ್ ಅಳಿಸುವುದೇ?',
+        'grading.deleted': '"{name}" ನಿಯಮಗಳನ್ನು ಅಳಿಸಲಾಗಿದೆ',
+        'grading.notAllowed': 'ನಿಮ್ಮ ಪಾತ್ರಕ್ಕೆ ಶ್ರೇಣೀಕರಣ ನಿಯಮಗಳನ್ನು ಬದಲಾಯಿಸಲು ಅನುಮತಿ ಇಲ್ಲ',
+        'grading.loadFailed': 'ಶ್ರೇಣೀಕರಣ ಪ್ರೊಫೈಲ್‌ಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗಲಿಲ್ಲ ({error}); ಅಂತರ್ನಿರ್ಮಿತ ಪ್ರೊಫೈಲ್‌ಗಳಿಂದ ಶ್ರೇಣೀಕರಿಸಲಾಗುತ್ತಿದೆ',
+        'grading.error.builtIn': '"{name}" ಅಂತರ್ನಿರ್ಮಿತ ಪ್ರೊಫೈಲ್; ನಿಮ್ಮ ಪ್ರತಿಗೆ ಹೊಸ ಹೆಸರು ನೀಡಿ',
+        'grading.error.json': 'ಅಮಾನ್ಯ JSON: {error}',
+        'grading.error.notObject': 'ನಿಯಮ ಸೆಟ್ JSON ಆಬ್ಜೆಕ್ಟ್ ಆಗಿರಬೇಕು',
+        'grading.error.required': '"{field}" ಅಗತ್ಯವಿದೆ',
+        'grading.error.itemRequired': '{at}: "{field}" ಅಗತ್ಯವಿದೆ',
+        'grading.error.noGrades': '"grades" ನಲ್ಲಿ ಕನಿಷ್ಠ ಒಂದು ಶ್ರೇಣಿ ಇರಬೇಕು',
+        'grading.error.duplicateGrade': '{at}: ಪುನರಾವರ್ತಿತ ಶ್ರೇಣಿ "{grade}"',
+        'grading.error.plainText': '{at}: "{field}" ಗರಿಷ್ಠ {max} ಅಕ್ಷರಗಳಾಗಿರಬೇಕು, < > & " \' ಅಥವಾ ` ಇಲ್ಲದೆ',
+        'grading.error.style': '{at}: "style" ಇವುಗಳಲ್ಲಿ ಒಂದಾಗಿರಬೇಕು: {styles}',
+        'grading.error.noRules': '"rules" ನಲ್ಲಿ ಕನಿಷ್ಠ ಒಂದು ನಿಯಮ ಇರಬೇಕು',
+        'grading.error.ruleObject': '{at}: ಆಬ್ಜೆಕ್ಟ್ ಆಗಿರಬೇಕು',
+        'grading.error.unknownGrade': '{at}: "grade" ನೀಡಿದ ಶ್ರೇಣಿಗಳಲ್ಲಿ ಒಂದಾಗಿರಬೇಕು',
+        'grading.error.safe': '{at}: "safe" true ಅಥವಾ false ಆಗಿರಬೇಕು',
+        'grading.error.shelfLifeDays': '{at}: "shelfLifeDays" [min, max] ಆಗಿರಬೇಕು, ಇಲ್ಲಿ 0 <= min <= max',
+        'grading.error.shelfLife': '{at}: "shelfLife" ಪಠ್ಯ ಅಥವಾ "shelfLifeDays" ವ್ಯಾಪ್ತಿ ಅಗತ್ಯವಿದೆ',
+        'grading.error.when': '{at}: "when" ಆಬ್ಜೆಕ್ಟ್ ಆಗಿರಬೇಕು',
+        'grading.error.number': '{at}: "{key}" ಸಂಖ್ಯೆಯಾಗಿರಬೇಕು',
+        'grading.error.list': '{at}: "{key}" ಖಾಲಿಯಲ್ಲದ ಪಠ್ಯ ಪಟ್ಟಿಯಾಗಿರಬೇಕು',
+        'grading.error.unknownCondition': '{at}: ಅಜ್ಞಾತ ಷರತ್ತು "{key}"',
+        'grading.error.spoilageRisk': '{at}: "spoilageRisk" ಮೌಲ್ಯಗಳು {levels} ಆಗಿರಬೇಕು',
+        'grading.error.minMax': '{at}: "{min}" "{max}" ಗಿಂತ ದೊಡ್ಡದಾಗಿದೆ',
+        'grading.error.lastRule': 'ಪ್ರತಿ ಫಲಿತಾಂಶಕ್ಕೂ ಶ್ರೇಣಿ ಸಿಗಲು ಕೊನೆಯ ನಿಯಮದ "when" ಖಾಲಿಯಾಗಿರಬೇಕು',
+        'grading.error.pesticideNote': '"pesticideNote" ಗೆ "text" ಮತ್ತು "exceptPesticide" ಪಟ್ಟಿ ಬೇಕು',
+
+        // About
+        'about.title': 'ಹಣ್ಣು ಪತ್ತೆ ಯೋಜನೆಯ ಬಗ್ಗೆ',
+        'about.body': 'ಈ ಡ್ಯಾಶ್‌ಬೋರ್ಡ್ AI ಆಧಾರಿತ ಹಣ್ಣಿನ ಗುಣಮಟ್ಟ ವ್ಯವಸ್ಥೆಯನ್ನು (ಸೇಬು, ಮರಸೇಬು, ಮಾವು, ಕಿತ್ತಳೆ ಮತ್ತು ಬಾಳೆಹಣ್ಣು) ತಾಜಾತನ, ಕೆಡುವಿಕೆ, ಕೀಟನಾಶಕ, ಪೋಷಕಾಂಶಗಳು ಮತ್ತು ಸೆನ್ಸರ್ ಅನುಕರಣೆಯೊಂದಿಗೆ ಅನುಕರಿಸುತ್ತದೆ.',
+
+        // Login page
+        'login.pageTitle': 'ಲಾಗಿನ್ - ಹಣ್ಣು ಪತ್ತೆ ಯೋಜನೆ | AI ಹಣ್ಣಿನ ಗುಣಮಟ್ಟ ಪತ್ತೆ',
+        'login.welcome': 'ಹಣ್ಣು ಪತ್ತೆ ಯೋಜನೆಗೆ ಸ್ವಾಗತ',
+        'login.subtitle': 'AI ಬಳಸಿ ಹಣ್ಣಿನ ಗುಣಮಟ್ಟ ವಿಶ್ಲೇಷಿಸಲು ಸೈನ್ ಇನ್ ಮಾಡಿ',
+        'login.email': 'ಇಮೇಲ್ ವಿಳಾಸ',
+        'login.emailPlaceholder': 'ನಿಮ್ಮ ಇಮೇಲ್ ನಮೂದಿಸಿ',
+        'login.passwordPlaceholder': 'ನಿಮ್ಮ ಪಾಸ್‌ವರ್ಡ್ ನಮೂದಿಸಿ',
+        'login.showPassword': 'ಪಾಸ್‌ವರ್ಡ್ ತೋರಿಸಿ',
+        'login.remember': 'ನನ್ನನ್ನು ನೆನಪಿಡಿ',
+        'login.signIn': 'ಸೈನ್ ಇನ್',
+        'login.signingIn': 'ಸೈನ್ ಇನ್ ಆಗುತ್ತಿದೆ...',
+        'login.emailRequired': 'ಇಮೇಲ್ ಅಗತ್ಯವಿದೆ',
+        'login.emailInvalid': 'ಸರಿಯಾದ ಇಮೇಲ್ ನಮೂದಿಸಿ',
+        'login.passwordRequired': 'ಪಾಸ್‌ವರ್ಡ್ ಅಗತ್ಯವಿದೆ',
+        'login.passwordTooShort': 'ಪಾಸ್‌ವರ್ಡ್ ಕನಿಷ್ಠ {min} ಅಕ್ಷರಗಳಿರಬೇಕು',
+        'login.unknownAccount': 'ಈ ಇಮೇಲ್‌ಗೆ ಯಾವುದೇ ಖಾತೆ ಇಲ್ಲ',
+        'login.wrongPassword': 'ತಪ್ಪು ಪಾಸ್‌ವರ್ಡ್',
+        'login.accountDisabled': 'ಈ ಖಾತೆಯನ್ನು ನಿಷ್ಕ್ರಿಯಗೊಳಿಸಲಾಗಿದೆ. ನಿರ್ವಾಹಕರನ್ನು ಸಂಪರ್ಕಿಸಿ.',
+        'login.error': 'ಲಾಗಿನ್ ದೋಷ',
+        'login.projectSubtitle': 'AI ಹಣ್ಣಿನ ಗುಣಮಟ್ಟ ಪತ್ತೆ ವ್ಯವಸ್ಥೆ',
+        'login.tagline': '"AI ಬಳಸಿ ತಾಜಾತನ, ಹಣ್ಣಾಗುವಿಕೆ, ಕೆಡುವಿಕೆ ಅಪಾಯ ಮತ್ತು ಕೀಟನಾಶಕ ಮಟ್ಟವನ್ನು ವಿಶ್ಲೇಷಿಸಿ"',
+
+        // Built-in rule profiles
+        'rules.retail.spoiled.label': 'ಕಳಪೆ ಗುಣಮಟ್ಟ - ಕೆಡುವಿಕೆಯ ಹೆಚ್ಚಿನ ಅಪಾಯ',
+        'rules.retail.spoiled.message': '⚠️ ಈ {fruit} ಕೆಡುವಿಕೆಯ ಲಕ್ಷಣಗಳನ್ನು ತೋರಿಸುತ್ತಿದೆ ಮತ್ತು ತಿನ್ನಲು ಶಿಫಾರಸು ಮಾಡಲಾಗುವುದಿಲ್ಲ. ತಕ್ಷಣ ತ್ಯಜಿಸಿ.',
+        'rules.retail.pesticide.label': 'ಅಸುರಕ್ಷಿತ - ಕೀಟನಾಶಕದ ಹೆಚ್ಚಿನ ಮಟ್ಟ',
+        'rules.retail.pesticide.message': '⚠️ ಹೆಚ್ಚಿನ ಕೀಟನಾಶಕ ಶೇಷ ಪತ್ತೆಯಾಗಿದೆ. ಈ {fruit} ಅನ್ನು ಚೆನ್ನಾಗಿ ತೊಳೆಯದೆ ಅಥವಾ ಸಂಸ್ಕರಿಸದೆ ತಿನ್ನಬಾರದು.',
+        'rules.retail.excellent.label': 'ಅತ್ಯುತ್ತಮ ಗುಣಮಟ್ಟ',
+        'rules.retail.excellent.message': '✓ ಈ {fruit} ಸಂಪೂರ್ಣ ಉತ್ತಮ ಸ್ಥಿತಿಯಲ್ಲಿದೆ! ತಾಜಾ, ಹಣ್ಣಾಗಿದೆ ಮತ್ತು ಕೀಟನಾಶಕ ಮುಕ್ತ. ತಕ್ಷಣ ತಿನ್ನಲು ಸುರಕ್ಷಿತ.',
+        'rules.retail.good.label': 'ಉತ್ತಮ ಗುಣಮಟ್ಟ',
+        'rules.retail.good.message': '✓ ಈ {fruit} ಉತ್ತಮ ಸ್ಥಿತಿಯಲ್ಲಿದೆ ಮತ್ತು ತಿನ್ನಲು ಸುರಕ್ಷಿತ. ತಿನ್ನುವ ಮೊದಲು ಚೆನ್ನಾಗಿ ತೊಳೆಯಿರಿ.',
+        'rules.retail.consumeSoon.label': 'ಸಾಧಾರಣ ಗುಣಮಟ್ಟ - ಬೇಗ ತಿನ್ನಿರಿ',
+        'rules.retail.consumeSoon.message': '⚡ ಈ {fruit} ತಿನ್ನಬಹುದು ಆದರೆ ಹಳೆಯದಾಗುವ ಆರಂಭಿಕ ಲಕ್ಷಣಗಳಿವೆ. 1-2 ದಿನಗಳಲ್ಲಿ ತಿನ್ನಿರಿ. ಅಡುಗೆಗೆ ಅತ್ಯುತ್ತಮ.',
+        'rules.retail.limitedFreshness.label': 'ಸಾಧಾರಣ ಗುಣಮಟ್ಟ - ಸೀಮಿತ ತಾಜಾತನ',
+        'rules.retail.limitedFreshness.message': '⚡ ಈ {fruit} ಉತ್ತಮ ಸಮಯ ದಾಟಿದೆ ಆದರೆ ಇನ್ನೂ ತಿನ್ನಬಹುದು. 1-2 ದಿನಗಳಲ್ಲಿ ಅಡುಗೆ, ಬೇಕಿಂಗ್ ಅಥವಾ ಸ್ಮೂದಿಗೆ ಬಳಸಿ.',
+        'rules.retail.poor.label': 'ಕಳಪೆ ಗುಣಮಟ್ಟ',
+        'rules.retail.poor.message': '✗ ಈ {fruit} ಹಾಳಾಗಿದೆ ಮತ್ತು ತಿನ್ನಲು ಶಿಫಾರಸು ಮಾಡಲಾಗುವುದಿಲ್ಲ. ಗುಣಮಟ್ಟ ತುಂಬಾ ಕಡಿಮೆ.',
+        'rules.retail.note': 'ಗಮನಿಸಿ: ಕೀಟನಾಶಕ ಶೇಷ ಪತ್ತೆಯಾಗಿದೆ - ನೀರು ಅಥವಾ ಹಣ್ಣು-ತರಕಾರಿ ತೊಳೆಯುವ ದ್ರಾವಣದಿಂದ ಚೆನ್ನಾಗಿ ತೊಳೆಯಿರಿ.',
+        'rules.juice.pesticide.label': 'ಅಸುರಕ್ಷಿತ - ಕೀಟನಾಶಕದ ಹೆಚ್ಚಿನ ಮಟ್ಟ',
+        'rules.juice.pesticide.message': '⚠️ ಹೆಚ್ಚಿನ ಕೀಟನಾಶಕ ಶೇಷ ಪತ್ತೆಯಾಗಿದೆ. ಈ ಲಾಟ್ ಅನ್ನು ರಸ ತೆಗೆಯಲು ತಿರಸ್ಕರಿಸಿ.',
+        'rules.juice.spoiled.label': 'ತಿರಸ್ಕೃತ - ಕೆಟ್ಟುಹೋಗಿದೆ',
+        'rules.juice.spoiled.message': '✗ ಕೆಡುವಿಕೆ ರಸವನ್ನು ಕಲುಷಿತಗೊಳಿಸುತ್ತದೆ. ರಸ ತೆಗೆಯಲು ತಿರಸ್ಕರಿಸಿ.',
+        'rules.juice.premium.label': 'ಪ್ರೀಮಿಯಂ ರಸ ಶ್ರೇಣಿ',
+        'rules.juice.premium.message': '✓ ಹೆಚ್ಚಿನ ಸಕ್ಕರೆ ಅಂಶ ಮತ್ತು ಆರೋಗ್ಯಕರ ಹಣ್ಣು. ಪ್ರೀಮಿಯಂ ರಸಕ್ಕೆ ಸೂಕ್ತ.',
+        'rules.juice.juice.label': 'ರಸ ಶ್ರೇಣಿ',
+        'rules.juice.juice.message': '✓ ರಸ ತೆಗೆಯಲು ಸೂಕ್ತ. ಕೆಲವು ದಿನಗಳಲ್ಲಿ ಸಂಸ್ಕರಿಸಿ.',
+        'rules.juice.processNow.label': 'ತಕ್ಷಣ ಸಂಸ್ಕರಿಸಿ',
+        'rules.juice.processNow.message': '⚡ ಇಂದೇ ರಸ ತೆಗೆದರೆ ಸಾಂದ್ರ ರಸಕ್ಕೆ ಬಳಸಬಹುದು.',
+        'rules.juice.belowGrade.label': 'ರಸ ಶ್ರೇಣಿಗಿಂತ ಕಡಿಮೆ',
+        'rules.juice.belowGrade.message': '✗ ರಸ ತೆಗೆಯಲು ಗುಣಮಟ್ಟ ತುಂಬಾ ಕಡಿಮೆ.',
+        'rules.juice.note': 'ಗಮನಿಸಿ: ಕೀಟನಾಶಕ ಶೇಷ ಪತ್ತೆಯಾಗಿದೆ - ರಸ ತೆಗೆಯುವ ಮೊದಲು ತೊಳೆಯಿರಿ.',
+        'rules.peeled.spoiled.label': 'ಕಳಪೆ ಗುಣಮಟ್ಟ - ಕೆಡುವಿಕೆಯ ಹೆಚ್ಚಿನ ಅಪಾಯ',
+        'rules.peeled.spoiled.message': '⚠️ ಈ {fruit} ಕೆಡುವಿಕೆಯ ಲಕ್ಷಣಗಳನ್ನು ತೋರಿಸುತ್ತಿದೆ ಮತ್ತು ತಿನ್ನಲು ಶಿಫಾರಸು ಮಾಡಲಾಗುವುದಿಲ್ಲ. ತಕ್ಷಣ ತ್ಯಜಿಸಿ.',
+        'rules.peeled.pesticide.label': 'ಅಸುರಕ್ಷಿತ - ಕೀಟನಾಶಕದ ಹೆಚ್ಚಿನ ಮಟ್ಟ',
+        'rules.peeled.pesticide.message': '⚠️ ಸಿಪ್ಪೆಯ ಮೇಲೆ ಹೆಚ್ಚಿನ ಕೀಟನಾಶಕ ಶೇಷ ಪತ್ತೆಯಾಗಿದೆ. ಈ {fruit} ಅನ್ನು ತಿನ್ನಬಾರದು.',
+        'rules.peeled.excellent.label': 'ಅತ್ಯುತ್ತಮ ಗುಣಮಟ್ಟ',
+        'rules.peeled.excellent.message': '✓ ಈ {fruit} ಸಂಪೂರ್ಣ ಉತ್ತಮ ಸ್ಥಿತಿಯಲ್ಲಿದೆ. ಸಿಪ್ಪೆ ತೆಗೆದು ಸವಿಯಿರಿ.',
+        'rules.peeled.good.label': 'ಉತ್ತಮ ಗುಣಮಟ್ಟ',
+        'rules.peeled.good.message': '✓ ಈ {fruit} ಉತ್ತಮ ಸ್ಥಿತಿಯಲ್ಲಿದೆ ಮತ್ತು ಸಿಪ್ಪೆ ತೆಗೆದ ನಂತರ ತಿನ್ನಲು ಸುರಕ್ಷಿತ.',
+        'rules.peeled.veryRipe.label': 'ಸಾಧಾರಣ ಗುಣಮಟ್ಟ - ತುಂಬಾ ಹಣ್ಣಾಗಿದೆ',
+        'rules.peeled.veryRipe.message': '⚡ ಈ {fruit} ತುಂಬಾ ಹಣ್ಣಾಗಿದೆ. 1-2 ದಿನಗಳಲ್ಲಿ ತಿನ್ನಿರಿ ಅಥವಾ ಸ್ಮೂದಿ ಮತ್ತು ಬೇಕಿಂಗ್‌ಗೆ ಬಳಸಿ.',
+        'rules.peeled.poor.label': 'ಕಳಪೆ ಗುಣಮಟ್ಟ',
+        'rules.peeled.poor.message': '✗ ಈ {fruit} ಹಾಳಾಗಿದೆ ಮತ್ತು ತಿನ್ನಲು ಶಿಫಾರಸು ಮಾಡಲಾಗುವುದಿಲ್ಲ.',
+        'rules.peeled.note': 'ಗಮನಿಸಿ: ಸಿಪ್ಪೆಯ ಮೇಲೆ ಕೀಟನಾಶಕ ಶೇಷ ಪತ್ತೆಯಾಗಿದೆ - ಸಿಪ್ಪೆ ತೆಗೆಯುವ ಮೊದಲು ತೊಳೆಯಿರಿ ಮತ್ತು ನಂತರ ಕೈ ತೊಳೆಯಿರಿ.'
+    }
+});
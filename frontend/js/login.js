@@ -13,22 +13,28 @@ const passwordError = document.getElementById('passwordError');
 
 const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const MIN_PASSWORD_LENGTH = 6;
-const API_BASE = "http://127.0.0.1:8000";
 
 document.addEventListener('DOMContentLoaded', () => {
+    initializeLanguageSelect(document.getElementById('languageSelect'));
+    applyDisplayPreferences();
+    registerServiceWorker();
     loginForm.addEventListener('submit', handleLogin);
     togglePasswordBtn.addEventListener('click', togglePasswordVisibility);
+    const refreshHealth = initializeHealthIndicator(document.getElementById('healthIndicator'));
+    document.addEventListener('languagechange', refreshHealth);
 });
 
 function togglePasswordVisibility() {
     const type = passwordInput.type === 'password' ? 'text' : 'password';
     passwordInput.type = type;
+    togglePasswordBtn.setAttribute('aria-pressed', String(type === 'text'));
 }
 
 function showFieldError(field, message) {
     const input = document.getElementById(field);
     const errorElement = document.getElementById(field + 'Error');
     input.classList.add('error');
+    input.setAttribute('aria-invalid', 'true');
     errorElement.textContent = message;
 }
 
@@ -36,6 +42,7 @@ function clearFieldError(field) {
     const input = document.getElementById(field);
     const errorElement = document.getElementById(field + 'Error');
     input.classList.remove('error');
+    input.removeAttribute('aria-invalid');
     errorElement.textContent = '';
 }
 
@@ -50,24 +57,24 @@ function hideError() {
 
 function showLoading() {
     loginBtn.disabled = true;
-    loginBtnText.textContent = 'Signing in...';
+    loginBtnText.textContent = t('login.signingIn');
     loginSpinner.classList.remove('hidden');
 }
 
 function hideLoading() {
     loginBtn.disabled = false;
-    loginBtnText.textContent = 'Sign In';
+    loginBtnText.textContent = t('login.signIn');
     loginSpinner.classList.add('hidden');
 }
 
 function validateEmail() {
     const email = emailInput.value.trim();
     if (!email) {
-        showFieldError('email', 'Email is required');
+        showFieldError('email', t('login.emailRequired'));
         return false;
     }
     if (!EMAIL_PATTERN.test(email)) {
-        showFieldError('email', 'Enter a valid email');
+        showFieldError('email', t('login.emailInvalid'));
         return false;
     }
     clearFieldError('email');
@@ -77,11 +84,11 @@ function validateEmail() {
 function validatePassword() {
     const password = passwordInput.value;
     if (!password) {
-        showFieldError('password', 'Password is required');
+        showFieldError('password', t('login.passwordRequired'));
         return false;
     }
     if (password.length < MIN_PASSWORD_LENGTH) {
-        showFieldError('password', `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        showFieldError('password', t('login.passwordTooShort', { min: MIN_PASSWORD_LENGTH }));
         return false;
     }
     clearFieldError('password');
@@ -102,22 +109,44 @@ async function handleLogin(e) {
 
     showLoading();
     try {
-        const res = await fetch(`${API_BASE}/api/auth/login`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ email, password, remember }),
-        });
-        const data = await res.json();
-        if (!res.ok) throw new Error(data.detail || "Login failed");
-
-        const storage = remember ? localStorage : sessionStorage;
-        storage.setItem("authToken", data.token);
-        storage.setItem("userData", JSON.stringify(data.user));
+        const data = await requestLogin(email, password, remember);
+
+        saveSession(data, remember);
 
         window.location.href = "dashboard.html";
     } catch (err) {
-        showError(err.message || "Login error");
+        showLoginError(err);
     } finally {
         hideLoading();
     }
 }
+
+async function requestLogin(email, password, remember) {
+    // The offline mock profile has no backend to ask
+    if (getClientConfig().mock) {
+        return {
+            token: `mock_token_${Date.now()}`,
+            user: { name: email.split("@")[0], email, role: "admin" },
+            message: "Login successful",
+        };
+    }
+
+    return requestApi("/api/auth/login", {
+        method: "POST",
+        body: { email, password, remember },
+        auth: false,
+    });
+}
+
+function showLoginError(err) {
+    // Error codes from the backend (see api.js); others carry their own message
+    if (err.code === "unknown_account") {
+        showFieldError("email", t("login.unknownAccount"));
+    } else if (err.code === "incorrect_password") {
+        showFieldError("password", t("login.wrongPassword"));
+    } else if (err.code === "account_disabled") {
+        showError(t("login.accountDisabled"));
+    } else {
+        showError(err.message || t("login.error"));
+    }
+}
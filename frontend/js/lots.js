@@ -0,0 +1,694 @@
+/**
+ * LOTS.JS
+ * Lot tracking for Fruit Detection Project
+ * Features: Lot register (supplier, origin, variety, harvest date, storage), active lot on the upload screen,
+ *           lot codes scanned from QR codes and barcodes, lot detail with an accept / reject recommendation
+ */
+
+// =============================================
+// LOT REGISTER
+// =============================================
+
+const LOTS_STORAGE_KEY = 'fruitLots';
+const ACTIVE_LOT_KEY = 'activeLot';
+const LOT_CODE_MAX_LENGTH = 64;             // same limit as the backend
+const LOT_STORAGE_CONDITIONS = ['ambient', 'cold', 'controlled_atmosphere'];
+const LOT_SCAN_INTERVAL_MS = 300;
+
+/**
+ * Rules behind the lot recommendation
+ * - minAnalyses: fewer samples say too little about the whole lot
+ * - maxUnsafeShare: reject when more than this % of samples is graded not safe to eat
+ * - minMeanFreshness: reject when the mean freshness score is lower
+ */
+const LOT_RULES = {
+    minAnalyses: 3,
+    maxUnsafeShare: 10,
+    minMeanFreshness: 60
+};
+
+let lotFormMode = null;     // 'create' or 'edit'
+let lotScanStream = null;
+let lotScanTimer = null;
+let lotGroups = [];         // Per-lot groups of getHistoryAggregate()
+let lotDetailCode = null;
+let lotAnalysesRequest = null;  // Cancels loading the analyses of a lot that was closed
+
+/**
+ * Get every lot in the register
+ * @returns {Object} Lots by code
+ */
+function getLots() {
+    try {
+        return JSON.parse(localStorage.getItem(LOTS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error parsing lots:', error);
+        return {};
+    }
+}
+
+/**
+ * Get a lot from the register
+ * @param {string} code - Lot code
+ * @returns {Object|null} { code, supplier, origin, variety, harvest_date, storage, created_at }, or null
+ */
+function getLot(code) {
+    return getLots()[code] || null;
+}
+
+/**
+ * Store a lot, replacing any lot with the same code
+ * @param {Object} lot - Lot
+ */
+function saveLot(lot) {
+    const lots = getLots();
+    lots[lot.code] = lot;
+    localStorage.setItem(LOTS_STORAGE_KEY, JSON.stringify(lots));
+}
+
+/**
+ * Remove a lot from the register
+ * @param {string} code - Lot code
+ */
+function deleteLot(code) {
+    const lots = getLots();
+    delete lots[code];
+    localStorage.setItem(LOTS_STORAGE_KEY, JSON.stringify(lots));
+
+    if (localStorage.getItem(ACTIVE_LOT_KEY) === code) {
+        localStorage.removeItem(ACTIVE_LOT_KEY);
+    }
+}
+
+/**
+ * Get the lot new analyses are attached to
+ * @returns {Object|null} Lot details as sent with the analysis, or null when no lot is selected
+ */
+function getActiveLot() {
+    const lot = getLot(localStorage.getItem(ACTIVE_LOT_KEY));
+    if (!lot) {
+        return null;
+    }
+
+    // Analyses keep a copy of the lot's details, without register bookkeeping
+    const { created_at, ...details } = lot;
+    return details;
+}
+
+/**
+ * Choose the lot new analyses are attached to
+ * @param {string} code - Lot code, or '' for none
+ */
+function setActiveLot(code) {
+    if (code) {
+        localStorage.setItem(ACTIVE_LOT_KEY, code);
+    } else {
+        localStorage.removeItem(ACTIVE_LOT_KEY);
+    }
+    populateLotSelect();
+}
+
+/**
+ * Check a lot before it is saved
+ * @param {Object} lot - Lot from the form
+ * @param {boolean} isNew - True when the lot is being created
+ * @returns {string|null} Message key of the problem, or null when the lot is valid
+ */
+function validateLot(lot, isNew) {
+    if (!lot.code || lot.code.length > LOT_CODE_MAX_LENGTH) {
+        return 'lots.error.code';
+    }
+    if (isNew && getLot(lot.code)) {
+        return 'lots.error.codeTaken';
+    }
+    if (lot.harvest_date && lot.harvest_date > toLocalDateString(new Date())) {
+        return 'lots.error.harvestFuture';
+    }
+    return null;
+}
+
+// =============================================
+// LOT SELECTOR AND FORM
+// =============================================
+
+/**
+ * Initialize the lot selector, lot modal and lots section
+ */
+function initializeLots() {
+    const select = document.getElementById('lotSelect');
+    select.addEventListener('change', () => setActiveLot(select.value));
+
+    document.getElementById('newLotBtn').addEventListener('click', () => openLotForm('create'));
+    document.getElementById('lotCreateBtn').addEventListener('click', () => openLotForm('create'));
+    document.getElementById('closeLotModal').addEventListener('click', closeLotForm);
+    document.getElementById('cancelLotForm').addEventListener('click', closeLotForm);
+    document.getElementById('lotForm').addEventListener('submit', submitLotForm);
+    document.getElementById('lotScanBtn').addEventListener('click', () => {
+        if (lotScanStream) {
+            stopLotScan();
+        } else {
+            startLotScan();
+        }
+    });
+
+    document.getElementById('lotEditBtn').addEventListener('click', () => openLotForm('edit', getLot(lotDetailCode)));
+    document.getElementById('lotDeleteBtn').addEventListener('click', removeDetailLot);
+    document.getElementById('lotCloseBtn').addEventListener('click', () => showLotDetail(null));
+
+    // Reload whenever the section is opened
+    document.querySelector('.nav-item[data-section="lots"]').addEventListener('click', loadLots);
+
+    document.addEventListener('languagechange', () => {
+        populateLotSelect();
+        if (document.getElementById('lotsSection').classList.contains('active')) {
+            renderLots();
+        }
+    });
+
+    populateLotSelect();
+}
+
+/**
+ * List the registered lots in the upload screen's lot selector
+ */
+function populateLotSelect() {
+    const select = document.getElementById('lotSelect');
+    const active = getActiveLot();
+
+    select.innerHTML = `<option value="" data-i18n="lots.none">${t('lots.none')}</option>`;
+    Object.values(getLots())
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .forEach(lot => {
+            const option = document.createElement('option');
+            option.value = lot.code;
+            // Codes and suppliers are typed or scanned, so never inject them as HTML
+            option.textContent = lot.supplier ? `${lot.code} – ${lot.supplier}` : lot.code;
+            select.appendChild(option);
+        });
+    select.value = active ? active.code : '';
+}
+
+/**
+ * Open the lot modal
+ * @param {string} mode - 'create' or 'edit'
+ * @param {Object} lot - Lot being edited (not needed for 'create')
+ */
+function openLotForm(mode, lot = null) {
+    lotFormMode = mode;
+
+    // Keep the title's key so a language change re-translates it
+    const title = document.getElementById('lotModalTitle');
+    title.dataset.i18n = mode === 'create' ? 'lots.new' : 'lots.editTitle';
+    title.textContent = t(title.dataset.i18n);
+    document.getElementById('lotForm').reset();
+    document.getElementById('lotFormError').classList.add('hidden');
+
+    const code = document.getElementById('lotFormCode');
+    code.value = lot ? lot.code : '';
+    code.readOnly = mode !== 'create';
+    document.getElementById('lotFormSupplier').value = lot ? lot.supplier : '';
+    document.getElementById('lotFormOrigin').value = lot ? lot.origin : '';
+    document.getElementById('lotFormVariety').value = lot ? lot.variety : '';
+    document.getElementById('lotFormHarvestDate').value = lot ? lot.harvest_date : '';
+    document.getElementById('lotFormHarvestDate').max = toLocalDateString(new Date());
+    document.getElementById('lotFormStorage').value = lot ? lot.storage : '';
+
+    // Scanning fills in the code, which cannot change once analyses refer to it
+    const scanBtn = document.getElementById('lotScanBtn');
+    scanBtn.classList.toggle('hidden', mode !== 'create');
+    scanBtn.disabled = !('BarcodeDetector' in window) || !navigator.mediaDevices;
+    scanBtn.title = scanBtn.disabled ? t('lots.scanUnsupported') : '';
+
+    openDialog(document.getElementById('lotModal'));
+}
+
+/**
+ * Close the lot modal
+ */
+function closeLotForm() {
+    stopLotScan();
+    closeDialog(document.getElementById('lotModal'));
+    lotFormMode = null;
+}
+
+/**
+ * Read the lot modal
+ * @returns {Object} Lot fields
+ */
+function readLotForm() {
+    const value = id => document.getElementById(id).value.trim();
+    const storage = document.getElementById('lotFormStorage').value;
+
+    return {
+        code: value('lotFormCode'),
+        supplier: value('lotFormSupplier'),
+        origin: value('lotFormOrigin'),
+        variety: value('lotFormVariety'),
+        harvest_date: document.getElementById('lotFormHarvestDate').value,
+        storage: LOT_STORAGE_CONDITIONS.includes(storage) ? storage : ''
+    };
+}
+
+/**
+ * Save the lot modal
+ * @param {Event} e - Submit event
+ */
+function submitLotForm(e) {
+    e.preventDefault();
+
+    const isNew = lotFormMode === 'create';
+    const lot = readLotForm();
+    const error = validateLot(lot, isNew);
+    if (error) {
+        const errorBox = document.getElementById('lotFormError');
+        errorBox.textContent = t(error, { max: formatNumber(LOT_CODE_MAX_LENGTH) });
+        errorBox.classList.remove('hidden');
+        return;
+    }
+
+    const existing = getLot(lot.code);
+    saveLot({ ...lot, created_at: existing ? existing.created_at : new Date().toISOString() });
+    closeLotForm();
+
+    // A new lot is usually created to analyze it right away
+    if (isNew) {
+        setActiveLot(lot.code);
+    } else {
+        populateLotSelect();
+    }
+    showToast(t(isNew ? 'lots.created' : 'lots.updated', { code: lot.code }));
+
+    if (document.getElementById('lotsSection').classList.contains('active')) {
+        renderLots();
+    }
+}
+
+// =============================================
+// CODE SCANNING
+// =============================================
+
+/**
+ * Read the lot code from a QR code or barcode in front of the camera
+ */
+async function startLotScan() {
+    const video = document.getElementById('lotScanVideo');
+    const scanBtn = document.getElementById('lotScanBtn');
+
+    try {
+        lotScanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    } catch (error) {
+        console.error('Camera error:', error);
+        showToast(t('toast.cameraDenied'), 'error');
+        return;
+    }
+
+    video.srcObject = lotScanStream;
+    video.classList.remove('hidden');
+    scanBtn.textContent = t('lots.stopScan');
+
+    const detector = new BarcodeDetector();
+    const detect = async () => {
+        if (!lotScanStream) return;
+
+        try {
+            const [code] = await detector.detect(video);
+            if (code && code.rawValue.trim()) {
+                useScannedLotCode(code.rawValue.trim());
+                return;
+            }
+        } catch (error) {
+            // The first frames arrive before the video has a size; keep looking
+        }
+        lotScanTimer = setTimeout(detect, LOT_SCAN_INTERVAL_MS);
+    };
+    detect();
+}
+
+/**
+ * Stop scanning and release the camera
+ */
+function stopLotScan() {
+    clearTimeout(lotScanTimer);
+    lotScanTimer = null;
+
+    if (lotScanStream) {
+        lotScanStream.getTracks().forEach(track => track.stop());
+        lotScanStream = null;
+    }
+
+    const video = document.getElementById('lotScanVideo');
+    video.srcObject = null;
+    video.classList.add('hidden');
+    document.getElementById('lotScanBtn').textContent = t('lots.scan');
+}
+
+/**
+ * Use a scanned code: select the lot if it is registered, otherwise fill in the new lot's code
+ * @param {string} code - Scanned code
+ */
+function useScannedLotCode(code) {
+    stopLotScan();
+
+    if (getLot(code)) {
+        closeLotForm();
+        setActiveLot(code);
+        showToast(t('lots.selected', { code: code }));
+        return;
+    }
+
+    document.getElementById('lotFormCode').value = code.slice(0, LOT_CODE_MAX_LENGTH);
+    document.getElementById('lotFormSupplier').focus();
+    showToast(t('lots.scanned', { code: code }));
+}
+
+// =============================================
+// LOTS VIEW
+// =============================================
+
+/**
+ * Summarize the stored analyses per lot and show the lots
+ */
+async function loadLots() {
+    try {
+        lotGroups = (await getHistoryAggregate({}, 'lot')).groups;
+    } catch (error) {
+        console.error('History error:', error);
+        lotGroups = [];
+        showToast(t('history.unavailable'), 'error');
+    }
+    renderLots();
+}
+
+/**
+ * Every known lot: the register plus lots only seen on stored analyses
+ * @returns {Array<Object>} Lots, newest first
+ */
+function getKnownLots() {
+    const lots = getLots();
+
+    // Each lot seen on analyses keeps the details recorded with its latest one
+    lotGroups.forEach(group => {
+        const lot = group.latest.lot;
+        if (lot && !lots[group.key]) {
+            lots[group.key] = { ...lot, code: group.key, created_at: group.latest.timestamp };
+        }
+    });
+
+    return Object.values(lots).sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Summary of the stored analyses of a lot
+ * @param {string} code - Lot code
+ * @returns {Object} Result of summarizeLot()
+ */
+function getLotSummary(code) {
+    return summarizeLot(lotGroups.find(group => group.key === code));
+}
+
+/**
+ * Render the lots table and the open lot
+ */
+function renderLots() {
+    const body = document.getElementById('lotsTableBody');
+    const lots = getKnownLots();
+
+    document.getElementById('lotsCount').textContent = t('lots.count', { count: formatNumber(lots.length) });
+    body.innerHTML = '';
+
+    if (lots.length === 0) {
+        body.innerHTML = `<tr><td colspan="7" class="empty-state">${t('lots.empty')}</td></tr>`;
+    }
+
+    lots.forEach(lot => {
+        const summary = getLotSummary(lot.code);
+        const recommendation = recommendLot(summary);
+        const row = document.createElement('tr');
+
+        row.innerHTML = `
+            <td><strong></strong></td>
+            <td></td>
+            <td></td>
+            <td>${lot.harvest_date ? formatLotDate(lot.harvest_date) : '--'}</td>
+            <td>${formatNumber(summary.count)}</td>
+            <td><span class="lot-decision ${recommendation.decision}">${t(`lots.decision.${recommendation.decision}`)}</span></td>
+            <td><button class="btn-secondary">${t('history.open')}</button></td>
+        `;
+        row.querySelector('strong').textContent = lot.code;
+        row.children[1].textContent = lot.supplier || '--';
+        row.children[2].textContent = lot.variety || '--';
+        row.querySelector('button').addEventListener('click', () => showLotDetail(lot.code));
+
+        body.appendChild(row);
+    });
+
+    const stillKnown = lots.some(lot => lot.code === lotDetailCode);
+    showLotDetail(stillKnown ? lotDetailCode : null);
+}
+
+/**
+ * Show the detail card of a lot
+ * @param {string|null} code - Lot code, or null to close the card
+ */
+function showLotDetail(code) {
+    const card = document.getElementById('lotDetail');
+    const lot = code ? getKnownLots().find(known => known.code === code) : null;
+
+    lotDetailCode = lot ? code : null;
+    card.classList.toggle('hidden', !lot);
+    if (!lot) {
+        return;
+    }
+
+    const summary = getLotSummary(code);
+    const registered = Boolean(getLot(code));
+
+    document.getElementById('lotDetailTitle').textContent = t('lots.detailTitle', { code: code });
+    renderLotMetadata(lot);
+    renderLotRecommendation(recommendLot(summary));
+    renderLotSummary(summary);
+    loadLotAnalyses(code);
+
+    // Lots that only exist on stored analyses cannot be edited, and lots with analyses stay listed anyway
+    document.getElementById('lotEditBtn').disabled = !registered;
+    const deleteBtn = document.getElementById('lotDeleteBtn');
+    deleteBtn.disabled = !registered || summary.count > 0;
+    deleteBtn.title = summary.count > 0 ? t('lots.deleteHasAnalyses') : '';
+}
+
+/**
+ * Delete the lot in the detail card
+ */
+function removeDetailLot() {
+    if (!confirm(t('lots.confirmDelete', { code: lotDetailCode }))) return;
+
+    const code = lotDetailCode;
+    deleteLot(code);
+    populateLotSelect();
+    renderLots();
+    showToast(t('lots.deleted', { code: code }));
+}
+
+/**
+ * Format a YYYY-MM-DD date in the chosen locale
+ * @param {string} value - Date string
+ * @returns {string} Formatted date
+ */
+function formatLotDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(getLocale(), { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+/**
+ * Fill the lot's details
+ * @param {Object} lot - Lot
+ */
+function renderLotMetadata(lot) {
+    const fields = [
+        ['lots.supplier', lot.supplier],
+        ['lots.origin', lot.origin],
+        ['lots.variety', lot.variety],
+        ['lots.harvestDate', lot.harvest_date ? formatLotDate(lot.harvest_date) : ''],
+        ['lots.storageCondition', lot.storage ? t(`lots.storage.${lot.storage}`) : '']
+    ];
+
+    const list = document.getElementById('lotMetadata');
+    list.innerHTML = '';
+    fields.forEach(([key, value]) => {
+        const item = document.createElement('div');
+        item.innerHTML = `<dt>${t(key)}</dt><dd></dd>`;
+        item.querySelector('dd').textContent = value || '--';
+        list.appendChild(item);
+    });
+}
+
+// =============================================
+// RECOMMENDATION
+// =============================================
+
+/**
+ * Roll up the analyses of a lot
+ * Grades and the safe-to-eat verdict are the ones stored with each analysis.
+ * @param {Object|undefined} group - The lot's group from getHistoryAggregate(), undefined without analyses
+ * @returns {Object} { count, unsafe, graded, unsafeShare (% of the graded analyses), meanFreshness (null without
+ *                    scores), grades (grade → count) }
+ */
+function summarizeLot(group) {
+    if (!group) {
+        return { count: 0, unsafe: 0, graded: 0, unsafeShare: 0, meanFreshness: null, grades: {} };
+    }
+
+    return {
+        count: group.count,
+        unsafe: group.unsafeCount,
+        graded: group.gradedCount,
+        unsafeShare: group.gradedCount > 0 ? group.unsafeCount / group.gradedCount * 100 : 0,
+        meanFreshness: group.meanFreshness,
+        grades: group.grades
+    };
+}
+
+/**
+ * Recommend accepting or rejecting a lot (see LOT_RULES)
+ * @param {Object} summary - Result of summarizeLot()
+ * @returns {Object} { decision ('accept', 'reject' or 'insufficient'), reasons: [{ key, params }] }
+ */
+function recommendLot(summary) {
+    if (summary.count < LOT_RULES.minAnalyses) {
+        return {
+            decision: 'insufficient',
+            reasons: [{ key: 'lots.reason.tooFew', params: { count: summary.count, min: LOT_RULES.minAnalyses } }]
+        };
+    }
+
+    const reasons = [];
+    if (summary.unsafeShare > LOT_RULES.maxUnsafeShare) {
+        reasons.push({ key: 'lots.reason.unsafe', params: { share: summary.unsafeShare, max: LOT_RULES.maxUnsafeShare } });
+    }
+    if (summary.meanFreshness === null || summary.meanFreshness < LOT_RULES.minMeanFreshness) {
+        reasons.push({ key: 'lots.reason.freshness', params: { freshness: summary.meanFreshness, min: LOT_RULES.minMeanFreshness } });
+    }
+
+    if (reasons.length > 0) {
+        return { decision: 'reject', reasons: reasons };
+    }
+    return {
+        decision: 'accept',
+        reasons: [{
+            key: 'lots.reason.meetsRules',
+            params: { share: summary.unsafeShare, max: LOT_RULES.maxUnsafeShare, freshness: summary.meanFreshness, min: LOT_RULES.minMeanFreshness }
+        }]
+    };
+}
+
+/**
+ * Show the recommendation and why it was made
+ * @param {Object} recommendation - Result of recommendLot()
+ */
+function renderLotRecommendation(recommendation) {
+    const box = document.getElementById('lotRecommendation');
+    const formats = {
+        count: value => formatNumber(value),
+        min: value => formatNumber(value),
+        share: value => formatPercent(value, 1),
+        max: value => formatPercent(value, 0),
+        freshness: value => (value === null ? '--' : formatNumber(value, 1))
+    };
+    const format = params => Object.fromEntries(
+        Object.entries(params).map(([name, value]) => [name, formats[name](value)])
+    );
+
+    box.className = `lot-recommendation ${recommendation.decision}`;
+    box.innerHTML = `
+        <strong>${t(`lots.decision.${recommendation.decision}`)}</strong>
+        <ul>${recommendation.reasons.map(reason => `<li>${t(reason.key, format(reason.params))}</li>`).join('')}</ul>
+    `;
+}
+
+/**
+ * Fill the lot's summary cards
+ * @param {Object} summary - Result of summarizeLot()
+ */
+function renderLotSummary(summary) {
+    document.getElementById('lotAnalysesCount').textContent = formatNumber(summary.count);
+    document.getElementById('lotMeanFreshness').textContent =
+        summary.meanFreshness === null ? '--' : formatNumber(summary.meanFreshness, 1);
+    document.getElementById('lotUnsafeShare').textContent = summary.graded > 0 ? formatPercent(summary.unsafeShare, 1) : '--';
+    document.getElementById('lotUnsafeCount').textContent = t('analytics.unsafeCount', {
+        count: formatNumber(summary.unsafe),
+        total: formatNumber(summary.graded)
+    });
+
+    // Built-in grades in their usual order, then any custom grades
+    const gradeOrder = DEFAULT_GRADES.map(grade => grade.name);
+    const rank = name => gradeOrder.indexOf(name) + 1 || gradeOrder.length + 1;
+    const grades = Object.entries(summary.grades).sort((a, b) => rank(a[0]) - rank(b[0]));
+
+    const gradeList = document.getElementById('lotGrades');
+    gradeList.textContent = grades.length === 0 ? '--' : '';
+    grades.forEach(([name, count]) => {
+        gradeList.append(createGradeBadge(name, `${tValue('grades', name)} × ${formatNumber(count)}`), ' ');
+    });
+}
+
+/**
+ * Load the latest analyses of a lot into its detail card
+ * @param {string} code - Lot code
+ */
+async function loadLotAnalyses(code) {
+    if (lotAnalysesRequest) {
+        lotAnalysesRequest.abort();
+    }
+    const request = new AbortController();
+    lotAnalysesRequest = request;
+
+    let page;
+    try {
+        page = await getHistoryPage({ lot: code }, 1, request.signal);
+    } catch (error) {
+        if (isAbortedRequest(error)) return;
+        console.error('History error:', error);
+        page = { items: [], total: 0 };
+    }
+    if (request === lotAnalysesRequest && code === lotDetailCode) {
+        renderLotAnalyses(page.items, page.total);
+    }
+}
+
+/**
+ * List the analyses of a lot
+ * @param {Array<Object>} entries - The lot's latest history entries, newest first
+ * @param {number} total - Number of analyses in the lot
+ */
+function renderLotAnalyses(entries, total = entries.length) {
+    const body = document.getElementById('lotAnalysesBody');
+
+    if (entries.length === 0) {
+        body.innerHTML = `<tr><td colspan="6" class="empty-state">${t('lots.noAnalyses')}</td></tr>`;
+        return;
+    }
+
+    body.innerHTML = '';
+    entries.forEach(entry => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${formatDate(entry.timestamp)}</td>
+            <td></td>
+            <td>${formatNumber(entry.results.freshness_score)}</td>
+            <td></td>
+            <td>${t(entry.safeToEat ? 'analyze.safeToEat' : 'analyze.notRecommended')}</td>
+            <td><button class="btn-secondary">${t('history.open')}</button></td>
+        `;
+        // Stored values are shown as text; results can come from other users
+        row.cells[1].appendChild(createGradeBadge(entry.grade));
+        row.cells[3].textContent = tValue('risk', entry.results.spoilage_risk);
+        row.querySelector('button').addEventListener('click', () => openHistoryEntry(entry.id));
+        body.appendChild(row);
+    });
+
+    if (total > entries.length) {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td colspan="6" class="empty-state">${t('lots.latestAnalyses', { shown: formatNumber(entries.length), total: formatNumber(total) })}</td>`;
+        body.appendChild(row);
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * OVERLAY.JS
+ * Spoilage heat-map overlay on the analyzed image
+ * Features: Label mask rendering, overlay toggle, opacity slider, per-class legend
+ */
+
+// =============================================
+// OVERLAY
+// =============================================
+
+// Label mask digits: 0 = background, 1 = fresh, 2 = spoiled (legend text: overlay.<key>; colorblind-safe colors)
+const OVERLAY_CLASSES = [
+    { key: 'background', color: CHART_PALETTE.grey },
+    { key: 'fresh', color: CHART_PALETTE.blue },
+    { key: 'spoiled', color: CHART_PALETTE.vermillion }
+];
+
+let overlayMask = null;
+
+/**
+ * Initialize overlay controls
+ */
+function initializeOverlay() {
+    const toggle = document.getElementById('overlayToggle');
+    const opacity = document.getElementById('overlayOpacity');
+    const legend = document.getElementById('overlayLegend');
+
+    OVERLAY_CLASSES.forEach(cls => {
+        const item = document.createElement('label');
+        item.className = 'overlay-legend-item';
+        item.innerHTML = `
+            <input type="checkbox" data-class="${cls.key}" ${cls.key === 'background' ? '' : 'checked'}>
+            <span class="overlay-swatch" style="background: rgb(${cls.color.join(', ')})"></span>
+            <span data-i18n="overlay.${cls.key}">${t(`overlay.${cls.key}`)}</span>
+        `;
+        item.querySelector('input').addEventListener('change', renderOverlay);
+        legend.appendChild(item);
+    });
+
+    toggle.addEventListener('change', () => {
+        document.getElementById('overlayCanvas').classList.toggle('hidden', !toggle.checked);
+    });
+
+    opacity.addEventListener('input', () => {
+        document.getElementById('overlayCanvas').style.opacity = opacity.value / 100;
+        document.getElementById('overlayOpacityValue').textContent = formatPercent(opacity.value);
+    });
+}
+
+/**
+ * Show the analyzed image with its label mask
+ * @param {Object} results - Analysis results
+ */
+function displaySpoilageOverlay(results) {
+    const card = document.getElementById('overlayCard');
+    const image = document.getElementById('overlayImage');
+    const unavailable = document.getElementById('overlayUnavailable');
+
+    if (!analysisImageUrl) {
+        card.classList.add('hidden');
+        return;
+    }
+
+    card.classList.remove('hidden');
+    image.src = analysisImageUrl;
+
+    overlayMask = results.label_mask || null;
+    unavailable.classList.toggle('hidden', Boolean(overlayMask));
+    document.getElementById('overlayControls').classList.toggle('hidden', !overlayMask);
+
+    renderOverlay();
+}
+
+/**
+ * Draw the current label mask onto the overlay canvas
+ */
+function renderOverlay() {
+    const canvas = document.getElementById('overlayCanvas');
+    if (!overlayMask) {
+        canvas.width = 0;
+        canvas.height = 0;
+        return;
+    }
+
+    const visible = {};
+    document.querySelectorAll('#overlayLegend input').forEach(input => {
+        visible[input.dataset.class] = input.checked;
+    });
+
+    // One canvas pixel per mask cell; CSS stretches it over the image
+    canvas.width = overlayMask.width;
+    canvas.height = overlayMask.height;
+
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(overlayMask.width, overlayMask.height);
+
+    for (let i = 0; i < overlayMask.data.length; i++) {
+        const cls = OVERLAY_CLASSES[Number(overlayMask.data[i])];
+        if (!cls || !visible[cls.key]) continue;
+
+        imageData.data.set([...cls.color, 255], i * 4);
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+}
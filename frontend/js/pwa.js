@@ -0,0 +1,70 @@
+/**
+ * PWA.JS
+ * Installable app support shared by the login and dashboard pages
+ * Features: Service worker registration (offline app shell), install button, connectivity check
+ */
+
+// =============================================
+// SERVICE WORKER
+// =============================================
+
+const SERVICE_WORKER_URL = 'sw.js';
+
+let deferredInstallPrompt = null;
+
+/**
+ * Register the service worker that keeps the app shell available offline
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null where service workers are unavailable (e.g. file://)
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+        return Promise.resolve(null);
+    }
+
+    return navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+        console.warn('Service worker registration failed:', error);
+        return null;
+    });
+}
+
+/**
+ * Check whether the browser reports having no network connection
+ * @returns {boolean} True when offline
+ */
+function isOffline() {
+    return navigator.onLine === false;
+}
+
+// =============================================
+// INSTALL BUTTON
+// =============================================
+
+/**
+ * Show an install button once the browser offers to install the app
+ * @param {HTMLButtonElement} button - Button kept hidden until installing is possible
+ */
+function initializeInstallButton(button) {
+    window.addEventListener('beforeinstallprompt', (e) => {
+        // Install from our own button instead of the browser's mini-infobar
+        e.preventDefault();
+        deferredInstallPrompt = e;
+        button.classList.remove('hidden');
+    });
+
+    button.addEventListener('click', async () => {
+        if (!deferredInstallPrompt) {
+            return;
+        }
+        deferredInstallPrompt.prompt();
+        await deferredInstallPrompt.userChoice;
+
+        // A prompt can only be shown once
+        deferredInstallPrompt = null;
+        button.classList.add('hidden');
+    });
+
+    window.addEventListener('appinstalled', () => {
+        deferredInstallPrompt = null;
+        button.classList.add('hidden');
+    });
+}
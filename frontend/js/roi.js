@@ -0,0 +1,486 @@
+/**
+ * ROI.JS
+ * Region-of-interest cropping and multi-fruit detection before analysis
+ * Features: Drag-to-crop on the preview, saturation-based fruit blob detection, per-fruit result cards
+ */
+
+// =============================================
+// INTERACTIVE CROP
+// =============================================
+
+let cropMode = false;
+let cropStart = null;
+let cropRect = null;   // in displayed-image pixels
+
+/**
+ * Initialize crop and multi-fruit controls on the image preview
+ */
+function initializeRoi() {
+    const previewImage = document.getElementById('previewImage');
+
+    document.getElementById('cropBtn').addEventListener('click', startCrop);
+    document.getElementById('applyCropBtn').addEventListener('click', applyCrop);
+    document.getElementById('cancelCropBtn').addEventListener('click', cancelCrop);
+    document.getElementById('resetCropBtn').addEventListener('click', resetCrop);
+
+    // Stop the browser dragging the image itself
+    previewImage.addEventListener('dragstart', (e) => e.preventDefault());
+
+    previewImage.addEventListener('pointerdown', (e) => {
+        if (!cropMode) return;
+        previewImage.setPointerCapture(e.pointerId);
+        cropStart = getPointerPosition(e, previewImage);
+        cropRect = null;
+    });
+
+    previewImage.addEventListener('pointermove', (e) => {
+        if (!cropMode || !cropStart) return;
+        const point = getPointerPosition(e, previewImage);
+        cropRect = {
+            x: Math.min(cropStart.x, point.x),
+            y: Math.min(cropStart.y, point.y),
+            width: Math.abs(point.x - cropStart.x),
+            height: Math.abs(point.y - cropStart.y)
+        };
+        drawCropSelection();
+    });
+
+    previewImage.addEventListener('pointerup', () => {
+        cropStart = null;
+        document.getElementById('applyCropBtn').disabled = !cropRect || cropRect.width < 10 || cropRect.height < 10;
+    });
+
+    document.addEventListener('languagechange', () => {
+        if (!document.getElementById('multiFruitCard').classList.contains('hidden')) {
+            displayMultiFruitResults(multiFruitResults);
+        }
+    });
+}
+
+/**
+ * Get a pointer position relative to an element, clamped to its box
+ * @param {PointerEvent} e - Pointer event
+ * @param {HTMLElement} element - Target element
+ * @returns {Object} { x, y }
+ */
+function getPointerPosition(e, element) {
+    const box = element.getBoundingClientRect();
+    return {
+        x: Math.max(0, Math.min(box.width, e.clientX - box.left)),
+        y: Math.max(0, Math.min(box.height, e.clientY - box.top))
+    };
+}
+
+/**
+ * Show the crop rectangle on top of the preview
+ */
+function drawCropSelection() {
+    const selection = document.getElementById('cropSelection');
+    selection.classList.remove('hidden');
+    selection.style.left = `${cropRect.x}px`;
+    selection.style.top = `${cropRect.y}px`;
+    selection.style.width = `${cropRect.width}px`;
+    selection.style.height = `${cropRect.height}px`;
+}
+
+/**
+ * Enter crop mode
+ */
+function startCrop() {
+    cropMode = true;
+    cropRect = null;
+    clearFruitBoxes();
+
+    document.getElementById('imagePreview').classList.add('cropping');
+    document.getElementById('applyCropBtn').disabled = true;
+    toggleCropButtons(true);
+    showToast(t('roi.dragHint'));
+}
+
+/**
+ * Leave crop mode without changing the image
+ */
+function cancelCrop() {
+    cropMode = false;
+    cropStart = null;
+    cropRect = null;
+
+    document.getElementById('imagePreview').classList.remove('cropping');
+    document.getElementById('cropSelection').classList.add('hidden');
+    toggleCropButtons(false);
+}
+
+/**
+ * Swap between the crop and normal preview buttons
+ * @param {boolean} isCropping - True while selecting a region
+ */
+function toggleCropButtons(isCropping) {
+    document.getElementById('cropBtn').classList.toggle('hidden', isCropping);
+    document.getElementById('applyCropBtn').classList.toggle('hidden', !isCropping);
+    document.getElementById('cancelCropBtn').classList.toggle('hidden', !isCropping);
+    document.getElementById('resetCropBtn').classList.toggle('hidden', isCropping || !uploadedImage || !uploadedImage.original);
+}
+
+/**
+ * Replace the uploaded image with the selected region
+ */
+async function applyCrop() {
+    if (!cropRect || !uploadedImage) return;
+
+    const previewImage = document.getElementById('previewImage');
+    // The preview may not keep the image's aspect ratio, so each axis has its own scale
+    const scaleX = previewImage.naturalWidth / previewImage.clientWidth;
+    const scaleY = previewImage.naturalHeight / previewImage.clientHeight;
+    const region = {
+        x: Math.round(cropRect.x * scaleX),
+        y: Math.round(cropRect.y * scaleY),
+        width: Math.round(cropRect.width * scaleX),
+        height: Math.round(cropRect.height * scaleY)
+    };
+
+    try {
+        const cropped = await cropImageRegion(previewImage, region, 'cropped.jpg');
+        uploadedImage = {
+            ...cropped,
+            original: uploadedImage.original || { file: uploadedImage.file, dataUrl: uploadedImage.dataUrl }
+        };
+        previewImage.src = cropped.dataUrl;
+        showToast(t('roi.cropped'));
+    } catch (error) {
+        console.error('Crop error:', error);
+        showToast(t('roi.cropFailed'), 'error');
+    }
+
+    cancelCrop();
+}
+
+/**
+ * Restore the image as it was before cropping
+ */
+function resetCrop() {
+    if (!uploadedImage || !uploadedImage.original) return;
+
+    uploadedImage = uploadedImage.original;
+    document.getElementById('previewImage').src = uploadedImage.dataUrl;
+    clearFruitBoxes();
+    toggleCropButtons(false);
+}
+
+/**
+ * Cut a region out of an image
+ * @param {HTMLImageElement} img - Loaded source image
+ * @param {Object} region - { x, y, width, height } in natural pixels
+ * @param {string} name - File name for the result
+ * @returns {Promise<Object>} { file, dataUrl }
+ */
+function cropImageRegion(img, region, name) {
+    const canvas = document.createElement('canvas');
+    canvas.width = region.width;
+    canvas.height = region.height;
+    canvas.getContext('2d').drawImage(
+        img,
+        region.x, region.y, region.width, region.height,
+        0, 0, region.width, region.height
+    );
+
+    const dataUrl = canvas.toDataURL('image/jpeg', 0.92);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (!blob) {
+                reject(new Error('Unable to encode cropped image'));
+                return;
+            }
+            resolve({ file: new File([blob], name, { type: 'image/jpeg' }), dataUrl: dataUrl });
+        }, 'image/jpeg', 0.92);
+    });
+}
+
+// =============================================
+// MULTI-FRUIT DETECTION
+// =============================================
+
+const DETECTION_MAX_SIZE = 160;
+const DETECTION_MIN_AREA = 0.005;   // blobs smaller than 0.5% of the frame are noise
+const DETECTION_MAX_FRUITS = 12;
+
+let multiFruitResults = [];   // last per-fruit results, re-rendered on language change
+const DETECTION_PADDING = 0.08;
+
+/**
+ * Otsu threshold for a 256-bin histogram
+ * @param {Uint32Array} histogram - Value counts
+ * @param {number} total - Number of samples
+ * @returns {number} Threshold (0-255)
+ */
+function otsuThreshold(histogram, total) {
+    let sum = 0;
+    for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let bestVariance = 0;
+    let threshold = 0;
+
+    for (let i = 0; i < 256; i++) {
+        weightBackground += histogram[i];
+        if (weightBackground === 0) continue;
+        const weightForeground = total - weightBackground;
+        if (weightForeground === 0) break;
+
+        sumBackground += i * histogram[i];
+        const meanBackground = sumBackground / weightBackground;
+        const meanForeground = (sum - sumBackground) / weightForeground;
+        const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            threshold = i;
+        }
+    }
+
+    return threshold;
+}
+
+/**
+ * Find fruit-sized blobs of saturated color
+ * Fruit skin is far more saturated than trays, tables and walls, so an Otsu split
+ * on HSV saturation separates them without a trained model.
+ * @param {Uint8ClampedArray} rgba - RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Array<Object>} Bounding boxes { x, y, width, height, area }, largest first
+ */
+function findFruitBlobs(rgba, width, height) {
+    const count = width * height;
+    const saturation = new Uint8Array(count);
+    const histogram = new Uint32Array(256);
+
+    for (let i = 0; i < count; i++) {
+        const r = rgba[i * 4];
+        const g = rgba[i * 4 + 1];
+        const b = rgba[i * 4 + 2];
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        saturation[i] = max === 0 ? 0 : Math.round(255 * (max - min) / max);
+        histogram[saturation[i]]++;
+    }
+
+    const threshold = otsuThreshold(histogram, count);
+    const visited = new Uint8Array(count);
+    const blobs = [];
+    const stack = [];
+
+    for (let start = 0; start < count; start++) {
+        if (visited[start] || saturation[start] <= threshold) continue;
+
+        // Flood fill one 4-connected component
+        let minX = width, minY = height, maxX = 0, maxY = 0, area = 0;
+        stack.push(start);
+        visited[start] = 1;
+
+        while (stack.length) {
+            const index = stack.pop();
+            const x = index % width;
+            const y = (index - x) / width;
+            area++;
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+
+            const neighbors = [
+                x > 0 ? index - 1 : -1,
+                x < width - 1 ? index + 1 : -1,
+                y > 0 ? index - width : -1,
+                y < height - 1 ? index + width : -1
+            ];
+            neighbors.forEach(n => {
+                if (n >= 0 && !visited[n] && saturation[n] > threshold) {
+                    visited[n] = 1;
+                    stack.push(n);
+                }
+            });
+        }
+
+        if (area >= DETECTION_MIN_AREA * count) {
+            blobs.push({ x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1, area: area });
+        }
+    }
+
+    return blobs
+        .sort((a, b) => b.area - a.area)
+        .slice(0, DETECTION_MAX_FRUITS);
+}
+
+/**
+ * Detect fruits in a loaded image
+ * @param {HTMLImageElement} img - Loaded image
+ * @returns {Array<Object>} Padded regions { x, y, width, height } in natural pixels
+ */
+function detectFruitRegions(img) {
+    const scale = Math.min(1, DETECTION_MAX_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+    return findFruitBlobs(data, canvas.width, canvas.height).map(blob => {
+        const padX = blob.width * DETECTION_PADDING;
+        const padY = blob.height * DETECTION_PADDING;
+        const x = Math.max(0, (blob.x - padX) / scale);
+        const y = Math.max(0, (blob.y - padY) / scale);
+
+        return {
+            x: Math.round(x),
+            y: Math.round(y),
+            width: Math.round(Math.min(img.naturalWidth - x, (blob.width + 2 * padX) / scale)),
+            height: Math.round(Math.min(img.naturalHeight - y, (blob.height + 2 * padY) / scale))
+        };
+    });
+}
+
+/**
+ * Outline detected fruits on the preview
+ * @param {Array<Object>} regions - Regions in natural pixels
+ */
+function drawFruitBoxes(regions) {
+    const previewImage = document.getElementById('previewImage');
+    const canvas = document.getElementById('roiCanvas');
+    canvas.width = previewImage.naturalWidth;
+    canvas.height = previewImage.naturalHeight;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.lineWidth = Math.max(2, canvas.width / 200);
+    ctx.strokeStyle = '#4f46e5';
+    ctx.fillStyle = '#4f46e5';
+    ctx.font = `${Math.max(14, canvas.width / 30)}px Poppins, sans-serif`;
+
+    regions.forEach((region, index) => {
+        ctx.strokeRect(region.x, region.y, region.width, region.height);
+        ctx.fillText(`#${index + 1}`, region.x + 4, region.y + Math.max(16, canvas.width / 28));
+    });
+
+    canvas.classList.remove('hidden');
+}
+
+/**
+ * Remove detection boxes from the preview
+ */
+function clearFruitBoxes() {
+    document.getElementById('roiCanvas').classList.add('hidden');
+}
+
+/**
+ * Detect each fruit in the uploaded image and analyze them separately
+ * @returns {Promise<number>} Number of fruits analyzed (0 if none were found)
+ */
+async function analyzeEachFruit() {
+    const previewImage = document.getElementById('previewImage');
+    const regions = detectFruitRegions(previewImage);
+    if (regions.length === 0) {
+        return 0;
+    }
+
+    drawFruitBoxes(regions);
+
+    const fruits = [];
+    for (let i = 0; i < regions.length; i++) {
+        // A failed crop fails only this fruit's card
+        let crop = null;
+        try {
+            crop = await cropImageRegion(previewImage, regions[i], `fruit-${i + 1}.jpg`);
+            const results = await callAnalysisAPI(crop.file);
+            fruits.push({ index: i + 1, results: results, dataUrl: crop.dataUrl });
+
+            saveToHistory(results, crop).catch(error => {
+                console.error('History error:', error);
+            });
+        } catch (error) {
+            console.error(`Analysis error (fruit #${i + 1}):`, error);
+            fruits.push({ index: i + 1, error: error.message || t('error.analysisFailed'), dataUrl: crop ? crop.dataUrl : null });
+        }
+    }
+
+    displayMultiFruitResults(fruits);
+
+    // Open the first successful fruit in the full view
+    const first = fruits.find(fruit => fruit.results);
+    if (first) {
+        showFruitDetails(first);
+    }
+
+    return fruits.length;
+}
+
+/**
+ * Render per-fruit result cards
+ * @param {Array<Object>} fruits - { index, results, dataUrl } or { index, error, dataUrl (null if the crop failed) }
+ */
+function displayMultiFruitResults(fruits) {
+    const card = document.getElementById('multiFruitCard');
+    const list = document.getElementById('multiFruitList');
+
+    multiFruitResults = fruits;
+    document.getElementById('multiFruitCount').textContent = t('roi.detectedCount', { count: formatNumber(fruits.length) });
+    list.innerHTML = '';
+
+    fruits.forEach(fruit => {
+        const item = document.createElement('div');
+        item.className = 'fruit-card';
+        const title = t('roi.fruitNumber', { number: formatNumber(fruit.index) });
+
+        if (fruit.results) {
+            const assessment = calculateQualityGrade(fruit.results);
+            item.innerHTML = `
+                <img src="${fruit.dataUrl}" alt="${title}">
+                <div class="fruit-card-body">
+                    <strong>${title}</strong>
+                    <span class="history-grade ${assessment.gradeClass}">${tValue('grades', assessment.grade)}</span>
+                    <span>${t('history.freshness')} ${formatNumber(fruit.results.freshness_score)}</span>
+                    <span>${t('history.spoilage')} ${tValue('risk', fruit.results.spoilage_risk)}</span>
+                    <button class="btn-secondary">${t('roi.viewDetails')}</button>
+                </div>
+            `;
+            item.querySelector('button').addEventListener('click', () => showFruitDetails(fruit));
+        } else {
+            item.innerHTML = `
+                ${fruit.dataUrl ? `<img src="${fruit.dataUrl}" alt="${title}">` : ''}
+                <div class="fruit-card-body">
+                    <strong>${title}</strong>
+                    <span class="batch-status failed">${t('batch.status.failed')}</span>
+                </div>
+            `;
+            item.querySelector('.batch-status').title = fruit.error;
+        }
+
+        list.appendChild(item);
+    });
+
+    card.classList.remove('hidden');
+}
+
+/**
+ * Show one fruit's results in the full analysis view
+ * @param {Object} fruit - Fruit with results
+ */
+function showFruitDetails(fruit) {
+    analysisResults = fruit.results;
+    analysisImageUrl = fruit.dataUrl;
+    displayAnalysisResults(fruit.results);
+
+    document.querySelectorAll('#multiFruitList .fruit-card').forEach((card, i) => {
+        card.classList.toggle('active', i === fruit.index - 1);
+    });
+}
+
+/**
+ * Hide per-fruit results (a single-fruit analysis replaced them)
+ */
+function hideMultiFruitResults() {
+    document.getElementById('multiFruitCard').classList.add('hidden');
+}
@@ -0,0 +1,246 @@
+/**
+ * SCANNER.JS
+ * Continuous camera scanning for sorting lines
+ * Features: Interval frame sampling, live grade overlay, stability detection, auto-capture log
+ */
+
+// =============================================
+// CONTINUOUS SCAN
+// =============================================
+
+const SCAN_FRAME_MAX_SIZE = 640;
+const SCAN_FRESHNESS_TOLERANCE = 5;
+
+let scanTimer = null;
+let scanInFlight = false;
+let scanReadings = [];
+let scanLastLogged = null;
+
+/**
+ * Initialize continuous scan controls in the camera modal
+ */
+function initializeScanner() {
+    document.getElementById('scanToggleBtn').addEventListener('click', () => {
+        if (scanTimer) {
+            stopContinuousScan();
+        } else {
+            startContinuousScan();
+        }
+    });
+}
+
+/**
+ * Read scan settings from the camera modal
+ * @returns {Object} { intervalMs, stableFrames }
+ */
+function getScanSettings() {
+    const intervalSeconds = parseFloat(document.getElementById('scanInterval').value);
+    const stableFrames = parseInt(document.getElementById('scanStableFrames').value, 10);
+
+    return {
+        intervalMs: Math.max(0.5, Number.isNaN(intervalSeconds) ? 2 : intervalSeconds) * 1000,
+        stableFrames: Math.max(2, Number.isNaN(stableFrames) ? 3 : stableFrames)
+    };
+}
+
+/**
+ * Start sampling frames from the camera
+ */
+function startContinuousScan() {
+    const { intervalMs } = getScanSettings();
+
+    scanReadings = [];
+    scanLastLogged = null;
+    scanTimer = setInterval(scanFrame, intervalMs);
+
+    setScanToggleLabel('camera.stopScan');
+    document.getElementById('scanOverlay').classList.remove('hidden');
+    document.getElementById('scanStatus').textContent = t('scan.waiting');
+
+    scanFrame();
+}
+
+/**
+ * Stop sampling frames
+ */
+function stopContinuousScan() {
+    if (!scanTimer) return;
+
+    clearInterval(scanTimer);
+    scanTimer = null;
+
+    setScanToggleLabel('camera.startScan');
+    document.getElementById('scanOverlay').classList.add('hidden');
+}
+
+/**
+ * Label the scan button (the key is kept so a language change re-translates it)
+ * @param {string} key - Message key
+ */
+function setScanToggleLabel(key) {
+    const button = document.getElementById('scanToggleBtn');
+    button.dataset.i18n = key;
+    button.textContent = t(key);
+}
+
+/**
+ * Grab the current video frame as a JPEG file
+ * @returns {Promise<Object>} { file, dataUrl }, or null if the video is not ready or the frame cannot be encoded
+ */
+function grabVideoFrame() {
+    const video = document.getElementById('cameraStream');
+    if (!video.videoWidth) {
+        return Promise.resolve(null);
+    }
+
+    const scale = Math.min(1, SCAN_FRAME_MAX_SIZE / Math.max(video.videoWidth, video.videoHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    const dataUrl = canvas.toDataURL('image/jpeg', 0.85);
+
+    return new Promise((resolve) => {
+        canvas.toBlob((blob) => {
+            if (!blob) {
+                resolve(null);
+                return;
+            }
+            resolve({
+                file: new File([blob], `scan-${Date.now()}.jpg`, { type: 'image/jpeg' }),
+                dataUrl: dataUrl
+            });
+        }, 'image/jpeg', 0.85);
+    });
+}
+
+/**
+ * Analyze one frame and update the overlay
+ */
+async function scanFrame() {
+    // Skip ticks while the previous frame is still being analyzed
+    if (scanInFlight) return;
+    scanInFlight = true;
+
+    try {
+        const frame = await grabVideoFrame();
+        if (!frame) return;
+
+        // Frames are not stored; logScanResult() saves the stable reading
+        const lot = getActiveLot();
+        const results = await callAnalysisAPI(frame.file, getSelectedFruit(), lot, { store: false });
+        if (!scanTimer) return;
+
+        const reading = createScanReading(results, frame, lot);
+        updateScanOverlay(reading);
+        recordScanReading(reading);
+    } catch (error) {
+        console.error('Scan error:', error);
+        document.getElementById('scanStatus').textContent = t('scan.failed');
+    } finally {
+        scanInFlight = false;
+    }
+}
+
+/**
+ * Grade an analyzed frame
+ * @param {Object} results - Analysis results
+ * @param {Object} frame - Analyzed frame ({ file, dataUrl })
+ * @param {Object|null} lot - Lot the frame was analyzed for
+ * @returns {Object} Reading { grade, gradeClass, freshness, results, frame, lot }
+ */
+function createScanReading(results, frame, lot) {
+    const assessment = calculateQualityGrade(results);
+    return {
+        grade: assessment.grade,
+        gradeClass: assessment.gradeClass,
+        freshness: Number(results.freshness_score),
+        results: results,
+        frame: frame,
+        lot: lot
+    };
+}
+
+/**
+ * Show the latest reading on top of the video
+ * @param {Object} reading - Latest reading
+ */
+function updateScanOverlay(reading) {
+    const gradeEl = document.getElementById('scanGrade');
+    gradeEl.textContent = tValue('grades', reading.grade);
+    gradeEl.className = `scan-grade ${reading.gradeClass}`;
+    document.getElementById('scanFreshness').textContent = t('scan.freshness', { freshness: formatNumber(reading.freshness) });
+}
+
+/**
+ * Check whether two readings agree
+ * @param {Object} a - Reading
+ * @param {Object} b - Reading
+ * @returns {boolean} True for the same grade and similar freshness
+ */
+function readingsMatch(a, b) {
+    return a.grade === b.grade && Math.abs(a.freshness - b.freshness) <= SCAN_FRESHNESS_TOLERANCE;
+}
+
+/**
+ * Track readings and auto-capture once they are stable
+ * @param {Object} reading - Latest reading
+ */
+function recordScanReading(reading) {
+    const { stableFrames } = getScanSettings();
+    const status = document.getElementById('scanStatus');
+
+    // A different reading means the fruit under the camera changed
+    if (scanLastLogged && !readingsMatch(reading, scanLastLogged)) {
+        scanLastLogged = null;
+    }
+
+    scanReadings.push(reading);
+    scanReadings = scanReadings.slice(-stableFrames);
+
+    const isStable = scanReadings.length === stableFrames &&
+        scanReadings.every(r => readingsMatch(r, scanReadings[0]));
+
+    if (scanLastLogged) {
+        status.textContent = t('scan.placeNext');
+    } else if (isStable) {
+        logScanResult(reading);
+        scanLastLogged = reading;
+        scanReadings = [];
+        status.textContent = t('scan.logged');
+    } else {
+        status.textContent = t('scan.stabilizing', { count: formatNumber(scanReadings.length), total: formatNumber(stableFrames) });
+    }
+}
+
+/**
+ * Save a stable reading to history and the scan log
+ * The server only stores analyses it ran with storing on (keeping the image's hash), so a server
+ * reading's frame is analyzed once more that way and the stored result is what gets logged.
+ * @param {Object} stableReading - Stable reading
+ */
+async function logScanResult(stableReading) {
+    let reading = stableReading;
+    try {
+        if (reading.results.analyzer === 'server') {
+            const results = await callAnalysisAPI(reading.frame.file, reading.results.fruit, reading.lot);
+            reading = createScanReading(results, reading.frame, reading.lot);
+        }
+        await saveToHistory(reading.results, reading.frame);
+    } catch (error) {
+        console.error('History error:', error);
+    }
+
+    const log = document.getElementById('scanLog');
+    const item = document.createElement('li');
+    item.innerHTML = `
+        <span>${new Date().toLocaleTimeString(getLocale())}</span>
+        <strong class="scan-grade ${reading.gradeClass}">${tValue('grades', reading.grade)}</strong>
+        <span>${t('scan.freshness', { freshness: formatNumber(reading.freshness) })}</span>
+    `;
+    log.prepend(item);
+
+    document.getElementById('scanLogCount').textContent = formatNumber(log.children.length);
+    showToast(t('scan.loggedToast', { grade: tValue('grades', reading.grade), freshness: formatNumber(reading.freshness) }));
+}
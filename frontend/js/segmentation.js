@@ -0,0 +1,303 @@
+/**
+ * SEGMENTATION.JS
+ * Color segmentation of fruit images, a port of the backend's compute_freshness_from_image
+ * Features: RGB to Lab conversion, seeded K-means++ clustering, fresh/spoiled cluster selection
+ *
+ * Runs as a Web Worker (new Worker('js/segmentation.js')) and can also be loaded with a
+ * plain <script> tag as a main-thread fallback where workers are unavailable (e.g. file://).
+ */
+
+// =============================================
+// COLOR CONVERSION
+// =============================================
+
+/**
+ * Convert an sRGB channel (0-255) to linear light
+ * @param {number} value - Channel value
+ * @returns {number} Linear value (0-1)
+ */
+function srgbToLinear(value) {
+    const c = value / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert RGBA pixels to Lab using OpenCV's 8-bit scaling (L*255/100, a+128, b+128)
+ * @param {Uint8ClampedArray} rgba - RGBA pixel data
+ * @returns {Float32Array} Lab triplets
+ */
+function rgbaToLab(rgba) {
+    const count = rgba.length / 4;
+    const lab = new Float32Array(count * 3);
+    const f = t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+
+    for (let i = 0; i < count; i++) {
+        const r = srgbToLinear(rgba[i * 4]);
+        const g = srgbToLinear(rgba[i * 4 + 1]);
+        const b = srgbToLinear(rgba[i * 4 + 2]);
+
+        // D65 reference white
+        const x = (0.412453 * r + 0.357580 * g + 0.180423 * b) / 0.950456;
+        const y = 0.212671 * r + 0.715160 * g + 0.072169 * b;
+        const z = (0.019334 * r + 0.119193 * g + 0.950227 * b) / 1.088754;
+
+        const fy = f(y);
+        const L = y > 0.008856 ? 116 * fy - 16 : 903.3 * y;
+
+        lab[i * 3] = L * 255 / 100;
+        lab[i * 3 + 1] = 500 * (f(x) - fy) + 128;
+        lab[i * 3 + 2] = 200 * (fy - f(z)) + 128;
+    }
+
+    return lab;
+}
+
+// =============================================
+// K-MEANS
+// =============================================
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so results are repeatable
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createSegmentationRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Squared distance between a point and a center
+ * @param {Float32Array} points - Lab triplets
+ * @param {number} index - Point index
+ * @param {Float32Array} centers - Center triplets
+ * @param {number} center - Center index
+ * @returns {number} Squared Euclidean distance
+ */
+function squaredDistance(points, index, centers, center) {
+    const dL = points[index * 3] - centers[center * 3];
+    const da = points[index * 3 + 1] - centers[center * 3 + 1];
+    const db = points[index * 3 + 2] - centers[center * 3 + 2];
+    return dL * dL + da * da + db * db;
+}
+
+/**
+ * Pick initial centers with K-means++
+ * @param {Float32Array} points - Lab triplets
+ * @param {number} count - Number of points
+ * @param {number} k - Cluster count
+ * @param {Function} random - Random source
+ * @returns {Float32Array} k centers
+ */
+function initializeCenters(points, count, k, random) {
+    const centers = new Float32Array(k * 3);
+    const distances = new Float64Array(count).fill(Infinity);
+
+    let chosen = Math.floor(random() * count);
+    for (let c = 0; c < k; c++) {
+        centers.set(points.subarray(chosen * 3, chosen * 3 + 3), c * 3);
+        if (c === k - 1) break;
+
+        let total = 0;
+        for (let i = 0; i < count; i++) {
+            distances[i] = Math.min(distances[i], squaredDistance(points, i, centers, c));
+            total += distances[i];
+        }
+
+        let target = random() * total;
+        chosen = count - 1;
+        for (let i = 0; i < count; i++) {
+            target -= distances[i];
+            if (target <= 0) {
+                chosen = i;
+                break;
+            }
+        }
+    }
+
+    return centers;
+}
+
+/**
+ * Run K-means, mirroring the backend's cv2.kmeans settings (20 iterations, eps 1.0, 5 attempts)
+ * @param {Float32Array} points - Lab triplets
+ * @param {number} k - Cluster count
+ * @param {number} seed - Random seed
+ * @returns {Object} { labels: Uint8Array, centers: Float32Array }
+ */
+function kmeans(points, k, seed) {
+    const count = points.length / 3;
+    const random = createSegmentationRandom(seed);
+    const maxIterations = 20;
+    const epsilon = 1.0;
+    const attempts = 5;
+
+    let best = null;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const centers = initializeCenters(points, count, k, random);
+        const labels = new Uint8Array(count);
+        let compactness = 0;
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            // Assign each pixel to its nearest center
+            compactness = 0;
+            for (let i = 0; i < count; i++) {
+                let nearest = 0;
+                let nearestDistance = Infinity;
+                for (let c = 0; c < k; c++) {
+                    const d = squaredDistance(points, i, centers, c);
+                    if (d < nearestDistance) {
+                        nearestDistance = d;
+                        nearest = c;
+                    }
+                }
+                labels[i] = nearest;
+                compactness += nearestDistance;
+            }
+
+            // Move centers to the mean of their pixels
+            const sums = new Float64Array(k * 3);
+            const sizes = new Uint32Array(k);
+            for (let i = 0; i < count; i++) {
+                const c = labels[i];
+                sums[c * 3] += points[i * 3];
+                sums[c * 3 + 1] += points[i * 3 + 1];
+                sums[c * 3 + 2] += points[i * 3 + 2];
+                sizes[c]++;
+            }
+
+            let maxShift = 0;
+            for (let c = 0; c < k; c++) {
+                if (sizes[c] === 0) continue;
+                for (let j = 0; j < 3; j++) {
+                    const next = sums[c * 3 + j] / sizes[c];
+                    maxShift = Math.max(maxShift, Math.abs(next - centers[c * 3 + j]));
+                    centers[c * 3 + j] = next;
+                }
+            }
+
+            if (maxShift < epsilon) break;
+        }
+
+        if (!best || compactness < best.compactness) {
+            best = { labels, centers, compactness };
+        }
+    }
+
+    return { labels: best.labels, centers: best.centers };
+}
+
+// =============================================
+// FRESHNESS
+// =============================================
+
+// As on the backend: flatter images (spread of the Lab values, per channel) show a blank surface,
+// and fresh plus spoiled clusters covering less of the image than this mean no fruit was found
+const MIN_IMAGE_CONTRAST = 2.0;
+const MIN_FRUIT_FRACTION = 0.05;
+
+/**
+ * Largest per-channel standard deviation of Lab pixels
+ * @param {Float32Array} points - Lab triplets
+ * @returns {number} Spread of the most varied channel
+ */
+function getLabContrast(points) {
+    const count = points.length / 3;
+    let contrast = 0;
+    for (let j = 0; j < 3; j++) {
+        let sum = 0;
+        let sumSquares = 0;
+        for (let i = 0; i < count; i++) {
+            sum += points[i * 3 + j];
+            sumSquares += points[i * 3 + j] ** 2;
+        }
+        const mean = sum / count;
+        contrast = Math.max(contrast, Math.sqrt(Math.max(0, sumSquares / count - mean * mean)));
+    }
+    return contrast;
+}
+
+/**
+ * Split an image into fresh / spoiled clusters and score it
+ * @param {Uint8ClampedArray} rgba - RGBA pixel data
+ * @param {Object} options - { k = 3, seed = 1, freshColor = [1, 0] } (freshColor weights the a / b axes)
+ * @returns {Object} { fruitDetected, freshness, spoilageRatio, freshPixels, spoiledPixels, totalPixels, labels,
+ *                   freshCluster, spoiledCluster }; freshness and spoilageRatio are null when no fruit was detected
+ */
+function segmentFruitPixels(rgba, options = {}) {
+    const k = options.k || 3;
+    const seed = options.seed || 1;
+    const [weightA, weightB] = options.freshColor || [1, 0];
+
+    const points = rgbaToLab(rgba);
+    const totalPixels = points.length / 3;
+    if (getLabContrast(points) < MIN_IMAGE_CONTRAST) {
+        return {
+            fruitDetected: false,
+            freshness: null,
+            spoilageRatio: null,
+            freshPixels: 0,
+            spoiledPixels: 0,
+            totalPixels,
+            labels: new Uint8Array(totalPixels),
+            freshCluster: -1,
+            spoiledCluster: -1
+        };
+    }
+
+    const { labels, centers } = kmeans(points, k, seed);
+
+    // Same cluster choice as the backend: closest to the fruit's color = fresh, darkest = spoiled
+    const colorScore = c => weightA * centers[c * 3 + 1] + weightB * centers[c * 3 + 2];
+    let freshCluster = 0;
+    let spoiledCluster = 0;
+    for (let c = 1; c < k; c++) {
+        if (colorScore(c) > colorScore(freshCluster)) freshCluster = c;
+        if (centers[c * 3] < centers[spoiledCluster * 3]) spoiledCluster = c;
+    }
+
+    let freshPixels = 0;
+    let spoiledPixels = 0;
+    for (let i = 0; i < labels.length; i++) {
+        if (labels[i] === freshCluster) freshPixels++;
+        if (labels[i] === spoiledCluster) spoiledPixels++;
+    }
+
+    const fruitPixels = freshPixels + spoiledPixels;
+    const fruitDetected = fruitPixels >= MIN_FRUIT_FRACTION * totalPixels;
+
+    return {
+        fruitDetected,
+        freshness: fruitDetected ? Math.trunc(100 * freshPixels / fruitPixels) : null,
+        spoilageRatio: fruitDetected ? Math.trunc(100 * spoiledPixels / fruitPixels) : null,
+        freshPixels,
+        spoiledPixels,
+        totalPixels,
+        labels,
+        freshCluster,
+        spoiledCluster
+    };
+}
+
+// =============================================
+// WORKER ENTRY
+// =============================================
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = (e) => {
+        const { id, pixels, options } = e.data;
+        try {
+            const result = segmentFruitPixels(pixels, options);
+            self.postMessage({ id, result }, [result.labels.buffer]);
+        } catch (error) {
+            self.postMessage({ id, error: error.message });
+        }
+    };
+}
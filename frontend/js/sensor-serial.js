@@ -0,0 +1,307 @@
+/**
+ * SENSOR-SERIAL.JS
+ * Live AS7265x readings over the Web Serial API
+ * Features: Port selection, AT command polling, line protocol parsing into SENSOR_WAVELENGTHS order,
+ *           live sensor table and chart (calibrated, see calibration.js), software simulator (see sensor-simulator.js)
+ */
+
+// =============================================
+// LINE PROTOCOL
+// =============================================
+
+const SENSOR_BAUD_RATE = 115200;
+const SENSOR_POLL_INTERVAL_MS = 1000;
+const SENSOR_READ_COMMAND = 'ATDATA';
+
+// Channel letters in SENSOR_WAVELENGTHS order (410, 435, ... 940 nm)
+const AS7265X_CHANNELS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'R', 'I', 'S', 'J', 'T', 'U', 'V', 'W', 'K', 'L'];
+
+// ATDATA reports the NIR die (R-W), then the visible die (G-L), then the UV die (A-F)
+const AS7265X_REPORT_ORDER = ['R', 'S', 'T', 'U', 'V', 'W', 'G', 'H', 'I', 'J', 'K', 'L', 'A', 'B', 'C', 'D', 'E', 'F'];
+
+/**
+ * Parse one line from the board
+ * Readings look like "v1, v2, ... v18 OK"; command acknowledgements are "OK" and failures "ERROR".
+ * @param {string} line - Line without its line ending
+ * @returns {Object|null} { type: 'reading', values } in SENSOR_WAVELENGTHS order, { type: 'ok' },
+ *                        { type: 'error' }, or null for anything else (echoes, banners)
+ */
+function parseSensorLine(line) {
+    const text = line.trim();
+    if (text === 'OK') {
+        return { type: 'ok' };
+    }
+    if (text === 'ERROR') {
+        return { type: 'error' };
+    }
+
+    const tokens = text.split(/[\s,]+/);
+    if (tokens.pop() !== 'OK' || tokens.length !== AS7265X_REPORT_ORDER.length) {
+        return null;
+    }
+
+    const reported = tokens.map(Number);
+    if (reported.some(value => !Number.isFinite(value))) {
+        return null;
+    }
+
+    return {
+        type: 'reading',
+        values: AS7265X_CHANNELS.map(letter => reported[AS7265X_REPORT_ORDER.indexOf(letter)])
+    };
+}
+
+// =============================================
+// SERIAL SESSION
+// =============================================
+
+let sensorSession = null;
+
+/**
+ * Check whether the browser can open serial ports
+ * @returns {boolean} True where the Web Serial API is available (Chromium over localhost or HTTPS)
+ */
+function isWebSerialSupported() {
+    return 'serial' in navigator;
+}
+
+/**
+ * Identify a sensor so its calibration can be found again
+ * USB-serial adapters are told apart by their vendor and product IDs.
+ * @param {Object} port - Web Serial SerialPort or simulated port
+ * @param {boolean} simulated - True for the software simulator
+ * @returns {Object} { deviceId, label }
+ */
+function getSensorDeviceId(port, simulated) {
+    if (simulated) {
+        return { deviceId: 'simulator', label: t('sensor.simulatedDevice') };
+    }
+
+    const info = port.getInfo();
+    if (!info.usbVendorId) {
+        return { deviceId: 'serial', label: t('sensor.serialDevice') };
+    }
+
+    const hex = value => (value || 0).toString(16).padStart(4, '0');
+    const usbId = `${hex(info.usbVendorId)}:${hex(info.usbProductId)}`;
+    return { deviceId: `usb-${usbId}`, label: `AS7265x (USB ${usbId})` };
+}
+
+/**
+ * Get the connected sensor
+ * @returns {Object|null} { deviceId, label, simulated }, or null when none is connected
+ */
+function getActiveSensor() {
+    if (!sensorSession) {
+        return null;
+    }
+    return { deviceId: sensorSession.deviceId, label: sensorSession.label, simulated: sensorSession.simulated };
+}
+
+/**
+ * Get the latest reading of the connected sensor
+ * @returns {Object|null} { deviceId, values }, or null before the first reading or without a sensor
+ */
+function getLatestSensorReading() {
+    if (!sensorSession || !sensorSession.lastValues) {
+        return null;
+    }
+    return { deviceId: sensorSession.deviceId, values: sensorSession.lastValues };
+}
+
+/**
+ * Start reading a sensor: open the port, poll it and show each reading
+ * @param {Object} port - Web Serial SerialPort, or a port from createSimulatedSensorPort()
+ * @param {boolean} simulated - True for the software simulator
+ */
+async function connectSensor(port, simulated) {
+    if (sensorSession) {
+        await disconnectSensor();
+    }
+
+    await port.open({ baudRate: SENSOR_BAUD_RATE });
+
+    const session = {
+        ...getSensorDeviceId(port, simulated),
+        port: port,
+        simulated: simulated,
+        reader: port.readable.getReader(),
+        writer: port.writable.getWriter(),
+        readings: 0,
+        timer: null
+    };
+    sensorSession = session;
+
+    const encoder = new TextEncoder();
+    const poll = () => {
+        session.writer.write(encoder.encode(`${SENSOR_READ_COMMAND}\r\n`)).catch(error => {
+            console.error('Sensor write error:', error);
+        });
+    };
+
+    readSensorLines(session);
+    poll();
+    session.timer = setInterval(poll, SENSOR_POLL_INTERVAL_MS);
+
+    renderSensorStatus();
+}
+
+/**
+ * Read the port line by line until it closes
+ * @param {Object} session - Sensor session
+ */
+async function readSensorLines(session) {
+    const decoder = new TextDecoder();
+    let pending = '';
+
+    try {
+        while (true) {
+            const { value, done } = await session.reader.read();
+            if (done) break;
+
+            pending += decoder.decode(value, { stream: true });
+            const lines = pending.split(/\r?\n|\r/);
+            pending = lines.pop();
+            lines.forEach(line => handleSensorLine(session, line));
+        }
+    } catch (error) {
+        // Unplugged or otherwise lost while still in use
+        if (sensorSession === session) {
+            console.error('Sensor read error:', error);
+            showToast(t('sensor.lost'), 'error');
+            disconnectSensor();
+        }
+    }
+}
+
+/**
+ * Act on a line from the board
+ * @param {Object} session - Sensor session
+ * @param {string} line - Line without its line ending
+ */
+function handleSensorLine(session, line) {
+    const message = parseSensorLine(line);
+    if (!message || sensorSession !== session) {
+        return;
+    }
+
+    if (message.type === 'error') {
+        console.warn('Sensor reported an error for', SENSOR_READ_COMMAND);
+        return;
+    }
+
+    if (message.type === 'reading') {
+        session.readings++;
+        session.lastValues = message.values;
+        showSensorReading(message.values, getCalibrationProfile(session.deviceId));
+        renderSensorStatus();
+        document.dispatchEvent(new CustomEvent('sensorreading', {
+            detail: { deviceId: session.deviceId, values: message.values }
+        }));
+    }
+}
+
+/**
+ * Stop reading and close the port; the sensor view goes back to the last analysis
+ */
+async function disconnectSensor() {
+    const session = sensorSession;
+    if (!session) {
+        return;
+    }
+    sensorSession = null;
+    clearInterval(session.timer);
+
+    try {
+        await session.reader.cancel();
+        session.reader.releaseLock();
+        session.writer.releaseLock();
+        await session.port.close();
+    } catch (error) {
+        console.warn('Sensor close error:', error);
+    }
+
+    showSensorReading(analysisResults ? analysisResults.sensor_emulation_values : []);
+    if (analysisResults) {
+        updateSpectralChart(analysisResults);
+    }
+    renderSensorStatus();
+}
+
+/**
+ * Show a reading in the sensor table, and in the chart when it is open
+ * @param {Array<number>} values - 18 channel values in SENSOR_WAVELENGTHS order
+ * @param {Object|null} profile - Calibration profile of the sensor, if it has one
+ */
+function showSensorReading(values, profile = null) {
+    displaySensorData(values, profile);
+    if (!document.getElementById('sensorChartCard').classList.contains('hidden')) {
+        updateSensorChart(values, profile ? computeReflectance(values, profile) : null);
+    }
+}
+
+// =============================================
+// SENSOR CONTROLS
+// =============================================
+
+/**
+ * Initialize the connect, simulator and disconnect buttons of the sensor section
+ */
+function initializeSensorSerial() {
+    const connectBtn = document.getElementById('sensorConnectBtn');
+
+    connectBtn.disabled = !isWebSerialSupported();
+    connectBtn.addEventListener('click', async () => {
+        let port;
+        try {
+            port = await navigator.serial.requestPort();
+        } catch (error) {
+            // Closing the port chooser is not an error
+            return;
+        }
+
+        try {
+            await connectSensor(port, false);
+            showToast(t('sensor.connected'));
+        } catch (error) {
+            console.error('Sensor connect error:', error);
+            showToast(t('sensor.connectFailed'), 'error');
+            renderSensorStatus();
+        }
+    });
+
+    document.getElementById('sensorSimulatorBtn').addEventListener('click', async () => {
+        await connectSensor(createSimulatedSensorPort(), true);
+        showToast(t('sensor.simulatorStarted'));
+    });
+
+    document.getElementById('sensorDisconnectBtn').addEventListener('click', async () => {
+        await disconnectSensor();
+        showToast(t('sensor.disconnected'));
+    });
+
+    document.addEventListener('languagechange', renderSensorStatus);
+    renderSensorStatus();
+}
+
+/**
+ * Show where the sensor values come from and which buttons apply
+ */
+function renderSensorStatus() {
+    let status;
+    if (sensorSession) {
+        status = t(sensorSession.simulated ? 'sensor.statusSimulated' : 'sensor.statusLive',
+            { count: formatNumber(sensorSession.readings) });
+    } else if (isWebSerialSupported()) {
+        status = t('sensor.statusAnalysis');
+    } else {
+        status = t('sensor.unsupported');
+    }
+
+    document.getElementById('sensorStatus').textContent = status;
+    document.getElementById('sensorStatus').classList.toggle('live', Boolean(sensorSession));
+    document.getElementById('sensorConnectBtn').classList.toggle('hidden', Boolean(sensorSession));
+    document.getElementById('sensorSimulatorBtn').classList.toggle('hidden', Boolean(sensorSession));
+    document.getElementById('sensorCalibrateBtn').classList.toggle('hidden', !sensorSession);
+    document.getElementById('sensorDisconnectBtn').classList.toggle('hidden', !sensorSession);
+}
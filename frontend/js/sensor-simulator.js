@@ -0,0 +1,177 @@
+/**
+ * SENSOR-SIMULATOR.JS
+ * Software AS7265x for developing and testing without hardware
+ * Features: Web Serial-compatible port (open, close, readable and writable byte streams),
+ *           the board's AT command line protocol, fruit-like raw spectra with drift and noise
+ */
+
+// =============================================
+// SIMULATED DEVICE
+// =============================================
+
+// Fresh apple under the board's white LED at the default gain and integration time, in
+// SENSOR_WAVELENGTHS order: low blue, green-yellow peak, chlorophyll dip at 680 nm, NIR plateau
+const SIMULATOR_BASE_COUNTS = [
+    2100, 2900, 4300, 5600, 9100, 11800, 13400, 14100, 15200,
+    12600, 8400, 16900, 21500, 23800, 25200, 24600, 19800, 15100
+];
+
+const SIMULATOR_DEFAULT_GAIN = 1;       // ATGAIN index: 0-3 = 1x, 3.7x, 16x, 64x
+const SIMULATOR_DEFAULT_INTTIME = 20;   // ATINTTIME in 2.8 ms steps
+const SIMULATOR_GAINS = [1, 3.7, 16, 64];
+
+/**
+ * Create a simulated AS7265x serial port
+ * The port has the same shape as a Web Serial SerialPort, so it can be passed to connectSensor().
+ * @param {Object} options - { random: () => [0, 1) noise source (Math.random by default) }
+ * @returns {Object} Port with open(), close(), getInfo(), readable and writable
+ */
+function createSimulatedSensorPort(options = {}) {
+    const random = options.random || Math.random;
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    const device = {
+        gain: SIMULATOR_DEFAULT_GAIN,
+        intTime: SIMULATOR_DEFAULT_INTTIME,
+        startedAt: Date.now()
+    };
+
+    let controller = null;
+    let pending = '';
+
+    // Replies arrive after the integration time, like the real board
+    const reply = (text) => {
+        setTimeout(() => {
+            if (controller) {
+                controller.enqueue(encoder.encode(`${text}\r\n`));
+            }
+        }, Math.round(device.intTime * 2.8));
+    };
+
+    const handleCommand = (command) => {
+        const [name, argument] = command.trim().toUpperCase().split('=');
+        if (!name) {
+            return;
+        }
+
+        switch (name) {
+            case 'AT':
+                reply('OK');
+                break;
+            case 'ATDATA':
+                reply(`${formatSimulatorReading(readSimulatorCounts(device, random), 0)} OK`);
+                break;
+            case 'ATCDATA':
+                // Calibrated values in µW/cm²
+                reply(`${formatSimulatorReading(readSimulatorCounts(device, random).map(count => count / 450), 2)} OK`);
+                break;
+            case 'ATGAIN':
+            case 'ATINTTIME': {
+                const key = name === 'ATGAIN' ? 'gain' : 'intTime';
+                const max = name === 'ATGAIN' ? 3 : 255;
+                if (argument === undefined) {
+                    reply(`${device[key]} OK`);
+                    break;
+                }
+                const value = parseInt(argument, 10);
+                if (Number.isNaN(value) || value < (key === 'gain' ? 0 : 1) || value > max) {
+                    reply('ERROR');
+                    break;
+                }
+                device[key] = value;
+                reply('OK');
+                break;
+            }
+            default:
+                reply('ERROR');
+        }
+    };
+
+    const port = {
+        readable: null,
+        writable: null,
+
+        /**
+         * Open the port (the baud rate is accepted and ignored)
+         * @returns {Promise<void>}
+         */
+        async open() {
+            if (port.readable) {
+                throw new DOMException('The port is already open.', 'InvalidStateError');
+            }
+
+            port.readable = new ReadableStream({
+                start(streamController) {
+                    controller = streamController;
+                },
+                cancel() {
+                    controller = null;
+                }
+            });
+
+            port.writable = new WritableStream({
+                write(chunk) {
+                    pending += decoder.decode(chunk, { stream: true });
+                    const lines = pending.split(/\r?\n|\r/);
+                    pending = lines.pop();
+                    lines.forEach(handleCommand);
+                }
+            });
+        },
+
+        /**
+         * Close the port
+         * @returns {Promise<void>}
+         */
+        async close() {
+            if (controller) {
+                controller.close();
+                controller = null;
+            }
+            port.readable = null;
+            port.writable = null;
+            pending = '';
+        },
+
+        /**
+         * USB identifiers (none for the simulator)
+         * @returns {Object} Port info
+         */
+        getInfo() {
+            return {};
+        }
+    };
+
+    return port;
+}
+
+/**
+ * Take a raw reading: the base spectrum scaled by gain and integration time, with a slow drift and noise
+ * @param {Object} device - Simulator state ({ gain, intTime, startedAt })
+ * @param {Function} random - Noise source returning [0, 1)
+ * @returns {Array<number>} 18 counts in the board's ATDATA order (see AS7265X_REPORT_ORDER)
+ */
+function readSimulatorCounts(device, random) {
+    const scale = SIMULATOR_GAINS[device.gain] / SIMULATOR_GAINS[SIMULATOR_DEFAULT_GAIN] *
+        device.intTime / SIMULATOR_DEFAULT_INTTIME;
+    const drift = 1 + 0.05 * Math.sin((Date.now() - device.startedAt) / 4000);
+
+    const counts = SIMULATOR_BASE_COUNTS.map(base => {
+        const noise = 1 + (random() - 0.5) * 0.04;
+        return Math.min(65535, Math.max(0, Math.round(base * scale * drift * noise)));
+    });
+
+    // Report per die, the way the board does
+    return AS7265X_REPORT_ORDER.map(letter => counts[AS7265X_CHANNELS.indexOf(letter)]);
+}
+
+/**
+ * Format a reading the way the board prints it
+ * @param {Array<number>} values - Channel values
+ * @param {number} decimals - Decimal places
+ * @returns {string} Comma-separated values
+ */
+function formatSimulatorReading(values, decimals) {
+    return values.map(value => value.toFixed(decimals)).join(', ');
+}
@@ -0,0 +1,293 @@
+/**
+ * SPECTRAL.JS
+ * Spectral analysis for Fruit Detection Project
+ * Features: Wavelength axis for the predicted spectral curve, NDVI-style, chlorophyll and water
+ *           band indices, reference spectra with similarity scores, spectral source selector
+ *           that follows the connected sensor in reflectance once it is calibrated
+ */
+
+// =============================================
+// WAVELENGTHS
+// =============================================
+
+// The predicted curve samples the AS7265x range (410–940 nm) at even steps
+const SPECTRAL_RANGE_NM = [410, 940];
+
+const SPECTRAL_SOURCES = ['curve', 'sensor'];
+
+/**
+ * Wavelengths of the points of the predicted spectral curve
+ * @param {number} count - Number of points (50 for current results)
+ * @returns {Array<number>} Wavelength in nm per point
+ */
+function getSpectralWavelengths(count) {
+    const [start, end] = SPECTRAL_RANGE_NM;
+    if (count < 2) {
+        return count === 1 ? [start] : [];
+    }
+    return Array.from({ length: count }, (_, i) => Math.round((start + (end - start) * i / (count - 1)) * 10) / 10);
+}
+
+/**
+ * Get a spectrum from analysis results
+ * Both are uncalibrated: the curve and the sensor values of a result are on arbitrary scales.
+ * @param {Object} results - Analysis results
+ * @param {string} source - 'curve' (spectral_prediction_graph_data) or 'sensor' (the 18 sensor channels)
+ * @returns {Object|null} { wavelengths, values, calibrated }, or null when the result has no such data
+ */
+function getResultSpectrum(results, source) {
+    const values = (source === 'sensor'
+        ? results.sensor_emulation_values
+        : results.spectral_prediction_graph_data) || [];
+
+    if (values.length < 2) {
+        return null;
+    }
+
+    return {
+        wavelengths: source === 'sensor' ? SENSOR_WAVELENGTHS.slice(0, values.length) : getSpectralWavelengths(values.length),
+        values: values.map(Number),
+        calibrated: false
+    };
+}
+
+/**
+ * Get the latest reading of the connected sensor as a spectrum
+ * Readings of a sensor with a calibration profile are converted to reflectance.
+ * @returns {Object|null} { wavelengths, values, calibrated }, or null without a live reading
+ */
+function getLiveSensorSpectrum() {
+    const reading = getLatestSensorReading();
+    if (!reading) {
+        return null;
+    }
+
+    const profile = getCalibrationProfile(reading.deviceId);
+    return {
+        wavelengths: SENSOR_WAVELENGTHS.slice(0, reading.values.length),
+        values: profile ? computeReflectance(reading.values, profile) : reading.values,
+        calibrated: Boolean(profile)
+    };
+}
+
+/**
+ * Read a spectrum at any wavelength by linear interpolation (held flat outside its range)
+ * @param {Object} spectrum - { wavelengths, values }
+ * @param {number} nm - Wavelength in nm
+ * @returns {number} Interpolated value
+ */
+function interpolateSpectrum(spectrum, nm) {
+    const { wavelengths, values } = spectrum;
+    if (nm <= wavelengths[0]) {
+        return values[0];
+    }
+
+    for (let i = 1; i < wavelengths.length; i++) {
+        if (nm <= wavelengths[i]) {
+            const fraction = (nm - wavelengths[i - 1]) / (wavelengths[i] - wavelengths[i - 1]);
+            return values[i - 1] + (values[i] - values[i - 1]) * fraction;
+        }
+    }
+    return values[values.length - 1];
+}
+
+// =============================================
+// INDICES
+// =============================================
+
+/**
+ * Spectral indices, in display order
+ * Band positions are AS7265x channels, so the sensor values need no interpolation.
+ * - ndvi: normalized difference of NIR (810 nm) and red (680 nm); falls as chlorophyll breaks down
+ * - redEdge: normalized difference across the red edge (760 / 705 nm)
+ * - chlorophyll: depth of the 680 nm absorption below the line between its shoulders (610 and 760 nm)
+ * - water: depth of the 940 nm water band below the 860 nm plateau
+ */
+const SPECTRAL_INDICES = [
+    {
+        key: 'ndvi',
+        compute: at => normalizedDifference(at(810), at(680))
+    },
+    {
+        key: 'redEdge',
+        compute: at => normalizedDifference(at(760), at(705))
+    },
+    {
+        key: 'chlorophyll',
+        compute: at => {
+            const continuum = at(610) + (at(760) - at(610)) * (680 - 610) / (760 - 610);
+            return continuum > 0 ? 1 - at(680) / continuum : null;
+        }
+    },
+    {
+        key: 'water',
+        compute: at => at(860) > 0 ? 1 - at(940) / at(860) : null
+    }
+];
+
+/**
+ * Normalized difference of two bands
+ * @param {number} a - First band
+ * @param {number} b - Second band
+ * @returns {number|null} (a - b) / (a + b), or null when both are zero
+ */
+function normalizedDifference(a, b) {
+    return a + b !== 0 ? (a - b) / (a + b) : null;
+}
+
+/**
+ * Compute SPECTRAL_INDICES for a spectrum
+ * @param {Object} spectrum - { wavelengths, values }
+ * @returns {Object} Index key → value (null where undefined)
+ */
+function computeSpectralIndices(spectrum) {
+    const at = nm => interpolateSpectrum(spectrum, nm);
+    return Object.fromEntries(SPECTRAL_INDICES.map(index => [index.key, index.compute(at)]));
+}
+
+// =============================================
+// REFERENCE SPECTRA
+// =============================================
+
+/**
+ * Reflectance of known samples at SENSOR_WAVELENGTHS, per fruit type
+ * - fresh: green-red apple, deep chlorophyll dip at 680 nm and a high NIR plateau
+ * - overripe: chlorophyll gone (flat red region), lower NIR from softened tissue
+ */
+const REFERENCE_SPECTRA = {
+    apple: {
+        fresh: [0.05, 0.05, 0.06, 0.07, 0.10, 0.16, 0.19, 0.17, 0.14, 0.11, 0.07, 0.15, 0.38, 0.62, 0.74, 0.76, 0.75, 0.70],
+        overripe: [0.07, 0.08, 0.10, 0.13, 0.19, 0.27, 0.33, 0.37, 0.39, 0.38, 0.34, 0.41, 0.50, 0.58, 0.62, 0.63, 0.62, 0.60]
+    }
+};
+
+/**
+ * Shape similarity of two equally long series (Pearson correlation)
+ * Only the shape counts, so an overall brighter or darker sample scores the same.
+ * @param {Array<number>} a - First series
+ * @param {Array<number>} b - Second series
+ * @returns {number} Correlation from -1 to 1 (0 when either series is flat)
+ */
+function correlateSpectra(a, b) {
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const meanA = mean(a);
+    const meanB = mean(b);
+
+    let covariance = 0, varianceA = 0, varianceB = 0;
+    a.forEach((value, i) => {
+        covariance += (value - meanA) * (b[i] - meanB);
+        varianceA += (value - meanA) ** 2;
+        varianceB += (b[i] - meanB) ** 2;
+    });
+
+    return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+}
+
+/**
+ * Compare a spectrum with the reference spectra of a fruit
+ * The references are reflectance, so only calibrated spectra can be compared with them.
+ * @param {Object} spectrum - { wavelengths, values, calibrated }
+ * @param {string} fruit - Fruit type
+ * @returns {Array<Object>} { key, similarity (0–100), values } per reference; empty for uncalibrated spectra
+ */
+function compareToReferences(spectrum, fruit) {
+    if (!spectrum.calibrated) {
+        return [];
+    }
+
+    const references = REFERENCE_SPECTRA[fruit] || {};
+    const sampled = SENSOR_WAVELENGTHS.map(nm => interpolateSpectrum(spectrum, nm));
+
+    return Object.entries(references).map(([key, reference]) => ({
+        key: key,
+        similarity: Math.max(0, correlateSpectra(sampled, reference)) * 100,
+        values: reference
+    }));
+}
+
+// =============================================
+// SPECTRAL PANEL
+// =============================================
+
+/**
+ * Initialize the spectral source selector and follow live sensor readings
+ */
+function initializeSpectralAnalysis() {
+    document.getElementById('spectralSource').addEventListener('change', () => {
+        if (analysisResults) {
+            updateSpectralChart(analysisResults);
+        }
+    });
+
+    document.addEventListener('sensorreading', () => {
+        if (analysisResults && getSpectralSource() === 'sensor') {
+            updateSpectralChart(analysisResults);
+        }
+    });
+}
+
+/**
+ * Get the chosen spectral source
+ * @returns {string} One of SPECTRAL_SOURCES
+ */
+function getSpectralSource() {
+    const source = document.getElementById('spectralSource').value;
+    return SPECTRAL_SOURCES.includes(source) ? source : 'curve';
+}
+
+/**
+ * Show the indices and reference similarity under the spectral chart
+ * @param {Object|null} spectrum - Spectrum on the chart
+ * @param {Array<Object>} references - Result of compareToReferences()
+ * @param {string} fruit - Fruit type
+ */
+function renderSpectralSummary(spectrum, references, fruit) {
+    const indexList = document.getElementById('spectralIndices');
+    const referenceList = document.getElementById('spectralReferences');
+
+    document.getElementById('spectralSummary').classList.toggle('hidden', !spectrum);
+    if (!spectrum) {
+        return;
+    }
+
+    const indices = computeSpectralIndices(spectrum);
+    indexList.innerHTML = SPECTRAL_INDICES.map(index => `
+        <div class="spectral-index">
+            <dt>${t(`spectral.${index.key}`)}</dt>
+            <dd>${indices[index.key] === null ? '--' : formatNumber(indices[index.key], 3)}</dd>
+        </div>
+    `).join('');
+
+    if (!spectrum.calibrated) {
+        referenceList.innerHTML = `<p class="spectral-note">${t('spectral.uncalibrated')}</p>`;
+        return;
+    }
+
+    if (references.length === 0) {
+        referenceList.innerHTML = `<p class="spectral-note">${t('spectral.noReferences', { fruit: getFruitNoun(fruit) })}</p>`;
+        return;
+    }
+
+    const closest = references.reduce((best, reference) => reference.similarity > best.similarity ? reference : best);
+    referenceList.innerHTML = `
+        <h4>${t('spectral.similarityTitle')}</h4>
+        ${references.map(reference => `
+            <div class="spectral-similarity${reference === closest ? ' closest' : ''}">
+                <span>${getReferenceLabel(reference.key, fruit)}</span>
+                <div class="spectral-similarity-bar"><div style="width: ${reference.similarity.toFixed(1)}%"></div></div>
+                <strong>${formatPercent(reference.similarity, 0)}</strong>
+            </div>
+        `).join('')}
+        <p class="spectral-note">${t('spectral.closest', { reference: getReferenceLabel(closest.key, fruit) })}</p>
+    `;
+}
+
+/**
+ * Label of a reference spectrum
+ * @param {string} key - Reference key ('fresh' or 'overripe')
+ * @param {string} fruit - Fruit type
+ * @returns {string} Translated label, e.g. "Fresh apple"
+ */
+function getReferenceLabel(key, fruit) {
+    return t(`spectral.reference.${key}`, { fruit: getFruitNoun(fruit) });
+}
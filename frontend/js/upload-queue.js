@@ -0,0 +1,377 @@
+/**
+ * UPLOAD-QUEUE.JS
+ * Offline upload queue for Fruit Detection Project
+ * Features: Captures and uploads made while offline are kept in IndexedDB, analyzed through
+ *           callAnalysisAPI once the connection returns, per-item status, retry and removal
+ */
+
+// =============================================
+// QUEUE STORAGE (IndexedDB)
+// =============================================
+
+const UPLOAD_QUEUE_DB_NAME = 'fruitQualityUploadQueue';
+const UPLOAD_QUEUE_DB_VERSION = 1;
+const UPLOAD_QUEUE_STORE = 'uploads';
+
+// Background sync tag handled by sw.js
+const UPLOAD_SYNC_TAG = 'upload-queue';
+
+let uploadQueueDb = null;
+let uploadQueueItems = [];
+let uploadQueueSyncing = false;
+
+/**
+ * Open (or create) the upload queue database
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+function openUploadQueueDB() {
+    if (uploadQueueDb) {
+        return Promise.resolve(uploadQueueDb);
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(UPLOAD_QUEUE_DB_NAME, UPLOAD_QUEUE_DB_VERSION);
+
+        request.onupgradeneeded = (e) => {
+            const db = e.target.result;
+            if (!db.objectStoreNames.contains(UPLOAD_QUEUE_STORE)) {
+                db.createObjectStore(UPLOAD_QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+        };
+
+        request.onsuccess = (e) => {
+            uploadQueueDb = e.target.result;
+            resolve(uploadQueueDb);
+        };
+
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a request against the upload queue object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} action - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function runUploadQueueRequest(mode, action) {
+    const db = await openUploadQueueDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(UPLOAD_QUEUE_STORE, mode);
+        const request = action(tx.objectStore(UPLOAD_QUEUE_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Save a queue item (the image is stored as a Blob until it has been analyzed)
+ * @param {Object} item - Queue item
+ * @returns {Promise<number>} Item ID
+ */
+function putUploadQueueItem(item) {
+    return runUploadQueueRequest('readwrite', store => store.put(item));
+}
+
+/**
+ * Reload the queue from storage, oldest first
+ * @returns {Promise<Array>} Queue items
+ */
+async function loadUploadQueue() {
+    const items = await runUploadQueueRequest('readonly', store => store.getAll());
+    uploadQueueItems = items.sort((a, b) => a.id - b.id);
+    return uploadQueueItems;
+}
+
+// =============================================
+// QUEUEING
+// =============================================
+
+/**
+ * Whether new analyses should be queued instead of run now
+ * Only analyses that need the backend are queued; demo and in-browser modes work offline.
+ * @returns {boolean} True while offline in the automatic or server analysis mode
+ */
+function shouldQueueUploads() {
+    return isOffline() && !getClientConfig().mock && ['auto', 'server'].includes(getAnalysisMode());
+}
+
+/**
+ * Add images to the upload queue
+ * @param {Array<File>} files - Image files
+ * @param {string} fruit - Fruit type (see FRUIT_TYPES); the upload screen's choice by default
+ * @param {Object|null} lot - Lot the fruit belongs to; the upload screen's active lot by default
+ * @returns {Promise<number>} Number of images queued
+ */
+async function queueUploads(files, fruit = getSelectedFruit(), lot = getActiveLot()) {
+    const valid = files.filter(file => file.type.startsWith('image/') && file.size <= 10 * 1024 * 1024);
+    const skipped = files.length - valid.length;
+
+    if (skipped > 0) {
+        showToast(t('batch.skipped', { count: formatNumber(skipped) }), 'error');
+    }
+    if (valid.length === 0) return 0;
+
+    try {
+        for (const file of valid) {
+            await putUploadQueueItem({
+                file: file,
+                name: file.name,
+                type: file.type,
+                fruit: fruit,
+                lot: lot,
+                queuedAt: new Date().toISOString(),
+                status: 'queued',
+                attempts: 0,
+                error: null,
+                historyId: null,
+                grade: null,
+                freshness: null
+            });
+        }
+    } catch (error) {
+        console.error('Upload queue error:', error);
+        showToast(t('queue.saveFailed'), 'error');
+        return 0;
+    }
+
+    showToast(t('queue.added', { count: formatNumber(valid.length) }));
+    requestBackgroundSync();
+    await renderUploadQueue();
+    return valid.length;
+}
+
+/**
+ * Ask the service worker to wake the page when connectivity returns (where Background Sync exists)
+ */
+function requestBackgroundSync() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+        return;
+    }
+
+    navigator.serviceWorker.ready
+        .then(registration => registration.sync && registration.sync.register(UPLOAD_SYNC_TAG))
+        .catch(error => console.warn('Background sync unavailable:', error));
+}
+
+// =============================================
+// SYNC
+// =============================================
+
+/**
+ * Analyze queued images one at a time through callAnalysisAPI
+ * Stops (leaving the rest queued) as soon as the backend cannot be reached again.
+ */
+async function syncUploadQueue() {
+    if (uploadQueueSyncing || isOffline()) {
+        return;
+    }
+    uploadQueueSyncing = true;
+
+    let synced = 0;
+    try {
+        await loadUploadQueue();
+        for (const item of uploadQueueItems.filter(entry => entry.status === 'queued')) {
+            const outcome = await processUploadQueueItem(item);
+            if (outcome === 'offline') break;
+            if (outcome === 'done') synced++;
+        }
+    } catch (error) {
+        console.error('Upload queue error:', error);
+    } finally {
+        uploadQueueSyncing = false;
+        await renderUploadQueue();
+    }
+
+    if (synced > 0) {
+        showToast(t('queue.synced', { count: formatNumber(synced) }));
+    }
+}
+
+/**
+ * Analyze a single queued image and keep the result in history
+ * @param {Object} item - Queue item
+ * @returns {Promise<string>} 'done', 'failed' or 'offline' (put back in the queue)
+ */
+async function processUploadQueueItem(item) {
+    item.status = 'running';
+    item.attempts++;
+    item.error = null;
+    await putUploadQueueItem(item);
+    await renderUploadQueue();
+
+    const file = new File([item.file], item.name, { type: item.type });
+
+    try {
+        const results = await callAnalysisAPI(file, item.fruit, item.lot || null);
+        const dataUrl = await readFileAsDataUrl(file);
+        const assessment = calculateQualityGrade(results);
+
+        // The history entry keeps the result and thumbnail, so the image itself can go
+        item.historyId = await saveToHistory(results, { file: file, dataUrl: dataUrl });
+        item.file = null;
+        item.grade = assessment.grade;
+        item.freshness = results.freshness_score;
+        item.status = 'done';
+    } catch (error) {
+        if (isNetworkError(error)) {
+            item.status = 'queued';
+            await putUploadQueueItem(item);
+            return 'offline';
+        }
+        console.error('Queued analysis error:', error);
+        item.status = 'failed';
+        item.error = error.message || t('error.analysisFailed');
+    }
+
+    await putUploadQueueItem(item);
+    return item.status;
+}
+
+/**
+ * Put a failed item back in the queue and sync
+ * @param {Object} item - Queue item
+ */
+async function retryUploadQueueItem(item) {
+    item.status = 'queued';
+    item.error = null;
+    await putUploadQueueItem(item);
+    await renderUploadQueue();
+    syncUploadQueue();
+}
+
+/**
+ * Remove an item from the queue
+ * @param {number} id - Queue item ID
+ */
+async function removeUploadQueueItem(id) {
+    await runUploadQueueRequest('readwrite', store => store.delete(id));
+    await renderUploadQueue();
+}
+
+// =============================================
+// QUEUE VIEW
+// =============================================
+
+/**
+ * Initialize the upload queue panel and connectivity listeners
+ */
+function initializeUploadQueue() {
+    document.getElementById('uploadQueueSyncBtn').addEventListener('click', syncUploadQueue);
+
+    document.getElementById('uploadQueueClearBtn').addEventListener('click', async () => {
+        const finished = uploadQueueItems.filter(item => item.status === 'done');
+        for (const item of finished) {
+            await runUploadQueueRequest('readwrite', store => store.delete(item.id));
+        }
+        await renderUploadQueue();
+    });
+
+    window.addEventListener('online', syncUploadQueue);
+    window.addEventListener('offline', renderUploadQueueStatus);
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'sync-upload-queue') {
+                syncUploadQueue();
+            }
+        });
+    }
+
+    document.addEventListener('languagechange', renderUploadQueue);
+
+    // Items left from an earlier session; anything interrupted mid-analysis goes back in the queue
+    loadUploadQueue()
+        .then(async items => {
+            for (const item of items.filter(entry => entry.status === 'running')) {
+                item.status = 'queued';
+                await putUploadQueueItem(item);
+            }
+            await renderUploadQueue();
+            syncUploadQueue();
+        })
+        .catch(error => console.error('Upload queue error:', error));
+}
+
+/**
+ * Render the queue panel (hidden while the queue is empty)
+ */
+async function renderUploadQueue() {
+    try {
+        await loadUploadQueue();
+    } catch (error) {
+        console.error('Upload queue error:', error);
+        return;
+    }
+
+    const list = document.getElementById('uploadQueueList');
+    list.innerHTML = '';
+    uploadQueueItems.forEach(item => {
+        list.appendChild(createUploadQueueRow(item));
+    });
+
+    document.getElementById('uploadQueuePanel').classList.toggle('hidden', uploadQueueItems.length === 0);
+    document.getElementById('uploadQueueClearBtn').classList.toggle('hidden', !uploadQueueItems.some(item => item.status === 'done'));
+    renderUploadQueueStatus();
+}
+
+/**
+ * Show how many images are waiting and whether they can be sent now
+ */
+function renderUploadQueueStatus() {
+    const waiting = uploadQueueItems.filter(item => item.status === 'queued' || item.status === 'running').length;
+    const key = isOffline() && waiting > 0 ? 'queue.waitingOffline' : 'queue.waiting';
+
+    document.getElementById('uploadQueueStatus').textContent = t(key, { count: formatNumber(waiting) });
+    document.getElementById('uploadQueueSyncBtn').disabled = isOffline() || uploadQueueSyncing ||
+        !uploadQueueItems.some(item => item.status === 'queued');
+}
+
+/**
+ * Build a row for a queue item
+ * @param {Object} item - Queue item
+ * @returns {HTMLElement} Table row
+ */
+function createUploadQueueRow(item) {
+    const row = document.createElement('tr');
+    const grade = item.grade ? tValue('grades', item.grade) : '--';
+    const freshness = item.freshness === null ? '--' : formatNumber(item.freshness);
+
+    row.innerHTML = `
+        <td class="batch-file"></td>
+        <td>${getFruitLabel(item.fruit)}</td>
+        <td>${formatDate(item.queuedAt)}</td>
+        <td><span class="batch-status ${item.status}">${t(`batch.status.${item.status}`)}</span></td>
+        <td>${freshness}</td>
+        <td>${grade}</td>
+        <td class="batch-row-actions"></td>
+    `;
+
+    // File names come from the user's disk, so never inject them as HTML
+    row.querySelector('.batch-file').textContent = item.name;
+    if (item.error) {
+        row.querySelector('.batch-status').title = item.error;
+    }
+
+    const actions = row.querySelector('.batch-row-actions');
+    const addButton = (label, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'btn-secondary';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        actions.appendChild(button);
+    };
+
+    // Results kept in this browser until the backend is reachable have no history entry yet
+    if (item.status === 'done' && item.historyId !== null) {
+        addButton(t('batch.view'), () => openHistoryEntry(item.historyId));
+    } else if (item.status === 'failed') {
+        addButton(t('batch.retry'), () => retryUploadQueueItem(item));
+    }
+    if (item.status !== 'running') {
+        addButton(t('queue.remove'), () => removeUploadQueueItem(item.id));
+    }
+
+    return row;
+}
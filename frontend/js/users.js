@@ -0,0 +1,215 @@
+/**
+ * USERS.JS
+ * User management for admins
+ * Features: User table, create / edit / disable flows, password reset, role assignment
+ */
+
+// =============================================
+// STATE
+// =============================================
+
+let userFormMode = null;   // 'create', 'edit' or 'password'
+let userFormEmail = null;
+
+// =============================================
+// USER TABLE
+// =============================================
+
+/**
+ * Initialize the users section
+ */
+function initializeUsers() {
+    document.getElementById('userCreateBtn').addEventListener('click', () => openUserForm('create'));
+    document.getElementById('closeUserModal').addEventListener('click', closeUserForm);
+    document.getElementById('cancelUserForm').addEventListener('click', closeUserForm);
+    document.getElementById('userForm').addEventListener('submit', submitUserForm);
+
+    const roleSelect = document.getElementById('userFormRole');
+    Object.keys(ROLE_PERMISSIONS).forEach(role => {
+        const option = document.createElement('option');
+        option.value = role;
+        option.dataset.i18n = `role.${role}`;
+        option.textContent = formatRole(role);
+        roleSelect.appendChild(option);
+    });
+
+    // Refresh whenever the section is opened
+    document.querySelector('.nav-item[data-section="users"]').addEventListener('click', renderUsers);
+
+    document.addEventListener('languagechange', () => {
+        if (document.getElementById('usersSection').classList.contains('active')) {
+            renderUsers();
+        }
+    });
+}
+
+/**
+ * Load and render all users
+ */
+async function renderUsers() {
+    const body = document.getElementById('usersTableBody');
+    const count = document.getElementById('usersCount');
+
+    if (getClientConfig().mock) {
+        body.innerHTML = `<tr><td colspan="5" class="empty-state">${t('users.needsBackend')}</td></tr>`;
+        count.textContent = '';
+        return;
+    }
+
+    let users;
+    try {
+        ({ users } = await requestApi('/api/users'));
+    } catch (error) {
+        console.error('Users error:', error);
+        body.innerHTML = '<tr><td colspan="5" class="empty-state"></td></tr>';
+        body.querySelector('td').textContent = t('users.loadFailed', { error: error.message });
+        return;
+    }
+
+    count.textContent = t('users.count', { count: formatNumber(users.length) });
+    body.innerHTML = '';
+    users.forEach(user => body.appendChild(createUserRow(user)));
+}
+
+/**
+ * Build a user table row
+ * @param {Object} user - { name, email, role, disabled }
+ * @returns {HTMLElement} Table row
+ */
+function createUserRow(user) {
+    const isSelf = getCurrentUser().email.toLowerCase() === user.email.toLowerCase();
+    const row = document.createElement('tr');
+    row.classList.toggle('user-disabled', user.disabled);
+
+    row.innerHTML = `
+        <td><strong></strong>${isSelf ? ` <small>${t('users.you')}</small>` : ''}</td>
+        <td></td>
+        <td><span class="user-role">${formatRole(user.role)}</span></td>
+        <td><span class="batch-status ${user.disabled ? 'failed' : 'done'}">${t(user.disabled ? 'users.disabled' : 'users.active')}</span></td>
+        <td class="user-actions">
+            <button class="btn-secondary user-edit">${t('users.edit')}</button>
+            <button class="btn-secondary user-password">${t('users.resetPassword')}</button>
+            <button class="btn-secondary user-toggle">${t(user.disabled ? 'users.enable' : 'users.disable')}</button>
+        </td>
+    `;
+    row.querySelector('strong').textContent = user.name;
+    row.children[1].textContent = user.email;
+
+    row.querySelector('.user-edit').addEventListener('click', () => openUserForm('edit', user));
+    row.querySelector('.user-password').addEventListener('click', () => openUserForm('password', user));
+
+    const toggle = row.querySelector('.user-toggle');
+    toggle.disabled = isSelf;
+    toggle.addEventListener('click', () => setUserDisabled(user, !user.disabled));
+
+    return row;
+}
+
+/**
+ * Disable or re-enable an account
+ * @param {Object} user - User to change
+ * @param {boolean} disabled - New state
+ */
+async function setUserDisabled(user, disabled) {
+    if (disabled && !confirm(t('users.confirmDisable', { email: user.email }))) return;
+
+    try {
+        await requestApi(`/api/users/${encodeURIComponent(user.email)}`, {
+            method: 'PUT',
+            body: { disabled: disabled }
+        });
+        showToast(t(disabled ? 'users.disabledToast' : 'users.enabledToast', { email: user.email }));
+        renderUsers();
+    } catch (error) {
+        console.error('Users error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+// =============================================
+// USER FORM
+// =============================================
+
+/**
+ * Open the user modal
+ * @param {string} mode - 'create', 'edit' or 'password'
+ * @param {Object} user - User being edited (not needed for 'create')
+ */
+function openUserForm(mode, user = null) {
+    userFormMode = mode;
+    userFormEmail = user ? user.email : null;
+
+    // Keep the title's key so a language change re-translates it
+    const titles = { create: 'users.add', edit: 'users.editTitle', password: 'users.resetPassword' };
+    const title = document.getElementById('userModalTitle');
+    title.dataset.i18n = titles[mode];
+    title.textContent = t(titles[mode]);
+    document.getElementById('userForm').reset();
+    document.getElementById('userFormError').classList.add('hidden');
+
+    const email = document.getElementById('userFormEmail');
+    email.value = user ? user.email : '';
+    email.readOnly = mode !== 'create';
+    document.getElementById('userFormName').value = user ? user.name : '';
+    document.getElementById('userFormRole').value = user ? user.role : 'inspector';
+
+    // Show only the fields each flow needs
+    document.getElementById('userFormDetails').classList.toggle('hidden', mode === 'password');
+    document.getElementById('userFormPasswordGroup').classList.toggle('hidden', mode === 'edit');
+    document.getElementById('userFormPassword').required = mode !== 'edit';
+    document.getElementById('userFormName').required = mode !== 'password';
+
+    openDialog(document.getElementById('userModal'));
+}
+
+/**
+ * Close the user modal
+ */
+function closeUserForm() {
+    closeDialog(document.getElementById('userModal'));
+    userFormMode = null;
+    userFormEmail = null;
+}
+
+/**
+ * Save the user modal
+ * @param {Event} e - Submit event
+ */
+async function submitUserForm(e) {
+    e.preventDefault();
+
+    const email = document.getElementById('userFormEmail').value.trim();
+    const name = document.getElementById('userFormName').value.trim();
+    const role = document.getElementById('userFormRole').value;
+    const password = document.getElementById('userFormPassword').value;
+
+    try {
+        if (userFormMode === 'create') {
+            await requestApi('/api/users', {
+                method: 'POST',
+                body: { email, name, role, password }
+            });
+            showToast(t('users.added', { email }));
+        } else if (userFormMode === 'edit') {
+            await requestApi(`/api/users/${encodeURIComponent(userFormEmail)}`, {
+                method: 'PUT',
+                body: { name, role }
+            });
+            showToast(t('users.updated', { email: userFormEmail }));
+        } else {
+            await requestApi(`/api/users/${encodeURIComponent(userFormEmail)}/password`, {
+                method: 'POST',
+                body: { password }
+            });
+            showToast(t('users.passwordReset', { email: userFormEmail }));
+        }
+
+        closeUserForm();
+        renderUsers();
+    } catch (error) {
+        console.error('Users error:', error);
+        const errorBox = document.getElementById('userFormError');
+        errorBox.textContent = error.message;
+        errorBox.classList.remove('hidden');
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * SW.JS
+ * Service worker for the installable (PWA) dashboard
+ * Features: Offline app shell (pages, CSS, JS, Chart.js), stale-while-revalidate updates,
+ *           background sync hand-off to the upload queue (see js/upload-queue.js)
+ */
+
+// =============================================
+// APP SHELL
+// =============================================
+
+// Bump the version when files are added or removed so old caches are dropped
+const SHELL_CACHE = 'fruit-quality-shell-v7';
+
+const APP_SHELL = [
+    'login.html',
+    'dashboard.html',
+    'manifest.webmanifest',
+    'app-config.js',
+    'css/styles.css',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'js/i18n.js',
+    'js/locales/en.js',
+    'js/locales/hi.js',
+    'js/locales/kn.js',
+    'js/accessibility.js',
+    'js/config.js',
+    'js/auth.js',
+    'js/api.js',
+    'js/pwa.js',
+    'js/fruits.js',
+    'js/analyzers.js',
+    'js/grading.js',
+    'js/spectral.js',
+    'js/segmentation.js',
+    'js/browser-analyzer.js',
+    'js/history.js',
+    'js/upload-queue.js',
+    'js/batch.js',
+    'js/export.js',
+    'js/overlay.js',
+    'js/scanner.js',
+    'js/roi.js',
+    'js/compare.js',
+    'js/analytics.js',
+    'js/lots.js',
+    'js/users.js',
+    'js/sensor-serial.js',
+    'js/sensor-simulator.js',
+    'js/calibration.js',
+    'js/login.js',
+    'js/dashboard.js',
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js'
+];
+
+// Other hosts whose files are cached as they are used (web fonts)
+const CACHED_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Tag registered by the page when uploads are queued
+const UPLOAD_SYNC_TAG = 'upload-queue';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names.filter(name => name !== SHELL_CACHE).map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// =============================================
+// REQUESTS
+// =============================================
+
+/**
+ * Whether a request belongs to the app shell (as opposed to the API)
+ * @param {Request} request - Intercepted request
+ * @returns {boolean} True for files that may be served from the cache
+ */
+function isShellRequest(request) {
+    if (request.method !== 'GET') {
+        return false;
+    }
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        return !url.pathname.includes('/api/');
+    }
+    return CACHED_HOSTS.includes(url.hostname);
+}
+
+/**
+ * Answer from the cache straight away and refresh the cached copy from the network
+ * Pages are matched without their query string (e.g. dashboard.html?profile=mock).
+ * @param {Request} request - Intercepted request
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (cached) {
+                return cached;
+            }
+            throw error;
+        });
+
+    return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+    if (isShellRequest(event.request)) {
+        event.respondWith(staleWhileRevalidate(event.request));
+    }
+});
+
+// =============================================
+// BACKGROUND SYNC
+// =============================================
+
+// Analyses need the page (auth, analyzers), so the worker only tells open dashboards to send their queue
+self.addEventListener('sync', (event) => {
+    if (event.tag !== UPLOAD_SYNC_TAG) {
+        return;
+    }
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' }).then(clients => {
+            clients.forEach(client => client.postMessage({ type: 'sync-upload-queue' }));
+        })
+    );
+});